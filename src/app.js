@@ -6,7 +6,10 @@ const crypto = require('crypto');
 const { URL } = require('url');
 const querystring = require('querystring');
 const { verifyPassword } = require('./lib/auth');
-const { saveDashboardConfig } = require('./lib/config-loader');
+const { loadDashboardConfig, saveDashboardConfig } = require('./lib/config-loader');
+const { createTariff } = require('./lib/tariff');
+const { csvHeader, csvLine } = require('./lib/solar-export');
+const { createEventStream } = require('./lib/event-stream');
 const { DEFAULT_REDIRECT_URI, buildAuthUrl, exchangeCode } = require('./lib/beatbot/auth');
 
 const TRANSPARENT_PNG = Buffer.from(
@@ -84,8 +87,25 @@ function readJsonBody(req) {
   });
 }
 
-function isRainLikely(weather) {
-  const summary = String((weather && weather.summary) || '').toLowerCase();
+function hasMetricsToken(req, token) {
+  if (!token) {
+    return true;
+  }
+  const header = String(req.headers.authorization || '');
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  const given = Buffer.from(match ? match[1].trim() : '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// The radar nowcast decides once it has run; the weather summary is only a
+// fallback for radar modes without frames.
+function isRainLikely(externalState) {
+  const nowcast = externalState.rainNowcast;
+  if (nowcast && nowcast.status && nowcast.status !== 'unknown') {
+    return !!nowcast.rainLikely;
+  }
+  const summary = String((externalState.weather && externalState.weather.summary) || '').toLowerCase();
   return summary.indexOf('rain') > -1 ||
     summary.indexOf('storm') > -1 ||
     summary.indexOf('shower') > -1 ||
@@ -342,6 +362,8 @@ function createApp(options) {
   const authConfig = options.authConfig;
   const publicDir = options.publicDir;
   const configDir = options.configDir;
+  const applyRuntimeOverrides = options.applyRuntimeOverrides || function noRuntimeOverrides(config) { return config; };
+  const onConfigSaved = options.onConfigSaved || function ignoreConfigSaved() {};
   const froniusState = options.froniusState;
   const gitSync = options.gitSync;
   const getExternalState = options.getExternalState;
@@ -354,6 +376,34 @@ function createApp(options) {
   const getSolarDawnQuarterly = options.getSolarDawnQuarterly || function emptyDawnQuarterly() { return []; };
   const getSolarFlowSummary = options.getSolarFlowSummary || function emptyFlowSummary() { return {}; };
   const getSolarMeta = options.getSolarMeta || function emptySolarMeta() { return {}; };
+  const getSolarForecast = options.getSolarForecast || function emptySolarForecast() { return { available: false, today: null, tomorrow: null }; };
+  const getSolarClearSky = options.getSolarClearSky || function emptySolarClearSky() { return { series: [], expectedKwh: 0, expectedKwhSoFar: 0 }; };
+  const listSolarDays = options.listSolarDays || function emptySolarDays() { return []; };
+  const getSolarDay = options.getSolarDay || function emptySolarDay() { return null; };
+  const getSolarHistoryRange = options.getSolarHistoryRange || null;
+  const validateSolarHistoryRange = options.validateSolarHistoryRange || function validateSolarHistoryRangeDefault() { return null; };
+  const getSolarComparison = options.getSolarComparison || null;
+  const getSolarBill = options.getSolarBill || null;
+  const exportSolarData = options.exportSolarData || null;
+  const validateSolarExportRange = options.validateSolarExportRange || function validateSolarExportRangeDefault() { return null; };
+  const defaultSolarExportFrom = options.defaultSolarExportFrom || function defaultSolarExportFromDefault(to) { return to; };
+  const getSolarAlerts = options.getSolarAlerts || function emptySolarAlerts() { return []; };
+  const getSolarSystems = options.getSolarSystems || function emptySolarSystems() { return []; };
+  const getLoadShift = options.getLoadShift || function emptyLoadShift() {
+    return { status: 'none', spareW: 0, spareMinutes: 0, feedInCents: null, laterImportCents: null, laterPeriod: null, messages: [], triggers: [] };
+  };
+  const getSolarMetrics = options.getSolarMetrics || function emptySolarMetrics() {
+    return { dayKey: null, emissionsKgPerKwh: 0, periods: [] };
+  };
+  const getSolarDevices = options.getSolarDevices || function emptySolarDevices() { return { updatedAt: null, error: null, inverters: [], meters: [] }; };
+  const getSolarDayKey = options.getSolarDayKey || function getSolarDayKeyDefault() { return new Date().toISOString().slice(0, 10); };
+  const getSolarCosts = options.getSolarCosts || function getSolarCostsDefault() {
+    const solarDayKey = getSolarDayKey();
+    return createTariff(dashboardConfig.pricing).priceBins(
+      getSolarDailyBins().filter((bin) => bin && (!bin.dayKey || bin.dayKey === solarDayKey)),
+      solarDayKey
+    );
+  };
   const getInternetState = options.getInternetState || function emptyInternetState() {
     return {
       online: false,
@@ -364,6 +414,10 @@ function createApp(options) {
       lastUpdated: null
     };
   };
+  const refreshSource = options.refreshSource || function refreshSourceDefault() { return null; };
+  const getSourceHealth = options.getSourceHealth || function emptySourceHealth() { return []; };
+  const getReadiness = options.getReadiness || function alwaysReady() { return { ready: true, sources: [] }; };
+  const getMetrics = options.getMetrics || function emptyMetrics() { return '\n'; };
   const fetchRadarTile = options.fetchRadarTile;
   const fetchRadarAnimation = options.fetchRadarAnimation;
   const fetchBomRadarImage = options.fetchBomRadarImage;
@@ -373,6 +427,7 @@ function createApp(options) {
   const getBomRadarMeta = options.getBomRadarMeta || function getBomRadarMetaDefault() { return null; };
   const fetchRadarEmbed = options.fetchRadarEmbed;
   const fetchMapTile = options.fetchMapTile;
+  const getTileCacheStats = options.getTileCacheStats || function getTileCacheStatsDefault() { return null; };
   const getDebugEvents = options.getDebugEvents || function getDebugEventsDefault() { return []; };
   const clearDebugEvents = options.clearDebugEvents || function clearDebugEventsDefault() { return 0; };
   const getDebugConfig = options.getDebugConfig || function getDebugConfigDefault() { return {}; };
@@ -383,8 +438,47 @@ function createApp(options) {
   );
   const sessions = new Map();
 
-  function buildStatePayload(now, radarRenderMode, radarClientIframeUrl, includeHeavy) {
-    const externalState = getExternalState();
+  function resolveRadarClientMode() {
+    const renderMode = String((dashboardConfig.radar && dashboardConfig.radar.renderMode) || 'server_gif').toLowerCase();
+    const iframeUrl = buildRainViewerIframeUrl(dashboardConfig.radar || {});
+    return {
+      renderMode,
+      iframeUrl,
+      clientIframeUrl: renderMode === 'rainviewer_iframe'
+        ? buildLocalRadarEmbedUrl(iframeUrl)
+        : (iframeUrl || null)
+    };
+  }
+
+  function buildLayout(externalState) {
+    return {
+      mode: 'hybrid',
+      focus: {
+        widget: 'radar',
+        durationSeconds: dashboardConfig.rotation.focusSeconds,
+        intervalSeconds: dashboardConfig.rotation.intervalSeconds,
+        focusDurationSeconds: dashboardConfig.rotation.focusDurationSeconds,
+        views: dashboardConfig.rotation.focusViews,
+        rainOverrideEnabled: dashboardConfig.rotation.rainOverrideEnabled,
+        rainOverrideCooldownSeconds: dashboardConfig.rotation.rainOverrideCooldownSeconds,
+        rainLikely: isRainLikely(externalState)
+      }
+    };
+  }
+
+  function buildExternalPatch(externalState) {
+    return {
+      layout: buildLayout(externalState),
+      weather: externalState.weather,
+      news: externalState.news,
+      bins: externalState.bins,
+      reminders: Array.isArray(externalState.reminders) ? externalState.reminders : [],
+      ha: externalState.ha || { cards: [], stale: true, error: 'ha_unavailable' },
+      rainNowcast: externalState.rainNowcast || null
+    };
+  }
+
+  function buildRadarPayload(radarRenderMode, radarClientIframeUrl) {
     const radarState = getRadarState();
     const gifMeta = getRadarGifMeta();
     const bomMeta = getBomRadarMeta();
@@ -393,64 +487,95 @@ function createApp(options) {
     const gifPath = (gifWidth > 0 && gifHeight > 0)
       ? '/api/radar/animation.gif'
       : null;
-    const payload = {
+    return {
+      available: Array.isArray(radarState.frames) && radarState.frames.length > 0,
+      updatedAt: radarState.updatedAt,
+      provider: dashboardConfig.radar.provider,
+      renderMode: radarRenderMode,
+      iframeUrl: radarClientIframeUrl,
+      gifUpdatedAt: gifMeta && gifMeta.renderedAt ? gifMeta.renderedAt : null,
+      gifWidth: gifWidth > 0 ? gifWidth : null,
+      gifHeight: gifHeight > 0 ? gifHeight : null,
+      gifPath,
+      bomUpdatedAt: bomMeta && bomMeta.updatedAt ? bomMeta.updatedAt : null,
+      bomImagePath: '/api/radar/bom-image',
+      refreshSeconds: dashboardConfig.radar.refreshSeconds,
+      metaPath: '/api/radar/meta'
+    };
+  }
+
+  function buildStatePayload(now, radarRenderMode, radarClientIframeUrl, includeHeavy) {
+    const externalState = getExternalState();
+    const payload = Object.assign({
       server: {
         host: dashboardConfig.host,
         port: dashboardConfig.port
       },
-      layout: {
-        mode: 'hybrid',
-        focus: {
-          widget: 'radar',
-          durationSeconds: dashboardConfig.rotation.focusSeconds,
-          intervalSeconds: dashboardConfig.rotation.intervalSeconds,
-          focusDurationSeconds: dashboardConfig.rotation.focusDurationSeconds,
-          views: dashboardConfig.rotation.focusViews,
-          rainOverrideEnabled: dashboardConfig.rotation.rainOverrideEnabled,
-          rainOverrideCooldownSeconds: dashboardConfig.rotation.rainOverrideCooldownSeconds,
-          rainLikely: isRainLikely(externalState.weather)
-        }
-      },
       fronius: froniusState.getState(now),
       pricing: dashboardConfig.pricing,
-      ui: dashboardConfig.ui,
-      weather: externalState.weather,
-      news: externalState.news,
-      bins: externalState.bins,
-      reminders: Array.isArray(externalState.reminders) ? externalState.reminders : [],
-      ha: externalState.ha || { cards: [], stale: true, error: 'ha_unavailable' },
+      ui: dashboardConfig.ui
+    }, buildExternalPatch(externalState), {
       beatbot: externalState.beatbot || { devices: [], stale: true, error: null },
-      radar: {
-        available: Array.isArray(radarState.frames) && radarState.frames.length > 0,
-        updatedAt: radarState.updatedAt,
-        provider: dashboardConfig.radar.provider,
-        renderMode: radarRenderMode,
-        iframeUrl: radarClientIframeUrl,
-        gifUpdatedAt: gifMeta && gifMeta.renderedAt ? gifMeta.renderedAt : null,
-        gifWidth: gifWidth > 0 ? gifWidth : null,
-        gifHeight: gifHeight > 0 ? gifHeight : null,
-        gifPath,
-        bomUpdatedAt: bomMeta && bomMeta.updatedAt ? bomMeta.updatedAt : null,
-        bomImagePath: '/api/radar/bom-image',
-        refreshSeconds: dashboardConfig.radar.refreshSeconds,
-        metaPath: '/api/radar/meta'
-      },
+      alerts: getSolarAlerts(),
+      loadShift: getLoadShift(),
+      radar: buildRadarPayload(radarRenderMode, radarClientIframeUrl),
       generatedAt: new Date(now).toISOString()
-    };
+    });
     if (includeHeavy) {
       payload.solarHistory = getSolarHistory();
       payload.solarGeneratedHistory = getSolarGeneratedHistory();
       payload.solarDailyBins = getSolarDailyBins();
+      const solarDayKey = getSolarDayKey();
+      const tariff = createTariff(dashboardConfig.pricing);
+      payload.solarCosts = getSolarCosts();
+      // Per-system views for multi-inverter sites; the top-level fields stay the combined totals.
+      payload.solarSystems = getSolarSystems().map((system) => Object.assign({}, system, {
+        solarCosts: tariff.priceBins(
+          system.solarDailyBins.filter((bin) => bin && (!bin.dayKey || bin.dayKey === solarDayKey)),
+          solarDayKey
+        )
+      }));
       payload.solarHourlyBins = getSolarHourlyBins();
       payload.solarUsageHourly = getSolarUsageHourly();
       payload.solarDawnQuarterly = getSolarDawnQuarterly();
       payload.solarFlowSummary = getSolarFlowSummary();
       payload.solarMeta = getSolarMeta();
+      payload.solarClearSky = getSolarClearSky();
+      payload.solarForecast = getSolarForecast();
+      payload.solarMetrics = getSolarMetrics();
       payload.internet = getInternetState();
     }
     return payload;
   }
 
+  // Each topic is a patch of the /api/state payload that the dashboard merges
+  // in place; heavy solar history stays on the slow /api/state poll.
+  const eventStream = createEventStream({
+    timers: options.timers,
+    topics: {
+      fronius: function froniusTopic() {
+        return {
+          fronius: froniusState.getState(Date.now()),
+          alerts: getSolarAlerts(),
+          loadShift: getLoadShift()
+        };
+      },
+      external: function externalTopic() {
+        return buildExternalPatch(getExternalState());
+      },
+      beatbot: function beatbotTopic() {
+        return { beatbot: getExternalState().beatbot || { devices: [], stale: true, error: null } };
+      },
+      internet: function internetTopic() {
+        return { internet: getInternetState() };
+      },
+      radar: function radarTopic() {
+        const radarClient = resolveRadarClientMode();
+        return { radar: buildRadarPayload(radarClient.renderMode, radarClient.clientIframeUrl) };
+      }
+    }
+  });
+
   function requireAuth(req, res) {
     const cookies = parseCookies(req.headers.cookie);
     const session = sessions.get(cookies.sid);
@@ -461,14 +586,13 @@ function createApp(options) {
     return session;
   }
 
-  return async function app(req, res) {
+  async function app(req, res) {
     const requestUrl = new URL(req.url || '/', 'http://127.0.0.1');
     const urlPath = requestUrl.pathname;
-    const radarRenderMode = String((dashboardConfig.radar && dashboardConfig.radar.renderMode) || 'server_gif').toLowerCase();
-    const radarIframeUrl = buildRainViewerIframeUrl(dashboardConfig.radar || {});
-    const radarClientIframeUrl = radarRenderMode === 'rainviewer_iframe'
-      ? buildLocalRadarEmbedUrl(radarIframeUrl)
-      : (radarIframeUrl || null);
+    const radarClient = resolveRadarClientMode();
+    const radarRenderMode = radarClient.renderMode;
+    const radarIframeUrl = radarClient.iframeUrl;
+    const radarClientIframeUrl = radarClient.clientIframeUrl;
     const effectiveRadarZoom = Math.min(
       Number(dashboardConfig.radar.zoom || 7),
       Number(dashboardConfig.radar.providerMaxZoom || 7)
@@ -479,7 +603,30 @@ function createApp(options) {
     }
 
     if (req.method === 'GET' && urlPath === '/health/ready') {
-      return sendJson(res, 200, { status: 'ready' });
+      const readiness = getReadiness();
+      if (!readiness.sources.length) {
+        return sendJson(res, 200, { status: 'ready' });
+      }
+      return sendJson(res, readiness.ready ? 200 : 503, {
+        status: readiness.ready ? 'ready' : 'not_ready',
+        sources: readiness.sources
+      });
+    }
+
+    if (req.method === 'GET' && urlPath === '/metrics') {
+      if (!dashboardConfig.metrics.enabled) {
+        return sendJson(res, 404, { error: 'not_found' });
+      }
+      if (!hasMetricsToken(req, dashboardConfig.metrics.token)) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="metrics"');
+        return sendJson(res, 401, { error: 'unauthorized' });
+      }
+      const body = getMetrics();
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Content-Length', Buffer.byteLength(body));
+      return res.end(body);
     }
 
     if (req.method === 'GET' && urlPath === '/api/state/realtime') {
@@ -520,6 +667,101 @@ function createApp(options) {
       return sendJson(res, 200, buildStatePayload(now, radarRenderMode, radarClientIframeUrl, false));
     }
 
+    if (req.method === 'GET' && urlPath === '/api/events') {
+      eventStream.attach(req, res);
+      return;
+    }
+
+    if (req.method === 'GET' && urlPath === '/api/solar/days') {
+      return sendJson(res, 200, { days: listSolarDays() });
+    }
+
+    if (req.method === 'GET' && urlPath === '/api/solar/day') {
+      const dayKey = String(requestUrl.searchParams.get('date') || '').trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(dayKey)) {
+        return sendJson(res, 400, { error: 'invalid_date' });
+      }
+      const day = await getSolarDay(dayKey);
+      if (!day) {
+        return sendJson(res, 404, { error: 'solar_day_not_found', date: dayKey });
+      }
+      return sendJson(res, 200, day);
+    }
+
+    if (req.method === 'GET' && urlPath === '/api/solar/history') {
+      if (typeof getSolarHistoryRange !== 'function') {
+        return sendJson(res, 503, { error: 'solar_history_unavailable' });
+      }
+      const to = String(requestUrl.searchParams.get('to') || getSolarDayKey()).trim();
+      const resolution = String(requestUrl.searchParams.get('resolution') || 'day').trim().toLowerCase();
+      let from = String(requestUrl.searchParams.get('from') || '').trim();
+      if (!from && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        const toDate = new Date(to + 'T00:00:00Z');
+        from = new Date(toDate.getTime() - (29 * 24 * 60 * 60 * 1000)).toISOString().slice(0, 10);
+      }
+      const rangeError = validateSolarHistoryRange(from, to, resolution);
+      if (rangeError) {
+        return sendJson(res, 400, { error: rangeError });
+      }
+      return sendJson(res, 200, await getSolarHistoryRange(from, to, resolution));
+    }
+
+    if (req.method === 'GET' && urlPath === '/api/solar/compare') {
+      if (typeof getSolarComparison !== 'function') {
+        return sendJson(res, 503, { error: 'solar_history_unavailable' });
+      }
+      return sendJson(res, 200, await getSolarComparison());
+    }
+
+    if (req.method === 'GET' && urlPath === '/api/solar/bill') {
+      if (typeof getSolarBill !== 'function') {
+        return sendJson(res, 503, { error: 'solar_history_unavailable' });
+      }
+      return sendJson(res, 200, await getSolarBill(dashboardConfig.pricing));
+    }
+
+    if (req.method === 'GET' && (urlPath === '/api/solar/export.csv' || urlPath === '/api/solar/export.json')) {
+      if (!requireAuth(req, res)) {
+        return;
+      }
+      if (typeof exportSolarData !== 'function') {
+        return sendJson(res, 503, { error: 'solar_history_unavailable' });
+      }
+      const to = String(requestUrl.searchParams.get('to') || getSolarDayKey()).trim();
+      const resolution = String(requestUrl.searchParams.get('resolution') || 'day').trim().toLowerCase();
+      const from = String(requestUrl.searchParams.get('from') || '').trim() || defaultSolarExportFrom(to, resolution);
+      const rangeError = validateSolarExportRange(from, to, resolution);
+      if (rangeError) {
+        return sendJson(res, 400, { error: rangeError });
+      }
+      const filename = 'solar-' + from + '-to-' + to + '-' + resolution;
+      if (urlPath === '/api/solar/export.json') {
+        const rows = [];
+        const summary = await exportSolarData(from, to, resolution, dashboardConfig.pricing, (row) => { rows.push(row); });
+        res.setHeader('Content-Disposition', 'attachment; filename="' + filename + '.json"');
+        return sendJson(res, 200, Object.assign({}, summary, { rows }));
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="' + filename + '.csv"',
+        'Cache-Control': 'no-store'
+      });
+      res.write(csvHeader());
+      try {
+        await exportSolarData(from, to, resolution, dashboardConfig.pricing, (row) => { res.write(csvLine(row)); });
+      } catch (_error) {
+        // Headers are out, so drop the connection rather than end a truncated file as if complete.
+        res.destroy();
+        return;
+      }
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && urlPath === '/api/solar/devices') {
+      return sendJson(res, 200, getSolarDevices());
+    }
+
     if (req.method === 'GET' && urlPath === '/api/radar/status') {
       const radarState = getRadarState();
       return sendJson(res, 200, {
@@ -546,6 +788,17 @@ function createApp(options) {
       });
     }
 
+    if (req.method === 'GET' && urlPath === '/api/radar/rain-at-location') {
+      const rainAtLocation = getExternalState().rainAtLocation;
+      if (!rainAtLocation || !Array.isArray(rainAtLocation.samples) || !rainAtLocation.samples.length) {
+        return sendJson(res, 503, {
+          error: 'rain_at_location_unavailable',
+          detail: (rainAtLocation && rainAtLocation.error) || null
+        });
+      }
+      return sendJson(res, 200, rainAtLocation);
+    }
+
     if (req.method === 'GET' && urlPath === '/api/radar/embed') {
       if (typeof fetchRadarEmbed !== 'function') {
         return sendJson(res, 503, { error: 'radar_embed_unavailable' });
@@ -875,10 +1128,13 @@ function createApp(options) {
         return;
       }
       const patch = await readJsonBody(req);
+      // Blocks that environment variables override are saved as the file has
+      // them, so env-only values never end up in the tracked config.
+      const fileConfig = loadDashboardConfig(configDir);
       const merged = {
         host: dashboardConfig.host,
         port: dashboardConfig.port,
-        fronius: Object.assign({}, dashboardConfig.fronius, patch.fronius || {}),
+        fronius: Object.assign({}, fileConfig.fronius, patch.fronius || {}),
         rotation: Object.assign({}, dashboardConfig.rotation, patch.rotation || {}),
         pricing: Object.assign({}, dashboardConfig.pricing, patch.pricing || {}),
         ui: Object.assign({}, dashboardConfig.ui, patch.ui || {}),
@@ -886,12 +1142,47 @@ function createApp(options) {
         weather: Object.assign({}, dashboardConfig.weather, patch.weather || {}),
         news: Object.assign({}, dashboardConfig.news, patch.news || {}),
         bins: Object.assign({}, dashboardConfig.bins, patch.bins || {}),
-        radar: Object.assign({}, dashboardConfig.radar, patch.radar || {})
+        radar: Object.assign({}, dashboardConfig.radar, patch.radar || {}),
+        site: Object.assign({}, dashboardConfig.site, patch.site || {}),
+        storage: fileConfig.storage,
+        alerts: dashboardConfig.alerts,
+        loadShift: dashboardConfig.loadShift,
+        health: dashboardConfig.health,
+        metrics: fileConfig.metrics,
+        mqtt: fileConfig.mqtt
       };
-      dashboardConfig = saveDashboardConfig(configDir, merged);
+      dashboardConfig = applyRuntimeOverrides(saveDashboardConfig(configDir, merged));
+      onConfigSaved(dashboardConfig);
       return sendJson(res, 200, { ok: true, config: dashboardConfig });
     }
 
+    if (req.method === 'GET' && urlPath === '/api/admin/sources') {
+      if (!requireAuth(req, res)) {
+        return;
+      }
+      return sendJson(res, 200, { generatedAt: new Date().toISOString(), sources: getSourceHealth() });
+    }
+
+    if (req.method === 'GET' && urlPath === '/api/admin/tile-cache') {
+      if (!requireAuth(req, res)) {
+        return;
+      }
+      return sendJson(res, 200, { generatedAt: new Date().toISOString(), cache: getTileCacheStats() });
+    }
+
+    const sourceRefreshMatch = urlPath.match(/^\/api\/admin\/sources\/([A-Za-z]+)\/refresh$/);
+    if (req.method === 'POST' && sourceRefreshMatch) {
+      if (!requireAuth(req, res)) {
+        return;
+      }
+      const refreshed = refreshSource(sourceRefreshMatch[1]);
+      if (!refreshed) {
+        return sendJson(res, 404, { error: 'unknown_source', source: sourceRefreshMatch[1] });
+      }
+      const status = await refreshed;
+      return sendJson(res, 200, { ok: !status.lastError, source: status });
+    }
+
     if (req.method === 'GET' && urlPath === '/api/admin/debug/events') {
       if (!requireAuth(req, res)) {
         return;
@@ -1121,7 +1412,11 @@ function createApp(options) {
     }
 
     sendJson(res, 404, { error: 'not_found' });
-  };
+  }
+
+  // Lets the server end open event streams, which would otherwise hold close() open.
+  app.closeEventStreams = eventStream.close;
+  return app;
 }
 
 module.exports = {
@@ -2,6 +2,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isValidTariffConfig } = require('./tariff');
+const { isValidFroniusSystems, normalizeFroniusSystems } = require('./fronius-systems');
+const { isValidLoadShiftTrigger } = require('./load-shift');
+const { isSourceName } = require('./source-health');
 
 function readJsonFile(filePath, missingMessage) {
   if (!fs.existsSync(filePath)) {
@@ -24,12 +28,34 @@ function normalizeDashboardConfig(input) {
     ? config.timeZone.trim()
     : 'Australia/Brisbane';
   config.insecureTLS = !!config.insecureTLS;
+  const froniusInput = Array.isArray(config.fronius) ? { systems: config.fronius } : (config.fronius || {});
   config.fronius = Object.assign({
     baseUrl: '',
     estimatedAfterMinutes: 10,
     realtimeRefreshSeconds: 8,
-    archiveRefreshSeconds: 1800
-  }, config.fronius || {});
+    archiveRefreshSeconds: 1800,
+    devicesRefreshSeconds: 60,
+    transport: 'http'
+  }, froniusInput);
+  config.fronius.systems = normalizeFroniusSystems(froniusInput.systems);
+  if (!config.fronius.baseUrl && config.fronius.systems.length) {
+    config.fronius.baseUrl = config.fronius.systems[0].baseUrl;
+  }
+  // Fronius exposes the inverter as unit 1 and the primary smart meter as unit 200.
+  config.fronius.modbus = Object.assign({
+    host: '',
+    port: 502,
+    unitId: 1,
+    meterUnitId: 200,
+    invertMeter: false,
+    timeoutMs: 3000
+  }, froniusInput.modbus || {});
+  config.fronius.simulator = Object.assign({
+    enabled: false,
+    port: 8091,
+    batteryKwh: 0,
+    seed: 'fronius'
+  }, froniusInput.simulator || {});
   config.rotation = Object.assign({
     focusSeconds: 30,
     intervalSeconds: 180,
@@ -42,12 +68,52 @@ function normalizeDashboardConfig(input) {
     importCentsPerKwh: 35.244,
     feedInCentsPerKwh: 3,
     dailySupplyCents: 142,
-    inverterCapacityKw: 6
+    inverterCapacityKw: 6,
+    gridEmissionsKgPerKwh: 0.73,
+    periods: [],
+    feedInTiers: []
   }, config.pricing || {});
+  config.pricing.billing = Object.assign({
+    startDay: 1,
+    startMonth: 1,
+    lengthMonths: 1,
+    projectionDays: 14
+  }, config.pricing.billing || {});
+  config.site = Object.assign({
+    lat: null,
+    lon: null,
+    tiltDeg: 20,
+    azimuthDeg: null,
+    arrayKw: null,
+    lossPct: 14
+  }, config.site || {});
+  config.alerts = Object.assign({
+    enabled: true,
+    offlineMinutes: 10,
+    zeroGenerationMinutes: 20,
+    lowRatio: 0.4,
+    minExpectedKwh: 2,
+    stringDropRatio: 0.2,
+    minStringW: 500,
+    confirmMinutes: 15
+  }, config.alerts || {});
+  config.loadShift = Object.assign({
+    enabled: true,
+    minSurplusW: 1500,
+    horizonHours: 4,
+    triggers: []
+  }, config.loadShift || {});
   config.ui = Object.assign({
     themePreset: 'matte'
   }, config.ui || {});
   config.git = Object.assign({ autoSyncEnabled: true, branch: 'dev', intervalSeconds: 300 }, config.git || {});
+  config.storage = Object.assign({
+    enabled: true,
+    dataDir: '',
+    sampleRetentionHours: 48,
+    retentionDays: 400,
+    compactAfterKb: 2048
+  }, config.storage || {});
   config.weather = Object.assign({
     provider: 'openweathermap',
     apiBase: 'http://api.openweathermap.org/data/2.5/weather',
@@ -57,10 +123,11 @@ function normalizeDashboardConfig(input) {
     appid: '',
     units: 'metric',
     refreshSeconds: 600,
+    timeoutSeconds: 20,
     endpoint: ''
   }, config.weather || {});
-  config.news = Object.assign({ feedUrl: '', maxItems: 5 }, config.news || {});
-  config.bins = Object.assign({ sourceUrl: '', propertyId: '' }, config.bins || {});
+  config.news = Object.assign({ feedUrl: '', maxItems: 5, refreshSeconds: 300, timeoutSeconds: 20 }, config.news || {});
+  config.bins = Object.assign({ sourceUrl: '', propertyId: '', refreshSeconds: 300, timeoutSeconds: 20 }, config.bins || {});
   config.reminders = Array.isArray(config.reminders) ? config.reminders.map((item) => {
     const source = item && typeof item === 'object' ? item : {};
     const schedule = source.schedule && typeof source.schedule === 'object' ? source.schedule : {};
@@ -80,6 +147,7 @@ function normalizeDashboardConfig(input) {
     baseUrl: 'http://127.0.0.1:8123',
     token: '',
     refreshSeconds: 30,
+    timeoutSeconds: 10,
     cards: []
   }, config.homeAssistant || {});
   config.internet = Object.assign({
@@ -105,6 +173,11 @@ function normalizeDashboardConfig(input) {
     userAgent: 'NanoPi2-Dashboard/1.0 (+https://local.nanopi2)',
     cacheTtlSeconds: 86400
   }, config.map || {});
+  config.map.tileCache = Object.assign({
+    enabled: true,
+    dir: '',
+    maxMegabytes: 200
+  }, config.map.tileCache || {});
   config.radar = Object.assign({
     provider: 'rainviewer',
     apiUrl: 'https://api.rainviewer.com/public/weather-maps.json',
@@ -141,6 +214,39 @@ function normalizeDashboardConfig(input) {
     frameHoldMs: 650,
     transitionMs: 350
   }, config.radar || {});
+  // Rain arrival/clearing estimate from radar frame motion around radar.lat/lon.
+  config.radar.nowcast = Object.assign({
+    enabled: true,
+    frameCount: 4,
+    horizonMinutes: 90,
+    thresholdMmPerHour: 0.5,
+    homeRadiusKm: 3,
+    rainLikelyWithinMinutes: 60
+  }, config.radar.nowcast || {});
+  // Past-hour rain rate sampled from radar pixels at home and within radiusKm.
+  config.radar.rainAtLocation = Object.assign({
+    enabled: true,
+    radiusKm: 5,
+    historyMinutes: 60
+  }, config.radar.rainAtLocation || {});
+  // Sources named here must be fresh for /health/ready to report ready.
+  config.health = Object.assign({ criticalSources: [] }, config.health || {});
+  // With a token set, /metrics needs `Authorization: Bearer <token>`.
+  config.metrics = Object.assign({ enabled: true, token: '' }, config.metrics || {});
+  // Publishes derived state plus Home Assistant discovery configs to a broker.
+  config.mqtt = Object.assign({
+    enabled: false,
+    host: '',
+    port: 1883,
+    username: '',
+    password: '',
+    clientId: 'nanopi2-dashboard',
+    topicPrefix: 'nanopi2',
+    discoveryPrefix: 'homeassistant',
+    publishIntervalSeconds: 30,
+    keepaliveSeconds: 60,
+    currency: 'AUD'
+  }, config.mqtt || {});
   return config;
 }
 
@@ -155,6 +261,31 @@ function validateDashboardConfig(config) {
     typeof config.fronius.baseUrl === 'string' &&
     typeof config.fronius.realtimeRefreshSeconds === 'number' &&
     typeof config.fronius.archiveRefreshSeconds === 'number' &&
+    typeof config.fronius.devicesRefreshSeconds === 'number' &&
+    isValidFroniusSystems(config.fronius.systems) &&
+    (config.fronius.transport === 'http' || config.fronius.transport === 'modbus') &&
+    config.fronius.modbus &&
+    typeof config.fronius.modbus.host === 'string' &&
+    Number.isInteger(config.fronius.modbus.port) &&
+    config.fronius.modbus.port > 0 &&
+    config.fronius.modbus.port < 65536 &&
+    Number.isInteger(config.fronius.modbus.unitId) &&
+    config.fronius.modbus.unitId >= 0 &&
+    config.fronius.modbus.unitId <= 247 &&
+    (config.fronius.modbus.meterUnitId === null || (Number.isInteger(config.fronius.modbus.meterUnitId) &&
+      config.fronius.modbus.meterUnitId >= 0 &&
+      config.fronius.modbus.meterUnitId <= 247)) &&
+    typeof config.fronius.modbus.invertMeter === 'boolean' &&
+    typeof config.fronius.modbus.timeoutMs === 'number' &&
+    config.fronius.modbus.timeoutMs >= 500 &&
+    config.fronius.simulator &&
+    typeof config.fronius.simulator.enabled === 'boolean' &&
+    Number.isInteger(config.fronius.simulator.port) &&
+    config.fronius.simulator.port > 0 &&
+    config.fronius.simulator.port < 65536 &&
+    typeof config.fronius.simulator.batteryKwh === 'number' &&
+    config.fronius.simulator.batteryKwh >= 0 &&
+    typeof config.fronius.simulator.seed === 'string' &&
     typeof config.rotation.focusSeconds === 'number' &&
     config.rotation.focusSeconds > 0 &&
     typeof config.rotation.intervalSeconds === 'number' &&
@@ -175,15 +306,72 @@ function validateDashboardConfig(config) {
     config.pricing.dailySupplyCents >= 0 &&
     typeof config.pricing.inverterCapacityKw === 'number' &&
     config.pricing.inverterCapacityKw > 0 &&
+    typeof config.pricing.gridEmissionsKgPerKwh === 'number' &&
+    config.pricing.gridEmissionsKgPerKwh >= 0 &&
+    isValidTariffConfig(config.pricing) &&
+    config.pricing.billing &&
+    Number.isInteger(config.pricing.billing.startDay) &&
+    config.pricing.billing.startDay >= 1 &&
+    config.pricing.billing.startDay <= 28 &&
+    Number.isInteger(config.pricing.billing.startMonth) &&
+    config.pricing.billing.startMonth >= 1 &&
+    config.pricing.billing.startMonth <= 12 &&
+    Number.isInteger(config.pricing.billing.lengthMonths) &&
+    config.pricing.billing.lengthMonths >= 1 &&
+    config.pricing.billing.lengthMonths <= 12 &&
+    Number.isInteger(config.pricing.billing.projectionDays) &&
+    config.pricing.billing.projectionDays >= 1 &&
+    config.site &&
+    (config.site.lat === null || (typeof config.site.lat === 'number' && Math.abs(config.site.lat) <= 90)) &&
+    (config.site.lon === null || (typeof config.site.lon === 'number' && Math.abs(config.site.lon) <= 180)) &&
+    typeof config.site.tiltDeg === 'number' &&
+    config.site.tiltDeg >= 0 &&
+    config.site.tiltDeg <= 90 &&
+    (config.site.azimuthDeg === null || (typeof config.site.azimuthDeg === 'number' && config.site.azimuthDeg >= 0 && config.site.azimuthDeg <= 360)) &&
+    (config.site.arrayKw === null || (typeof config.site.arrayKw === 'number' && config.site.arrayKw > 0)) &&
+    typeof config.site.lossPct === 'number' &&
+    config.site.lossPct >= 0 &&
+    config.site.lossPct < 100 &&
+    config.alerts &&
+    typeof config.alerts.enabled === 'boolean' &&
+    ['offlineMinutes', 'zeroGenerationMinutes', 'minExpectedKwh', 'minStringW', 'confirmMinutes']
+      .every((key) => typeof config.alerts[key] === 'number' && config.alerts[key] >= 0) &&
+    ['lowRatio', 'stringDropRatio']
+      .every((key) => typeof config.alerts[key] === 'number' && config.alerts[key] >= 0 && config.alerts[key] <= 1) &&
+    config.loadShift &&
+    typeof config.loadShift.enabled === 'boolean' &&
+    typeof config.loadShift.minSurplusW === 'number' &&
+    config.loadShift.minSurplusW > 0 &&
+    typeof config.loadShift.horizonHours === 'number' &&
+    config.loadShift.horizonHours > 0 &&
+    Array.isArray(config.loadShift.triggers) &&
+    config.loadShift.triggers.every(isValidLoadShiftTrigger) &&
     config.ui &&
     typeof config.ui.themePreset === 'string' &&
     ['glass', 'matte', 'neon'].indexOf(config.ui.themePreset) > -1 &&
     config.git &&
     typeof config.git.branch === 'string' &&
+    config.storage &&
+    typeof config.storage.enabled === 'boolean' &&
+    typeof config.storage.dataDir === 'string' &&
+    typeof config.storage.sampleRetentionHours === 'number' &&
+    config.storage.sampleRetentionHours > 0 &&
+    typeof config.storage.retentionDays === 'number' &&
+    config.storage.retentionDays > 0 &&
+    typeof config.storage.compactAfterKb === 'number' &&
+    config.storage.compactAfterKb >= 4 &&
     typeof config.weather.location === 'string' &&
     typeof config.weather.forecastApiBase === 'string' &&
     typeof config.weather.refreshSeconds === 'number' &&
+    typeof config.weather.timeoutSeconds === 'number' &&
+    config.weather.timeoutSeconds > 0 &&
     typeof config.news.maxItems === 'number' &&
+    typeof config.news.refreshSeconds === 'number' &&
+    typeof config.news.timeoutSeconds === 'number' &&
+    config.news.timeoutSeconds > 0 &&
+    typeof config.bins.refreshSeconds === 'number' &&
+    typeof config.bins.timeoutSeconds === 'number' &&
+    config.bins.timeoutSeconds > 0 &&
     Array.isArray(config.reminders) &&
     config.reminders.every((item) => item &&
       typeof item.title === 'string' &&
@@ -202,6 +390,8 @@ function validateDashboardConfig(config) {
     typeof config.homeAssistant.baseUrl === 'string' &&
     typeof config.homeAssistant.token === 'string' &&
     typeof config.homeAssistant.refreshSeconds === 'number' &&
+    typeof config.homeAssistant.timeoutSeconds === 'number' &&
+    config.homeAssistant.timeoutSeconds > 0 &&
     Array.isArray(config.homeAssistant.cards) &&
     config.internet &&
     typeof config.internet.enabled === 'boolean' &&
@@ -218,6 +408,11 @@ function validateDashboardConfig(config) {
     typeof config.map.userAgent === 'string' &&
     typeof config.map.cacheTtlSeconds === 'number' &&
     config.map.cacheTtlSeconds >= 60 &&
+    config.map.tileCache &&
+    typeof config.map.tileCache.enabled === 'boolean' &&
+    typeof config.map.tileCache.dir === 'string' &&
+    typeof config.map.tileCache.maxMegabytes === 'number' &&
+    config.map.tileCache.maxMegabytes >= 1 &&
     typeof config.radar.refreshSeconds === 'number' &&
     typeof config.radar.startupRetrySeconds === 'number' &&
     typeof config.radar.startupRetryMaxAttempts === 'number' &&
@@ -242,7 +437,40 @@ function validateDashboardConfig(config) {
     typeof config.radar.radarTileFilter === 'string' &&
     typeof config.radar.bomImageFilter === 'string' &&
     typeof config.radar.sourceUrl === 'string' &&
-    typeof config.radar.gifFontFile === 'string';
+    typeof config.radar.gifFontFile === 'string' &&
+    config.radar.nowcast &&
+    typeof config.radar.nowcast.enabled === 'boolean' &&
+    ['frameCount', 'horizonMinutes', 'thresholdMmPerHour', 'homeRadiusKm', 'rainLikelyWithinMinutes']
+      .every((key) => typeof config.radar.nowcast[key] === 'number' && config.radar.nowcast[key] > 0) &&
+    config.radar.rainAtLocation &&
+    typeof config.radar.rainAtLocation.enabled === 'boolean' &&
+    ['radiusKm', 'historyMinutes']
+      .every((key) => typeof config.radar.rainAtLocation[key] === 'number' && config.radar.rainAtLocation[key] > 0) &&
+    config.health &&
+    Array.isArray(config.health.criticalSources) &&
+    config.health.criticalSources.every(isSourceName) &&
+    config.metrics &&
+    typeof config.metrics.enabled === 'boolean' &&
+    typeof config.metrics.token === 'string' &&
+    config.mqtt &&
+    typeof config.mqtt.enabled === 'boolean' &&
+    typeof config.mqtt.host === 'string' &&
+    Number.isInteger(config.mqtt.port) &&
+    config.mqtt.port > 0 &&
+    config.mqtt.port < 65536 &&
+    typeof config.mqtt.username === 'string' &&
+    typeof config.mqtt.password === 'string' &&
+    typeof config.mqtt.clientId === 'string' &&
+    config.mqtt.clientId.length > 0 &&
+    typeof config.mqtt.topicPrefix === 'string' &&
+    /^[^#+]+$/.test(config.mqtt.topicPrefix) &&
+    typeof config.mqtt.discoveryPrefix === 'string' &&
+    /^[^#+]+$/.test(config.mqtt.discoveryPrefix) &&
+    typeof config.mqtt.publishIntervalSeconds === 'number' &&
+    config.mqtt.publishIntervalSeconds >= 5 &&
+    typeof config.mqtt.keepaliveSeconds === 'number' &&
+    config.mqtt.keepaliveSeconds >= 5 &&
+    typeof config.mqtt.currency === 'string';
 
   if (!valid) {
     throw new Error('dashboard.json is invalid');
@@ -0,0 +1,139 @@
+'use strict';
+
+function toPositiveInteger(value, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) {
+    return fallback;
+  }
+  return Math.floor(n);
+}
+
+function formatEvent(name, body) {
+  return 'event: ' + name + '\ndata: ' + body + '\n\n';
+}
+
+// Server-Sent Events hub. Each topic is a getter returning a patch of the
+// /api/state payload; while any client is connected the topics are
+// re-serialised every `checkIntervalMs` and only those whose JSON changed
+// are pushed. New clients get every topic on connect.
+function createEventStream(options) {
+  const opts = options || {};
+  const topics = opts.topics || {};
+  const topicNames = Object.keys(topics);
+  const checkIntervalMs = toPositiveInteger(opts.checkIntervalMs, 2000);
+  const heartbeatMs = toPositiveInteger(opts.heartbeatMs, 25000);
+  const retryMs = toPositiveInteger(opts.retryMs, 5000);
+  const timers = opts.timers || { setInterval, clearInterval };
+  const onError = opts.onError || function ignoreTopicError() {};
+  const clients = new Set();
+  const lastBodies = new Map();
+  let checkTimer = null;
+  let heartbeatTimer = null;
+
+  function serialise(name) {
+    try {
+      return JSON.stringify(topics[name]());
+    } catch (error) {
+      onError(name, error);
+      return null;
+    }
+  }
+
+  function broadcast(chunk) {
+    clients.forEach((res) => {
+      res.write(chunk);
+    });
+  }
+
+  function check() {
+    if (!clients.size) {
+      return 0;
+    }
+    let sent = 0;
+    topicNames.forEach((name) => {
+      const body = serialise(name);
+      if (body === null || body === lastBodies.get(name)) {
+        return;
+      }
+      lastBodies.set(name, body);
+      broadcast(formatEvent(name, body));
+      sent += 1;
+    });
+    return sent;
+  }
+
+  function startTimers() {
+    if (checkTimer) {
+      return;
+    }
+    checkTimer = timers.setInterval(check, checkIntervalMs);
+    heartbeatTimer = timers.setInterval(function heartbeat() {
+      // Comment lines keep idle proxies and NAT entries from dropping the stream.
+      broadcast(': ping\n\n');
+    }, heartbeatMs);
+  }
+
+  function stopTimers() {
+    if (!checkTimer) {
+      return;
+    }
+    timers.clearInterval(checkTimer);
+    timers.clearInterval(heartbeatTimer);
+    checkTimer = null;
+    heartbeatTimer = null;
+    lastBodies.clear();
+  }
+
+  function remove(res) {
+    if (clients.delete(res) && !clients.size) {
+      stopTimers();
+    }
+  }
+
+  function attach(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: ' + retryMs + '\n\n');
+    topicNames.forEach((name) => {
+      const body = serialise(name);
+      if (body === null) {
+        return;
+      }
+      // With clients already connected, leave the shared baseline alone so
+      // they still get this change on the next check.
+      if (!clients.size) {
+        lastBodies.set(name, body);
+      }
+      res.write(formatEvent(name, body));
+    });
+    clients.add(res);
+    startTimers();
+    req.on('close', () => remove(res));
+    res.on('error', () => remove(res));
+  }
+
+  function close() {
+    clients.forEach((res) => {
+      res.end();
+    });
+    clients.clear();
+    stopTimers();
+  }
+
+  return {
+    attach,
+    check,
+    close,
+    clientCount: function clientCount() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = {
+  createEventStream
+};
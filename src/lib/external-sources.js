@@ -102,6 +102,28 @@ function mapForecast(rawList) {
   }));
 }
 
+// Keeps every 3-hourly entry with the cloud cover the solar forecast needs.
+function mapForecastSlots(rawList) {
+  const list = Array.isArray(rawList) ? rawList : [];
+  const slots = [];
+  for (let i = 0; i < list.length; i += 1) {
+    const item = list[i] || {};
+    const ts = Number(item.dt || 0) * 1000;
+    if (!ts) {
+      continue;
+    }
+    slots.push({
+      ts,
+      cloudPct: item.clouds && Number.isFinite(Number(item.clouds.all))
+        ? Math.max(0, Math.min(100, Number(item.clouds.all)))
+        : null,
+      pop: Math.max(0, Math.min(1, Number(item.pop || 0))),
+      summary: (item.weather && item.weather[0] && item.weather[0].main) || 'Unknown'
+    });
+  }
+  return slots;
+}
+
 function formatDateLocal(date) {
   return date.getFullYear() +
     '-' + String(date.getMonth() + 1).padStart(2, '0') +
@@ -782,6 +804,30 @@ function createExternalSources(config, overrides) {
     return JSON.parse(response.body.toString('utf8'));
   }
 
+  async function callHaService(domain, service, data) {
+    if (overrides && typeof overrides.callHaService === 'function') {
+      return overrides.callHaService(domain, service, data);
+    }
+    if (!homeAssistantConfig.enabled) {
+      throw new Error('ha_disabled');
+    }
+    const baseUrl = String(homeAssistantConfig.baseUrl || '').replace(/\/+$/, '');
+    if (!baseUrl) {
+      throw new Error('ha_base_url_missing');
+    }
+    const token = String(homeAssistantConfig.token || '');
+    const response = await requestWithDebug({
+      urlString: baseUrl + '/api/services/' + encodeURIComponent(domain) + '/' + encodeURIComponent(service),
+      method: 'POST',
+      insecureTLS: !!config.insecureTLS,
+      logger: (overrides && overrides.traceLogger) || config.logger,
+      service: 'external.ha.service',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, token ? { Authorization: 'Bearer ' + token } : {}),
+      body: JSON.stringify(data || {})
+    });
+    return JSON.parse(response.body.toString('utf8') || '[]');
+  }
+
   function stateValueNumber(payload) {
     return Number(payload && payload.state ? payload.state : 0);
   }
@@ -792,6 +838,8 @@ function createExternalSources(config, overrides) {
   }
 
   return {
+    callHaService,
+
     async fetchWeather() {
       const weatherConfig = config.weather || {};
       const provider = weatherConfig.provider || 'openweathermap';
@@ -819,6 +867,7 @@ function createExternalSources(config, overrides) {
             tempC: temp,
             icon: (json.weather && json.weather[0] && json.weather[0].icon) || '',
             forecast: mapForecast(forecastJson.list),
+            forecastSlots: mapForecastSlots(forecastJson.list),
             provider: 'openweathermap',
             stale: false
           };
@@ -843,6 +892,7 @@ function createExternalSources(config, overrides) {
             tempC: Number(json.tempC || 0),
             icon: json.icon || '',
             forecast: Array.isArray(json.forecast) ? json.forecast : [],
+            forecastSlots: Array.isArray(json.forecastSlots) ? json.forecastSlots : [],
             provider: 'custom-endpoint',
             stale: false
           };
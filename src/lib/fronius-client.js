@@ -41,6 +41,145 @@ function formatDateInTimeZone(value, timeZone) {
     '-' + String(parts.day || '01').padStart(2, '0');
 }
 
+// Fronius Solar API v1 inverter status codes (Body.Data.DeviceStatus.StatusCode).
+const INVERTER_STATUS_LABELS = {
+  7: 'Running',
+  8: 'Standby',
+  9: 'Bootloading',
+  10: 'Error',
+  11: 'Idle',
+  12: 'Ready',
+  13: 'Sleeping',
+  255: 'Unknown'
+};
+
+// Common state codes from the Fronius inverter manuals; anything else is
+// reported by number.
+const INVERTER_ERROR_LABELS = {
+  102: 'AC voltage too high',
+  103: 'AC voltage too low',
+  105: 'AC frequency too high',
+  106: 'AC frequency too low',
+  107: 'No AC grid detected',
+  108: 'Islanding detected',
+  301: 'AC overcurrent',
+  302: 'DC overcurrent',
+  303: 'DC module overtemperature',
+  304: 'AC module overtemperature',
+  306: 'PV power too low for feed-in',
+  307: 'DC voltage too low for feed-in',
+  509: 'No energy fed in for 24 hours'
+};
+
+function describeInverterStatus(code) {
+  if (code === null || code === undefined || code === '') {
+    return null;
+  }
+  const value = Number(code);
+  if (value >= 0 && value <= 6) {
+    return 'Startup';
+  }
+  return INVERTER_STATUS_LABELS[value] || ('Status ' + value);
+}
+
+function describeInverterError(code) {
+  const value = Number(code || 0);
+  if (!value) {
+    return null;
+  }
+  return INVERTER_ERROR_LABELS[value] || ('Error ' + value);
+}
+
+// Inverter collections wrap readings as { Value, Unit }; meter readings are bare numbers.
+function readValue(node) {
+  const raw = node && typeof node === 'object' ? node.Value : node;
+  if (raw === null || raw === undefined || raw === '') {
+    return null;
+  }
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : null;
+}
+
+function roundTo(value, digits) {
+  if (value === null) {
+    return null;
+  }
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function parseInverterStrings(data) {
+  const strings = [];
+  Object.keys(data || {}).forEach((key) => {
+    const match = /^UDC(?:_(\d+))?$/.exec(key);
+    if (!match) {
+      return;
+    }
+    const mppt = match[1] ? Number(match[1]) : 1;
+    const voltageV = readValue(data[key]);
+    const currentA = readValue(data[match[1] ? 'IDC_' + match[1] : 'IDC']);
+    strings.push({
+      mppt,
+      voltageV: roundTo(voltageV, 1),
+      currentA: roundTo(currentA, 2),
+      powerW: voltageV !== null && currentA !== null ? Math.round(voltageV * currentA) : null
+    });
+  });
+  return strings.sort((a, b) => a.mppt - b.mppt);
+}
+
+function parseInverterPhases(data) {
+  const phases = [];
+  for (let phase = 1; phase <= 3; phase += 1) {
+    const voltageV = readValue(data && data['UAC_L' + phase]);
+    const currentA = readValue(data && data['IAC_L' + phase]);
+    if (voltageV === null && currentA === null) {
+      continue;
+    }
+    phases.push({
+      phase,
+      voltageV: roundTo(voltageV, 1),
+      currentA: roundTo(currentA, 2),
+      powerW: voltageV !== null && currentA !== null ? Math.round(voltageV * currentA) : null
+    });
+  }
+  return phases;
+}
+
+function parseMeter(id, data) {
+  const details = data.Details || {};
+  const phases = [];
+  for (let phase = 1; phase <= 3; phase += 1) {
+    const voltageV = readValue(data['Voltage_AC_Phase_' + phase]);
+    const currentA = readValue(data['Current_AC_Phase_' + phase]);
+    const powerW = readValue(data['PowerReal_P_Phase_' + phase]);
+    if (voltageV === null && currentA === null && powerW === null) {
+      continue;
+    }
+    phases.push({
+      phase,
+      voltageV: roundTo(voltageV, 1),
+      currentA: roundTo(currentA, 2),
+      powerW: roundTo(powerW, 0)
+    });
+  }
+  const location = readValue(data.Meter_Location_Current);
+  const importWh = readValue(data.EnergyReal_WAC_Sum_Consumed);
+  const exportWh = readValue(data.EnergyReal_WAC_Sum_Produced);
+  return {
+    id: String(id),
+    model: details.Model || null,
+    serial: details.Serial || null,
+    // 0 is the grid feed-in point, 1 the consumption path.
+    location: location === 0 ? 'grid' : (location === 1 ? 'load' : null),
+    powerW: roundTo(readValue(data.PowerReal_P_Sum), 0),
+    frequencyHz: roundTo(readValue(data.Frequency_Phase_Average), 2),
+    importKwh: importWh === null ? null : roundTo(importWh / 1000, 3),
+    exportKwh: exportWh === null ? null : roundTo(exportWh / 1000, 3),
+    phases
+  };
+}
+
 async function getJson(urlString, logger, serviceName) {
   const result = await requestWithDebug({
     urlString,
@@ -184,11 +323,19 @@ function createFroniusClient(baseUrl, options) {
       const inverters = body.Inverters || {};
       const inverterKeys = Object.keys(inverters);
       const first = inverterKeys.length > 0 ? inverters[inverterKeys[0]] : {};
+      const site = body.Site || {};
+      const socKey = inverterKeys.find((key) => inverters[key] && inverters[key].SOC !== null && inverters[key].SOC !== undefined);
+      const hasBattery = (site.P_Akku !== null && site.P_Akku !== undefined) || !!socKey;
+      // On hybrid inverters the AC output includes battery discharge, so PV power comes from P_PV.
+      const pvW = site.P_PV !== null && site.P_PV !== undefined ? Number(site.P_PV) : NaN;
       return {
-        generatedW: Number(first.P || 0),
-        gridW: Number((body.Site && body.Site.P_Grid) || 0),
-        loadW: Math.abs(Number((body.Site && body.Site.P_Load) || 0)),
-        dayGeneratedKwh: Number((body.Site && body.Site.E_Day) || 0) / 1000
+        generatedW: hasBattery && Number.isFinite(pvW) ? Math.max(0, pvW) : Number(first.P || 0),
+        gridW: Number(site.P_Grid || 0),
+        loadW: Math.abs(Number(site.P_Load || 0)),
+        dayGeneratedKwh: Number(site.E_Day || 0) / 1000,
+        hasBattery,
+        batteryW: Number(site.P_Akku || 0),
+        batterySocPct: socKey ? Number(inverters[socKey].SOC) : null
       };
     },
 
@@ -276,11 +423,70 @@ function createFroniusClient(baseUrl, options) {
         selfWhBySecond: selfFromBest,
         loadWhBySecond: loadFromBest
       };
+    },
+
+    // Per-device diagnostics: inverter status/error codes, AC phases and MPPT
+    // strings, plus each meter's phases. Single-phase inverters and systems
+    // without a meter simply come back with empty lists.
+    async fetchDevices() {
+      const infoPayload = await getJson(root + '/solar_api/v1/GetInverterInfo.cgi', logger, 'external.fronius.inverter_info');
+      const info = infoPayload && infoPayload.Body && infoPayload.Body.Data ? infoPayload.Body.Data : {};
+      const inverters = [];
+      const ids = Object.keys(info).sort((a, b) => Number(a) - Number(b));
+      for (let i = 0; i < ids.length; i += 1) {
+        const id = ids[i];
+        const device = info[id] || {};
+        const base = root + '/solar_api/v1/GetInverterRealtimeData.cgi?Scope=Device&DeviceId=' + encodeURIComponent(id) + '&DataCollection=';
+        const common = await getJson(base + 'CommonInverterData', logger, 'external.fronius.inverter_realtime');
+        const commonData = common && common.Body && common.Body.Data ? common.Body.Data : {};
+        let phaseData = {};
+        try {
+          const threePhase = await getJson(base + '3PInverterData', logger, 'external.fronius.inverter_realtime');
+          phaseData = threePhase && threePhase.Body && threePhase.Body.Data ? threePhase.Body.Data : {};
+        } catch (_error) {}
+        const deviceStatus = commonData.DeviceStatus || {};
+        const statusCode = deviceStatus.StatusCode !== undefined ? deviceStatus.StatusCode : device.StatusCode;
+        const errorCode = deviceStatus.ErrorCode !== undefined ? deviceStatus.ErrorCode : device.ErrorCode;
+        const phases = parseInverterPhases(phaseData);
+        inverters.push({
+          id: String(id),
+          // CustomName comes back HTML-entity encoded.
+          name: String(device.CustomName || ('Inverter ' + id)).replace(/&#(\d+);/g, (_match, code) => String.fromCharCode(Number(code))),
+          deviceType: device.DT === undefined ? null : Number(device.DT),
+          nominalPowerW: readValue(device.PVPower),
+          statusCode: statusCode === undefined || statusCode === null ? null : Number(statusCode),
+          statusLabel: describeInverterStatus(statusCode),
+          errorCode: Number(errorCode || 0),
+          errorLabel: describeInverterError(errorCode),
+          inverterState: deviceStatus.InverterState || device.InverterState || null,
+          acPowerW: roundTo(readValue(commonData.PAC), 0),
+          frequencyHz: roundTo(readValue(commonData.FAC), 2),
+          dayEnergyKwh: readValue(commonData.DAY_ENERGY) === null ? null : roundTo(readValue(commonData.DAY_ENERGY) / 1000, 3),
+          totalEnergyKwh: readValue(commonData.TOTAL_ENERGY) === null ? null : roundTo(readValue(commonData.TOTAL_ENERGY) / 1000, 3),
+          phases: phases.length ? phases : parseInverterPhases({ UAC_L1: commonData.UAC, IAC_L1: commonData.IAC }),
+          strings: parseInverterStrings(commonData)
+        });
+      }
+
+      let meterData = {};
+      try {
+        const meterPayload = await getJson(root + '/solar_api/v1/GetMeterRealtimeData.cgi?Scope=System', logger, 'external.fronius.meter_realtime');
+        meterData = meterPayload && meterPayload.Body && meterPayload.Body.Data ? meterPayload.Body.Data : {};
+      } catch (_error) {}
+      const meters = Object.keys(meterData)
+        .sort((a, b) => Number(a) - Number(b))
+        .filter((id) => meterData[id] && typeof meterData[id] === 'object')
+        .map((id) => parseMeter(id, meterData[id]));
+
+      return { inverters, meters };
     }
   };
 }
 
 module.exports = {
   createFroniusClient,
+  describeInverterError,
+  describeInverterStatus,
+  formatDateInTimeZone,
   formatDateLocal
 };
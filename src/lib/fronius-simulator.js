@@ -0,0 +1,396 @@
+'use strict';
+
+const http = require('http');
+const { URL } = require('url');
+const { buildClearSkyCurve, cloudFactor } = require('./solar-forecast');
+
+const STEP_SECONDS = 300;
+const STEPS_PER_DAY = (24 * 60 * 60) / STEP_SECONDS;
+const DAY_CACHE_SIZE = 4;
+const BATTERY_MIN_SOC_PCT = 10;
+const BATTERY_START_SOC_PCT = 40;
+// Brisbane, used when neither site nor radar coordinates are configured.
+const DEFAULT_SITE = { lat: -27.47, lon: 153.02, tiltDeg: 20, azimuthDeg: 0, arrayKw: 6.6, inverterKw: 6, lossPct: 14 };
+
+// mulberry32: small, fast and good enough for synthetic weather.
+function createRandom(seedText) {
+  let seed = 2166136261;
+  const text = String(seedText);
+  for (let i = 0; i < text.length; i += 1) {
+    seed = Math.imul(seed ^ text.charCodeAt(i), 16777619);
+  }
+  return function random() {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function resolveSimulatorSite(site) {
+  const out = Object.assign({}, DEFAULT_SITE);
+  Object.keys(site || {}).forEach((key) => {
+    if (Number.isFinite(Number(site[key])) && site[key] !== null) {
+      out[key] = Number(site[key]);
+    }
+  });
+  if (!(out.arrayKw > 0)) {
+    out.arrayKw = DEFAULT_SITE.arrayKw;
+  }
+  return out;
+}
+
+function zonedParts(ms, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  }).formatToParts(new Date(ms)).forEach((part) => {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  });
+  return {
+    dayKey: parts.year + '-' + String(parts.month).padStart(2, '0') + '-' + String(parts.day).padStart(2, '0'),
+    secOfDay: ((parts.hour % 24) * 3600) + (parts.minute * 60) + parts.second,
+    offsetMs: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second) - (Math.floor(ms / 1000) * 1000)
+  };
+}
+
+function dayStartFor(dayKey, timeZone) {
+  const midnightUtc = Date.parse(dayKey + 'T00:00:00.000Z');
+  return midnightUtc - zonedParts(midnightUtc, timeZone).offsetMs;
+}
+
+function shiftDay(dayKey, days) {
+  return new Date(Date.parse(dayKey + 'T00:00:00.000Z') + (days * 86400000)).toISOString().slice(0, 10);
+}
+
+// Household load: a base with a fridge cycle, morning and evening peaks, a
+// daytime appliance run and the odd kettle.
+function buildLoadProfile(random) {
+  const applianceStart = Math.floor((9 + (random() * 5)) * 12);
+  const loads = [];
+  for (let i = 0; i < STEPS_PER_DAY; i += 1) {
+    const hour = i / 12;
+    let loadW = 280 + (i % 6 < 2 ? 120 : 0);
+    if (hour >= 6.5 && hour < 8.5) {
+      loadW += 900;
+    }
+    if (hour >= 17 && hour < 21.5) {
+      loadW += 1500;
+    }
+    if (i >= applianceStart && i < applianceStart + 12) {
+      loadW += 1900;
+    }
+    if (hour >= 6 && hour < 22 && random() < 0.03) {
+      loadW += 2200;
+    }
+    loads.push(Math.round(loadW * (0.9 + (random() * 0.2))));
+  }
+  return loads;
+}
+
+// A synthetic day in five-minute steps from the clear-sky curve, drifting
+// cloud and a household load, with an optional battery charged from surplus
+// and discharged into the evening load. gridW is positive when importing and
+// batteryW positive when discharging, matching the Fronius sign conventions.
+function buildSimulatedDay(dayKey, options) {
+  const source = options || {};
+  const timeZone = source.timeZone || 'UTC';
+  const site = resolveSimulatorSite(source.site);
+  const random = createRandom(String(source.seed || 'fronius') + ':' + dayKey);
+  const dayStartMs = dayStartFor(dayKey, timeZone);
+  const curve = buildClearSkyCurve(site, dayStartMs, STEP_SECONDS);
+  const loads = buildLoadProfile(random);
+  const capacityWh = Math.max(0, Number(source.batteryKwh || 0)) * 1000;
+  const batteryMaxW = Math.max(0, Number(source.batteryMaxW || 5000));
+  const dayCloud = Math.pow(random(), 1.5) * 90;
+  let cloud = dayCloud;
+  let socWh = capacityWh * (BATTERY_START_SOC_PCT / 100);
+  const steps = [];
+  for (let i = 0; i < STEPS_PER_DAY; i += 1) {
+    cloud = Math.max(0, Math.min(100, cloud + ((dayCloud - cloud) * 0.2) + ((random() - 0.5) * 30)));
+    const clearW = curve.series[i] ? Number(curve.series[i].value || 0) : 0;
+    const pvW = Math.round(clearW * cloudFactor(cloud));
+    const loadW = loads[i];
+    let batteryW = 0;
+    if (capacityWh > 0) {
+      const hours = STEP_SECONDS / 3600;
+      if (pvW > loadW) {
+        batteryW = -Math.min(pvW - loadW, batteryMaxW, (capacityWh - socWh) / hours);
+      } else {
+        batteryW = Math.min(loadW - pvW, batteryMaxW, Math.max(0, socWh - (capacityWh * BATTERY_MIN_SOC_PCT / 100)) / hours);
+      }
+      batteryW = Math.round(batteryW);
+      socWh -= batteryW * hours;
+    }
+    steps.push({
+      secOfDay: i * STEP_SECONDS,
+      pvW,
+      loadW,
+      batteryW,
+      gridW: loadW - pvW - batteryW,
+      socPct: capacityWh > 0 ? Math.round((socWh / capacityWh) * 1000) / 10 : null
+    });
+  }
+  return { dayKey, dayStartMs, hasBattery: capacityWh > 0, steps };
+}
+
+function stepEnergyWh(watts) {
+  return watts * (STEP_SECONDS / 3600);
+}
+
+// Running totals up to secOfDay; a partly elapsed step counts pro rata.
+function totalsUntil(day, secOfDay) {
+  const totals = { producedWh: 0, importWh: 0, exportWh: 0 };
+  day.steps.forEach((step) => {
+    const share = Math.max(0, Math.min(1, (secOfDay - step.secOfDay) / STEP_SECONDS));
+    totals.producedWh += stepEnergyWh(step.pvW) * share;
+    totals.importWh += stepEnergyWh(Math.max(0, step.gridW)) * share;
+    totals.exportWh += stepEnergyWh(Math.max(0, -step.gridW)) * share;
+  });
+  return totals;
+}
+
+function envelope(data, statusCode) {
+  return {
+    Head: {
+      RequestArguments: {},
+      Status: { Code: statusCode || 0, Reason: '', UserMessage: '' },
+      Timestamp: new Date().toISOString()
+    },
+    Body: { Data: data }
+  };
+}
+
+function valueUnit(value, unit) {
+  return { Value: value, Unit: unit };
+}
+
+// Serves the Solar API v1 endpoints the dashboard reads, from a synthetic day
+// per date. Meter counters start from a nominal reading per day rather than
+// carrying over, which is all the dashboard needs.
+function createFroniusSimulator(options) {
+  const source = options || {};
+  const timeZone = source.timeZone || 'UTC';
+  const now = source.now || function defaultNow() { return Date.now(); };
+  const days = new Map();
+
+  function getDay(dayKey) {
+    if (!days.has(dayKey)) {
+      days.set(dayKey, buildSimulatedDay(dayKey, source));
+      if (days.size > DAY_CACHE_SIZE) {
+        days.delete(days.keys().next().value);
+      }
+    }
+    return days.get(dayKey);
+  }
+
+  function current() {
+    const ms = now();
+    const parts = zonedParts(ms, timeZone);
+    const day = getDay(parts.dayKey);
+    const index = Math.min(STEPS_PER_DAY - 1, Math.floor(parts.secOfDay / STEP_SECONDS));
+    return { parts, day, step: day.steps[index], totals: totalsUntil(day, parts.secOfDay) };
+  }
+
+  function counterBase(dayKey) {
+    const dayIndex = Math.floor(Date.parse(dayKey + 'T00:00:00.000Z') / 86400000);
+    return { importWh: dayIndex * 9000, exportWh: dayIndex * 14000, producedWh: dayIndex * 25000 };
+  }
+
+  function powerFlow() {
+    const state = current();
+    const step = state.step;
+    const inverter = { DT: 1, P: step.pvW + step.batteryW, E_Day: Math.round(state.totals.producedWh) };
+    if (state.day.hasBattery) {
+      inverter.SOC = step.socPct;
+    }
+    return envelope({
+      Site: {
+        Mode: state.day.hasBattery ? 'bidirectional' : 'produce-only',
+        P_Grid: step.gridW,
+        P_Load: -step.loadW,
+        P_PV: step.pvW,
+        P_Akku: state.day.hasBattery ? step.batteryW : null,
+        E_Day: Math.round(state.totals.producedWh),
+        E_Total: counterBase(state.parts.dayKey).producedWh + Math.round(state.totals.producedWh)
+      },
+      Inverters: { '1': inverter }
+    });
+  }
+
+  function archive(url) {
+    const startDate = url.searchParams.get('StartDate');
+    const endDate = url.searchParams.get('EndDate') || startDate;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(startDate)) || !/^\d{4}-\d{2}-\d{2}$/.test(String(endDate)) || endDate < startDate) {
+      return { statusCode: 400, payload: envelope({}, 255) };
+    }
+    const detail = url.searchParams.get('SeriesType') === 'Detail';
+    const today = zonedParts(now(), timeZone);
+    const produced = {};
+    const imported = {};
+    const exported = {};
+    for (let offset = 0, dayKey = startDate; dayKey <= endDate && offset < 31; offset += 1, dayKey = shiftDay(dayKey, 1)) {
+      if (dayKey > today.dayKey) {
+        break;
+      }
+      const day = getDay(dayKey);
+      const untilSec = dayKey === today.dayKey ? today.secOfDay : 24 * 60 * 60;
+      const offsetSec = offset * 24 * 60 * 60;
+      if (!detail) {
+        const totals = totalsUntil(day, untilSec);
+        produced[String(offsetSec)] = Math.round(totals.producedWh);
+        imported[String(offsetSec)] = Math.round(totals.importWh);
+        exported[String(offsetSec)] = Math.round(totals.exportWh);
+        continue;
+      }
+      // Inverter energy is per interval, stamped at the interval end; meter
+      // channels are cumulative counter readings.
+      const base = counterBase(dayKey);
+      let importWh = base.importWh;
+      let exportWh = base.exportWh;
+      imported[String(offsetSec)] = importWh;
+      exported[String(offsetSec)] = exportWh;
+      day.steps.forEach((step) => {
+        const endSec = step.secOfDay + STEP_SECONDS;
+        if (endSec > untilSec) {
+          return;
+        }
+        importWh += stepEnergyWh(Math.max(0, step.gridW));
+        exportWh += stepEnergyWh(Math.max(0, -step.gridW));
+        produced[String(offsetSec + endSec)] = Math.round(stepEnergyWh(step.pvW));
+        imported[String(offsetSec + endSec)] = Math.round(importWh);
+        exported[String(offsetSec + endSec)] = Math.round(exportWh);
+      });
+    }
+    return {
+      statusCode: 200,
+      payload: envelope({
+        'inverter/1': {
+          NodeType: 97,
+          DeviceType: 1,
+          Data: { EnergyReal_WAC_Sum_Produced: { Unit: 'Wh', Values: produced } }
+        },
+        'meter:SIM0001': {
+          NodeType: 98,
+          DeviceType: 'Smart Meter 63A',
+          Data: {
+            EnergyReal_WAC_Plus_Absolute: { Unit: 'Wh', Values: imported },
+            EnergyReal_WAC_Minus_Absolute: { Unit: 'Wh', Values: exported }
+          }
+        }
+      })
+    };
+  }
+
+  function inverterStatus(step) {
+    return step.pvW > 0 ? 7 : 12;
+  }
+
+  function inverterInfo() {
+    const site = resolveSimulatorSite(source.site);
+    const step = current().step;
+    return envelope({
+      '1': {
+        CustomName: 'Simulator',
+        DT: 1,
+        PVPower: Math.round(site.arrayKw * 1000),
+        Show: 1,
+        StatusCode: inverterStatus(step),
+        ErrorCode: 0,
+        InverterState: step.pvW > 0 ? 'Running' : 'Sleeping'
+      }
+    });
+  }
+
+  function inverterRealtime(url) {
+    if (url.searchParams.get('DeviceId') !== '1' || url.searchParams.get('DataCollection') !== 'CommonInverterData') {
+      return null;
+    }
+    const state = current();
+    const step = state.step;
+    const acW = step.pvW + step.batteryW;
+    // Two strings splitting the array 55/45 at a typical MPP voltage.
+    const stringW = [step.pvW * 0.55, step.pvW * 0.45];
+    const data = {
+      PAC: valueUnit(acW, 'W'),
+      FAC: valueUnit(50, 'Hz'),
+      UAC: valueUnit(240, 'V'),
+      IAC: valueUnit(Math.round((acW / 240) * 100) / 100, 'A'),
+      DAY_ENERGY: valueUnit(Math.round(state.totals.producedWh), 'Wh'),
+      TOTAL_ENERGY: valueUnit(counterBase(state.parts.dayKey).producedWh + Math.round(state.totals.producedWh), 'Wh'),
+      DeviceStatus: {
+        StatusCode: inverterStatus(step),
+        ErrorCode: 0,
+        InverterState: step.pvW > 0 ? 'Running' : 'Sleeping'
+      }
+    };
+    stringW.forEach((watts, index) => {
+      const suffix = index ? '_' + (index + 1) : '';
+      const voltage = watts > 0 ? 380 + (index * 20) : 0;
+      data['UDC' + suffix] = valueUnit(voltage, 'V');
+      data['IDC' + suffix] = valueUnit(voltage ? Math.round((watts / voltage) * 100) / 100 : 0, 'A');
+    });
+    return envelope(data);
+  }
+
+  function meterRealtime() {
+    const state = current();
+    const base = counterBase(state.parts.dayKey);
+    const gridW = state.step.gridW;
+    return envelope({
+      '0': {
+        Details: { Manufacturer: 'Fronius', Model: 'Smart Meter 63A (simulated)', Serial: 'SIM0001' },
+        Meter_Location_Current: 0,
+        PowerReal_P_Sum: gridW,
+        PowerReal_P_Phase_1: gridW,
+        Voltage_AC_Phase_1: 240,
+        Current_AC_Phase_1: Math.round((Math.abs(gridW) / 240) * 100) / 100,
+        Frequency_Phase_Average: 50,
+        EnergyReal_WAC_Sum_Consumed: Math.round(base.importWh + state.totals.importWh),
+        EnergyReal_WAC_Sum_Produced: Math.round(base.exportWh + state.totals.exportWh)
+      }
+    });
+  }
+
+  function handle(req, res) {
+    const url = new URL(req.url || '/', 'http://127.0.0.1');
+    let statusCode = 200;
+    let payload = null;
+    if (url.pathname === '/solar_api/v1/GetPowerFlowRealtimeData.fcgi') {
+      payload = powerFlow();
+    } else if (url.pathname === '/solar_api/v1/GetArchiveData.cgi') {
+      const result = archive(url);
+      statusCode = result.statusCode;
+      payload = result.payload;
+    } else if (url.pathname === '/solar_api/v1/GetInverterInfo.cgi') {
+      payload = inverterInfo();
+    } else if (url.pathname === '/solar_api/v1/GetInverterRealtimeData.cgi') {
+      payload = inverterRealtime(url);
+    } else if (url.pathname === '/solar_api/v1/GetMeterRealtimeData.cgi') {
+      payload = meterRealtime();
+    }
+    if (!payload) {
+      statusCode = 404;
+      payload = envelope({}, 255);
+    }
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(payload));
+  }
+
+  return http.createServer(handle);
+}
+
+module.exports = {
+  buildSimulatedDay,
+  createFroniusSimulator
+};
@@ -13,6 +13,9 @@ function createFroniusStateManager(options) {
       gridW: 0,
       loadW: 0,
       dayGeneratedKwh: 0,
+      hasBattery: false,
+      batteryW: 0,
+      batterySocPct: null,
       at: null
     },
     archive: {
@@ -28,7 +31,9 @@ function createFroniusStateManager(options) {
     rolling: {
       dayKey: null,
       importKwh: 0,
-      exportKwh: 0
+      exportKwh: 0,
+      batteryChargedKwh: 0,
+      batteryDischargedKwh: 0
     }
   };
 
@@ -38,6 +43,8 @@ function createFroniusStateManager(options) {
       state.rolling.dayKey = dayKey;
       state.rolling.importKwh = 0;
       state.rolling.exportKwh = 0;
+      state.rolling.batteryChargedKwh = 0;
+      state.rolling.batteryDischargedKwh = 0;
     }
 
     if (state.realtime.at) {
@@ -48,13 +55,26 @@ function createFroniusStateManager(options) {
       } else if (gridW < 0) {
         state.rolling.exportKwh += ((-gridW) / 1000) * dtHours;
       }
+      // Fronius reports P_Akku positive while discharging and negative while charging.
+      const batteryW = Number(state.realtime.batteryW || 0);
+      if (batteryW > 0) {
+        state.rolling.batteryDischargedKwh += (batteryW / 1000) * dtHours;
+      } else if (batteryW < 0) {
+        state.rolling.batteryChargedKwh += ((-batteryW) / 1000) * dtHours;
+      }
     }
 
+    const socPct = payload.batterySocPct === null || payload.batterySocPct === undefined
+      ? null
+      : Number(payload.batterySocPct);
     state.realtime = {
       generatedW: Number(payload.generatedW || 0),
       gridW: Number(payload.gridW || 0),
       loadW: Number(payload.loadW || 0),
       dayGeneratedKwh: Number(payload.dayGeneratedKwh || 0),
+      hasBattery: !!payload.hasBattery || socPct !== null || Number(payload.batteryW || 0) !== 0,
+      batteryW: Number(payload.batteryW || 0),
+      batterySocPct: Number.isFinite(socPct) ? socPct : null,
       at: nowMs
     };
   }
@@ -110,10 +130,13 @@ function createFroniusStateManager(options) {
       source: archiveGenerated > 0 ? 'archive' : 'realtime'
     };
 
+    const rollingForToday = state.rolling.dayKey === dayKey;
     const today = Object.assign({}, todayBase, {
       generatedReady,
       importReady,
-      exportReady
+      exportReady,
+      batteryChargedKwh: rollingForToday ? round3(Number(state.rolling.batteryChargedKwh || 0)) : 0,
+      batteryDischargedKwh: rollingForToday ? round3(Number(state.rolling.batteryDischargedKwh || 0)) : 0
     });
 
     return {
@@ -123,6 +146,9 @@ function createFroniusStateManager(options) {
         gridW: state.realtime.gridW,
         loadW: state.realtime.loadW,
         dayGeneratedKwh: state.realtime.dayGeneratedKwh,
+        hasBattery: state.realtime.hasBattery,
+        batteryW: state.realtime.batteryW,
+        batterySocPct: state.realtime.batterySocPct,
         at: state.realtime.at
       },
       today,
@@ -130,10 +156,45 @@ function createFroniusStateManager(options) {
     };
   }
 
+  function exportSnapshot() {
+    return {
+      archive: Object.assign({}, state.archive),
+      rolling: Object.assign({}, state.rolling)
+    };
+  }
+
+  function restoreSnapshot(snapshot) {
+    const source = snapshot || {};
+    if (source.archive && typeof source.archive === 'object' && source.archive.dayKey) {
+      state.archive = {
+        dayKey: String(source.archive.dayKey),
+        dayGeneratedKwh: Number(source.archive.dayGeneratedKwh || 0),
+        dayImportKwh: Number(source.archive.dayImportKwh || 0),
+        dayExportKwh: Number(source.archive.dayExportKwh || 0),
+        generatedReady: !!source.archive.generatedReady,
+        importReady: !!source.archive.importReady,
+        exportReady: !!source.archive.exportReady,
+        at: Number(source.archive.at || 0) || null
+      };
+    }
+    if (source.rolling && typeof source.rolling === 'object' && source.rolling.dayKey) {
+      // Realtime is deliberately not restored so the first live sample starts a fresh integration window.
+      state.rolling = {
+        dayKey: String(source.rolling.dayKey),
+        importKwh: Number(source.rolling.importKwh || 0),
+        exportKwh: Number(source.rolling.exportKwh || 0),
+        batteryChargedKwh: Number(source.rolling.batteryChargedKwh || 0),
+        batteryDischargedKwh: Number(source.rolling.batteryDischargedKwh || 0)
+      };
+    }
+  }
+
   return {
     applyRealtime,
     applyArchive,
-    getState
+    getState,
+    exportSnapshot,
+    restoreSnapshot
   };
 }
 
@@ -0,0 +1,192 @@
+'use strict';
+
+const SERIES_FIELDS = ['producedWhBySecond', 'importWhBySecond', 'exportWhBySecond', 'selfWhBySecond', 'loadWhBySecond'];
+
+function slugify(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Accepts either a single system ({ baseUrl }) or named systems as an array
+// or under `systems`; ids default to the slugged name.
+function normalizeFroniusSystems(systems) {
+  const source = Array.isArray(systems) ? systems : [];
+  return source.map((system, index) => {
+    const item = system || {};
+    const name = String(item.name || ('System ' + (index + 1))).trim();
+    return {
+      id: slugify(item.id || name) || ('system_' + (index + 1)),
+      name,
+      baseUrl: String(item.baseUrl || '').trim()
+    };
+  });
+}
+
+function isValidFroniusSystems(systems) {
+  if (!Array.isArray(systems)) {
+    return false;
+  }
+  const ids = systems.map((system) => system && system.id);
+  return systems.every((system) => system &&
+    typeof system.id === 'string' &&
+    system.id.length > 0 &&
+    typeof system.name === 'string' &&
+    system.name.length > 0 &&
+    typeof system.baseUrl === 'string' &&
+    system.baseUrl.length > 0) &&
+    ids.every((id, index) => ids.indexOf(id) === index);
+}
+
+function sumRealtime(list) {
+  const socs = list
+    .map((realtime) => realtime.batterySocPct)
+    .filter((soc) => soc !== null && soc !== undefined && Number.isFinite(Number(soc)));
+  return list.reduce((out, realtime) => {
+    out.generatedW += Number(realtime.generatedW || 0);
+    out.gridW += Number(realtime.gridW || 0);
+    out.loadW += Number(realtime.loadW || 0);
+    out.dayGeneratedKwh += Number(realtime.dayGeneratedKwh || 0);
+    out.hasBattery = out.hasBattery || !!realtime.hasBattery;
+    out.batteryW += Number(realtime.batteryW || 0);
+    return out;
+  }, {
+    generatedW: 0,
+    gridW: 0,
+    loadW: 0,
+    dayGeneratedKwh: 0,
+    hasBattery: false,
+    batteryW: 0,
+    // Batteries are not weighted by capacity, which the API does not report.
+    batterySocPct: socs.length ? socs.reduce((sum, soc) => sum + Number(soc), 0) / socs.length : null
+  });
+}
+
+function sumDailySums(list) {
+  return list.reduce((out, daily) => {
+    out.dayGeneratedKwh += Number(daily.dayGeneratedKwh || 0);
+    out.dayImportKwh += Number(daily.dayImportKwh || 0);
+    out.dayExportKwh += Number(daily.dayExportKwh || 0);
+    return out;
+  }, { dayGeneratedKwh: 0, dayImportKwh: 0, dayExportKwh: 0 });
+}
+
+function isCumulative(keys, map) {
+  let rising = false;
+  for (let i = 1; i < keys.length; i += 1) {
+    const delta = Number(map[keys[i]] || 0) - Number(map[keys[i - 1]] || 0);
+    if (delta < 0) {
+      return false;
+    }
+    rising = rising || delta > 0;
+  }
+  return rising;
+}
+
+// Sums per-second series from several data managers. Meter counters are
+// cumulative, so a system missing a timestamp contributes its last reading;
+// interval series contribute nothing for timestamps they lack.
+function sumSeriesMaps(maps) {
+  const sources = maps
+    .filter((map) => map && typeof map === 'object' && Object.keys(map).length)
+    .map((map) => {
+      const keys = Object.keys(map).sort((a, b) => Number(a) - Number(b));
+      return { map, keys, cumulative: isCumulative(keys, map) };
+    });
+  const allKeys = [];
+  sources.forEach((source) => {
+    source.keys.forEach((key) => {
+      if (allKeys.indexOf(key) === -1) {
+        allKeys.push(key);
+      }
+    });
+  });
+  allKeys.sort((a, b) => Number(a) - Number(b));
+  const out = {};
+  allKeys.forEach((key) => {
+    let total = 0;
+    sources.forEach((source) => {
+      if (Object.prototype.hasOwnProperty.call(source.map, key)) {
+        total += Number(source.map[key] || 0);
+        return;
+      }
+      if (!source.cumulative) {
+        return;
+      }
+      let last = null;
+      for (let i = 0; i < source.keys.length && Number(source.keys[i]) < Number(key); i += 1) {
+        last = source.map[source.keys[i]];
+      }
+      total += Number(last === null ? source.map[source.keys[0]] : last) || 0;
+    });
+    out[key] = total;
+  });
+  return out;
+}
+
+function sumDetails(list) {
+  const out = {};
+  SERIES_FIELDS.forEach((field) => {
+    out[field] = sumSeriesMaps(list.map((detail) => detail && detail[field]));
+  });
+  return out;
+}
+
+// Wraps one Fronius client per system behind the single-client interface, so
+// the combined totals flow through the same polling, bins and history code.
+// onResult(system, kind, result, dayISO, now) sees every per-system reading.
+// Combined readings need every system: a partial sum would dip the totals.
+function createCombinedFroniusClient(systems, options) {
+  const onResult = (options && options.onResult) || function ignoreResult() {};
+
+  async function fanOut(kind, method, dayISO) {
+    const now = Date.now();
+    const settled = await Promise.allSettled(systems.map((system) => system.client[method](dayISO)));
+    const values = [];
+    let failure = null;
+    settled.forEach((entry, index) => {
+      if (entry.status === 'fulfilled') {
+        onResult(systems[index], kind, entry.value, dayISO, now);
+        values.push(entry.value);
+      } else if (!failure) {
+        failure = entry.reason;
+      }
+    });
+    if (failure) {
+      throw failure;
+    }
+    return values;
+  }
+
+  return {
+    async fetchRealtime() {
+      return sumRealtime(await fanOut('realtime', 'fetchRealtime'));
+    },
+
+    async fetchDailySum(dayISO) {
+      return sumDailySums(await fanOut('daily', 'fetchDailySum', dayISO));
+    },
+
+    async fetchDailyDetail(dayISO) {
+      return sumDetails(await fanOut('detail', 'fetchDailyDetail', dayISO));
+    },
+
+    async fetchDevices() {
+      const results = await Promise.all(systems.map((system) => (typeof system.client.fetchDevices === 'function'
+        ? system.client.fetchDevices()
+        : Promise.resolve({ inverters: [], meters: [] }))));
+      function tag(system) {
+        return (device) => Object.assign({}, device, { systemId: system.id, systemName: system.name });
+      }
+      return {
+        inverters: [].concat.apply([], results.map((result, index) => (result.inverters || []).map(tag(systems[index])))),
+        meters: [].concat.apply([], results.map((result, index) => (result.meters || []).map(tag(systems[index]))))
+      };
+    }
+  };
+}
+
+module.exports = {
+  createCombinedFroniusClient,
+  isValidFroniusSystems,
+  normalizeFroniusSystems,
+  sumSeriesMaps
+};
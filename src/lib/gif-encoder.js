@@ -0,0 +1,268 @@
+'use strict';
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const PALETTE_SIZE = 256;
+const MAX_CODE = 4096;
+
+function keyOf(r, g, b) {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+function boxRange(colors, channel) {
+  let min = 255;
+  let max = 0;
+  colors.forEach((color) => {
+    min = Math.min(min, color[channel]);
+    max = Math.max(max, color[channel]);
+  });
+  return max - min;
+}
+
+function describeBox(colors) {
+  const ranges = [0, 1, 2].map((channel) => boxRange(colors, channel));
+  const range = Math.max(ranges[0], ranges[1], ranges[2]);
+  return { colors, range, channel: ranges.indexOf(range) };
+}
+
+// Median cut over a 15-bit colour histogram of every frame, so the whole
+// animation shares one global colour table (like ffmpeg's palettegen).
+function buildPalette(images, maxColors) {
+  const limit = Math.min(PALETTE_SIZE, maxColors || PALETTE_SIZE);
+  const counts = new Float64Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  images.forEach((image) => {
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+      const key = keyOf(data[i], data[i + 1], data[i + 2]);
+      counts[key] += 1;
+      sums[key * 3] += data[i];
+      sums[(key * 3) + 1] += data[i + 1];
+      sums[(key * 3) + 2] += data[i + 2];
+    }
+  });
+  const colors = [];
+  for (let key = 0; key < counts.length; key += 1) {
+    if (counts[key]) {
+      colors.push([sums[key * 3] / counts[key], sums[(key * 3) + 1] / counts[key], sums[(key * 3) + 2] / counts[key], counts[key]]);
+    }
+  }
+  if (!colors.length) {
+    colors.push([0, 0, 0, 1]);
+  }
+
+  const boxes = [describeBox(colors)];
+  while (boxes.length < limit) {
+    let pick = -1;
+    boxes.forEach((box, index) => {
+      if (box.colors.length > 1 && box.range > 0 && (pick < 0 || box.range > boxes[pick].range)) {
+        pick = index;
+      }
+    });
+    if (pick < 0) {
+      break;
+    }
+    const box = boxes[pick];
+    const sorted = box.colors.slice().sort((a, b) => a[box.channel] - b[box.channel]);
+    const total = sorted.reduce((sum, color) => sum + color[3], 0);
+    let running = 0;
+    let cut = 1;
+    for (let i = 0; i < sorted.length - 1; i += 1) {
+      running += sorted[i][3];
+      cut = i + 1;
+      if (running >= total / 2) {
+        break;
+      }
+    }
+    boxes.splice(pick, 1, describeBox(sorted.slice(0, cut)), describeBox(sorted.slice(cut)));
+  }
+
+  const palette = Buffer.alloc(PALETTE_SIZE * 3);
+  boxes.forEach((box, index) => {
+    const total = box.colors.reduce((sum, color) => sum + color[3], 0);
+    [0, 1, 2].forEach((channel) => {
+      const weighted = box.colors.reduce((sum, color) => sum + (color[channel] * color[3]), 0);
+      palette[(index * 3) + channel] = Math.round(weighted / total);
+    });
+  });
+  return { palette, size: boxes.length };
+}
+
+// Palette index for every pixel, nearest colour cached per 15-bit key.
+function createIndexer(palette, size) {
+  const cache = new Int16Array(32768).fill(-1);
+  return function indexImage(image) {
+    const data = image.data;
+    const out = new Uint8Array(image.width * image.height);
+    for (let i = 0, p = 0; i < data.length; i += 4, p += 1) {
+      const key = keyOf(data[i], data[i + 1], data[i + 2]);
+      let index = cache[key];
+      if (index < 0) {
+        const r = ((key >> 10) << 3) + 4;
+        const g = (((key >> 5) & 31) << 3) + 4;
+        const b = ((key & 31) << 3) + 4;
+        let best = Infinity;
+        for (let c = 0; c < size; c += 1) {
+          const dr = r - palette[c * 3];
+          const dg = g - palette[(c * 3) + 1];
+          const db = b - palette[(c * 3) + 2];
+          const distance = (dr * dr) + (dg * dg) + (db * db);
+          if (distance < best) {
+            best = distance;
+            index = c;
+          }
+        }
+        cache[key] = index;
+      }
+      out[p] = index;
+    }
+    return out;
+  };
+}
+
+// GIF LZW with variable code widths, packed LSB-first into 255-byte sub-blocks.
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  function emit(code) {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xFF);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  }
+
+  emit(clearCode);
+  let current = indices[0];
+  for (let i = 1; i < indices.length; i += 1) {
+    const k = indices[i];
+    const key = (current << 8) | k;
+    const found = table.get(key);
+    if (found !== undefined) {
+      current = found;
+      continue;
+    }
+    emit(current);
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) {
+        codeSize += 1;
+      }
+      table.set(key, nextCode);
+      nextCode += 1;
+    }
+    current = k;
+  }
+  emit(current);
+  emit(endCode);
+  if (bitCount > 0) {
+    bytes.push(bitBuffer & 0xFF);
+  }
+
+  const blocks = [Buffer.from([minCodeSize])];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255);
+    blocks.push(Buffer.from([chunk.length]), Buffer.from(chunk));
+  }
+  blocks.push(Buffer.from([0]));
+  return Buffer.concat(blocks);
+}
+
+function u16(value) {
+  const out = Buffer.alloc(2);
+  out.writeUInt16LE(value, 0);
+  return out;
+}
+
+/**
+ * Encode RGBA frames of the same size as a looping GIF89a animation with one
+ * shared 256-colour palette.
+ */
+function encodeGif(params) {
+  const { width, height, frames } = params;
+  if (!Array.isArray(frames) || !frames.length) {
+    throw new Error('gif_no_frames');
+  }
+  const delay = Math.max(2, Math.round(Number(params.delayMs || 500) / 10));
+  const { palette, size } = buildPalette(frames);
+  const indexImage = createIndexer(palette, size);
+  const parts = [
+    Buffer.from('GIF89a', 'latin1'),
+    u16(width),
+    u16(height),
+    // Global colour table of 2^(7+1) entries, 8 bits per channel.
+    Buffer.from([0xF7, 0, 0]),
+    palette,
+    Buffer.concat([Buffer.from([0x21, 0xFF, 0x0B]), Buffer.from('NETSCAPE2.0', 'latin1'), Buffer.from([3, 1]), u16(Number(params.loop || 0)), Buffer.from([0])])
+  ];
+  frames.forEach((frame) => {
+    parts.push(
+      Buffer.from([0x21, 0xF9, 4, 0x04]),
+      u16(delay),
+      Buffer.from([0, 0, 0x2C]),
+      u16(0),
+      u16(0),
+      u16(width),
+      u16(height),
+      Buffer.from([0]),
+      lzwEncode(indexImage(frame), 8)
+    );
+  });
+  parts.push(Buffer.from([0x3B]));
+  return Buffer.concat(parts);
+}
+
+/**
+ * encodeGif on a worker thread: palette building and LZW take long enough on
+ * a small board to stall every request if they ran on the event loop.
+ */
+function encodeGifInWorker(params) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { encodeGif: params } });
+    let settled = false;
+    worker.once('message', (message) => {
+      settled = true;
+      if (message.error) {
+        reject(new Error(message.error));
+        return;
+      }
+      resolve(Buffer.from(message.body.buffer, message.body.byteOffset, message.body.byteLength));
+    });
+    worker.once('error', (error) => {
+      settled = true;
+      reject(error);
+    });
+    worker.once('exit', (code) => {
+      if (!settled) {
+        reject(new Error('gif_worker_exited_' + code));
+      }
+    });
+  });
+}
+
+if (!isMainThread && workerData && workerData.encodeGif) {
+  try {
+    parentPort.postMessage({ body: encodeGif(workerData.encodeGif) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+}
+
+module.exports = {
+  buildPalette,
+  encodeGif,
+  encodeGifInWorker
+};
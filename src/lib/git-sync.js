@@ -18,6 +18,7 @@ function createGitSyncService(options) {
   const cwd = options.cwd;
   const config = options.config;
   const runner = options.runner || ((args) => defaultRunner(args, cwd));
+  const onAction = options.onAction || function ignoreAction() {};
 
   const state = {
     lastAction: 'none',
@@ -50,7 +51,7 @@ function createGitSyncService(options) {
     return { ok: true };
   }
 
-  async function action(name) {
+  async function runAction(name) {
     if (name === 'sync') {
       return sync();
     }
@@ -74,6 +75,15 @@ function createGitSyncService(options) {
     return { ok: false, detail: state.lastError };
   }
 
+  async function action(name) {
+    const startedAt = Date.now();
+    const result = await runAction(name);
+    if (name === 'sync' || name === 'pull') {
+      onAction(name, result, Date.now() - startedAt);
+    }
+    return result;
+  }
+
   async function status() {
     const result = await runGit(['status', '--short', '--branch']);
     return {
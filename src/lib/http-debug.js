@@ -41,6 +41,12 @@ function requestWithDebug(options) {
   const followRedirects = !!opts.followRedirects;
   const maxRedirects = Math.max(0, Number(opts.maxRedirects || 5));
 
+  function observe(durationMs, statusCode, error) {
+    if (logger && typeof logger.observeExternalRequest === 'function') {
+      logger.observeExternalRequest({ service, method, statusCode, durationMs, error: error || null });
+    }
+  }
+
   function execute(urlString, redirectCount) {
     return new Promise((resolve, reject) => {
       const url = new URL(urlString);
@@ -121,13 +127,16 @@ function requestWithDebug(options) {
             if (redirectCount >= maxRedirects) {
               const redirectError = new Error('Too many redirects');
               redirectError.code = 'too_many_redirects';
+              observe(durationMs, statusCode, redirectError);
               return reject(redirectError);
             }
             let redirectUrl;
             try {
               redirectUrl = new URL(location, url).toString();
             } catch (_error) {
-              return reject(createHttpStatusError(statusCode));
+              const locationError = createHttpStatusError(statusCode);
+              observe(durationMs, statusCode, locationError);
+              return reject(locationError);
             }
             try {
               const redirected = await execute(redirectUrl, redirectCount + 1);
@@ -137,9 +146,23 @@ function requestWithDebug(options) {
             }
           }
 
+          if (statusCode === 304 && opts.allowNotModified) {
+            observe(durationMs, statusCode, null);
+            return resolve({
+              statusCode,
+              headers: res.headers,
+              body: responseBuffer,
+              contentType: responseContentType,
+              notModified: true
+            });
+          }
+
           if (statusCode < 200 || statusCode >= 300) {
-            return reject(createHttpStatusError(statusCode));
+            const statusError = createHttpStatusError(statusCode);
+            observe(durationMs, statusCode, statusError);
+            return reject(statusError);
           }
+          observe(durationMs, statusCode, null);
           return resolve({
             statusCode: res.statusCode,
             headers: res.headers,
@@ -150,6 +173,7 @@ function requestWithDebug(options) {
       });
 
       req.on('error', (error) => {
+        observe(Date.now() - startedAt, 0, error);
         if (debugEnabled && logger && typeof logger.warn === 'function') {
           logger.warn('external_http_error', Object.assign({
             requestId,
@@ -0,0 +1,206 @@
+'use strict';
+
+const { clearSkyWattsAt, cloudFactor, slotCloudAt } = require('./solar-forecast');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_SECONDS = 24 * 60 * 60;
+const STEP_MINUTES = 15;
+// How far past the end of the surplus to look for the import rate it avoids.
+const LATER_IMPORT_MINUTES = 4 * 60;
+const TRIGGER_DOMAINS = ['script', 'switch', 'input_boolean'];
+
+function isValidLoadShiftTrigger(trigger) {
+  return !!(trigger &&
+    typeof trigger.entityId === 'string' &&
+    TRIGGER_DOMAINS.indexOf(trigger.entityId.split('.')[0]) > -1 &&
+    /^[a-z_]+\.[a-z0-9_]+$/.test(trigger.entityId) &&
+    typeof trigger.thresholdW === 'number' &&
+    trigger.thresholdW > 0 &&
+    (trigger.offBelowW === undefined || (typeof trigger.offBelowW === 'number' && trigger.offBelowW >= 0 && trigger.offBelowW < trigger.thresholdW)) &&
+    (trigger.minMinutes === undefined || (typeof trigger.minMinutes === 'number' && trigger.minMinutes >= 0)) &&
+    (trigger.cooldownMinutes === undefined || (typeof trigger.cooldownMinutes === 'number' && trigger.cooldownMinutes >= 0)));
+}
+
+function normalizeLoadShiftSettings(config) {
+  const source = config || {};
+  return {
+    enabled: source.enabled !== false,
+    minSurplusW: Math.max(100, Number(source.minSurplusW || 1500)),
+    horizonHours: Math.max(1, Math.min(12, Number(source.horizonHours || 4))),
+    triggers: (Array.isArray(source.triggers) ? source.triggers : []).filter(isValidLoadShiftTrigger).map((trigger) => ({
+      entityId: trigger.entityId,
+      label: String(trigger.label || trigger.entityId),
+      thresholdW: trigger.thresholdW,
+      offBelowW: Number(trigger.offBelowW || 0),
+      minMinutes: Number(trigger.minMinutes === undefined ? 5 : trigger.minMinutes),
+      cooldownMinutes: Number(trigger.cooldownMinutes === undefined ? 60 : trigger.cooldownMinutes)
+    }))
+  };
+}
+
+function formatKw(watts) {
+  return (watts / 1000).toFixed(1) + ' kW';
+}
+
+function formatDuration(minutes) {
+  if (minutes < 60) {
+    return '~' + minutes + ' min';
+  }
+  return '~' + String(Math.round(minutes / 30) / 2) + 'h';
+}
+
+function formatCents(cents) {
+  return String(Math.round(Number(cents || 0) * 10) / 10) + 'c';
+}
+
+// Projects how long the current export lasts: the clear-sky curve is scaled
+// by how the array is doing against it now, adjusted for forecast cloud, and
+// today's non-exported use is assumed to hold steady.
+function projectSurplusMinutes(input, settings) {
+  const realtime = input.realtime || {};
+  const series = input.clearSky && Array.isArray(input.clearSky.series) ? input.clearSky.series : [];
+  const slots = Array.isArray(input.slots) ? input.slots : [];
+  const secOfDay = Number(input.secOfDay || 0);
+  const generatedW = Math.max(0, Number(realtime.generatedW || 0));
+  const exportW = Math.max(0, -Number(realtime.gridW || 0));
+  const clearNowW = clearSkyWattsAt(series, secOfDay);
+  if (!(clearNowW > 0)) {
+    return 0;
+  }
+  const ratio = Math.min(1.2, generatedW / clearNowW);
+  const cloudNow = slotCloudAt(slots, input.now);
+  const usedW = generatedW - exportW;
+  let minutes = 0;
+  for (let step = STEP_MINUTES; step <= settings.horizonHours * 60; step += STEP_MINUTES) {
+    const sec = secOfDay + (step * 60);
+    if (sec >= DAY_SECONDS) {
+      break;
+    }
+    const cloudThen = slotCloudAt(slots, input.now + (step * MINUTE_MS));
+    const cloudScale = cloudNow !== null && cloudThen !== null ? cloudFactor(cloudThen) / cloudFactor(cloudNow) : 1;
+    if ((clearSkyWattsAt(series, sec) * ratio * cloudScale) - usedW < settings.minSurplusW) {
+      break;
+    }
+    minutes = step;
+  }
+  return minutes;
+}
+
+// Advice for running big loads now rather than later. `tariff` comes from
+// createTariff(pricing); exportedTodayKwh picks the feed-in tier.
+function buildLoadShiftAdvice(input, settings, tariff) {
+  const source = input || {};
+  const realtime = source.realtime || {};
+  const exportW = Math.round(Math.max(0, -Number(realtime.gridW || 0)));
+  if (!settings.enabled || exportW < settings.minSurplusW) {
+    return { status: 'none', spareW: exportW, spareMinutes: 0, feedInCents: null, laterImportCents: null, laterPeriod: null, messages: [] };
+  }
+  const spareMinutes = projectSurplusMinutes(Object.assign({}, source, { now: Number(source.now || Date.now()) }), settings);
+  const feedInCents = tariff.feedInCentsAt(source.exportedTodayKwh);
+  const startMinute = Math.floor(Number(source.secOfDay || 0) / 60) + spareMinutes;
+  let later = null;
+  for (let minute = startMinute; minute < Math.min(24 * 60, startMinute + LATER_IMPORT_MINUTES); minute += STEP_MINUTES) {
+    const period = tariff.periodAt(source.dayKey, minute);
+    if (!later || period.centsPerKwh > later.centsPerKwh) {
+      later = period;
+    }
+  }
+  const messages = [formatKw(exportW) + ' spare' + (spareMinutes > 0 ? ' for the next ' + formatDuration(spareMinutes) : ' right now')];
+  if (later && later.centsPerKwh > feedInCents) {
+    messages.push('export is worth ' + formatCents(feedInCents) + ', importing later costs ' + formatCents(later.centsPerKwh));
+  }
+  return {
+    status: 'surplus',
+    spareW: exportW,
+    spareMinutes,
+    feedInCents,
+    laterImportCents: later ? later.centsPerKwh : null,
+    laterPeriod: later ? later.name : null,
+    messages
+  };
+}
+
+// Turns Home Assistant scripts or switches on once export has stayed above a
+// trigger's threshold for minMinutes. A surplus episode fires at most once;
+// it ends when export stays at or below offBelowW (default 0) for
+// minMinutes, which turns switches back off. cooldownMinutes spaces out
+// episodes on a cloudy day.
+function createLoadShiftController(config, options) {
+  const settings = normalizeLoadShiftSettings(config);
+  const callService = (options && options.callService) || null;
+  const logger = options && options.logger;
+  const states = settings.triggers.map((trigger) => ({
+    trigger,
+    aboveSince: null,
+    belowSince: null,
+    active: false,
+    lastFiredAt: null,
+    error: null
+  }));
+
+  function call(state, service) {
+    const domain = state.trigger.entityId.split('.')[0];
+    if (typeof callService !== 'function') {
+      state.error = 'ha_unavailable';
+      return;
+    }
+    Promise.resolve()
+      .then(() => callService(domain, service, { entity_id: state.trigger.entityId }))
+      .then(() => {
+        state.error = null;
+      }, (error) => {
+        state.error = String((error && error.message) || 'ha_service_failed');
+        if (logger && typeof logger.warn === 'function') {
+          logger.warn('load_shift_trigger_failed', { entityId: state.trigger.entityId, service, error: state.error });
+        }
+      });
+  }
+
+  function update(realtime, nowMs) {
+    if (!settings.enabled) {
+      return;
+    }
+    const now = Number(nowMs || Date.now());
+    const exportW = Math.max(0, -Number((realtime && realtime.gridW) || 0));
+    states.forEach((state) => {
+      const trigger = state.trigger;
+      const settleMs = trigger.minMinutes * MINUTE_MS;
+      state.aboveSince = exportW >= trigger.thresholdW ? (state.aboveSince || now) : null;
+      state.belowSince = exportW <= trigger.offBelowW ? (state.belowSince || now) : null;
+      if (!state.active && state.aboveSince !== null && now - state.aboveSince >= settleMs &&
+        (state.lastFiredAt === null || now - state.lastFiredAt >= trigger.cooldownMinutes * MINUTE_MS)) {
+        state.active = true;
+        state.lastFiredAt = now;
+        call(state, 'turn_on');
+      } else if (state.active && state.belowSince !== null && now - state.belowSince >= settleMs) {
+        state.active = false;
+        if (trigger.entityId.indexOf('script.') !== 0) {
+          call(state, 'turn_off');
+        }
+      }
+    });
+  }
+
+  function getTriggers() {
+    return states.map((state) => ({
+      entityId: state.trigger.entityId,
+      label: state.trigger.label,
+      thresholdW: state.trigger.thresholdW,
+      active: state.active,
+      lastFiredAt: state.lastFiredAt ? new Date(state.lastFiredAt).toISOString() : null,
+      error: state.error
+    }));
+  }
+
+  return {
+    update,
+    getTriggers
+  };
+}
+
+module.exports = {
+  buildLoadShiftAdvice,
+  createLoadShiftController,
+  isValidLoadShiftTrigger,
+  normalizeLoadShiftSettings
+};
@@ -131,6 +131,7 @@ function createLogger(options) {
   const levelRank = LEVEL_RANK[level];
   const sink = typeof opts.sink === 'function' ? opts.sink : createDefaultSink();
   const eventStore = opts.eventStore;
+  const onExternalRequest = typeof opts.onExternalRequest === 'function' ? opts.onExternalRequest : null;
   const now = typeof opts.now === 'function'
     ? opts.now
     : function defaultNow() { return new Date().toISOString(); };
@@ -189,6 +190,15 @@ function createLogger(options) {
       getBodyMaxBytes: function getBodyMaxBytes() {
         return bodyMaxBytes;
       },
+      // Every finished external request reports here regardless of log level.
+      observeExternalRequest: function observeExternalRequest(fields) {
+        if (!onExternalRequest) {
+          return;
+        }
+        try {
+          onExternalRequest(fields);
+        } catch (error) {}
+      },
       log: function log(levelValue, event, fields) {
         return emit(levelValue, event, fields, inheritedFields);
       },
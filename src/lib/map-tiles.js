@@ -1,21 +1,28 @@
 'use strict';
 
+const crypto = require('crypto');
 const { requestWithDebug } = require('./http-debug');
 
-function requestBuffer(urlString, insecureTLS, userAgent, logger, serviceName) {
+const DEFAULT_TILE_URL_TEMPLATE = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+function requestBuffer(urlString, insecureTLS, userAgent, logger, serviceName, requestHeaders) {
   return requestWithDebug({
     urlString,
     method: 'GET',
     insecureTLS,
     logger,
     service: serviceName || 'external.map.tile',
-    headers: {
+    // Conditional requests (If-None-Match / If-Modified-Since) answer 304.
+    allowNotModified: true,
+    headers: Object.assign({
       'User-Agent': userAgent,
       Accept: 'image/png,image/*;q=0.9,*/*;q=0.5'
-    }
-  }).then((result) => ({
+    }, requestHeaders || {})
+  }).then((result) => (result.notModified ? { notModified: true } : {
     contentType: result.contentType || 'image/png',
-    body: result.body
+    body: result.body,
+    etag: String((result.headers && result.headers.etag) || ''),
+    lastModified: String((result.headers && result.headers['last-modified']) || '')
   }));
 }
 
@@ -52,11 +59,28 @@ function buildCandidateTemplates(template, fallbackTemplates) {
   return out;
 }
 
+function resolveTemplates(config) {
+  const map = (config && config.map) || {};
+  return {
+    template: map.tileUrlTemplate || DEFAULT_TILE_URL_TEMPLATE,
+    fallbackTemplates: Array.isArray(map.fallbackTileUrlTemplates) ? map.fallbackTileUrlTemplates.filter(Boolean) : []
+  };
+}
+
+// Short hash of the configured tile servers, for cache keys: switching map
+// style must not keep serving tiles cached from the previous server.
+function mapTemplatesKey(config) {
+  const resolved = resolveTemplates(config);
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([resolved.template].concat(resolved.fallbackTemplates)))
+    .digest('hex')
+    .slice(0, 12);
+}
+
 function createMapTileClient(config) {
-  const template = (config.map && config.map.tileUrlTemplate) || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
-  const fallbackTemplates = (config.map && Array.isArray(config.map.fallbackTileUrlTemplates))
-    ? config.map.fallbackTileUrlTemplates.filter(Boolean)
-    : [];
+  const resolved = resolveTemplates(config);
+  const template = resolved.template;
+  const fallbackTemplates = resolved.fallbackTemplates;
   const userAgent = (config.map && config.map.userAgent) || 'NanoPi2-Dashboard/1.0 (+https://local.nanopi2)';
   const insecureTLS = !!config.insecureTLS;
   const logger = config.logger;
@@ -77,15 +101,22 @@ function createMapTileClient(config) {
       tile.body.length <= 200;
   }
 
-  async function fetchTile(z, x, y) {
+  // Tiles from a fallback server are marked `tileSource: 'fallback'` (a
+  // string, so the tile cache keeps it) for callers that should not hold on
+  // to anything built from them.
+  async function fetchTile(z, x, y, requestHeaders) {
     const templates = buildCandidateTemplates(template, fallbackTemplates);
+    const primaryCount = buildCandidateTemplates(template, []).length;
     let lastError = null;
     for (let i = 0; i < templates.length; i += 1) {
       try {
-        const tile = await requestBuffer(buildUrl(templates[i], z, x, y), insecureTLS, userAgent, logger, 'external.map.tile');
+        const tile = await requestBuffer(buildUrl(templates[i], z, x, y), insecureTLS, userAgent, logger, 'external.map.tile', requestHeaders);
         if (isBlockedPlaceholder(tile) && i < templates.length - 1) {
           continue;
         }
+        if (i >= primaryCount && !tile.notModified) {
+          tile.tileSource = 'fallback';
+        }
         return tile;
       } catch (error) {
         lastError = error;
@@ -101,5 +132,6 @@ function createMapTileClient(config) {
 
 module.exports = {
   createMapTileClient,
-  buildCandidateTemplates
+  buildCandidateTemplates,
+  mapTemplatesKey
 };
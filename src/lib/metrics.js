@@ -0,0 +1,247 @@
+'use strict';
+
+const DEFAULT_BUCKETS_SECONDS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels || {});
+  if (!keys.length) {
+    return '';
+  }
+  return '{' + keys.map((key) => key + '="' + escapeLabelValue(labels[key]) + '"').join(',') + '}';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+}
+
+function isReading(value) {
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+}
+
+// Renders metric families in the Prometheus text exposition format (0.0.4).
+// Samples without a finite value are dropped, so an unknown reading is
+// absent rather than reported as zero.
+function formatMetrics(families) {
+  const lines = [];
+  (families || []).forEach((family) => {
+    const samples = (family.samples || []).filter((sample) => isReading(sample.value));
+    if (!samples.length) {
+      return;
+    }
+    lines.push('# HELP ' + family.name + ' ' + family.help);
+    lines.push('# TYPE ' + family.name + ' ' + family.type);
+    samples.forEach((sample) => {
+      lines.push(family.name + (sample.suffix || '') + formatLabels(sample.labels) + ' ' + formatValue(Number(sample.value)));
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+function gauge(name, help, samples) {
+  return { name, help, type: 'gauge', samples };
+}
+
+function createHistogram(buckets) {
+  const series = new Map();
+
+  function observe(labels, value) {
+    const key = JSON.stringify(labels);
+    let entry = series.get(key);
+    if (!entry) {
+      entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      series.set(key, entry);
+    }
+    buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index] += 1;
+      }
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  function samples() {
+    const out = [];
+    series.forEach((entry) => {
+      buckets.forEach((bound, index) => {
+        out.push({ suffix: '_bucket', labels: Object.assign({}, entry.labels, { le: String(bound) }), value: entry.counts[index] });
+      });
+      out.push({ suffix: '_bucket', labels: Object.assign({}, entry.labels, { le: '+Inf' }), value: entry.count });
+      out.push({ suffix: '_sum', labels: entry.labels, value: Math.round(entry.sum * 1000) / 1000 });
+      out.push({ suffix: '_count', labels: entry.labels, value: entry.count });
+    });
+    return out;
+  }
+
+  return { observe, samples };
+}
+
+function createCounter() {
+  const series = new Map();
+  return {
+    inc: function inc(labels) {
+      const key = JSON.stringify(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += 1;
+      series.set(key, entry);
+    },
+    samples: function samples() {
+      return Array.from(series.values()).map((entry) => ({ labels: entry.labels, value: entry.value }));
+    }
+  };
+}
+
+// Counters and histograms fed by finished external requests and radar
+// renders; everything else is read from live state at scrape time.
+function createMetrics(options) {
+  const opts = options || {};
+  const buckets = (opts.buckets || DEFAULT_BUCKETS_SECONDS).slice().sort((a, b) => a - b);
+  const requestCount = createCounter();
+  const requestDuration = createHistogram(buckets);
+  const renderCount = createCounter();
+  const renderDuration = createHistogram(buckets);
+  let lastRenderSuccessAt = null;
+
+  function observeRequest(fields) {
+    const service = String((fields && fields.service) || 'external');
+    const statusCode = Number(fields && fields.statusCode);
+    requestCount.inc({ service, status: statusCode > 0 ? String(statusCode) : 'error' });
+    if (isReading(fields && fields.durationMs)) {
+      requestDuration.observe({ service }, Number(fields.durationMs) / 1000);
+    }
+  }
+
+  function observeRender(outcome) {
+    const result = outcome && outcome.ok ? 'success' : 'failure';
+    renderCount.inc({ result });
+    if (isReading(outcome && outcome.durationMs)) {
+      renderDuration.observe({ result }, Number(outcome.durationMs) / 1000);
+    }
+    if (result === 'success') {
+      lastRenderSuccessAt = Date.now();
+    }
+  }
+
+  function collect() {
+    return [
+      { name: 'dashboard_external_requests_total', help: 'Finished external HTTP requests by service and status code.', type: 'counter', samples: requestCount.samples() },
+      { name: 'dashboard_external_request_duration_seconds', help: 'External HTTP request duration by service.', type: 'histogram', samples: requestDuration.samples() },
+      { name: 'dashboard_radar_renders_total', help: 'Radar animation renders by result.', type: 'counter', samples: renderCount.samples() },
+      { name: 'dashboard_radar_render_duration_seconds', help: 'Radar animation render duration by result.', type: 'histogram', samples: renderDuration.samples() },
+      gauge('dashboard_radar_last_render_success_timestamp_seconds', 'Unix time of the last successful radar render.', [
+        { value: lastRenderSuccessAt ? lastRenderSuccessAt / 1000 : null }
+      ])
+    ];
+  }
+
+  return {
+    observeRequest,
+    observeRender,
+    collect
+  };
+}
+
+function haCardSamples(cards) {
+  const samples = [];
+  (Array.isArray(cards) ? cards : []).forEach((card) => {
+    if (card.type === 'climate') {
+      ['temperature', 'humidity'].forEach((measure) => {
+        if (card[measure]) {
+          samples.push({ labels: { card: card.label, label: card.label, measure, unit: card[measure].unit || '' }, value: card[measure].value });
+        }
+      });
+    } else if (card.type === 'battery_summary') {
+      (card.items || []).forEach((item) => {
+        samples.push({ labels: { card: card.label, label: item.label, measure: 'battery', unit: item.unit || '' }, value: item.value });
+      });
+    }
+  });
+  return samples;
+}
+
+// Gauges for the live dashboard state: solar, grid and battery power,
+// today's energy, internet quality, Home Assistant card values and beatbot
+// devices.
+function buildStateFamilies(state) {
+  const source = state || {};
+  const fronius = source.fronius || {};
+  const realtime = fronius.realtime || {};
+  const today = fronius.today || {};
+  const internet = source.internet || {};
+  const devices = Array.isArray(source.beatbotDevices) ? source.beatbotDevices : [];
+  const gridW = isReading(realtime.gridW) ? Number(realtime.gridW) : null;
+  const deviceLabels = (device) => ({ device: device.id || device.name, name: device.name || '' });
+
+  return [
+    gauge('dashboard_solar_generated_watts', 'Current PV generation.', [{ value: realtime.generatedW }]),
+    gauge('dashboard_load_watts', 'Current household consumption.', [{ value: realtime.loadW }]),
+    gauge('dashboard_grid_power_watts', 'Current grid power; positive is import, negative is export.', [{ value: gridW }]),
+    gauge('dashboard_grid_import_watts', 'Current grid import.', [{ value: gridW === null ? null : Math.max(0, gridW) }]),
+    gauge('dashboard_grid_export_watts', 'Current grid export.', [{ value: gridW === null ? null : Math.max(0, -gridW) }]),
+    gauge('dashboard_battery_power_watts', 'Current battery power; positive is discharge.', [{ value: realtime.hasBattery ? realtime.batteryW : null }]),
+    gauge('dashboard_battery_soc_percent', 'Battery state of charge.', [{ value: realtime.hasBattery ? realtime.batterySocPct : null }]),
+    gauge('dashboard_energy_today_kwh', 'Energy so far today by flow.', [
+      { labels: { flow: 'generated' }, value: today.generatedKwh },
+      { labels: { flow: 'import' }, value: today.importKwh },
+      { labels: { flow: 'export' }, value: today.exportKwh }
+    ]),
+    gauge('dashboard_solar_realtime_timestamp_seconds', 'Unix time of the last realtime inverter reading.', [
+      { value: realtime.at ? realtime.at / 1000 : null }
+    ]),
+    gauge('dashboard_internet_online', 'Whether the internet probe currently sees a connection.', [
+      { value: internet.lastUpdated ? (internet.online ? 1 : 0) : null }
+    ]),
+    gauge('dashboard_internet_latency_seconds', 'Latest internet probe round trip.', [
+      { value: isReading(internet.latencyMs) ? Number(internet.latencyMs) / 1000 : null }
+    ]),
+    gauge('dashboard_internet_download_mbps', 'Latest measured download throughput.', [{ value: internet.downloadMbps }]),
+    gauge('dashboard_internet_upload_mbps', 'Latest measured upload throughput.', [{ value: internet.uploadMbps }]),
+    gauge('dashboard_home_assistant_value', 'Home Assistant card readings.', haCardSamples(source.haCards)),
+    gauge('dashboard_beatbot_online', 'Whether each beatbot device is online.', devices.map((device) => ({
+      labels: deviceLabels(device),
+      value: device.online ? 1 : 0
+    }))),
+    gauge('dashboard_beatbot_battery_percent', 'Beatbot battery level.', devices.map((device) => ({
+      labels: deviceLabels(device),
+      value: device.battery
+    }))),
+    gauge('dashboard_beatbot_status', 'Current beatbot status; always 1, the status is in the label.', devices.map((device) => ({
+      labels: Object.assign(deviceLabels(device), { status: device.status || 'unknown' }),
+      value: 1
+    })))
+  ];
+}
+
+function buildProcessFamilies(proc) {
+  const target = proc || process;
+  const memory = target.memoryUsage();
+  const cpu = target.cpuUsage();
+  const uptimeSeconds = target.uptime();
+  return [
+    { name: 'process_cpu_seconds_total', help: 'Total user and system CPU time spent.', type: 'counter', samples: [
+      { value: Math.round((cpu.user + cpu.system) / 1000) / 1000 }
+    ] },
+    gauge('process_resident_memory_bytes', 'Resident memory size.', [{ value: memory.rss }]),
+    gauge('process_start_time_seconds', 'Unix time the process started.', [
+      { value: Math.round((Date.now() / 1000) - uptimeSeconds) }
+    ]),
+    gauge('nodejs_heap_size_total_bytes', 'V8 heap size.', [{ value: memory.heapTotal }]),
+    gauge('nodejs_heap_size_used_bytes', 'V8 heap used.', [{ value: memory.heapUsed }]),
+    gauge('nodejs_external_memory_bytes', 'Memory of C++ objects bound to JavaScript.', [{ value: memory.external }]),
+    gauge('nodejs_version_info', 'Node.js version.', [{ labels: { version: target.version }, value: 1 }])
+  ];
+}
+
+module.exports = {
+  formatMetrics,
+  createMetrics,
+  buildStateFamilies,
+  buildProcessFamilies
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+const net = require('net');
+
+const READ_HOLDING_REGISTERS = 3;
+const MBAP_HEADER_BYTES = 7;
+// The protocol caps a single read at 125 registers.
+const MAX_READ_REGISTERS = 125;
+
+const EXCEPTION_CODES = {
+  1: 'illegal_function',
+  2: 'illegal_data_address',
+  3: 'illegal_data_value',
+  4: 'server_device_failure',
+  6: 'server_device_busy',
+  10: 'gateway_path_unavailable',
+  11: 'gateway_target_failed'
+};
+
+function buildReadRequest(transactionId, unitId, address, count) {
+  const frame = Buffer.alloc(12);
+  frame.writeUInt16BE(transactionId, 0);
+  frame.writeUInt16BE(0, 2);
+  frame.writeUInt16BE(6, 4);
+  frame.writeUInt8(unitId, 6);
+  frame.writeUInt8(READ_HOLDING_REGISTERS, 7);
+  frame.writeUInt16BE(address, 8);
+  frame.writeUInt16BE(count, 10);
+  return frame;
+}
+
+// Reads holding registers over one persistent connection. Requests are sent
+// one at a time because many inverters only serve a single transaction per
+// connection; the socket is reopened on the next request after any failure.
+function createModbusTcpClient(options) {
+  const host = String((options && options.host) || '');
+  const port = Number((options && options.port) || 502);
+  const timeoutMs = Math.max(500, Number((options && options.timeoutMs) || 3000));
+  const createConnection = (options && options.createConnection) || net.createConnection;
+  let socket = null;
+  let connecting = null;
+  let buffered = Buffer.alloc(0);
+  let pending = null;
+  let transactionId = 0;
+  let queue = Promise.resolve();
+
+  function fail(error) {
+    if (pending) {
+      const current = pending;
+      pending = null;
+      clearTimeout(current.timer);
+      current.reject(error);
+    }
+  }
+
+  function drop(error) {
+    if (socket) {
+      socket.removeAllListeners();
+      socket.on('error', () => {});
+      socket.destroy();
+    }
+    socket = null;
+    connecting = null;
+    buffered = Buffer.alloc(0);
+    fail(error || new Error('modbus_connection_closed'));
+  }
+
+  function onData(chunk) {
+    buffered = Buffer.concat([buffered, chunk]);
+    while (buffered.length >= MBAP_HEADER_BYTES) {
+      const frameBytes = 6 + buffered.readUInt16BE(4);
+      if (buffered.length < frameBytes) {
+        return;
+      }
+      const frame = buffered.slice(0, frameBytes);
+      buffered = buffered.slice(frameBytes);
+      if (!pending || frame.readUInt16BE(0) !== pending.transactionId) {
+        continue;
+      }
+      const functionCode = frame.readUInt8(7);
+      const current = pending;
+      pending = null;
+      clearTimeout(current.timer);
+      if (functionCode === (READ_HOLDING_REGISTERS | 0x80)) {
+        const code = frame.readUInt8(8);
+        const error = new Error('modbus_exception_' + (EXCEPTION_CODES[code] || code));
+        error.exceptionCode = code;
+        current.reject(error);
+        continue;
+      }
+      const byteCount = frame.readUInt8(8);
+      if (functionCode !== READ_HOLDING_REGISTERS || byteCount !== current.count * 2 || frame.length < 9 + byteCount) {
+        current.reject(new Error('modbus_bad_response'));
+        continue;
+      }
+      const registers = [];
+      for (let i = 0; i < current.count; i += 1) {
+        registers.push(frame.readUInt16BE(9 + (i * 2)));
+      }
+      current.resolve(registers);
+    }
+  }
+
+  function connect() {
+    if (socket && !connecting) {
+      return Promise.resolve(socket);
+    }
+    if (connecting) {
+      return connecting;
+    }
+    connecting = new Promise((resolve, reject) => {
+      const next = createConnection({ host, port });
+      const timer = setTimeout(() => {
+        drop(new Error('modbus_connect_timeout'));
+        reject(new Error('modbus_connect_timeout'));
+      }, timeoutMs);
+      socket = next;
+      next.setNoDelay(true);
+      next.on('data', onData);
+      next.on('error', (error) => {
+        clearTimeout(timer);
+        drop(error);
+        reject(error);
+      });
+      next.on('close', () => {
+        clearTimeout(timer);
+        if (socket === next) {
+          drop(new Error('modbus_connection_closed'));
+        }
+        reject(new Error('modbus_connection_closed'));
+      });
+      next.on('connect', () => {
+        clearTimeout(timer);
+        connecting = null;
+        resolve(next);
+      });
+    });
+    return connecting;
+  }
+
+  async function send(unitId, address, count) {
+    const open = await connect();
+    transactionId = (transactionId + 1) & 0xFFFF;
+    return new Promise((resolve, reject) => {
+      pending = {
+        transactionId,
+        count,
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          // A late reply would desynchronise the stream, so start afresh.
+          drop(new Error('modbus_timeout'));
+        }, timeoutMs)
+      };
+      open.write(buildReadRequest(transactionId, unitId, address, count));
+    });
+  }
+
+  // Resolves to the unsigned 16-bit register values; longer reads are split.
+  function readHoldingRegisters(unitId, address, count) {
+    const task = queue.then(async () => {
+      const out = [];
+      for (let offset = 0; offset < count; offset += MAX_READ_REGISTERS) {
+        const chunk = await send(unitId, address + offset, Math.min(MAX_READ_REGISTERS, count - offset));
+        for (let i = 0; i < chunk.length; i += 1) {
+          out.push(chunk[i]);
+        }
+      }
+      return out;
+    });
+    queue = task.catch(() => {});
+    return task;
+  }
+
+  function close() {
+    drop(new Error('modbus_client_closed'));
+  }
+
+  return {
+    readHoldingRegisters,
+    close
+  };
+}
+
+module.exports = {
+  createModbusTcpClient
+};
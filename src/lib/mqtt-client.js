@@ -0,0 +1,286 @@
+'use strict';
+
+const net = require('net');
+
+const CONNECT = 1;
+const CONNACK = 2;
+const PUBLISH = 3;
+const PUBACK = 4;
+const PINGREQ = 12;
+const PINGRESP = 13;
+const DISCONNECT = 14;
+
+const CONNACK_ERRORS = {
+  1: 'unacceptable_protocol_version',
+  2: 'identifier_rejected',
+  3: 'server_unavailable',
+  4: 'bad_username_or_password',
+  5: 'not_authorized'
+};
+
+function encodeRemainingLength(length) {
+  const bytes = [];
+  let value = length;
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+function encodeString(value) {
+  const body = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(body.length, 0);
+  return Buffer.concat([length, body]);
+}
+
+function packet(firstByte, parts) {
+  const body = Buffer.concat(parts || []);
+  return Buffer.concat([Buffer.from([firstByte]), encodeRemainingLength(body.length), body]);
+}
+
+function toPayload(value) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value), 'utf8');
+}
+
+function buildConnectPacket(options) {
+  const will = options.will;
+  let flags = 0x02;
+  const payload = [encodeString(options.clientId)];
+  if (will && will.topic) {
+    flags |= 0x04 | ((Number(will.qos || 0) & 3) << 3) | (will.retain ? 0x20 : 0);
+    payload.push(encodeString(will.topic), encodeString(toPayload(will.payload)));
+  }
+  if (options.username) {
+    flags |= 0x80;
+    payload.push(encodeString(options.username));
+    if (options.password) {
+      flags |= 0x40;
+      payload.push(encodeString(options.password));
+    }
+  }
+  const keepalive = Buffer.alloc(2);
+  keepalive.writeUInt16BE(options.keepaliveSeconds, 0);
+  return packet(CONNECT << 4, [encodeString('MQTT'), Buffer.from([4, flags]), keepalive].concat(payload));
+}
+
+function buildPublishPacket(topic, payload, retain) {
+  return packet((PUBLISH << 4) | (retain ? 1 : 0), [encodeString(topic), toPayload(payload)]);
+}
+
+// Splits complete packets off the front of `buffer`; returns the leftover bytes.
+function readPackets(buffer, onPacket) {
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    let multiplier = 1;
+    let length = 0;
+    let index = offset + 1;
+    let byte;
+    do {
+      if (index >= buffer.length) {
+        return buffer.slice(offset);
+      }
+      byte = buffer[index];
+      length += (byte & 0x7F) * multiplier;
+      multiplier *= 128;
+      index += 1;
+    } while (byte & 0x80);
+    if (buffer.length < index + length) {
+      break;
+    }
+    onPacket(buffer[offset] >> 4, buffer[offset] & 0x0F, buffer.slice(index, index + length));
+    offset = index + length;
+  }
+  return buffer.slice(offset);
+}
+
+// Publish-only MQTT 3.1.1 client. It keeps one connection open, pings the
+// broker every `keepaliveSeconds` and reconnects with a doubling delay
+// (capped at `maxReconnectMs`) whenever the connection drops. Publishes are
+// QoS 0: while offline they are dropped and `publish` returns false, so
+// callers republish their retained state from `onConnect`.
+function createMqttClient(options) {
+  const opts = options || {};
+  const host = String(opts.host || '127.0.0.1');
+  const port = Number(opts.port || 1883);
+  const clientId = String(opts.clientId || 'nanopi2-dashboard');
+  const keepaliveSeconds = Math.max(5, Number(opts.keepaliveSeconds || 60));
+  const reconnectMs = Math.max(100, Number(opts.reconnectMs || 2000));
+  const maxReconnectMs = Math.max(reconnectMs, Number(opts.maxReconnectMs || 60000));
+  const connectTimeoutMs = Math.max(100, Number(opts.connectTimeoutMs || 10000));
+  const createConnection = opts.createConnection || net.createConnection;
+  const timers = opts.timers || {};
+  const setTimer = timers.setTimeout || setTimeout;
+  const clearTimer = timers.clearTimeout || clearTimeout;
+  const onConnect = opts.onConnect || function ignoreConnect() {};
+  const onError = opts.onError || function ignoreError() {};
+  let socket = null;
+  let connected = false;
+  let stopped = true;
+  let buffered = Buffer.alloc(0);
+  let retryDelayMs = reconnectMs;
+  let retryTimer = null;
+  let connectTimer = null;
+  let pingTimer = null;
+  let awaitingPong = false;
+
+  function clearTimers() {
+    [retryTimer, connectTimer, pingTimer].forEach((timer) => {
+      if (timer !== null) {
+        clearTimer(timer);
+      }
+    });
+    retryTimer = null;
+    connectTimer = null;
+    pingTimer = null;
+  }
+
+  function drop(error) {
+    const current = socket;
+    socket = null;
+    connected = false;
+    awaitingPong = false;
+    buffered = Buffer.alloc(0);
+    clearTimers();
+    if (current) {
+      current.removeAllListeners();
+      current.on('error', () => {});
+      current.destroy();
+    }
+    if (error) {
+      onError(error);
+    }
+    if (!stopped) {
+      retryTimer = setTimer(open, retryDelayMs);
+      retryDelayMs = Math.min(maxReconnectMs, retryDelayMs * 2);
+    }
+  }
+
+  function schedulePing() {
+    pingTimer = setTimer(function ping() {
+      pingTimer = null;
+      if (awaitingPong) {
+        drop(new Error('mqtt_keepalive_timeout'));
+        return;
+      }
+      awaitingPong = true;
+      socket.write(packet(PINGREQ << 4));
+      schedulePing();
+    }, keepaliveSeconds * 1000);
+  }
+
+  function onPacket(type, flags, body) {
+    if (type === CONNACK) {
+      clearTimer(connectTimer);
+      connectTimer = null;
+      const code = body.length > 1 ? body[1] : 0xFF;
+      if (code !== 0) {
+        drop(new Error('mqtt_connect_refused_' + (CONNACK_ERRORS[code] || code)));
+        return;
+      }
+      connected = true;
+      retryDelayMs = reconnectMs;
+      schedulePing();
+      onConnect();
+    } else if (type === PINGRESP) {
+      awaitingPong = false;
+    } else if (type === PUBLISH && ((flags >> 1) & 3) === 1) {
+      // Nothing is subscribed, but acknowledge anything a broker pushes anyway.
+      const topicLength = body.length >= 2 ? body.readUInt16BE(0) : Infinity;
+      if (body.length < 4 + topicLength) {
+        drop(new Error('mqtt_malformed_publish'));
+        return;
+      }
+      socket.write(packet(PUBACK << 4, [body.slice(2 + topicLength, 4 + topicLength)]));
+    }
+  }
+
+  function open() {
+    retryTimer = null;
+    const next = createConnection({ host, port });
+    socket = next;
+    connectTimer = setTimer(() => drop(new Error('mqtt_connect_timeout')), connectTimeoutMs);
+    next.setNoDelay(true);
+    next.on('connect', () => {
+      next.write(buildConnectPacket({
+        clientId,
+        keepaliveSeconds,
+        username: opts.username,
+        password: opts.password,
+        will: opts.will
+      }));
+    });
+    next.on('data', (chunk) => {
+      buffered = readPackets(Buffer.concat([buffered, chunk]), (type, flags, body) => {
+        if (socket === next) {
+          onPacket(type, flags, body);
+        }
+      });
+    });
+    next.on('error', (error) => {
+      if (socket === next) {
+        drop(error);
+      }
+    });
+    next.on('close', () => {
+      if (socket === next) {
+        drop(new Error('mqtt_connection_closed'));
+      }
+    });
+  }
+
+  function start() {
+    if (!stopped) {
+      return;
+    }
+    stopped = false;
+    retryDelayMs = reconnectMs;
+    open();
+  }
+
+  function publish(topic, payload, publishOptions) {
+    if (!connected) {
+      return false;
+    }
+    socket.write(buildPublishPacket(topic, payload, !!(publishOptions && publishOptions.retain)));
+    return true;
+  }
+
+  // Disconnects cleanly, so the broker does not publish the will.
+  function stop() {
+    stopped = true;
+    const current = socket;
+    if (!current || !connected) {
+      drop(null);
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      current.end(packet(DISCONNECT << 4), () => {
+        drop(null);
+        resolve();
+      });
+    });
+  }
+
+  return {
+    start,
+    stop,
+    publish,
+    isConnected: function isConnected() {
+      return connected;
+    }
+  };
+}
+
+module.exports = {
+  createMqttClient,
+  readPackets
+};
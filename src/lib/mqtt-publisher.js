@@ -0,0 +1,222 @@
+'use strict';
+
+const { createMqttClient } = require('./mqtt-client');
+
+// One Home Assistant entity per key of the JSON state payload.
+const ENTITIES = [
+  { key: 'solar_power_w', component: 'sensor', name: 'Solar power', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+  { key: 'load_power_w', component: 'sensor', name: 'Load power', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+  { key: 'grid_power_w', component: 'sensor', name: 'Grid power', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+  { key: 'solar_today_kwh', component: 'sensor', name: 'Solar today', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+  { key: 'grid_import_today_kwh', component: 'sensor', name: 'Grid import today', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+  { key: 'grid_export_today_kwh', component: 'sensor', name: 'Grid export today', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+  { key: 'net_cost_today', component: 'sensor', name: 'Net cost today', deviceClass: 'monetary', stateClass: 'total' },
+  { key: 'self_sufficiency_pct', component: 'sensor', name: 'Self-sufficiency today', unit: '%', icon: 'mdi:home-lightning-bolt', stateClass: 'measurement' },
+  { key: 'internet_online', component: 'binary_sensor', name: 'Internet', deviceClass: 'connectivity' },
+  { key: 'internet_download_mbps', component: 'sensor', name: 'Internet download', unit: 'Mbit/s', deviceClass: 'data_rate', stateClass: 'measurement' },
+  { key: 'internet_upload_mbps', component: 'sensor', name: 'Internet upload', unit: 'Mbit/s', deviceClass: 'data_rate', stateClass: 'measurement' },
+  { key: 'internet_latency_ms', component: 'sensor', name: 'Internet latency', unit: 'ms', deviceClass: 'duration', stateClass: 'measurement' },
+  { key: 'next_bin', component: 'sensor', name: 'Next bin', icon: 'mdi:trash-can' },
+  { key: 'next_bin_date', component: 'sensor', name: 'Next bin date', icon: 'mdi:calendar' },
+  { key: 'reminders_due', component: 'sensor', name: 'Reminders due', icon: 'mdi:bell-alert', stateClass: 'measurement' },
+  { key: 'next_reminder', component: 'sensor', name: 'Next reminder', icon: 'mdi:bell' },
+  { key: 'pool_cleaner_status', component: 'sensor', name: 'Pool cleaner', icon: 'mdi:robot-vacuum' },
+  { key: 'pool_cleaner_battery_pct', component: 'sensor', name: 'Pool cleaner battery', unit: '%', deviceClass: 'battery', stateClass: 'measurement' },
+  { key: 'pool_cleaner_online', component: 'binary_sensor', name: 'Pool cleaner online', deviceClass: 'connectivity' }
+];
+
+function reading(value) {
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+function round(value, places) {
+  const number = reading(value);
+  if (number === null) {
+    return null;
+  }
+  const factor = Math.pow(10, places);
+  return Math.round(number * factor) / factor;
+}
+
+function onOff(value) {
+  return value ? 'ON' : 'OFF';
+}
+
+// HA ids allow letters, digits, underscores and dashes only.
+function toNodeId(value) {
+  return String(value || 'nanopi2-dashboard').replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+// Flattens the dashboard snapshot into the JSON document published on
+// `<prefix>/state`. Unknown readings are null, which HA shows as unknown.
+function buildStatePayload(snapshot) {
+  const source = snapshot || {};
+  const realtime = source.realtime || {};
+  const today = source.today || {};
+  const costs = source.costs || null;
+  const internet = source.internet || {};
+  const bins = source.bins || {};
+  const reminders = Array.isArray(source.reminders) ? source.reminders : [];
+  const dayKey = String(source.dayKey || '');
+  const due = reminders.filter((item) => item && item.dueDate && (!dayKey || item.dueDate <= dayKey));
+  const devices = Array.isArray(source.beatbotDevices) ? source.beatbotDevices : [];
+  const cleaner = devices[0] || null;
+
+  return {
+    solar_power_w: round(realtime.generatedW, 0),
+    load_power_w: round(realtime.loadW, 0),
+    grid_power_w: round(realtime.gridW, 0),
+    solar_today_kwh: round(today.generatedKwh, 3),
+    grid_import_today_kwh: round(today.importKwh, 3),
+    grid_export_today_kwh: round(today.exportKwh, 3),
+    net_cost_today: costs ? round(Number(costs.netCents) / 100, 2) : null,
+    self_sufficiency_pct: round(source.selfSufficiencyPct, 1),
+    internet_online: internet.lastUpdated ? onOff(internet.online) : null,
+    internet_download_mbps: round(internet.downloadMbps, 1),
+    internet_upload_mbps: round(internet.uploadMbps, 1),
+    internet_latency_ms: round(internet.latencyMs, 0),
+    next_bin: bins.nextType || null,
+    next_bin_date: bins.nextDate || null,
+    reminders_due: due.length,
+    next_reminder: reminders.length ? reminders[0].title : null,
+    pool_cleaner_status: cleaner ? (cleaner.statusLabel || cleaner.status || null) : null,
+    pool_cleaner_battery_pct: cleaner ? round(cleaner.battery, 0) : null,
+    pool_cleaner_online: cleaner ? onOff(cleaner.online) : null,
+    updated_at: source.generatedAt || null
+  };
+}
+
+// Home Assistant MQTT discovery messages: one retained config per entity,
+// all reading from the shared state topic and tied to the availability topic.
+function buildDiscoveryMessages(options) {
+  const opts = options || {};
+  const topicPrefix = String(opts.topicPrefix || 'nanopi2');
+  const discoveryPrefix = String(opts.discoveryPrefix || 'homeassistant');
+  const nodeId = toNodeId(opts.clientId);
+  const device = {
+    identifiers: [nodeId],
+    name: 'NanoPi2 Dashboard',
+    manufacturer: 'nanopi2-dashboard',
+    model: 'Dashboard'
+  };
+
+  return ENTITIES.map((entity) => {
+    const config = {
+      name: entity.name,
+      unique_id: nodeId + '_' + entity.key,
+      state_topic: topicPrefix + '/state',
+      value_template: '{{ value_json.' + entity.key + ' }}',
+      availability_topic: topicPrefix + '/status',
+      payload_available: 'online',
+      payload_not_available: 'offline',
+      device
+    };
+    if (entity.component === 'binary_sensor') {
+      config.payload_on = 'ON';
+      config.payload_off = 'OFF';
+    }
+    // HA wants an ISO 4217 code as the unit of monetary sensors.
+    const unit = entity.deviceClass === 'monetary' ? String(opts.currency || 'AUD') : entity.unit;
+    if (unit) {
+      config.unit_of_measurement = unit;
+    }
+    if (entity.deviceClass) {
+      config.device_class = entity.deviceClass;
+    }
+    if (entity.stateClass) {
+      config.state_class = entity.stateClass;
+    }
+    if (entity.icon) {
+      config.icon = entity.icon;
+    }
+    return {
+      topic: discoveryPrefix + '/' + entity.component + '/' + nodeId + '/' + entity.key + '/config',
+      payload: config
+    };
+  });
+}
+
+// Publishes dashboard state to MQTT every `publishIntervalSeconds`. On each
+// (re)connect it announces availability and resends the discovery configs,
+// all retained so Home Assistant picks them up whenever it restarts.
+function createMqttPublisher(options) {
+  const opts = options || {};
+  const config = opts.config || {};
+  const logger = opts.logger || { info: () => {}, warn: () => {} };
+  const timers = opts.timers || { setInterval, clearInterval };
+  const getSnapshot = opts.getSnapshot || function emptySnapshot() { return {}; };
+  const topicPrefix = String(config.topicPrefix || 'nanopi2');
+  const statusTopic = topicPrefix + '/status';
+  const stateTopic = topicPrefix + '/state';
+  const intervalMs = Math.max(5, Number(config.publishIntervalSeconds || 30)) * 1000;
+  let intervalTimer = null;
+
+  function publishState() {
+    let payload;
+    try {
+      payload = buildStatePayload(getSnapshot());
+    } catch (error) {
+      logger.warn('[mqtt] state snapshot failed: ' + error.message);
+      return false;
+    }
+    return client.publish(stateTopic, payload, { retain: true });
+  }
+
+  function announce() {
+    logger.info('[mqtt] connected to ' + config.host + ':' + (config.port || 1883));
+    client.publish(statusTopic, 'online', { retain: true });
+    buildDiscoveryMessages(config).forEach((message) => {
+      client.publish(message.topic, message.payload, { retain: true });
+    });
+    publishState();
+  }
+
+  const client = (opts.createClient || createMqttClient)({
+    host: config.host,
+    port: config.port,
+    clientId: config.clientId,
+    username: config.username,
+    password: config.password,
+    keepaliveSeconds: config.keepaliveSeconds,
+    will: { topic: statusTopic, payload: 'offline', retain: true },
+    createConnection: opts.createConnection,
+    timers: opts.clientTimers,
+    onConnect: announce,
+    onError: function onError(error) {
+      logger.warn('[mqtt] ' + error.message);
+    }
+  });
+
+  function start() {
+    client.start();
+    if (intervalTimer === null) {
+      intervalTimer = timers.setInterval(publishState, intervalMs);
+    }
+  }
+
+  // A clean disconnect suppresses the will, so report offline ourselves first.
+  function stop() {
+    if (intervalTimer !== null) {
+      timers.clearInterval(intervalTimer);
+      intervalTimer = null;
+    }
+    client.publish(statusTopic, 'offline', { retain: true });
+    return client.stop();
+  }
+
+  return {
+    start,
+    stop,
+    publishState,
+    isConnected: function isConnected() {
+      return client.isConnected();
+    }
+  };
+}
+
+module.exports = {
+  ENTITIES,
+  buildStatePayload,
+  buildDiscoveryMessages,
+  createMqttPublisher
+};
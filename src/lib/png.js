@@ -0,0 +1,162 @@
+'use strict';
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+// Reverses the per-scanline filters and returns the raw rows.
+function unfilter(inflated, height, stride, bpp) {
+  const out = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y += 1) {
+    const filter = inflated[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+    for (let i = 0; i < stride; i += 1) {
+      const raw = inflated[src + i];
+      const left = i >= bpp ? out[row + i - bpp] : 0;
+      const up = y > 0 ? out[prev + i] : 0;
+      const upLeft = y > 0 && i >= bpp ? out[prev + i - bpp] : 0;
+      let value;
+      if (filter === 0) {
+        value = raw;
+      } else if (filter === 1) {
+        value = raw + left;
+      } else if (filter === 2) {
+        value = raw + up;
+      } else if (filter === 3) {
+        value = raw + ((left + up) >> 1);
+      } else if (filter === 4) {
+        value = raw + paeth(left, up, upLeft);
+      } else {
+        throw new Error('png_bad_filter');
+      }
+      out[row + i] = value & 0xFF;
+    }
+  }
+  return out;
+}
+
+// Reads sample `index` of a row as an 8-bit value (16-bit samples keep
+// their high byte; palette indexes are returned as-is).
+function sampleAt(rows, rowStart, index, bitDepth, scale) {
+  if (bitDepth === 8) {
+    return rows[rowStart + index];
+  }
+  if (bitDepth === 16) {
+    return rows[rowStart + (index * 2)];
+  }
+  const perByte = 8 / bitDepth;
+  const byte = rows[rowStart + Math.floor(index / perByte)];
+  const shift = 8 - bitDepth - ((index % perByte) * bitDepth);
+  const value = (byte >> shift) & ((1 << bitDepth) - 1);
+  return scale ? Math.round((value * 255) / ((1 << bitDepth) - 1)) : value;
+}
+
+// Decodes a non-interlaced PNG of any colour type into 8-bit RGBA.
+function decodePng(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.slice(0, 8).equals(SIGNATURE)) {
+    throw new Error('png_bad_signature');
+  }
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.slice(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  if (!header || !CHANNELS[header.colorType]) {
+    throw new Error('png_bad_header');
+  }
+  if (header.interlace) {
+    throw new Error('png_interlace_unsupported');
+  }
+  if (header.colorType === 3 && !palette) {
+    throw new Error('png_missing_palette');
+  }
+
+  const { width, height, bitDepth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const stride = Math.ceil((width * channels * bitDepth) / 8);
+  const bpp = Math.max(1, Math.floor((channels * bitDepth) / 8));
+  const rows = unfilter(zlib.inflateSync(Buffer.concat(idat)), height, stride, bpp);
+  const data = Buffer.alloc(width * height * 4);
+  const grayKey = transparency && colorType === 0 ? transparency.readUInt16BE(0) : null;
+  const rgbKey = transparency && colorType === 2
+    ? [transparency.readUInt16BE(0), transparency.readUInt16BE(2), transparency.readUInt16BE(4)]
+    : null;
+
+  for (let y = 0; y < height; y += 1) {
+    const rowStart = y * stride;
+    for (let x = 0; x < width; x += 1) {
+      const out = (y * width + x) * 4;
+      if (colorType === 3) {
+        const index = sampleAt(rows, rowStart, x, bitDepth, false);
+        data[out] = palette[index * 3];
+        data[out + 1] = palette[index * 3 + 1];
+        data[out + 2] = palette[index * 3 + 2];
+        data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = sampleAt(rows, rowStart, x * channels, bitDepth, true);
+        data[out] = gray;
+        data[out + 1] = gray;
+        data[out + 2] = gray;
+        if (colorType === 4) {
+          data[out + 3] = sampleAt(rows, rowStart, x * 2 + 1, bitDepth, true);
+        } else {
+          const raw = sampleAt(rows, rowStart, x, bitDepth, false);
+          data[out + 3] = grayKey !== null && (bitDepth === 16 ? raw === (grayKey >> 8) : raw === grayKey) ? 0 : 255;
+        }
+      } else {
+        data[out] = sampleAt(rows, rowStart, x * channels, bitDepth, true);
+        data[out + 1] = sampleAt(rows, rowStart, x * channels + 1, bitDepth, true);
+        data[out + 2] = sampleAt(rows, rowStart, x * channels + 2, bitDepth, true);
+        if (colorType === 6) {
+          data[out + 3] = sampleAt(rows, rowStart, x * channels + 3, bitDepth, true);
+        } else {
+          const keyed = rgbKey && bitDepth === 8 &&
+            data[out] === rgbKey[0] && data[out + 1] === rgbKey[1] && data[out + 2] === rgbKey[2];
+          data[out + 3] = keyed ? 0 : 255;
+        }
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+module.exports = {
+  decodePng
+};
@@ -3,7 +3,13 @@
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const { execFile, spawnSync } = require('child_process');
+const { decodePng } = require('./png');
+const { encodeGifInWorker } = require('./gif-encoder');
+const { mapTemplatesKey } = require('./map-tiles');
+const raster = require('./raster');
 
 const TILE_SIZE = 256;
 let sharpProbeState = null;
@@ -43,6 +49,10 @@ function execFileAsync(binary, args, opts, execFileImpl) {
   });
 }
 
+function hashKey(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
 function isPngBuffer(buffer) {
   if (!Buffer.isBuffer(buffer) || buffer.length < 8) {
     return false;
@@ -448,7 +458,9 @@ function createRadarGifRenderer(options) {
   const getRadarState = opts.getRadarState;
   const config = opts.config || {};
   const logger = opts.logger || config.logger || null;
+  const onRender = opts.onRender || function ignoreRender() {};
   const gifCacheDir = opts.gifCacheDir || path.join(os.tmpdir(), 'nanopi2-dashboard-radar-gifs');
+  const renderCacheDir = path.join(gifCacheDir, 'layers');
   const radarConfig = config.radar || {};
   const backendHint = String(radarConfig.gifBackend || 'auto').toLowerCase();
   const refreshSeconds = toInteger(radarConfig.refreshSeconds, 120, 30, 3600);
@@ -468,7 +480,14 @@ function createRadarGifRenderer(options) {
     if (backendHint === 'sharp') {
       return null;
     }
-    return ffmpegAvailable ? 'ffmpeg' : null;
+    if (backendHint === 'js') {
+      return 'js';
+    }
+    if (ffmpegAvailable) {
+      return 'ffmpeg';
+    }
+    // "auto" falls back to the in-process renderer; an explicit "ffmpeg" does not.
+    return backendHint === 'ffmpeg' ? null : 'js';
   })();
 
   // Guard against concurrent renders
@@ -652,6 +671,98 @@ function createRadarGifRenderer(options) {
     };
   }
 
+  // Composited layers survive between renders: the map background until the
+  // viewport, tile servers or tile set change, and each frame cropped, marked
+  // and stamped with its time until it drops out of the animation. A refresh
+  // then only composites the newest frame; "Generated" is drawn at encode.
+  function renderCachePaths(plan, extension) {
+    const viewport = {
+      backend: rendererBackend,
+      renderWidth: plan.renderWidth,
+      renderHeight: plan.renderHeight,
+      overscanPx: plan.overscanPx,
+      z: plan.z,
+      mapTemplates: mapTemplatesKey(config),
+      mapTileFilter: plan.mapTileFilter,
+      tiles: plan.tiles
+    };
+    const mapKey = hashKey(viewport);
+    const radarKey = hashKey({
+      mapKey,
+      radarZ: plan.radarZ,
+      radarScale: plan.radarScale,
+      colorSetting: plan.colorSetting,
+      optionsSetting: plan.optionsSetting,
+      radarTileFilter: plan.radarTileFilter,
+      radarOffsetXPx: plan.radarOffsetXPx,
+      radarOffsetYPx: plan.radarOffsetYPx,
+      radarTiles: plan.radarTiles,
+      outputWidth: plan.outputWidth,
+      outputHeight: plan.outputHeight,
+      drawTextFontFile: plan.drawTextFontFile
+    });
+    return {
+      map: path.join(renderCacheDir, 'map-' + mapKey + extension),
+      frames: plan.framesSubset.map((frameRef, i) => path.join(
+        renderCacheDir,
+        'frame-' + hashKey({ radarKey, time: frameRef.time, path: frameRef.path, label: plan.frameLabels[i] || '' }) + extension
+      ))
+    };
+  }
+
+  function pruneRenderCache(keep) {
+    let removed = 0;
+    try {
+      fs.readdirSync(renderCacheDir).forEach((name) => {
+        const filePath = path.join(renderCacheDir, name);
+        if (keep.indexOf(filePath) === -1) {
+          fs.rmSync(filePath, { force: true });
+          removed += 1;
+        }
+      });
+    } catch (_error) {
+      // A missing cache directory has nothing to prune.
+    }
+    return removed;
+  }
+
+  function ensureRenderCacheDir() {
+    fs.mkdirSync(renderCacheDir, { recursive: true });
+  }
+
+  async function fetchRadarAssets(plan, frameRef, i, onTile) {
+    for (let t = 0; t < plan.radarTiles.length; t += 1) {
+      const tile = plan.radarTiles[t];
+      const norm = normalizeTileCoords(plan.radarZ, tile.tx, tile.ty);
+      let result;
+      try {
+        result = await fetchRadarTile({
+          frameIndex: Number.isInteger(frameRef.index) ? frameRef.index : i,
+          framePath: frameRef.path || '',
+          z: plan.radarZ,
+          x: norm.x,
+          y: norm.y,
+          color: plan.colorSetting,
+          options: plan.optionsSetting
+        });
+        if (!result || !Buffer.isBuffer(result.body) || !isPngBuffer(result.body)) {
+          const invalidRadarTile = new Error('radar_tile_invalid_png');
+          invalidRadarTile.code = 'radar_tile_invalid_png';
+          throw invalidRadarTile;
+        }
+        onTile(result, tile, t);
+      } catch (error) {
+        if (Number(error && error.statusCode) === 404) {
+          // RainViewer may return 404 for "no radar data" tiles; treat as transparent.
+          continue;
+        }
+        const radarError = new Error('radar_tiles_incomplete');
+        radarError.code = 'radar_tiles_incomplete';
+        throw radarError;
+      }
+    }
+  }
+
   async function renderOnceFfmpeg(plan) {
     logGif('debug', 'radar_gif_ffmpeg_render_start', {
       frames: plan.framesSubset.length,
@@ -660,116 +771,134 @@ function createRadarGifRenderer(options) {
       outputHeight: plan.outputHeight
     });
     const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nanopi2-radar-gif-'));
-    try {
-      const mapAssets = [];
-      for (let t = 0; t < plan.tiles.length; t += 1) {
-        const tile = plan.tiles[t];
-        const norm = normalizeTileCoords(plan.z, tile.tx, tile.ty);
-        try {
-          const result = await fetchMapTile({ z: plan.z, x: norm.x, y: norm.y });
-          if (!result || !Buffer.isBuffer(result.body) || !isPngBuffer(result.body)) {
-            const invalidMapTile = new Error('map_tile_invalid_png');
-            invalidMapTile.code = 'map_tile_invalid_png';
-            throw invalidMapTile;
-          }
-          const filePath = path.join(tempDir, 'map-' + String(t).padStart(3, '0') + '.png');
-          fs.writeFileSync(filePath, result.body);
-          mapAssets.push({ filePath, x: tile.drawX, y: tile.drawY });
-        } catch (_error) {
-          const mapError = new Error('map_tiles_unavailable');
-          mapError.code = 'map_tiles_unavailable';
-          throw mapError;
-        }
-      }
-      if (mapAssets.length !== plan.tiles.length) {
-        const mapCountError = new Error('map_tiles_unavailable');
-        mapCountError.code = 'map_tiles_unavailable';
-        throw mapCountError;
+    const cachePaths = renderCachePaths(plan, '.png');
+    let reusedFrames = 0;
+
+    async function runFfmpeg(args) {
+      await execFileAsync(
+        ffmpegBinary,
+        args,
+        { maxBuffer: 16 * 1024 * 1024 },
+        execFileImpl
+      );
+    }
+
+    // Writes through a temp name so an interrupted render never leaves a
+    // truncated layer behind under its final cache name.
+    async function composeLayer(baseArgs, overlays, outputPath) {
+      const tmpPath = outputPath.replace(/\.png$/, '.tmp.png');
+      const args = ['-y', '-hide_banner', '-loglevel', 'error'].concat(baseArgs);
+      overlays.forEach((item) => {
+        args.push('-i', item.filePath);
+      });
+      const overlayFilter = buildOverlayFilterWithInputFilters(overlays.map((item) => ({
+        x: item.x + plan.overscanPx,
+        y: item.y + plan.overscanPx,
+        filter: item.isRadar
+          ? [
+              plan.radarScale > 1
+                ? ('scale=' + Math.round(TILE_SIZE / plan.radarScale) + ':' + Math.round(TILE_SIZE / plan.radarScale) + ':flags=neighbor')
+                : '',
+              plan.radarTileFilter
+            ].filter(Boolean).join(',')
+          : plan.mapTileFilter
+      })));
+      if (overlayFilter) {
+        args.push('-filter_complex', overlayFilter, '-map', '[vout]');
       }
+      args.push('-frames:v', '1', tmpPath);
+      await runFfmpeg(args);
+      fs.renameSync(tmpPath, outputPath);
+    }
 
-      for (let i = 0; i < plan.framesSubset.length; i += 1) {
-        const frameRef = plan.framesSubset[i] || {};
-        const radarAssets = [];
-        for (let t = 0; t < plan.radarTiles.length; t += 1) {
-          const tile = plan.radarTiles[t];
-          const norm = normalizeTileCoords(plan.radarZ, tile.tx, tile.ty);
-          let filePath = '';
-          let tileOffsetXPx = 0;
-          let tileOffsetYPx = 0;
+    try {
+      ensureRenderCacheDir();
+
+      let mapPath = cachePaths.map;
+      let cacheFrames = true;
+      if (!fs.existsSync(cachePaths.map)) {
+        const mapAssets = [];
+        let usedFallback = false;
+        for (let t = 0; t < plan.tiles.length; t += 1) {
+          const tile = plan.tiles[t];
+          const norm = normalizeTileCoords(plan.z, tile.tx, tile.ty);
           try {
-            const result = await fetchRadarTile({
-              frameIndex: Number.isInteger(frameRef.index) ? frameRef.index : i,
-              framePath: frameRef.path || '',
-              z: plan.radarZ,
-              x: norm.x,
-              y: norm.y,
-              color: plan.colorSetting,
-              options: plan.optionsSetting
-            });
+            const result = await fetchMapTile({ z: plan.z, x: norm.x, y: norm.y });
             if (!result || !Buffer.isBuffer(result.body) || !isPngBuffer(result.body)) {
-              const invalidRadarTile = new Error('radar_tile_invalid_png');
-              invalidRadarTile.code = 'radar_tile_invalid_png';
-              throw invalidRadarTile;
+              const invalidMapTile = new Error('map_tile_invalid_png');
+              invalidMapTile.code = 'map_tile_invalid_png';
+              throw invalidMapTile;
             }
-            filePath = path.join(
-              tempDir,
-              'radar-' + String(i).padStart(3, '0') + '-' + String(t).padStart(3, '0') + '.png'
-            );
+            usedFallback = usedFallback || result.tileSource === 'fallback';
+            const filePath = path.join(tempDir, 'map-' + String(t).padStart(3, '0') + '.png');
             fs.writeFileSync(filePath, result.body);
-            tileOffsetXPx = Number(result.tileOffsetXPx || 0);
-            tileOffsetYPx = Number(result.tileOffsetYPx || 0);
-          } catch (error) {
-            if (Number(error && error.statusCode) === 404) {
-              // RainViewer may return 404 for "no radar data" tiles; treat as transparent.
-              continue;
-            }
-            const radarError = new Error('radar_tiles_incomplete');
-            radarError.code = 'radar_tiles_incomplete';
-            throw radarError;
-          }
-
-          if (filePath) {
-            radarAssets.push({
-              filePath,
-              x: ((tile.drawX + tileOffsetXPx) / plan.radarScale) + plan.radarOffsetXPx,
-              y: ((tile.drawY + tileOffsetYPx) / plan.radarScale) + plan.radarOffsetYPx,
-              isRadar: true
-            });
+            mapAssets.push({ filePath, x: tile.drawX, y: tile.drawY });
+          } catch (_error) {
+            const mapError = new Error('map_tiles_unavailable');
+            mapError.code = 'map_tiles_unavailable';
+            throw mapError;
           }
         }
+        if (mapAssets.length !== plan.tiles.length) {
+          const mapCountError = new Error('map_tiles_unavailable');
+          mapCountError.code = 'map_tiles_unavailable';
+          throw mapCountError;
+        }
+        // A background patched from a fallback tile server is only used for
+        // this render, so the next one tries the primary server again.
+        if (usedFallback) {
+          mapPath = path.join(tempDir, 'map.png');
+          cacheFrames = false;
+        }
+        await composeLayer(
+          ['-f', 'lavfi', '-i', 'color=c=0x121820:s=' + plan.renderWidth + 'x' + plan.renderHeight + ':d=1'],
+          mapAssets,
+          mapPath
+        );
+      }
 
-        const overlays = mapAssets.concat(radarAssets);
+      for (let i = 0; i < plan.framesSubset.length; i += 1) {
+        const frameRef = plan.framesSubset[i] || {};
         const framePath = path.join(tempDir, 'frame-' + String(i).padStart(3, '0') + '.png');
+        if (fs.existsSync(cachePaths.frames[i])) {
+          reusedFrames += 1;
+          fs.copyFileSync(cachePaths.frames[i], framePath);
+          continue;
+        }
+
+        const radarAssets = [];
+        await fetchRadarAssets(plan, frameRef, i, function addRadarAsset(result, tile, t) {
+          const filePath = path.join(
+            tempDir,
+            'radar-' + String(i).padStart(3, '0') + '-' + String(t).padStart(3, '0') + '.png'
+          );
+          fs.writeFileSync(filePath, result.body);
+          radarAssets.push({
+            filePath,
+            x: ((tile.drawX + Number(result.tileOffsetXPx || 0)) / plan.radarScale) + plan.radarOffsetXPx,
+            y: ((tile.drawY + Number(result.tileOffsetYPx || 0)) / plan.radarScale) + plan.radarOffsetYPx,
+            isRadar: true
+          });
+        });
+        let layerPath = mapPath;
+        if (radarAssets.length) {
+          layerPath = path.join(tempDir, 'layer-' + String(i).padStart(3, '0') + '.png');
+          await composeLayer(['-i', mapPath], radarAssets, layerPath);
+        }
+
+        const labelledPath = cacheFrames ? cachePaths.frames[i].replace(/\.png$/, '.tmp.png') : framePath;
         const composeArgs = [
           '-y',
           '-hide_banner',
           '-loglevel',
           'error',
-          '-f',
-          'lavfi',
           '-i',
-          'color=c=0x121820:s=' + plan.renderWidth + 'x' + plan.renderHeight + ':d=1'
+          layerPath
         ];
-        overlays.forEach((item) => {
-          composeArgs.push('-i', item.filePath);
-        });
-        const overlayFilter = buildOverlayFilterWithInputFilters(overlays.map((item) => ({
-          x: item.x + plan.overscanPx,
-          y: item.y + plan.overscanPx,
-          filter: item.isRadar
-            ? [
-                plan.radarScale > 1
-                  ? ('scale=' + Math.round(TILE_SIZE / plan.radarScale) + ':' + Math.round(TILE_SIZE / plan.radarScale) + ':flags=neighbor')
-                  : '',
-                plan.radarTileFilter
-              ].filter(Boolean).join(',')
-            : plan.mapTileFilter
-        })));
         const cropX = plan.overscanPx;
         const cropY = plan.overscanPx;
         const tsLabel = escapeFfmpegDrawtext(plan.frameLabels[i] || '');
-        const baseInput = overlayFilter ? '[vout]' : '[0:v]';
-        const cropFilter = baseInput +
+        const cropFilter = '[0:v]' +
           'crop=' + plan.outputWidth + ':' + plan.outputHeight + ':' + cropX + ':' + cropY +
           '[vcrop]';
         const markerFilter = '[vcrop]' +
@@ -785,35 +914,31 @@ function createRadarGifRenderer(options) {
           ':borderw=1' +
           ':bordercolor=white' +
           ':x=(w-text_w)/2:y=h-th-34' +
-          '[vtxt]';
-        const generatedLabel = escapeFfmpegDrawtext(plan.generatedLabel || '');
-        const generatedFilter = '[vtxt]' +
-          'drawtext=text=\'' + generatedLabel + '\'' +
-          (plan.drawTextFontFile ? (':fontfile=' + escapeFfmpegDrawtext(plan.drawTextFontFile)) : '') +
-          ':fontcolor=black' +
-          ':fontsize=14' +
-          ':borderw=1' +
-          ':bordercolor=white' +
-          ':x=(w-text_w)/2:y=h-th-8' +
           '[vouttxt]';
         composeArgs.push(
           '-filter_complex',
-          overlayFilter
-            ? (overlayFilter + ';' + cropFilter + ';' + markerFilter + ';' + timestampFilter + ';' + generatedFilter)
-            : (cropFilter + ';' + markerFilter + ';' + timestampFilter + ';' + generatedFilter),
+          cropFilter + ';' + markerFilter + ';' + timestampFilter,
           '-map',
           '[vouttxt]'
         );
-        composeArgs.push('-frames:v', '1', framePath);
+        composeArgs.push('-frames:v', '1', labelledPath);
 
-        await execFileAsync(
-          ffmpegBinary,
-          composeArgs,
-          { maxBuffer: 16 * 1024 * 1024 },
-          execFileImpl
-        );
+        await runFfmpeg(composeArgs);
+        if (cacheFrames) {
+          fs.renameSync(labelledPath, cachePaths.frames[i]);
+          fs.copyFileSync(cachePaths.frames[i], framePath);
+        }
       }
 
+      // "Generated" changes on every render, so it is the one label drawn here.
+      const generatedLabel = escapeFfmpegDrawtext(plan.generatedLabel || '');
+      const generatedFilter = 'drawtext=text=\'' + generatedLabel + '\'' +
+        (plan.drawTextFontFile ? (':fontfile=' + escapeFfmpegDrawtext(plan.drawTextFontFile)) : '') +
+        ':fontcolor=black' +
+        ':fontsize=14' +
+        ':borderw=1' +
+        ':bordercolor=white' +
+        ':x=(w-text_w)/2:y=h-th-8';
       const fps = Math.max(0.2, 1000 / Math.max(50, plan.gifFrameDelayMs));
       const gifPath = path.join(tempDir, 'radar.gif');
       const encodeArgs = [
@@ -826,21 +951,19 @@ function createRadarGifRenderer(options) {
         '-i',
         path.join(tempDir, 'frame-%03d.png'),
         '-filter_complex',
-        'split[s0][s1];[s0]palettegen=stats_mode=diff[p];[s1][p]paletteuse=dither=bayer:bayer_scale=3',
+        generatedFilter + ',split[s0][s1];[s0]palettegen=stats_mode=diff[p];[s1][p]paletteuse=dither=bayer:bayer_scale=3',
         '-loop',
         '0',
         gifPath
       ];
 
-      await execFileAsync(
-        ffmpegBinary,
-        encodeArgs,
-        { maxBuffer: 16 * 1024 * 1024 },
-        execFileImpl
-      );
+      await runFfmpeg(encodeArgs);
 
+      const prunedLayers = pruneRenderCache([cachePaths.map].concat(cachePaths.frames));
       logGif('debug', 'radar_gif_ffmpeg_render_complete', {
         frames: plan.framesSubset.length,
+        reusedFrames,
+        prunedLayers,
         tiles: plan.tiles.length
       });
       return fs.readFileSync(gifPath);
@@ -859,11 +982,169 @@ function createRadarGifRenderer(options) {
     }
   }
 
+  function decodeTile(result, code) {
+    if (result && Buffer.isBuffer(result.body) && isPngBuffer(result.body)) {
+      try {
+        return decodePng(result.body);
+      } catch (_error) {
+        // Reported below like any other unusable tile.
+      }
+    }
+    const error = new Error(code);
+    error.code = code;
+    throw error;
+  }
+
+  // Layers are stored as deflated raw RGBA: the background at the render
+  // size, labelled frames at the output size.
+  function readLayer(filePath, width, height) {
+    try {
+      const data = zlib.inflateSync(fs.readFileSync(filePath));
+      if (data.length === width * height * 4) {
+        return { width, height, data };
+      }
+    } catch (_error) {
+      // Missing or unreadable layers are rebuilt.
+    }
+    return null;
+  }
+
+  function writeLayer(filePath, image) {
+    const tmpPath = filePath + '.tmp';
+    fs.writeFileSync(tmpPath, zlib.deflateSync(image.data, { level: 1 }));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  // Same composition as renderOnceFfmpeg, done in process: map tiles once,
+  // radar tiles per frame, crop away the overscan, centre marker, labels.
+  async function renderOnceJs(plan) {
+    logGif('debug', 'radar_gif_js_render_start', {
+      frames: plan.framesSubset.length,
+      tiles: plan.tiles.length,
+      outputWidth: plan.outputWidth,
+      outputHeight: plan.outputHeight
+    });
+    const cachePaths = renderCachePaths(plan, '.rgba.z');
+    let reusedFrames = 0;
+    try {
+      ensureRenderCacheDir();
+      const mapEq = raster.parseEqFilter(plan.mapTileFilter);
+      const radarEq = raster.parseEqFilter(plan.radarTileFilter);
+      const radarTileSize = Math.round(TILE_SIZE / plan.radarScale);
+      let background = readLayer(cachePaths.map, plan.renderWidth, plan.renderHeight);
+      let cacheFrames = true;
+      if (!background) {
+        let usedFallback = false;
+        background = raster.createImage(plan.renderWidth, plan.renderHeight, [0x12, 0x18, 0x20, 255]);
+        for (let t = 0; t < plan.tiles.length; t += 1) {
+          const tile = plan.tiles[t];
+          const norm = normalizeTileCoords(plan.z, tile.tx, tile.ty);
+          let result;
+          try {
+            result = await fetchMapTile({ z: plan.z, x: norm.x, y: norm.y });
+          } catch (_error) {
+            result = null;
+          }
+          if (!result || !Buffer.isBuffer(result.body)) {
+            const mapError = new Error('map_tiles_unavailable');
+            mapError.code = 'map_tiles_unavailable';
+            throw mapError;
+          }
+          usedFallback = usedFallback || result.tileSource === 'fallback';
+          // Only PNG tiles decode here; anything else (JPEG tile servers,
+          // interlaced PNGs) leaves the background colour in its place.
+          let image = null;
+          try {
+            image = decodeTile(result, 'map_tile_invalid_png');
+          } catch (error) {
+            logGif('debug', 'radar_gif_js_map_tile_skipped', { z: plan.z, x: norm.x, y: norm.y, code: error.code });
+          }
+          if (image) {
+            raster.drawImage(background, image, tile.drawX + plan.overscanPx, tile.drawY + plan.overscanPx, { eq: mapEq });
+          }
+        }
+        // As in renderOnceFfmpeg, nothing built on fallback tiles is cached.
+        if (usedFallback) {
+          cacheFrames = false;
+        } else {
+          writeLayer(cachePaths.map, background);
+        }
+      }
+
+      const frames = [];
+      const drawLabel = (frame, text, scale, bottom) => {
+        const size = raster.measureText(text, scale);
+        raster.drawText(
+          frame,
+          text,
+          Math.floor((plan.outputWidth - size.width) / 2),
+          plan.outputHeight - size.height - bottom,
+          { scale, color: [0, 0, 0], borderColor: [255, 255, 255] }
+        );
+      };
+      for (let i = 0; i < plan.framesSubset.length; i += 1) {
+        const frameRef = plan.framesSubset[i] || {};
+        let frame = readLayer(cachePaths.frames[i], plan.outputWidth, plan.outputHeight);
+        if (frame) {
+          reusedFrames += 1;
+        } else {
+          const layer = raster.cloneImage(background);
+          await fetchRadarAssets(plan, frameRef, i, function drawRadarTile(result, tile) {
+            raster.drawImage(
+              layer,
+              decodeTile(result, 'radar_tile_invalid_png'),
+              ((tile.drawX + Number(result.tileOffsetXPx || 0)) / plan.radarScale) + plan.radarOffsetXPx + plan.overscanPx,
+              ((tile.drawY + Number(result.tileOffsetYPx || 0)) / plan.radarScale) + plan.radarOffsetYPx + plan.overscanPx,
+              { width: radarTileSize, height: radarTileSize, eq: radarEq }
+            );
+          });
+          frame = raster.cropImage(layer, plan.overscanPx, plan.overscanPx, plan.outputWidth, plan.outputHeight);
+          const cx = Math.floor(plan.outputWidth / 2);
+          const cy = Math.floor(plan.outputHeight / 2);
+          raster.fillRect(frame, cx - 1, cy - 8, 2, 16, [255, 255, 255], 0.95);
+          raster.fillRect(frame, cx - 8, cy - 1, 16, 2, [255, 255, 255], 0.95);
+          raster.fillRect(frame, cx - 2, cy - 2, 4, 4, [0, 0, 0], 0.85);
+          drawLabel(frame, plan.frameLabels[i] || '', 3, 34);
+          if (cacheFrames) {
+            writeLayer(cachePaths.frames[i], frame);
+          }
+        }
+        // Drawn after caching: "Generated" changes on every render.
+        drawLabel(frame, plan.generatedLabel || '', 2, 8);
+        frames.push(frame);
+        // Compositing is synchronous; let requests through between frames.
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      const gif = await encodeGifInWorker({
+        width: plan.outputWidth,
+        height: plan.outputHeight,
+        frames,
+        delayMs: plan.gifFrameDelayMs
+      });
+      const prunedLayers = pruneRenderCache([cachePaths.map].concat(cachePaths.frames));
+      logGif('debug', 'radar_gif_js_render_complete', {
+        frames: plan.framesSubset.length,
+        reusedFrames,
+        prunedLayers,
+        tiles: plan.tiles.length
+      });
+      return gif;
+    } catch (error) {
+      if (!error.code) {
+        error.code = 'js_render_failed';
+      }
+      logGif('warn', 'radar_gif_js_render_failed', errorSummary(error));
+      throw error;
+    }
+  }
+
   /**
-   * Rendering is available via ffmpeg.
+   * Rendering is available via ffmpeg, or in process with gifBackend "js"
+   * (also what "auto" uses when ffmpeg is missing).
    */
   function canRender() {
-    return rendererBackend === 'ffmpeg';
+    return rendererBackend === 'ffmpeg' || rendererBackend === 'js';
   }
 
   /**
@@ -964,10 +1245,11 @@ function createRadarGifRenderer(options) {
     renderInProgress = true;
     renderPromise = (async function runRender() {
       logGif('info', 'radar_gif_render_start', { cacheDir: gifCacheDir });
+      const startedAt = Date.now();
       try {
         await waitForFrames();
         const plan = resolveRenderPlan(params);
-        const gifBuffer = await renderOnceFfmpeg(plan);
+        const gifBuffer = rendererBackend === 'js' ? await renderOnceJs(plan) : await renderOnceFfmpeg(plan);
 
         // Write atomically: temp file then rename
         ensureCacheDir();
@@ -989,6 +1271,7 @@ function createRadarGifRenderer(options) {
           width: plan.outputWidth,
           height: plan.outputHeight
         });
+        onRender({ ok: true, durationMs: Date.now() - startedAt });
         return {
           contentType: 'image/gif',
           body: gifBuffer,
@@ -996,6 +1279,7 @@ function createRadarGifRenderer(options) {
         };
       } catch (error) {
         logGif('warn', 'radar_gif_render_failed', errorSummary(error));
+        onRender({ ok: false, durationMs: Date.now() - startedAt, error });
         throw error;
       } finally {
         renderInProgress = false;
@@ -1114,6 +1398,7 @@ function createBomGifRenderer(options) {
   const bomClient = opts.bomClient;
   const config = opts.config || {};
   const logger = opts.logger || config.logger || null;
+  const onRender = opts.onRender || function ignoreRender() {};
   const gifCacheDir = opts.gifCacheDir || path.join(os.tmpdir(), 'nanopi2-dashboard-radar-gifs');
   const radarConfig = config.radar || {};
   const refreshSeconds = toInteger(radarConfig.refreshSeconds, 120, 30, 3600);
@@ -1461,6 +1746,7 @@ function createBomGifRenderer(options) {
     renderInProgress = true;
     renderPromise = (async function runRender() {
       logGif('info', 'bom_gif_render_start', { cacheDir: gifCacheDir });
+      const startedAt = Date.now();
       try {
         await waitForBomFrames();
         const plan = resolveRenderPlan();
@@ -1481,9 +1767,11 @@ function createBomGifRenderer(options) {
         fs.renameSync(metaTmpPath, metaPath);
 
         logGif('info', 'bom_gif_render_success', { bytes: gifBuffer.length });
+        onRender({ ok: true, durationMs: Date.now() - startedAt });
         return { contentType: 'image/gif', body: gifBuffer, isFallback: false };
       } catch (error) {
         logGif('warn', 'bom_gif_render_failed', errorSummary(error));
+        onRender({ ok: false, durationMs: Date.now() - startedAt, error });
         throw error;
       } finally {
         renderInProgress = false;
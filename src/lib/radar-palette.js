@@ -0,0 +1,116 @@
+'use strict';
+
+// BOM radar legend: rain rate (mm/h) for each colour step.
+const BOM_RAIN_RATE_PALETTE = [
+  { rgb: [245, 245, 255], mmPerHour: 0.2 },
+  { rgb: [180, 180, 255], mmPerHour: 0.5 },
+  { rgb: [120, 120, 255], mmPerHour: 1.5 },
+  { rgb: [20, 20, 255], mmPerHour: 2.5 },
+  { rgb: [0, 216, 195], mmPerHour: 4 },
+  { rgb: [0, 150, 144], mmPerHour: 6 },
+  { rgb: [0, 102, 102], mmPerHour: 10 },
+  { rgb: [255, 255, 0], mmPerHour: 15 },
+  { rgb: [255, 200, 0], mmPerHour: 20 },
+  { rgb: [255, 150, 0], mmPerHour: 35 },
+  { rgb: [255, 100, 0], mmPerHour: 50 },
+  { rgb: [255, 0, 0], mmPerHour: 80 },
+  { rgb: [200, 0, 0], mmPerHour: 120 },
+  { rgb: [120, 0, 0], mmPerHour: 200 },
+  { rgb: [40, 0, 0], mmPerHour: 300 }
+];
+
+// Anti-aliased edges blend neighbouring steps; anything further than this
+// (squared RGB distance) from every legend colour is map or noise.
+const BOM_MATCH_LIMIT = 3 * 48 * 48;
+
+// Marshall-Palmer: Z = 200 R^1.6.
+function rainRateFromDbz(dbz) {
+  if (dbz === null || dbz === undefined || dbz < 5) {
+    return 0;
+  }
+  return Math.pow(Math.pow(10, dbz / 10) / 200, 1 / 1.6);
+}
+
+function dbzFromRainRate(mmPerHour) {
+  if (!(mmPerHour > 0)) {
+    return null;
+  }
+  return 10 * Math.log10(200 * Math.pow(mmPerHour, 1.6));
+}
+
+// Rough reflectivity from an unknown palette. Most radar palettes run from
+// blue (light) through green and yellow to red, with purple and white for
+// the most intense cores, so hue alone gives a usable dBZ.
+function estimateDbz(r, g, b, a) {
+  if (a < 32) {
+    return null;
+  }
+  const max = Math.max(r, g, b);
+  const chroma = max - Math.min(r, g, b);
+  if (chroma < 24) {
+    return max > 200 ? 60 : null;
+  }
+  let hue;
+  if (max === r) {
+    hue = ((g - b) / chroma) % 6;
+  } else if (max === g) {
+    hue = ((b - r) / chroma) + 2;
+  } else {
+    hue = ((r - g) / chroma) + 4;
+  }
+  hue = ((hue * 60) + 360) % 360;
+  if (hue > 250) {
+    return hue >= 345 ? 55 : 60;
+  }
+  return 10 + (((240 - Math.min(240, hue)) / 240) * 45);
+}
+
+// RainViewer colour scheme 0 ("Black and White") stores reflectivity
+// directly: the low seven bits are dBZ + 32 and the top bit marks snow.
+function rainViewerDbz(r, g, b, a) {
+  if (a < 32) {
+    return null;
+  }
+  return (r & 0x7F) - 32;
+}
+
+function bomPaletteDbz(r, g, b, a) {
+  if (a < 32) {
+    return null;
+  }
+  let best = null;
+  let bestDistance = Infinity;
+  BOM_RAIN_RATE_PALETTE.forEach((step) => {
+    const dr = r - step.rgb[0];
+    const dg = g - step.rgb[1];
+    const db = b - step.rgb[2];
+    const distance = (dr * dr) + (dg * dg) + (db * db);
+    if (distance < bestDistance) {
+      best = step;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= BOM_MATCH_LIMIT ? dbzFromRainRate(best.mmPerHour) : null;
+}
+
+// How to fetch and read radar tiles for analysis. RainViewer can serve any
+// colour scheme, so analysis asks for the raw reflectivity one (unsmoothed,
+// no snow colouring) whatever the display uses; BOM tiles come in the BOM
+// legend colours only.
+function createRadarDecoder(provider) {
+  const name = String(provider || 'rainviewer').toLowerCase();
+  if (name.indexOf('bom') === 0) {
+    return { color: null, options: null, toDbz: bomPaletteDbz };
+  }
+  return { color: 0, options: '0_0', toDbz: rainViewerDbz };
+}
+
+module.exports = {
+  BOM_RAIN_RATE_PALETTE,
+  rainRateFromDbz,
+  dbzFromRainRate,
+  estimateDbz,
+  rainViewerDbz,
+  bomPaletteDbz,
+  createRadarDecoder
+};
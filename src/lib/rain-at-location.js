@@ -0,0 +1,133 @@
+'use strict';
+
+const { decodePng } = require('./png');
+const { dbzFromRainRate, estimateDbz } = require('./radar-palette');
+const { kmPerPixel, windowForLocation, composeGrid } = require('./rain-nowcast');
+
+// Drizzle below this is left out of the radius coverage.
+const COVERAGE_MM_PER_HOUR = 0.1;
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Rain at the home pixel and across the disc of `radiusPx` around it.
+function sampleGrid(grid, window, radiusPx) {
+  const size = window.size;
+  const homeX = Math.min(size - 1, Math.max(0, Math.floor(window.homeX)));
+  const homeY = Math.min(size - 1, Math.max(0, Math.floor(window.homeY)));
+  const home = grid[(homeY * size) + homeX];
+  let max = 0;
+  let wet = 0;
+  let total = 0;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (Math.hypot(x + 0.5 - window.homeX, y + 0.5 - window.homeY) > radiusPx) {
+        continue;
+      }
+      const rate = grid[(y * size) + x];
+      total += 1;
+      max = Math.max(max, rate);
+      if (rate >= COVERAGE_MM_PER_HOUR) {
+        wet += 1;
+      }
+    }
+  }
+  const dbz = dbzFromRainRate(home);
+  return {
+    dbz: dbz === null ? null : round(dbz, 1),
+    mmPerHour: round(home, 1),
+    maxMmPerHour: round(max, 1),
+    coveragePct: total ? Math.round((wet / total) * 100) : 0
+  };
+}
+
+function createRainAtLocation(options) {
+  const opts = options || {};
+  const config = Object.assign({ radiusKm: 5, historyMinutes: 60 }, opts.config || {});
+  const lat = Number(opts.lat);
+  const lon = Number(opts.lon);
+  const zoom = Number(opts.zoom || 7);
+  const fetchTile = opts.fetchTile;
+  const toDbz = opts.toDbz || estimateDbz;
+  const now = opts.now || Date.now;
+  const radiusPx = Math.max(1, config.radiusKm / kmPerPixel(lat, zoom));
+  const window = windowForLocation(lat, lon, zoom, (2 * Math.ceil(radiusPx)) + 2);
+  const samples = new Map();
+
+  let state = {
+    lat,
+    lon,
+    radiusKm: config.radiusKm,
+    unit: 'mm/h',
+    updatedAt: null,
+    samples: [],
+    current: null,
+    error: null
+  };
+
+  async function sampleFrame(frame) {
+    const cached = samples.get(frame.path);
+    if (cached) {
+      return cached;
+    }
+    const images = [];
+    for (const tile of window.tiles) {
+      images.push(decodePng(await fetchTile(frame.path, zoom, tile.x, tile.y)));
+    }
+    const sample = Object.assign(
+      { time: new Date(frame.time * 1000).toISOString() },
+      sampleGrid(composeGrid(window, images, toDbz), window, radiusPx)
+    );
+    samples.set(frame.path, sample);
+    return sample;
+  }
+
+  async function update(frames) {
+    // Provider forecast frames are not observations.
+    const nowSeconds = now() / 1000;
+    const past = (Array.isArray(frames) ? frames : [])
+      .filter((frame) => frame && frame.path && Number(frame.time) <= nowSeconds)
+      .sort((a, b) => a.time - b.time);
+    const latest = past.length ? past[past.length - 1].time : null;
+    const recent = past.filter((frame) => frame.time >= latest - (config.historyMinutes * 60));
+    if (!recent.length) {
+      state = Object.assign({}, state, { error: 'rain_at_location_frames_unavailable' });
+      return state;
+    }
+
+    try {
+      const series = [];
+      for (const frame of recent) {
+        series.push(await sampleFrame(frame));
+      }
+      const keep = new Set(recent.map((frame) => frame.path));
+      Array.from(samples.keys()).forEach((key) => {
+        if (!keep.has(key)) {
+          samples.delete(key);
+        }
+      });
+      state = Object.assign({}, state, {
+        updatedAt: new Date(now()).toISOString(),
+        samples: series,
+        current: series[series.length - 1],
+        error: null
+      });
+    } catch (error) {
+      state = Object.assign({}, state, { error: error.message });
+    }
+    return state;
+  }
+
+  return {
+    update,
+    getState() {
+      return state;
+    }
+  };
+}
+
+module.exports = {
+  createRainAtLocation
+};
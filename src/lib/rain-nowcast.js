@@ -0,0 +1,393 @@
+'use strict';
+
+const { decodePng } = require('./png');
+const { estimateDbz, rainRateFromDbz } = require('./radar-palette');
+
+const TILE_SIZE = 256;
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+const LEAD_STEP_MINUTES = 5;
+const COARSE_FACTOR = 2;
+const BLOCK_SIZE = 16;
+const MAX_SPEED_KMH = 150;
+
+function worldPixel(lat, lon, z) {
+  const scale = TILE_SIZE * Math.pow(2, z);
+  const sin = Math.min(0.9999, Math.max(-0.9999, Math.sin((lat * Math.PI) / 180)));
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - (Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI))) * scale
+  };
+}
+
+function kmPerPixel(lat, z) {
+  return (EARTH_CIRCUMFERENCE_M * Math.cos((lat * Math.PI) / 180)) / (TILE_SIZE * Math.pow(2, z)) / 1000;
+}
+
+function intensityFor(mmPerHour) {
+  if (mmPerHour >= 10) {
+    return 'heavy';
+  }
+  return mmPerHour >= 2.5 ? 'moderate' : 'light';
+}
+
+// The square of radar pixels centred on the location, and the tiles covering it.
+function windowForLocation(lat, lon, z, size) {
+  const home = worldPixel(lat, lon, z);
+  const left = Math.floor(home.x - (size / 2));
+  const top = Math.floor(home.y - (size / 2));
+  const tileCount = Math.pow(2, z);
+  const tiles = [];
+  for (let ty = Math.floor(top / TILE_SIZE); ty <= Math.floor((top + size - 1) / TILE_SIZE); ty += 1) {
+    if (ty < 0 || ty >= tileCount) {
+      continue;
+    }
+    for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + size - 1) / TILE_SIZE); tx += 1) {
+      tiles.push({
+        x: ((tx % tileCount) + tileCount) % tileCount,
+        y: ty,
+        dx: (tx * TILE_SIZE) - left,
+        dy: (ty * TILE_SIZE) - top
+      });
+    }
+  }
+  return { z, size, homeX: home.x - left, homeY: home.y - top, tiles };
+}
+
+// Rain rate (mm/h) for every window pixel from decoded RGBA tiles.
+function composeGrid(window, images, toDbz) {
+  const size = window.size;
+  const grid = new Float32Array(size * size);
+  window.tiles.forEach((tile, index) => {
+    const image = images[index];
+    if (!image) {
+      return;
+    }
+    const scaleX = image.width / TILE_SIZE;
+    const scaleY = image.height / TILE_SIZE;
+    const fromX = Math.max(0, tile.dx);
+    const toX = Math.min(size, tile.dx + TILE_SIZE);
+    const fromY = Math.max(0, tile.dy);
+    const toY = Math.min(size, tile.dy + TILE_SIZE);
+    for (let y = fromY; y < toY; y += 1) {
+      const row = Math.floor((y - tile.dy) * scaleY) * image.width;
+      for (let x = fromX; x < toX; x += 1) {
+        const offset = (row + Math.floor((x - tile.dx) * scaleX)) * 4;
+        const d = image.data;
+        grid[(y * size) + x] = rainRateFromDbz(toDbz(d[offset], d[offset + 1], d[offset + 2], d[offset + 3]));
+      }
+    }
+  });
+  return grid;
+}
+
+function downsample(grid, size, factor) {
+  const n = Math.floor(size / factor);
+  const out = new Float32Array(n * n);
+  const area = factor * factor;
+  for (let y = 0; y < n; y += 1) {
+    for (let x = 0; x < n; x += 1) {
+      let sum = 0;
+      for (let j = 0; j < factor; j += 1) {
+        for (let i = 0; i < factor; i += 1) {
+          sum += grid[(((y * factor) + j) * size) + (x * factor) + i];
+        }
+      }
+      out[(y * n) + x] = sum / area;
+    }
+  }
+  return out;
+}
+
+// Block matching: for every block of `prev` holding enough rain, the shift
+// within `search` cells that best lines it up with `next` (least sum of
+// absolute differences).
+function blockMotion(prev, next, n, search, thresholdMm) {
+  const vectors = [];
+  const minRainCells = Math.ceil(BLOCK_SIZE * BLOCK_SIZE * 0.1);
+  for (let oy = 0; oy + BLOCK_SIZE <= n; oy += BLOCK_SIZE) {
+    for (let ox = 0; ox + BLOCK_SIZE <= n; ox += BLOCK_SIZE) {
+      let rainCells = 0;
+      for (let j = 0; j < BLOCK_SIZE; j += 1) {
+        for (let i = 0; i < BLOCK_SIZE; i += 1) {
+          if (prev[((oy + j) * n) + ox + i] >= thresholdMm) {
+            rainCells += 1;
+          }
+        }
+      }
+      if (rainCells < minRainCells) {
+        continue;
+      }
+      let best = null;
+      for (let dy = -search; dy <= search; dy += 1) {
+        if (oy + dy < 0 || oy + dy + BLOCK_SIZE > n) {
+          continue;
+        }
+        for (let dx = -search; dx <= search; dx += 1) {
+          if (ox + dx < 0 || ox + dx + BLOCK_SIZE > n) {
+            continue;
+          }
+          let sad = 0;
+          for (let j = 0; j < BLOCK_SIZE && (!best || sad <= best.sad); j += 1) {
+            const a = (oy + j) * n;
+            const b = (oy + j + dy) * n;
+            for (let i = 0; i < BLOCK_SIZE; i += 1) {
+              sad += Math.abs(prev[a + ox + i] - next[b + ox + dx + i]);
+            }
+          }
+          if (!best || sad < best.sad) {
+            best = { sad, ties: 1, dx, dy };
+          } else if (sad === best.sad) {
+            best.ties += 1;
+          }
+        }
+      }
+      // Featureless blocks (inside a uniform rain area) match equally well
+      // at many shifts and say nothing about motion.
+      if (best && best.ties === 1) {
+        vectors.push({ dx: best.dx, dy: best.dy });
+      }
+    }
+  }
+  return vectors;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Velocity in window pixels per minute: the median block vector of each
+// consecutive frame pair, then the median across pairs. Null without rain.
+function pairMotion(previous, current, size, kmPerPx, thresholdMm) {
+  const minutes = (current.timeMs - previous.timeMs) / 60000;
+  if (!(minutes > 0)) {
+    return null;
+  }
+  const n = Math.floor(size / COARSE_FACTOR);
+  const reach = (MAX_SPEED_KMH / 60) * minutes / (kmPerPx * COARSE_FACTOR);
+  const search = Math.max(2, Math.min(16, Math.ceil(reach)));
+  const vectors = blockMotion(previous.coarse, current.coarse, n, search, thresholdMm);
+  if (!vectors.length) {
+    return null;
+  }
+  return {
+    vx: (median(vectors.map((v) => v.dx)) * COARSE_FACTOR) / minutes,
+    vy: (median(vectors.map((v) => v.dy)) * COARSE_FACTOR) / minutes
+  };
+}
+
+function combineMotion(perPair) {
+  const found = perPair.filter(Boolean);
+  if (!found.length) {
+    return null;
+  }
+  return { vx: median(found.map((v) => v.vx)), vy: median(found.map((v) => v.vy)) };
+}
+
+function estimateMotion(frames, size, kmPerPx, thresholdMm) {
+  const perPair = [];
+  for (let i = 1; i < frames.length; i += 1) {
+    perPair.push(pairMotion(frames[i - 1], frames[i], size, kmPerPx, thresholdMm));
+  }
+  return combineMotion(perPair);
+}
+
+function sampleMax(grid, size, cx, cy, radius) {
+  if (cx < 0 || cy < 0 || cx >= size || cy >= size) {
+    return null;
+  }
+  let max = 0;
+  const r = Math.ceil(radius);
+  for (let y = Math.max(0, Math.floor(cy - r)); y <= Math.min(size - 1, Math.ceil(cy + r)); y += 1) {
+    for (let x = Math.max(0, Math.floor(cx - r)); x <= Math.min(size - 1, Math.ceil(cx + r)); x += 1) {
+      if (((x - cx) * (x - cx)) + ((y - cy) * (y - cy)) <= radius * radius) {
+        max = Math.max(max, grid[(y * size) + x]);
+      }
+    }
+  }
+  return max;
+}
+
+function roundRate(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Extrapolates the latest frame along the motion vector and reads the rain
+// rate at home every five minutes up to the horizon. `input.motion` skips
+// the block matching when the frames have not changed.
+function buildNowcast(input) {
+  const window = input.window;
+  const frames = input.frames;
+  const opts = input.options;
+  const latest = frames[frames.length - 1];
+  const motion = input.motion !== undefined
+    ? input.motion
+    : estimateMotion(frames, window.size, input.kmPerPx, opts.thresholdMmPerHour);
+  const radiusPx = Math.max(1, opts.homeRadiusKm / input.kmPerPx);
+  const ageMinutes = Math.max(0, (input.nowMs - latest.timeMs) / 60000);
+  const series = [];
+  for (let lead = 0; lead <= opts.horizonMinutes; lead += LEAD_STEP_MINUTES) {
+    const travel = ageMinutes + lead;
+    const value = motion
+      ? sampleMax(latest.grid, window.size, window.homeX - (motion.vx * travel), window.homeY - (motion.vy * travel), radiusPx)
+      : (lead === 0 ? sampleMax(latest.grid, window.size, window.homeX, window.homeY, radiusPx) : null);
+    series.push({ leadMinutes: lead, mmPerHour: value === null ? null : roundRate(value) });
+  }
+
+  const threshold = opts.thresholdMmPerHour;
+  const current = series[0].mmPerHour || 0;
+  const out = {
+    status: 'dry',
+    rainLikely: false,
+    summary: null,
+    arrivalMinutes: null,
+    clearingMinutes: null,
+    intensity: null,
+    mmPerHour: null,
+    motion: motion ? {
+      speedKmh: Math.round(Math.sqrt((motion.vx * motion.vx) + (motion.vy * motion.vy)) * input.kmPerPx * 60),
+      headingDeg: Math.round(((Math.atan2(motion.vx, -motion.vy) * 180 / Math.PI) + 360) % 360)
+    } : null,
+    series,
+    frameTime: new Date(latest.timeMs).toISOString(),
+    updatedAt: new Date(input.nowMs).toISOString(),
+    error: null
+  };
+
+  if (current >= threshold) {
+    const clearing = series.find((step) => step.leadMinutes > 0 && step.mmPerHour !== null && step.mmPerHour < threshold);
+    out.status = 'raining';
+    out.rainLikely = true;
+    out.intensity = intensityFor(current);
+    out.mmPerHour = current;
+    out.clearingMinutes = clearing ? clearing.leadMinutes : null;
+    out.summary = 'Raining at home, ' + out.intensity + ' intensity' +
+      (clearing ? ', clearing in ~' + clearing.leadMinutes + ' min' : '');
+    return out;
+  }
+
+  const arrival = series.find((step) => step.mmPerHour !== null && step.mmPerHour >= threshold);
+  if (arrival) {
+    const peak = series
+      .filter((step) => step.leadMinutes >= arrival.leadMinutes && step.leadMinutes <= arrival.leadMinutes + 30)
+      .reduce((max, step) => Math.max(max, step.mmPerHour || 0), 0);
+    out.status = 'approaching';
+    out.rainLikely = arrival.leadMinutes <= opts.rainLikelyWithinMinutes;
+    out.arrivalMinutes = arrival.leadMinutes;
+    out.intensity = intensityFor(peak);
+    out.mmPerHour = peak;
+    out.summary = 'Rain expected at home in ~' + arrival.leadMinutes + ' min, ' + out.intensity + ' intensity';
+    return out;
+  }
+
+  out.summary = motion ? 'No rain heading for home' : 'No rain on radar nearby';
+  return out;
+}
+
+// Keeps decoded grids for the most recent radar frames and recomputes the
+// nowcast whenever `update` sees the frame list. `fetchTile(framePath, z,
+// x, y)` resolves to PNG bytes.
+function createRainNowcast(options) {
+  const opts = options || {};
+  const config = opts.config || {};
+  const now = opts.now || function defaultNow() { return Date.now(); };
+  const toDbz = opts.toDbz || estimateDbz;
+  const lat = Number(opts.lat);
+  const lon = Number(opts.lon);
+  const zoom = Math.max(3, Math.min(10, Math.round(Number(opts.zoom || 7))));
+  const window = windowForLocation(lat, lon, zoom, Math.max(64, Number(config.windowPx || 256)));
+  const scale = kmPerPixel(lat, zoom);
+  const settings = {
+    horizonMinutes: Math.max(LEAD_STEP_MINUTES, Number(config.horizonMinutes || 90)),
+    thresholdMmPerHour: Math.max(0.05, Number(config.thresholdMmPerHour || 0.5)),
+    homeRadiusKm: Math.max(0.5, Number(config.homeRadiusKm || 3)),
+    rainLikelyWithinMinutes: Math.max(0, Number(config.rainLikelyWithinMinutes || 60))
+  };
+  const frameCount = Math.max(2, Number(config.frameCount || 4));
+  const grids = new Map();
+  let motionCache = { key: null, motion: null };
+  let state = { status: 'unknown', rainLikely: false, summary: null, updatedAt: null, error: null };
+
+  // Decoding, compositing and block matching are synchronous; yield between
+  // the steps so requests are served while a nowcast is computed.
+  function yieldToEventLoop() {
+    return new Promise((resolve) => setImmediate(resolve));
+  }
+
+  async function loadFrame(frame) {
+    const bodies = await Promise.all(window.tiles.map((tile) => opts.fetchTile(frame.path, zoom, tile.x, tile.y)));
+    const images = [];
+    for (let i = 0; i < bodies.length; i += 1) {
+      images.push(decodePng(bodies[i]));
+      await yieldToEventLoop();
+    }
+    const grid = composeGrid(window, images, toDbz);
+    await yieldToEventLoop();
+    return { timeMs: frame.time * 1000, grid, coarse: downsample(grid, window.size, COARSE_FACTOR) };
+  }
+
+  async function motionFor(loaded) {
+    const perPair = [];
+    for (let i = 1; i < loaded.length; i += 1) {
+      perPair.push(pairMotion(loaded[i - 1], loaded[i], window.size, scale, settings.thresholdMmPerHour));
+      await yieldToEventLoop();
+    }
+    return combineMotion(perPair);
+  }
+
+  async function update(frames) {
+    const nowMs = now();
+    const past = (Array.isArray(frames) ? frames : [])
+      .filter((frame) => frame && frame.path && Number(frame.time) * 1000 <= nowMs + 60000)
+      .sort((a, b) => a.time - b.time)
+      .slice(-frameCount);
+    if (past.length < 2) {
+      state = Object.assign({}, state, { error: 'rain_nowcast_frames_unavailable' });
+      return state;
+    }
+    try {
+      for (let i = 0; i < past.length; i += 1) {
+        if (!grids.has(past[i].path)) {
+          grids.set(past[i].path, await loadFrame(past[i]));
+        }
+      }
+    } catch (error) {
+      state = Object.assign({}, state, { error: error && error.message ? error.message : 'rain_nowcast_failed' });
+      return state;
+    }
+    const wanted = past.map((frame) => frame.path);
+    Array.from(grids.keys()).forEach((key) => {
+      if (wanted.indexOf(key) === -1) {
+        grids.delete(key);
+      }
+    });
+    const loaded = wanted.map((key) => grids.get(key));
+    const key = wanted.join('|');
+    if (motionCache.key !== key) {
+      motionCache = { key, motion: await motionFor(loaded) };
+    }
+    state = buildNowcast({
+      window,
+      frames: loaded,
+      motion: motionCache.motion,
+      kmPerPx: scale,
+      nowMs,
+      options: settings
+    });
+    return state;
+  }
+
+  return {
+    update,
+    getState: function getState() { return state; }
+  };
+}
+
+module.exports = {
+  kmPerPixel,
+  windowForLocation,
+  composeGrid,
+  buildNowcast,
+  createRainNowcast
+};
@@ -34,7 +34,8 @@ function buildRainViewerTileUrl(host, framePath, options) {
   const z = Number(options.z);
   const x = Number(options.x);
   const y = Number(options.y);
-  const color = Number(options.color || 3);
+  // Scheme 0 (raw reflectivity) is a real choice, so only a missing colour defaults.
+  const color = options.color === undefined || options.color === null || options.color === '' ? 3 : Number(options.color);
   const styleOptions = options.options || '1_1';
   return String(host).replace(/\/$/, '') + framePath + '/' + size + '/' + z + '/' + x + '/' + y + '/' + color + '/' + styleOptions + '.png';
 }
@@ -0,0 +1,243 @@
+'use strict';
+
+// Minimal RGBA raster operations for the pure-JS radar GIF backend.
+// Images are { width, height, data } with `data` an 8-bit RGBA Buffer, the
+// same shape `decodePng` returns.
+
+// 5x7 glyphs, one hex byte per row (bit 4 is the leftmost pixel).
+const FONT_WIDTH = 5;
+const FONT_HEIGHT = 7;
+const FONT = {
+  ' ': '00000000000000',
+  '0': '0e11131519110e',
+  '1': '040c040404040e',
+  '2': '0e11010204081f',
+  '3': '1f02040201110e',
+  '4': '02060a121f0202',
+  '5': '1f101e0101110e',
+  '6': '0608101e11110e',
+  '7': '1f010204080808',
+  '8': '0e11110e11110e',
+  '9': '0e11110f01020c',
+  ':': '000c0c000c0c00',
+  '.': '00000000000c0c',
+  ',': '00000000000c08',
+  '-': '0000001f000000',
+  '/': '00010204081000',
+  '(': '02040808080402',
+  ')': '08040202020408',
+  A: '0e1111111f1111',
+  B: '1e11111e11111e',
+  C: '0e11101010110e',
+  D: '1c12111111121c',
+  E: '1f10101e10101f',
+  F: '1f10101e101010',
+  G: '0e11101711110f',
+  H: '1111111f111111',
+  I: '0e04040404040e',
+  J: '0702020202120c',
+  K: '11121418141211',
+  L: '1010101010101f',
+  M: '111b1515111111',
+  N: '11111915131111',
+  O: '0e11111111110e',
+  P: '1e11111e101010',
+  Q: '0e11111115120d',
+  R: '1e11111e141211',
+  S: '0f10100e01011e',
+  T: '1f040404040404',
+  U: '1111111111110e',
+  V: '11111111110a04',
+  W: '1111111515150a',
+  X: '11110a040a1111',
+  Y: '1111110a040404',
+  Z: '1f01020408101f',
+  a: '00000e010f110f',
+  b: '1010161911111e',
+  c: '00000e1010110e',
+  d: '01010d1311110f',
+  e: '00000e111f100e',
+  f: '0609081c080808',
+  g: '000f11110f010e',
+  h: '10101619111111',
+  i: '04000c0404040e',
+  j: '0200060202120c',
+  k: '10101214181412',
+  l: '0c04040404040e',
+  m: '00001a15151111',
+  n: '00001619111111',
+  o: '00000e1111110e',
+  p: '00001e111e1010',
+  q: '00000d130f0101',
+  r: '00001619101010',
+  s: '00000e100e011e',
+  t: '08081c08080906',
+  u: '0000111111130d',
+  v: '00001111110a04',
+  w: '0000111115150a',
+  x: '0000110a040a11',
+  y: '000011110f010e',
+  z: '00001f0204081f'
+};
+
+function createImage(width, height, rgba) {
+  const data = Buffer.alloc(width * height * 4);
+  const fill = rgba || [0, 0, 0, 255];
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = fill[0];
+    data[i + 1] = fill[1];
+    data[i + 2] = fill[2];
+    data[i + 3] = fill[3] === undefined ? 255 : fill[3];
+  }
+  return { width, height, data };
+}
+
+function cloneImage(image) {
+  return { width: image.width, height: image.height, data: Buffer.from(image.data) };
+}
+
+function cropImage(image, left, top, width, height) {
+  const out = createImage(width, height, [0, 0, 0, 0]);
+  for (let y = 0; y < height; y += 1) {
+    const sy = top + y;
+    if (sy < 0 || sy >= image.height) {
+      continue;
+    }
+    const from = Math.max(0, left);
+    const to = Math.min(image.width, left + width);
+    if (to > from) {
+      image.data.copy(out.data, ((y * width) + (from - left)) * 4, ((sy * image.width) + from) * 4, ((sy * image.width) + to) * 4);
+    }
+  }
+  return out;
+}
+
+// The `eq` settings of an ffmpeg filter string such as
+// "format=rgba,eq=saturation=2.35:contrast=1.35:brightness=0.02"; other
+// filters in the chain have no pure-JS equivalent and are ignored.
+function parseEqFilter(filter) {
+  const part = String(filter || '').split(',').map((item) => item.trim()).find((item) => item.indexOf('eq=') === 0);
+  if (!part) {
+    return null;
+  }
+  const eq = { brightness: 0, contrast: 1, saturation: 1 };
+  part.slice(3).split(':').forEach((pair) => {
+    const bits = pair.split('=');
+    const value = Number(bits[1]);
+    if (Object.prototype.hasOwnProperty.call(eq, bits[0]) && Number.isFinite(value)) {
+      eq[bits[0]] = value;
+    }
+  });
+  return eq;
+}
+
+// ffmpeg's eq works on luma (brightness, contrast) and chroma (saturation).
+function applyEq(r, g, b, eq, out) {
+  const luma = ((0.299 * r) + (0.587 * g) + (0.114 * b)) / 255;
+  const adjusted = (((luma - 0.5) * eq.contrast) + 0.5 + eq.brightness) * 255;
+  const base = luma * 255;
+  out[0] = Math.max(0, Math.min(255, Math.round(adjusted + ((r - base) * eq.saturation))));
+  out[1] = Math.max(0, Math.min(255, Math.round(adjusted + ((g - base) * eq.saturation))));
+  out[2] = Math.max(0, Math.min(255, Math.round(adjusted + ((b - base) * eq.saturation))));
+  return out;
+}
+
+// Alpha-blends `src` onto `dst` with its top-left corner at (x, y).
+// `width`/`height` resize the source with nearest-neighbour sampling.
+function drawImage(dst, src, x, y, options) {
+  const opts = options || {};
+  const width = opts.width || src.width;
+  const height = opts.height || src.height;
+  const eq = opts.eq || null;
+  const left = Math.round(x);
+  const top = Math.round(y);
+  const rgb = [0, 0, 0];
+  for (let dy = Math.max(0, -top); dy < height && top + dy < dst.height; dy += 1) {
+    const sy = Math.floor((dy * src.height) / height);
+    for (let dx = Math.max(0, -left); dx < width && left + dx < dst.width; dx += 1) {
+      const sx = Math.floor((dx * src.width) / width);
+      const s = ((sy * src.width) + sx) * 4;
+      const alpha = src.data[s + 3];
+      if (!alpha) {
+        continue;
+      }
+      if (eq) {
+        applyEq(src.data[s], src.data[s + 1], src.data[s + 2], eq, rgb);
+      } else {
+        rgb[0] = src.data[s];
+        rgb[1] = src.data[s + 1];
+        rgb[2] = src.data[s + 2];
+      }
+      const d = (((top + dy) * dst.width) + left + dx) * 4;
+      const a = alpha / 255;
+      dst.data[d] = Math.round((rgb[0] * a) + (dst.data[d] * (1 - a)));
+      dst.data[d + 1] = Math.round((rgb[1] * a) + (dst.data[d + 1] * (1 - a)));
+      dst.data[d + 2] = Math.round((rgb[2] * a) + (dst.data[d + 2] * (1 - a)));
+      dst.data[d + 3] = Math.max(dst.data[d + 3], alpha);
+    }
+  }
+}
+
+function fillRect(dst, x, y, width, height, rgb, alpha) {
+  const a = alpha === undefined ? 1 : alpha;
+  for (let py = Math.max(0, y); py < Math.min(dst.height, y + height); py += 1) {
+    for (let px = Math.max(0, x); px < Math.min(dst.width, x + width); px += 1) {
+      const d = ((py * dst.width) + px) * 4;
+      dst.data[d] = Math.round((rgb[0] * a) + (dst.data[d] * (1 - a)));
+      dst.data[d + 1] = Math.round((rgb[1] * a) + (dst.data[d + 1] * (1 - a)));
+      dst.data[d + 2] = Math.round((rgb[2] * a) + (dst.data[d + 2] * (1 - a)));
+      dst.data[d + 3] = 255;
+    }
+  }
+}
+
+function measureText(text, scale) {
+  const length = String(text || '').length;
+  return {
+    width: length ? ((length * (FONT_WIDTH + 1)) - 1) * scale : 0,
+    height: FONT_HEIGHT * scale
+  };
+}
+
+function drawGlyphs(dst, text, x, y, scale, rgb) {
+  String(text || '').split('').forEach((char, index) => {
+    const glyph = FONT[char] || FONT[' '];
+    const left = x + (index * (FONT_WIDTH + 1) * scale);
+    for (let row = 0; row < FONT_HEIGHT; row += 1) {
+      const bits = parseInt(glyph.substr(row * 2, 2), 16);
+      for (let col = 0; col < FONT_WIDTH; col += 1) {
+        if (bits & (0x10 >> col)) {
+          fillRect(dst, left + (col * scale), y + (row * scale), scale, scale, rgb);
+        }
+      }
+    }
+  });
+}
+
+// Bitmap text with an optional one-pixel outline (ffmpeg drawtext's borderw=1).
+// Characters missing from the font draw as spaces.
+function drawText(dst, text, x, y, options) {
+  const opts = options || {};
+  const scale = opts.scale || 1;
+  if (opts.borderColor) {
+    for (let oy = -1; oy <= 1; oy += 1) {
+      for (let ox = -1; ox <= 1; ox += 1) {
+        if (ox || oy) {
+          drawGlyphs(dst, text, x + ox, y + oy, scale, opts.borderColor);
+        }
+      }
+    }
+  }
+  drawGlyphs(dst, text, x, y, scale, opts.color || [0, 0, 0]);
+}
+
+module.exports = {
+  createImage,
+  cloneImage,
+  cropImage,
+  parseEqFilter,
+  drawImage,
+  fillRect,
+  measureText,
+  drawText
+};
@@ -88,10 +88,51 @@ function applyEnvOverrides(config, envMap) {
     config.homeAssistant.token = String(haToken);
   }
 
+  if (env.METRICS_TOKEN) {
+    config.metrics.token = String(env.METRICS_TOKEN);
+  }
+
+  if (env.MQTT_USERNAME) {
+    config.mqtt.username = String(env.MQTT_USERNAME);
+  }
+
+  if (env.MQTT_PASSWORD) {
+    config.mqtt.password = String(env.MQTT_PASSWORD);
+  }
+
+  if (env.DASHBOARD_DATA_DIR) {
+    config.storage.dataDir = String(env.DASHBOARD_DATA_DIR);
+  }
+
   if (env.DASHBOARD_TIMEZONE || env.TIME_ZONE) {
     config.timeZone = String(env.DASHBOARD_TIMEZONE || env.TIME_ZONE || '').trim() || config.timeZone;
   }
 
+  if (env.FRONIUS_SIMULATOR) {
+    config.fronius.simulator.enabled = env.FRONIUS_SIMULATOR === '1' || env.FRONIUS_SIMULATOR.toLowerCase() === 'true';
+  }
+
+  if (env.FRONIUS_SIMULATOR_PORT) {
+    const port = Number(env.FRONIUS_SIMULATOR_PORT);
+    if (Number.isInteger(port) && port > 0 && port < 65536) {
+      config.fronius.simulator.port = port;
+    }
+  }
+
+  if (env.FRONIUS_SIMULATOR_BATTERY_KWH) {
+    const batteryKwh = Number(env.FRONIUS_SIMULATOR_BATTERY_KWH);
+    if (Number.isFinite(batteryKwh) && batteryKwh >= 0) {
+      config.fronius.simulator.batteryKwh = batteryKwh;
+    }
+  }
+
+  // The simulator stands in for every configured inverter.
+  if (config.fronius.simulator.enabled) {
+    config.fronius.baseUrl = 'http://127.0.0.1:' + config.fronius.simulator.port;
+    config.fronius.transport = 'http';
+    config.fronius.systems = [];
+  }
+
   return config;
 }
 
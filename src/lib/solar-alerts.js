@@ -0,0 +1,218 @@
+'use strict';
+
+const { clearSkyWattsAt, cloudFactor } = require('./solar-forecast');
+
+const MINUTE_MS = 60 * 1000;
+const ZERO_GENERATION_W = 20;
+// Below a tenth of the clear-sky peak the sun is too low to expect anything.
+const DAYLIGHT_PEAK_SHARE = 0.1;
+const STRING_BASELINE_SAMPLES = 10;
+const STRING_BASELINE_MIN_SHARE = 0.15;
+const STRING_BASELINE_ALPHA = 0.1;
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  if (!sorted.length) {
+    return null;
+  }
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function formatMinutes(ms) {
+  return Math.round(ms / MINUTE_MS) + ' min';
+}
+
+function stringKey(inverter, string) {
+  return (inverter.systemId || '') + ':' + inverter.id + ':' + string.mppt;
+}
+
+// Conditions that hold right now. Each carries the time it must persist for
+// before the monitor raises it, so a passing cloud does not trip an alert.
+function detectSolarAnomalies(input, settings, stringBaselines) {
+  const source = input || {};
+  const now = Number(source.now || Date.now());
+  const secOfDay = Number(source.secOfDay || 0);
+  const clearSky = source.clearSky || {};
+  const peakW = Number(clearSky.peakW || 0);
+  const daylightW = peakW * DAYLIGHT_PEAK_SHARE;
+  const isDaylightAt = (sec) => peakW > 0 && clearSkyWattsAt(clearSky.series, sec) > daylightW;
+  const history = Array.isArray(source.history) ? source.history : [];
+  const anomalies = [];
+
+  const lastSampleAt = Number(source.realtimeAt || 0) || (history.length ? history[history.length - 1].ts : 0);
+  const offlineMs = settings.offlineMinutes * MINUTE_MS;
+  if (lastSampleAt && isDaylightAt(secOfDay) && now - lastSampleAt > offlineMs) {
+    anomalies.push({
+      id: 'inverter_offline',
+      type: 'inverter_offline',
+      severity: 'critical',
+      message: 'Inverter offline for ' + formatMinutes(now - lastSampleAt),
+      confirmMs: 0
+    });
+  }
+
+  const zeroMs = settings.zeroGenerationMinutes * MINUTE_MS;
+  const window = history.filter((sample) => sample.ts >= now - zeroMs);
+  if (window.length >= 3 &&
+    window[0].ts - (now - zeroMs) < zeroMs / 4 &&
+    isDaylightAt(secOfDay) &&
+    isDaylightAt(secOfDay - (zeroMs / 1000)) &&
+    window.every((sample) => Number(sample.generatedW || 0) < ZERO_GENERATION_W)) {
+    anomalies.push({
+      id: 'zero_generation',
+      type: 'zero_generation',
+      severity: 'critical',
+      message: 'No solar generation for ' + formatMinutes(zeroMs) + ' in daylight',
+      confirmMs: 0
+    });
+  }
+
+  // Forecast cloud cover explains a dull day; without a forecast, recent
+  // daily totals stand in for what a normal day produces by now.
+  const expectedSoFar = Number(clearSky.expectedKwhSoFar || 0);
+  const generatedKwh = Math.max(0, Number(source.generatedKwh || 0));
+  if (expectedSoFar >= settings.minExpectedKwh) {
+    let baselineKwh = null;
+    if (source.cloudPct !== null && source.cloudPct !== undefined) {
+      baselineKwh = expectedSoFar * cloudFactor(source.cloudPct);
+    } else {
+      const recent = (Array.isArray(source.recentDailyKwh) ? source.recentDailyKwh : []).filter((kwh) => kwh > 0);
+      const typical = recent.length >= 3 ? median(recent) : null;
+      if (typical !== null && Number(clearSky.expectedKwh || 0) > 0) {
+        baselineKwh = typical * (expectedSoFar / Number(clearSky.expectedKwh));
+      }
+    }
+    if (baselineKwh !== null && baselineKwh > 0 && generatedKwh < baselineKwh * settings.lowRatio) {
+      anomalies.push({
+        id: 'low_production',
+        type: 'low_production',
+        severity: 'warning',
+        message: 'Production ' + Math.round((generatedKwh / baselineKwh) * 100) + '% of expected so far today',
+        confirmMs: settings.confirmMinutes * MINUTE_MS
+      });
+    }
+  }
+
+  const inverters = source.devices && Array.isArray(source.devices.inverters) ? source.devices.inverters : [];
+  inverters.forEach((inverter) => {
+    const strings = Array.isArray(inverter.strings) ? inverter.strings : [];
+    const totalW = strings.reduce((sum, string) => sum + Math.max(0, Number(string.powerW || 0)), 0);
+    if (strings.length < 2 || totalW < settings.minStringW) {
+      return;
+    }
+    strings.forEach((string) => {
+      const baseline = stringBaselines.get(stringKey(inverter, string));
+      if (!baseline || baseline.samples < STRING_BASELINE_SAMPLES || baseline.share < STRING_BASELINE_MIN_SHARE) {
+        return;
+      }
+      const share = Math.max(0, Number(string.powerW || 0)) / totalW;
+      if (share < baseline.share * settings.stringDropRatio) {
+        anomalies.push({
+          id: 'string_dropout:' + stringKey(inverter, string),
+          type: 'string_dropout',
+          severity: 'warning',
+          systemId: inverter.systemId || null,
+          message: 'String ' + string.mppt + ' on ' + (inverter.systemName ? inverter.systemName + ' ' : '') + (inverter.name || 'inverter') +
+            ' at ' + Math.round(share * 100) + '% of DC power (usually ' + Math.round(baseline.share * 100) + '%)',
+          confirmMs: settings.confirmMinutes * MINUTE_MS
+        });
+      }
+    });
+  });
+
+  return anomalies;
+}
+
+function normalizeAlertSettings(config) {
+  const source = config || {};
+  return {
+    enabled: source.enabled !== false,
+    offlineMinutes: Math.max(1, Number(source.offlineMinutes || 10)),
+    zeroGenerationMinutes: Math.max(5, Number(source.zeroGenerationMinutes || 20)),
+    lowRatio: Math.max(0, Math.min(1, Number(source.lowRatio === undefined ? 0.4 : source.lowRatio))),
+    minExpectedKwh: Math.max(0.5, Number(source.minExpectedKwh || 2)),
+    stringDropRatio: Math.max(0, Math.min(1, Number(source.stringDropRatio === undefined ? 0.2 : source.stringDropRatio))),
+    minStringW: Math.max(0, Number(source.minStringW === undefined ? 500 : source.minStringW)),
+    confirmMinutes: Math.max(0, Number(source.confirmMinutes === undefined ? 15 : source.confirmMinutes))
+  };
+}
+
+// Tracks when each anomaly started and how each MPPT string normally shares
+// the DC power, and reports alerts until their condition clears.
+function createSolarAlertMonitor(config) {
+  const settings = normalizeAlertSettings(config);
+  const firstSeen = new Map();
+  const stringBaselines = new Map();
+  let lastDevicesAt = null;
+
+  function learnStrings(devices, flaggedKeys) {
+    if (!devices || !devices.updatedAt || devices.updatedAt === lastDevicesAt) {
+      return;
+    }
+    lastDevicesAt = devices.updatedAt;
+    (Array.isArray(devices.inverters) ? devices.inverters : []).forEach((inverter) => {
+      const strings = Array.isArray(inverter.strings) ? inverter.strings : [];
+      const totalW = strings.reduce((sum, string) => sum + Math.max(0, Number(string.powerW || 0)), 0);
+      // Freeze the split while a string is flagged so the baseline does not learn the fault.
+      if (strings.length < 2 || totalW < settings.minStringW ||
+        strings.some((string) => flaggedKeys.indexOf(stringKey(inverter, string)) > -1)) {
+        return;
+      }
+      strings.forEach((string) => {
+        const key = stringKey(inverter, string);
+        const share = Math.max(0, Number(string.powerW || 0)) / totalW;
+        const baseline = stringBaselines.get(key);
+        stringBaselines.set(key, baseline
+          ? { share: baseline.share + ((share - baseline.share) * STRING_BASELINE_ALPHA), samples: baseline.samples + 1 }
+          : { share, samples: 1 });
+      });
+    });
+  }
+
+  function evaluate(input, nowMs) {
+    if (!settings.enabled) {
+      return [];
+    }
+    const now = Number(nowMs || Date.now());
+    const anomalies = detectSolarAnomalies(Object.assign({}, input, { now }), settings, stringBaselines);
+    const activeIds = anomalies.map((anomaly) => anomaly.id);
+    Array.from(firstSeen.keys()).forEach((id) => {
+      if (activeIds.indexOf(id) === -1) {
+        firstSeen.delete(id);
+      }
+    });
+    const alerts = [];
+    anomalies.forEach((anomaly) => {
+      if (!firstSeen.has(anomaly.id)) {
+        firstSeen.set(anomaly.id, now);
+      }
+      const since = firstSeen.get(anomaly.id);
+      if (now - since < anomaly.confirmMs) {
+        return;
+      }
+      alerts.push({
+        id: anomaly.id,
+        type: anomaly.type,
+        severity: anomaly.severity,
+        message: anomaly.message,
+        systemId: anomaly.systemId || null,
+        since: new Date(since).toISOString()
+      });
+    });
+    learnStrings(input && input.devices, anomalies
+      .filter((anomaly) => anomaly.type === 'string_dropout')
+      .map((anomaly) => anomaly.id.slice('string_dropout:'.length)));
+    return alerts;
+  }
+
+  return {
+    evaluate
+  };
+}
+
+module.exports = {
+  createSolarAlertMonitor,
+  detectSolarAnomalies,
+  normalizeAlertSettings
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+const { createTariff } = require('./tariff');
+const { shiftDayKey } = require('./solar-history');
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+function dayKeyFor(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, 1));
+  const clamped = Math.min(day, daysInMonth(date.getUTCFullYear(), date.getUTCMonth()));
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), clamped)).toISOString().slice(0, 10);
+}
+
+function resolveBillingPeriod(dayKey, billing) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dayKey || ''));
+  if (!match) {
+    return null;
+  }
+  const source = billing || {};
+  const startDay = Math.min(28, Math.max(1, Math.floor(Number(source.startDay || 1))));
+  const lengthMonths = Math.min(12, Math.max(1, Math.floor(Number(source.lengthMonths || 1))));
+  const startMonthIndex = Math.min(11, Math.max(0, Math.floor(Number(source.startMonth || 1)) - 1));
+  // Count months from year zero so cycles longer than a month stay aligned
+  // to startMonth across year boundaries.
+  let monthNumber = (Number(match[1]) * 12) + Number(match[2]) - 1;
+  if (Number(match[3]) < startDay) {
+    monthNumber -= 1;
+  }
+  monthNumber -= (((monthNumber - startMonthIndex) % lengthMonths) + lengthMonths) % lengthMonths;
+  const from = dayKeyFor(Math.floor(monthNumber / 12), monthNumber % 12, startDay);
+  const nextFrom = dayKeyFor(Math.floor((monthNumber + lengthMonths) / 12), (monthNumber + lengthMonths) % 12, startDay);
+  const days = Math.round((Date.parse(nextFrom + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / (24 * 60 * 60 * 1000));
+  return {
+    from,
+    to: shiftDayKey(nextFrom, -1),
+    days
+  };
+}
+
+function roundCents(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function roundKwh(value) {
+  return Math.round(Number(value || 0) * 1000) / 1000;
+}
+
+function createSolarBillService(options) {
+  const history = options && options.history;
+  const store = (options && options.store) || null;
+  const getToday = options && options.getToday;
+
+  async function priceDay(tariff, dayKey, today, budget) {
+    if (dayKey === today.dayKey) {
+      return tariff.priceBins(today.bins, dayKey, null, today.totals);
+    }
+    const totals = await history.getDayTotals(dayKey, today, budget);
+    if (!totals) {
+      return null;
+    }
+    const stored = store ? store.getDay(dayKey) : null;
+    const bins = stored && Array.isArray(stored.bins) ? stored.bins : [];
+    return tariff.priceBins(bins, dayKey, null, totals);
+  }
+
+  async function getBill(pricing) {
+    const source = pricing || {};
+    const billing = source.billing || {};
+    const tariff = createTariff(source);
+    const today = getToday();
+    const budget = history.createFetchBudget();
+    const period = resolveBillingPeriod(today.dayKey, billing);
+    const dailySupplyCents = Math.max(0, Number(source.dailySupplyCents || 0));
+    const periodRows = new Map();
+    const accumulated = {
+      importKwh: 0,
+      exportKwh: 0,
+      importCents: 0,
+      feedInCents: 0,
+      supplyCents: 0,
+      netCents: 0,
+      missingDays: 0
+    };
+    let completedDays = 0;
+    let completedNetCents = 0;
+    let dayKey = period.from;
+    while (dayKey <= today.dayKey) {
+      const priced = await priceDay(tariff, dayKey, today, budget);
+      // Supply is charged whether or not the meter data for the day survived.
+      accumulated.supplyCents += dailySupplyCents;
+      let netCents = dailySupplyCents;
+      if (priced) {
+        accumulated.importKwh += priced.importKwh;
+        accumulated.exportKwh += priced.exportKwh;
+        accumulated.importCents += priced.importCents;
+        accumulated.feedInCents += priced.feedInCents;
+        netCents = priced.netCents;
+        priced.periods.forEach((row) => {
+          const existing = periodRows.get(row.name) || { name: row.name, centsPerKwh: row.centsPerKwh, importKwh: 0, importCents: 0 };
+          existing.importKwh += row.importKwh;
+          existing.importCents += row.importCents;
+          periodRows.set(row.name, existing);
+        });
+      } else {
+        accumulated.missingDays += 1;
+      }
+      accumulated.netCents += netCents;
+      if (dayKey !== today.dayKey) {
+        completedDays += 1;
+        completedNetCents += netCents;
+      }
+      dayKey = shiftDayKey(dayKey, 1);
+    }
+
+    const projectionDays = Math.max(1, Math.floor(Number(billing.projectionDays || 14)));
+    let basisDays = 0;
+    let basisCents = 0;
+    for (let i = 1; i <= projectionDays; i += 1) {
+      const priced = await priceDay(tariff, shiftDayKey(today.dayKey, -i), today, budget);
+      if (priced) {
+        basisDays += 1;
+        basisCents += priced.netCents;
+      }
+    }
+    const averageDailyCents = basisDays > 0 ? basisCents / basisDays : null;
+    const elapsedDays = completedDays + 1;
+
+    return {
+      period: {
+        from: period.from,
+        to: period.to,
+        days: period.days,
+        elapsedDays,
+        remainingDays: Math.max(0, period.days - elapsedDays)
+      },
+      accumulated: {
+        importKwh: roundKwh(accumulated.importKwh),
+        exportKwh: roundKwh(accumulated.exportKwh),
+        importCents: roundCents(accumulated.importCents),
+        feedInCents: roundCents(accumulated.feedInCents),
+        supplyCents: roundCents(accumulated.supplyCents),
+        netCents: roundCents(accumulated.netCents),
+        missingDays: accumulated.missingDays,
+        periods: Array.from(periodRows.values()).map((row) => ({
+          name: row.name,
+          centsPerKwh: row.centsPerKwh,
+          importKwh: roundKwh(row.importKwh),
+          importCents: roundCents(row.importCents)
+        }))
+      },
+      partial: budget.deferredDays > 0,
+      projection: averageDailyCents === null ? null : {
+        basisDays,
+        averageDailyCents: roundCents(averageDailyCents),
+        // Today is still in progress, so it is projected like the days ahead.
+        netCents: roundCents(completedNetCents + (averageDailyCents * (period.days - completedDays)))
+      }
+    };
+  }
+
+  return {
+    getBill
+  };
+}
+
+module.exports = {
+  createSolarBillService,
+  resolveBillingPeriod
+};
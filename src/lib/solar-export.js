@@ -0,0 +1,250 @@
+'use strict';
+
+const { createTariff } = require('./tariff');
+const { shiftDayKey } = require('./solar-history');
+const { HISTORY_GAP_LIMIT_MS } = require('./solar-store');
+
+const DAY_SECONDS = 24 * 60 * 60;
+const BUCKET_SECONDS = { '5m': 300, hour: 3600, day: DAY_SECONDS };
+// 5-minute rows come from realtime samples, which the store keeps for 48 hours.
+const MAX_RANGE_DAYS = { '5m': 2, hour: 31, day: 400 };
+const DEFAULT_RANGE_DAYS = { '5m': 1, hour: 7, day: 30 };
+const CSV_COLUMNS = [
+  ['start', 'start'],
+  ['generated_kwh', 'generatedKwh'],
+  ['import_kwh', 'importKwh'],
+  ['export_kwh', 'exportKwh'],
+  ['load_kwh', 'loadKwh'],
+  ['import_cents', 'importCents'],
+  ['feed_in_cents', 'feedInCents'],
+  ['supply_cents', 'supplyCents'],
+  ['net_cents', 'netCents']
+];
+
+function isDayKey(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) && shiftDayKey(value, 0) === value;
+}
+
+function formatClock(secOfDay) {
+  const minutes = Math.floor(secOfDay / 60);
+  return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(Number(value || 0) * factor) / factor;
+}
+
+function emptyRow(start) {
+  return { start, generatedWh: 0, importWh: 0, exportWh: 0, loadWh: 0, importCents: 0, feedInCents: 0, supplyCents: 0 };
+}
+
+function finishRow(row) {
+  return {
+    start: row.start,
+    generatedKwh: round(row.generatedWh / 1000, 3),
+    importKwh: round(row.importWh / 1000, 3),
+    exportKwh: round(row.exportWh / 1000, 3),
+    loadKwh: round(row.loadWh / 1000, 3),
+    importCents: round(row.importCents, 2),
+    feedInCents: round(row.feedInCents, 2),
+    supplyCents: round(row.supplyCents, 2),
+    netCents: round(row.importCents + row.supplyCents - row.feedInCents, 2)
+  };
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function csvHeader() {
+  return CSV_COLUMNS.map((column) => column[0]).join(',') + '\n';
+}
+
+function csvLine(row) {
+  return CSV_COLUMNS.map((column) => csvValue(row[column[1]])).join(',') + '\n';
+}
+
+// Integrates realtime samples into fixed slices of one local day. Each
+// interval is held at the earlier sample and booked to the slice it starts in.
+function slicesFromSamples(samples, dayKey, locate, sliceSeconds) {
+  const slices = new Map();
+  for (let i = 1; i < samples.length; i += 1) {
+    const prev = samples[i - 1];
+    const curr = samples[i];
+    const dtMs = curr.ts - prev.ts;
+    if (!(dtMs > 0) || dtMs > HISTORY_GAP_LIMIT_MS) {
+      continue;
+    }
+    const at = locate(prev.ts);
+    if (at.dayKey !== dayKey) {
+      continue;
+    }
+    const secOfDay = Math.floor(at.secOfDay / sliceSeconds) * sliceSeconds;
+    const hours = dtMs / 3600000;
+    const gridW = Number(prev.gridW || 0);
+    const slice = slices.get(secOfDay) || { secOfDay, generatedWh: 0, importWh: 0, exportWh: 0, loadWh: 0 };
+    slice.generatedWh += Math.max(0, Number(prev.generatedW || 0)) * hours;
+    slice.importWh += Math.max(0, gridW) * hours;
+    slice.exportWh += Math.max(0, -gridW) * hours;
+    slice.loadWh += Math.max(0, Number(prev.loadW || 0)) * hours;
+    slices.set(secOfDay, slice);
+  }
+  return Array.from(slices.values()).sort((a, b) => a.secOfDay - b.secOfDay);
+}
+
+function slicesFromBins(bins, untilSecOfDay) {
+  const source = Array.isArray(bins) ? bins : [];
+  const binSeconds = DAY_SECONDS / Math.max(1, source.length);
+  const out = [];
+  for (let i = 0; i < source.length; i += 1) {
+    const bin = source[i] || {};
+    const index = Number.isFinite(Number(bin.binIndex)) ? Number(bin.binIndex) : i;
+    const secOfDay = index * binSeconds;
+    if (secOfDay >= untilSecOfDay) {
+      continue;
+    }
+    const importWh = Math.max(0, Number(bin.importWh || 0));
+    const exportWh = Math.max(0, Number(bin.exportWh || 0));
+    const generatedWh = Math.max(0, Number(bin.generatedWh || 0));
+    out.push({
+      secOfDay,
+      generatedWh,
+      importWh,
+      exportWh,
+      loadWh: Number(bin.loadWh) > 0 ? Number(bin.loadWh) : Math.max(0, generatedWh - exportWh) + importWh
+    });
+  }
+  return out;
+}
+
+// Rows of generation, grid flow, load and cost from persisted history:
+// daily totals for `day`, the 30-minute day bins for `hour` and the realtime
+// sample journal for `5m`. Costs follow the configured tariff, with the daily
+// supply charge pro rata to each row's length.
+function createSolarExportService(options) {
+  const history = options && options.history;
+  const store = (options && options.store) || null;
+  const getToday = options && options.getToday;
+  const getSamples = (options && options.getSamples) || function noSamples() { return []; };
+  const locate = options && options.locate;
+
+  function defaultFrom(toKey, resolution) {
+    return shiftDayKey(toKey, 1 - (DEFAULT_RANGE_DAYS[resolution] || 1));
+  }
+
+  function validateRange(fromKey, toKey, resolution) {
+    if (!isDayKey(fromKey) || !isDayKey(toKey)) {
+      return 'invalid_date';
+    }
+    if (!BUCKET_SECONDS[resolution]) {
+      return 'invalid_resolution';
+    }
+    if (fromKey > toKey) {
+      return 'invalid_range';
+    }
+    if (shiftDayKey(fromKey, MAX_RANGE_DAYS[resolution] - 1) < toKey) {
+      return 'range_too_large';
+    }
+    return null;
+  }
+
+  async function daySlices(dayKey, resolution, today, budget) {
+    const untilSecOfDay = dayKey === today.dayKey ? today.secOfDay : DAY_SECONDS;
+    if (resolution === '5m') {
+      const samples = getSamples(Date.parse(shiftDayKey(dayKey, -1) + 'T00:00:00.000Z'));
+      return slicesFromSamples(samples, dayKey, locate, BUCKET_SECONDS['5m']);
+    }
+    const day = dayKey === today.dayKey ? today : await history.getDay(dayKey, budget);
+    return day ? slicesFromBins(day.bins, untilSecOfDay) : [];
+  }
+
+  async function dayRow(tariff, supplyCents, dayKey, today, budget) {
+    const totals = await history.getDayTotals(dayKey, today, budget);
+    if (!totals) {
+      return null;
+    }
+    const stored = dayKey === today.dayKey ? today : (store ? store.getDay(dayKey) : null);
+    const bins = stored && Array.isArray(stored.bins) ? stored.bins : [];
+    const priced = tariff.priceBins(bins, dayKey, null, totals);
+    const loadFromBins = slicesFromBins(bins, DAY_SECONDS).reduce((sum, slice) => sum + slice.loadWh, 0);
+    const row = emptyRow(dayKey);
+    row.generatedWh = Number(totals.generatedKwh || 0) * 1000;
+    row.importWh = Number(totals.importKwh || 0) * 1000;
+    row.exportWh = Number(totals.exportKwh || 0) * 1000;
+    row.loadWh = loadFromBins > 0 ? loadFromBins : Math.max(0, row.generatedWh - row.exportWh) + row.importWh;
+    row.importCents = priced.importCents;
+    row.feedInCents = priced.feedInCents;
+    row.supplyCents = supplyCents;
+    return row;
+  }
+
+  // Calls onRow with each row in time order and resolves to a summary, so a
+  // caller can stream a long range without holding it all.
+  async function exportRange(fromKey, toKey, resolution, pricing, onRow) {
+    const tariff = createTariff(pricing);
+    const dailySupplyCents = Math.max(0, Number((pricing && pricing.dailySupplyCents) || 0));
+    const bucketSeconds = BUCKET_SECONDS[resolution];
+    const supplyPerBucket = dailySupplyCents * (bucketSeconds / DAY_SECONDS);
+    const today = getToday();
+    const budget = history.createFetchBudget();
+    let rows = 0;
+    let missingDays = 0;
+    for (let dayKey = fromKey; dayKey <= toKey; dayKey = shiftDayKey(dayKey, 1)) {
+      if (dayKey > today.dayKey) {
+        break;
+      }
+      if (resolution === 'day') {
+        const row = await dayRow(tariff, dailySupplyCents, dayKey, today, budget);
+        if (row) {
+          rows += 1;
+          await onRow(finishRow(row));
+        } else {
+          missingDays += 1;
+        }
+        continue;
+      }
+      const slices = await daySlices(dayKey, resolution, today, budget);
+      if (!slices.length) {
+        missingDays += 1;
+        continue;
+      }
+      // Feed-in tiers run on the day's cumulative export.
+      let exportedKwh = 0;
+      const buckets = new Map();
+      slices.forEach((slice) => {
+        const bucketSec = Math.floor(slice.secOfDay / bucketSeconds) * bucketSeconds;
+        const row = buckets.get(bucketSec) || emptyRow(dayKey + ' ' + formatClock(bucketSec));
+        const exportKwh = slice.exportWh / 1000;
+        row.generatedWh += slice.generatedWh;
+        row.importWh += slice.importWh;
+        row.exportWh += slice.exportWh;
+        row.loadWh += slice.loadWh;
+        row.importCents += (slice.importWh / 1000) * tariff.periodAt(dayKey, Math.floor(slice.secOfDay / 60)).centsPerKwh;
+        row.feedInCents += exportKwh * tariff.feedInCentsAt(exportedKwh);
+        row.supplyCents = supplyPerBucket;
+        exportedKwh += exportKwh;
+        buckets.set(bucketSec, row);
+      });
+      const ordered = Array.from(buckets.keys()).sort((a, b) => a - b);
+      for (let i = 0; i < ordered.length; i += 1) {
+        rows += 1;
+        await onRow(finishRow(buckets.get(ordered[i])));
+      }
+    }
+    return { from: fromKey, to: toKey, resolution, rows, missingDays, deferredDays: budget.deferredDays };
+  }
+
+  return {
+    defaultFrom,
+    validateRange,
+    exportRange
+  };
+}
+
+module.exports = {
+  createSolarExportService,
+  csvHeader,
+  csvLine
+};
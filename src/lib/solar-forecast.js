@@ -0,0 +1,245 @@
+'use strict';
+
+const DEG = Math.PI / 180;
+const DAY_SECONDS = 24 * 60 * 60;
+const SOLAR_CONSTANT_W = 1353;
+const SLOT_HALF_WIDTH_MS = 90 * 60 * 1000;
+
+function dayOfYear(ms) {
+  const date = new Date(ms);
+  return Math.floor((ms - Date.UTC(date.getUTCFullYear(), 0, 1)) / (DAY_SECONDS * 1000)) + 1;
+}
+
+// Low-precision solar ephemeris (roughly 0.01 deg), good enough for
+// production curves. Azimuth is measured clockwise from north.
+function sunPosition(ms, latDeg, lonDeg) {
+  const d = (Number(ms) / 86400000) + 2440587.5 - 2451545.0;
+  const g = (357.529 + (0.98560028 * d)) * DEG;
+  const q = 280.459 + (0.98564736 * d);
+  const lambda = (q + (1.915 * Math.sin(g)) + (0.020 * Math.sin(2 * g))) * DEG;
+  const epsilon = (23.439 - (0.00000036 * d)) * DEG;
+  const rightAscension = Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda));
+  const declination = Math.asin(Math.sin(epsilon) * Math.sin(lambda));
+  const gmstHours = 18.697374558 + (24.06570982441908 * d);
+  const hourAngle = ((gmstHours * 15) + Number(lonDeg)) * DEG - rightAscension;
+  const lat = Number(latDeg) * DEG;
+  const sinElevation = (Math.sin(lat) * Math.sin(declination)) +
+    (Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle));
+  const elevation = Math.asin(Math.max(-1, Math.min(1, sinElevation)));
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle) * Math.cos(declination),
+    (Math.sin(declination) * Math.cos(lat)) - (Math.cos(declination) * Math.sin(lat) * Math.cos(hourAngle))
+  );
+  return {
+    elevationDeg: elevation / DEG,
+    azimuthDeg: ((azimuth / DEG) + 360) % 360
+  };
+}
+
+// Meinel clear-sky beam model with Kasten-Young air mass; diffuse is taken
+// as a tenth of the beam, which matches clear days well enough.
+function clearSkyIrradiance(elevationDeg, doy) {
+  const elevation = Number(elevationDeg);
+  if (!(elevation > 0)) {
+    return { dni: 0, dhi: 0, ghi: 0 };
+  }
+  const airMass = 1 / (Math.sin(elevation * DEG) + (0.50572 * Math.pow(elevation + 6.07995, -1.6364)));
+  const extraterrestrial = SOLAR_CONSTANT_W * (1 + (0.033 * Math.cos((2 * Math.PI * Number(doy || 1)) / 365)));
+  const dni = extraterrestrial * Math.pow(0.7, Math.pow(airMass, 0.678));
+  const dhi = dni * 0.1;
+  return {
+    dni,
+    dhi,
+    ghi: (dni * Math.sin(elevation * DEG)) + dhi
+  };
+}
+
+function planeOfArrayIrradiance(sun, irradiance, tiltDeg, azimuthDeg, albedo) {
+  if (!(sun.elevationDeg > 0)) {
+    return 0;
+  }
+  const tilt = Number(tiltDeg || 0) * DEG;
+  const zenith = (90 - sun.elevationDeg) * DEG;
+  const cosIncidence = (Math.cos(zenith) * Math.cos(tilt)) +
+    (Math.sin(zenith) * Math.sin(tilt) * Math.cos((sun.azimuthDeg - Number(azimuthDeg || 0)) * DEG));
+  const beam = irradiance.dni * Math.max(0, cosIncidence);
+  const diffuse = irradiance.dhi * (1 + Math.cos(tilt)) / 2;
+  const ground = irradiance.ghi * Number(albedo === undefined ? 0.2 : albedo) * (1 - Math.cos(tilt)) / 2;
+  return beam + diffuse + ground;
+}
+
+function resolveSite(config) {
+  const source = config || {};
+  const site = source.site || {};
+  const radar = source.radar || {};
+  const pricing = source.pricing || {};
+  const lat = typeof site.lat === 'number' ? site.lat : Number(radar.lat);
+  const lon = typeof site.lon === 'number' ? site.lon : Number(radar.lon);
+  const inverterKw = Math.max(0, Number(pricing.inverterCapacityKw || 0));
+  return {
+    lat,
+    lon,
+    tiltDeg: Number(site.tiltDeg || 0),
+    // Default to facing the equator.
+    azimuthDeg: typeof site.azimuthDeg === 'number' ? site.azimuthDeg : (lat < 0 ? 0 : 180),
+    arrayKw: Number(site.arrayKw) > 0 ? Number(site.arrayKw) : inverterKw,
+    inverterKw,
+    lossPct: Math.max(0, Math.min(100, Number(site.lossPct === undefined ? 14 : site.lossPct)))
+  };
+}
+
+// Builds today's expected AC output as [{secOfDay, value}] in W. dayStartMs is
+// the UTC instant of local midnight; a DST shift mid-day moves the curve by
+// the shift for the rest of that one day.
+function buildClearSkyCurve(site, dayStartMs, stepSeconds) {
+  const step = Math.max(60, Number(stepSeconds || 300));
+  const series = [];
+  let expectedWh = 0;
+  let peakW = 0;
+  if (!Number.isFinite(site.lat) || !Number.isFinite(site.lon) || !(site.arrayKw > 0)) {
+    return { series, expectedKwh: 0, peakW: 0 };
+  }
+  const doy = dayOfYear(dayStartMs + (DAY_SECONDS * 1000 / 2));
+  const derate = 1 - (site.lossPct / 100);
+  const clipW = site.inverterKw > 0 ? site.inverterKw * 1000 : Infinity;
+  for (let sec = 0; sec < DAY_SECONDS; sec += step) {
+    const mid = sec + (step / 2);
+    const sun = sunPosition(dayStartMs + (mid * 1000), site.lat, site.lon);
+    const poa = planeOfArrayIrradiance(sun, clearSkyIrradiance(sun.elevationDeg, doy), site.tiltDeg, site.azimuthDeg);
+    const value = Math.min(clipW, site.arrayKw * poa * derate);
+    series.push({ secOfDay: mid, value: Math.round(value) });
+    expectedWh += value * (step / 3600);
+    peakW = Math.max(peakW, value);
+  }
+  return {
+    series,
+    expectedKwh: Math.round(expectedWh) / 1000,
+    peakW: Math.round(peakW)
+  };
+}
+
+function expectedKwhUntil(series, secOfDay) {
+  const source = Array.isArray(series) ? series : [];
+  if (source.length < 2) {
+    return 0;
+  }
+  const step = source[1].secOfDay - source[0].secOfDay;
+  let wh = 0;
+  for (let i = 0; i < source.length; i += 1) {
+    const start = source[i].secOfDay - (step / 2);
+    const share = Math.max(0, Math.min(1, (Number(secOfDay) - start) / step));
+    if (!(share > 0)) {
+      break;
+    }
+    wh += Number(source[i].value || 0) * (step / 3600) * share;
+  }
+  return wh / 1000;
+}
+
+function clearSkyWattsAt(series, secOfDay) {
+  const source = Array.isArray(series) ? series : [];
+  let best = null;
+  for (let i = 0; i < source.length; i += 1) {
+    if (!best || Math.abs(source[i].secOfDay - secOfDay) < Math.abs(best.secOfDay - secOfDay)) {
+      best = source[i];
+    }
+  }
+  return best ? Number(best.value || 0) : 0;
+}
+
+// Kasten-Czeplak cloud attenuation of global irradiance.
+function cloudFactor(cloudPct) {
+  const cover = Math.max(0, Math.min(1, Number(cloudPct || 0) / 100));
+  return 1 - (0.75 * Math.pow(cover, 3.4));
+}
+
+// Forecast slots are 3-hourly, so each covers 90 minutes either side of its time.
+function slotCloudAt(slots, ms) {
+  let best = null;
+  let bestDistance = SLOT_HALF_WIDTH_MS;
+  for (let i = 0; i < slots.length; i += 1) {
+    const slot = slots[i];
+    const distance = Math.abs(Number(slot.ts) - ms);
+    if (distance <= bestDistance && slot.cloudPct !== null && slot.cloudPct !== undefined) {
+      best = slot;
+      bestDistance = distance;
+    }
+  }
+  return best ? Number(best.cloudPct) : null;
+}
+
+function applyCloudCover(curve, dayStartMs, slots, fromSecOfDay) {
+  const series = curve && Array.isArray(curve.series) ? curve.series : [];
+  const step = series.length > 1 ? series[1].secOfDay - series[0].secOfDay : 300;
+  const from = Number(fromSecOfDay || 0);
+  let kwh = 0;
+  let clearSkyKwh = 0;
+  let coveredClearSkyKwh = 0;
+  let cloudWeighted = 0;
+  for (let i = 0; i < series.length; i += 1) {
+    const start = series[i].secOfDay - (step / 2);
+    const share = Math.max(0, Math.min(1, ((start + step) - from) / step));
+    const clearKwh = Number(series[i].value || 0) * (step / 3600) * share / 1000;
+    if (!(clearKwh > 0)) {
+      continue;
+    }
+    const cloudPct = slotCloudAt(slots, dayStartMs + (series[i].secOfDay * 1000));
+    clearSkyKwh += clearKwh;
+    if (cloudPct === null) {
+      kwh += clearKwh;
+      continue;
+    }
+    kwh += clearKwh * cloudFactor(cloudPct);
+    coveredClearSkyKwh += clearKwh;
+    cloudWeighted += cloudPct * clearKwh;
+  }
+  return {
+    kwh: Math.round(kwh * 1000) / 1000,
+    clearSkyKwh: Math.round(clearSkyKwh * 1000) / 1000,
+    coverage: clearSkyKwh > 0 ? Math.round((coveredClearSkyKwh / clearSkyKwh) * 100) / 100 : 0,
+    avgCloudPct: coveredClearSkyKwh > 0 ? Math.round(cloudWeighted / coveredClearSkyKwh) : null
+  };
+}
+
+// Combines the clear-sky curves with forecast cloud cover. Daylight without a
+// covering slot is left at clear-sky output and reported through coverage.
+function buildSolarForecast(options) {
+  const source = options || {};
+  const slots = Array.isArray(source.slots) ? source.slots : [];
+  const secOfDay = Number(source.secOfDay || 0);
+  const generatedKwh = Math.max(0, Number(source.generatedKwh || 0));
+  const rest = applyCloudCover(source.todayCurve, source.dayStartMs, slots, secOfDay);
+  const tomorrow = applyCloudCover(source.tomorrowCurve, source.dayStartMs + (DAY_SECONDS * 1000), slots, 0);
+  return {
+    available: slots.some((slot) => slot && slot.cloudPct !== null && slot.cloudPct !== undefined),
+    today: {
+      dayKey: source.dayKey || null,
+      generatedKwh: Math.round(generatedKwh * 1000) / 1000,
+      remainingKwh: rest.kwh,
+      projectedKwh: Math.round((generatedKwh + rest.kwh) * 1000) / 1000,
+      clearSkyRemainingKwh: rest.clearSkyKwh,
+      avgCloudPct: rest.avgCloudPct,
+      coverage: rest.coverage
+    },
+    tomorrow: {
+      dayKey: source.tomorrowKey || null,
+      expectedKwh: tomorrow.kwh,
+      clearSkyKwh: tomorrow.clearSkyKwh,
+      avgCloudPct: tomorrow.avgCloudPct,
+      coverage: tomorrow.coverage
+    }
+  };
+}
+
+module.exports = {
+  sunPosition,
+  clearSkyIrradiance,
+  planeOfArrayIrradiance,
+  resolveSite,
+  buildClearSkyCurve,
+  expectedKwhUntil,
+  clearSkyWattsAt,
+  cloudFactor,
+  slotCloudAt,
+  buildSolarForecast
+};
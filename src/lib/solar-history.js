@@ -0,0 +1,384 @@
+'use strict';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESOLUTIONS = ['day', 'week', 'month'];
+
+function parseDayKey(dayKey) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dayKey || ''));
+  if (!match) {
+    return null;
+  }
+  const ms = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  const date = new Date(ms);
+  if (date.getUTCDate() !== Number(match[3]) || date.getUTCMonth() !== Number(match[2]) - 1) {
+    return null;
+  }
+  return date;
+}
+
+function formatDayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function shiftDayKey(dayKey, days) {
+  const date = parseDayKey(dayKey);
+  if (!date) {
+    return null;
+  }
+  return formatDayKey(new Date(date.getTime() + (days * DAY_MS)));
+}
+
+function daysBetween(fromKey, toKey) {
+  const from = parseDayKey(fromKey);
+  const to = parseDayKey(toKey);
+  if (!from || !to) {
+    return NaN;
+  }
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+function enumerateDayKeys(fromKey, toKey) {
+  const span = daysBetween(fromKey, toKey);
+  const out = [];
+  for (let i = 0; i <= span; i += 1) {
+    out.push(shiftDayKey(fromKey, i));
+  }
+  return out;
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+function bucketKeyForDay(dayKey, resolution) {
+  if (resolution === 'month') {
+    return dayKey.slice(0, 7);
+  }
+  if (resolution === 'week') {
+    const date = parseDayKey(dayKey);
+    const mondayOffset = (date.getUTCDay() + 6) % 7;
+    return shiftDayKey(dayKey, -mondayOffset);
+  }
+  return dayKey;
+}
+
+function emptyTotals() {
+  return { generatedKwh: 0, importKwh: 0, exportKwh: 0, selfUsedKwh: 0 };
+}
+
+function normalizeTotals(totals) {
+  const source = totals || {};
+  const generatedKwh = Math.max(0, Number(source.generatedKwh || 0));
+  const exportKwh = Math.max(0, Number(source.exportKwh || 0));
+  return {
+    generatedKwh,
+    importKwh: Math.max(0, Number(source.importKwh || 0)),
+    exportKwh,
+    selfUsedKwh: Math.max(0, generatedKwh - exportKwh)
+  };
+}
+
+function addTotals(target, totals) {
+  const normalized = normalizeTotals(totals);
+  target.generatedKwh += normalized.generatedKwh;
+  target.importKwh += normalized.importKwh;
+  target.exportKwh += normalized.exportKwh;
+  target.selfUsedKwh += normalized.selfUsedKwh;
+  return target;
+}
+
+function roundTotals(totals) {
+  const out = {};
+  Object.keys(totals).forEach((key) => {
+    out[key] = Math.round(Number(totals[key] || 0) * 1000) / 1000;
+  });
+  return out;
+}
+
+function totalsFromBins(bins, untilSecOfDay) {
+  const source = Array.isArray(bins) ? bins : [];
+  const limit = Number.isFinite(Number(untilSecOfDay)) ? Number(untilSecOfDay) : 24 * 60 * 60;
+  const out = { generatedKwh: 0, importKwh: 0, exportKwh: 0 };
+  for (let i = 0; i < source.length; i += 1) {
+    const bin = source[i] || {};
+    const index = Number.isFinite(Number(bin.binIndex)) ? Number(bin.binIndex) : i;
+    const binSeconds = (24 * 60 * 60) / Math.max(1, source.length);
+    const start = index * binSeconds;
+    const share = Math.max(0, Math.min(1, (limit - start) / binSeconds));
+    if (!(share > 0)) {
+      continue;
+    }
+    out.generatedKwh += Math.max(0, Number(bin.generatedWh || 0)) * share / 1000;
+    out.importKwh += Math.max(0, Number(bin.importWh || 0)) * share / 1000;
+    out.exportKwh += Math.max(0, Number(bin.exportWh || 0)) * share / 1000;
+  }
+  return normalizeTotals(out);
+}
+
+function createSolarHistoryService(options) {
+  const client = (options && options.client) || null;
+  const store = (options && options.store) || null;
+  const logger = options && options.logger;
+  const getToday = (options && options.getToday) || function emptyToday() {
+    return { dayKey: formatDayKey(new Date()), totals: emptyTotals(), bins: [], secOfDay: 0 };
+  };
+  const aggregateDetail = (options && options.aggregateDetail) || null;
+  const maxRangeDays = Math.max(1, Number((options && options.maxRangeDays) || 400));
+  const retryAfterMs = Math.max(0, Number((options && options.retryAfterMs) || (10 * 60 * 1000)));
+  const maxFetchesPerRequest = Math.max(1, Number((options && options.maxFetchesPerRequest) || 14));
+  const failures = new Map();
+  const pending = new Map();
+
+  function recentlyFailed(key) {
+    const at = failures.get(key);
+    return !!(at && (Date.now() - at) < retryAfterMs);
+  }
+
+  function once(key, task) {
+    if (pending.has(key)) {
+      return pending.get(key);
+    }
+    const promise = Promise.resolve().then(task).then((value) => {
+      pending.delete(key);
+      return value;
+    }, (error) => {
+      pending.delete(key);
+      failures.set(key, Date.now());
+      if (logger && typeof logger.warn === 'function') {
+        logger.warn('solar_history_fetch_failed', { key, error: error && error.message ? error.message : String(error) });
+      }
+      return null;
+    });
+    pending.set(key, promise);
+    return promise;
+  }
+
+  // Caps inverter archive calls per request: a year-long range would
+  // otherwise queue hundreds of sequential fetches. Days past the cap count
+  // as missing (`deferredDays`); each later request fetches the next batch.
+  function createFetchBudget() {
+    return { remaining: maxFetchesPerRequest, deferredDays: 0 };
+  }
+
+  function spend(budget) {
+    if (!budget) {
+      return true;
+    }
+    if (budget.remaining <= 0) {
+      budget.deferredDays += 1;
+      return false;
+    }
+    budget.remaining -= 1;
+    return true;
+  }
+
+  async function getDayTotals(dayKey, today, budget) {
+    const current = today || getToday();
+    if (dayKey === current.dayKey) {
+      return normalizeTotals(current.totals);
+    }
+    if (dayKey > current.dayKey) {
+      return null;
+    }
+    const stored = store ? store.getDay(dayKey) : null;
+    if (stored && stored.totals) {
+      return normalizeTotals(stored.totals);
+    }
+    if (stored && Array.isArray(stored.bins) && stored.bins.length) {
+      return totalsFromBins(stored.bins);
+    }
+    if (!client || typeof client.fetchDailySum !== 'function' || recentlyFailed('sum:' + dayKey) || !spend(budget)) {
+      return null;
+    }
+    return once('sum:' + dayKey, async () => {
+      const daily = await client.fetchDailySum(dayKey);
+      const totals = normalizeTotals({
+        generatedKwh: daily && daily.dayGeneratedKwh,
+        importKwh: daily && daily.dayImportKwh,
+        exportKwh: daily && daily.dayExportKwh
+      });
+      if (store) {
+        store.saveDay(dayKey, {
+          totals: { generatedKwh: totals.generatedKwh, importKwh: totals.importKwh, exportKwh: totals.exportKwh },
+          source: 'archive_daily_sum'
+        });
+      }
+      return totals;
+    });
+  }
+
+  async function getDay(dayKey, budget) {
+    const today = getToday();
+    if (dayKey === today.dayKey) {
+      return { dayKey, totals: roundTotals(normalizeTotals(today.totals)), bins: today.bins || [] };
+    }
+    if (dayKey > today.dayKey) {
+      return null;
+    }
+    const stored = store ? store.getDay(dayKey) : null;
+    if (stored && Array.isArray(stored.bins) && stored.bins.length) {
+      return {
+        dayKey,
+        totals: roundTotals(stored.totals ? normalizeTotals(stored.totals) : totalsFromBins(stored.bins)),
+        bins: stored.bins,
+        generatedSeries: Array.isArray(stored.generatedSeries) ? stored.generatedSeries : []
+      };
+    }
+    if (client && typeof client.fetchDailyDetail === 'function' && aggregateDetail && !recentlyFailed('detail:' + dayKey) && spend(budget)) {
+      const bins = await once('detail:' + dayKey, async () => {
+        const detail = await client.fetchDailyDetail(dayKey);
+        const out = aggregateDetail(detail, dayKey);
+        if (store && Array.isArray(out) && out.length) {
+          store.saveDay(dayKey, { bins: out });
+        }
+        return out;
+      });
+      if (Array.isArray(bins) && bins.length) {
+        const totals = stored && stored.totals ? normalizeTotals(stored.totals) : totalsFromBins(bins);
+        return { dayKey, totals: roundTotals(totals), bins };
+      }
+    }
+    const totals = await getDayTotals(dayKey, today, budget);
+    return totals ? { dayKey, totals: roundTotals(totals), bins: [] } : null;
+  }
+
+  function validateRange(fromKey, toKey, resolution) {
+    if (!parseDayKey(fromKey) || !parseDayKey(toKey)) {
+      return 'invalid_date';
+    }
+    if (RESOLUTIONS.indexOf(resolution) === -1) {
+      return 'invalid_resolution';
+    }
+    const span = daysBetween(fromKey, toKey);
+    if (span < 0) {
+      return 'invalid_range';
+    }
+    if (span + 1 > maxRangeDays) {
+      return 'range_too_large';
+    }
+    return null;
+  }
+
+  async function getRange(fromKey, toKey, resolution) {
+    const today = getToday();
+    const budget = createFetchBudget();
+    const buckets = [];
+    const byKey = new Map();
+    const totals = emptyTotals();
+    const dayKeys = enumerateDayKeys(fromKey, toKey);
+    for (let i = 0; i < dayKeys.length; i += 1) {
+      const dayKey = dayKeys[i];
+      const bucketKey = bucketKeyForDay(dayKey, resolution);
+      let bucket = byKey.get(bucketKey);
+      if (!bucket) {
+        bucket = Object.assign({ key: bucketKey, from: dayKey, to: dayKey, days: 0, missingDays: 0 }, emptyTotals());
+        byKey.set(bucketKey, bucket);
+        buckets.push(bucket);
+      }
+      bucket.to = dayKey;
+      bucket.days += 1;
+      const dayTotals = await getDayTotals(dayKey, today, budget);
+      if (!dayTotals) {
+        bucket.missingDays += 1;
+        continue;
+      }
+      addTotals(bucket, dayTotals);
+      addTotals(totals, dayTotals);
+    }
+    return {
+      from: fromKey,
+      to: toKey,
+      resolution,
+      buckets: buckets.map((bucket) => Object.assign({}, bucket, roundTotals({
+        generatedKwh: bucket.generatedKwh,
+        importKwh: bucket.importKwh,
+        exportKwh: bucket.exportKwh,
+        selfUsedKwh: bucket.selfUsedKwh
+      }))),
+      totals: roundTotals(totals),
+      partial: budget.deferredDays > 0,
+      deferredDays: budget.deferredDays
+    };
+  }
+
+  async function compareDay(label, key, today, otherKey, budget) {
+    const stored = store ? store.getDay(otherKey) : null;
+    const fullTotals = await getDayTotals(otherKey, today, budget);
+    const hasBins = !!(stored && Array.isArray(stored.bins) && stored.bins.length);
+    return {
+      key,
+      label,
+      current: Object.assign({ from: today.dayKey, to: today.dayKey }, roundTotals(normalizeTotals(today.totals))),
+      previous: fullTotals
+        ? Object.assign({ from: otherKey, to: otherKey, sameTime: hasBins }, roundTotals(hasBins
+          ? totalsFromBins(stored.bins, today.secOfDay)
+          : fullTotals))
+        : null,
+      previousFull: fullTotals ? Object.assign({ from: otherKey, to: otherKey }, roundTotals(fullTotals)) : null
+    };
+  }
+
+  async function sumDays(fromKey, toKey, today, budget) {
+    const totals = emptyTotals();
+    let missingDays = 0;
+    const dayKeys = enumerateDayKeys(fromKey, toKey);
+    for (let i = 0; i < dayKeys.length; i += 1) {
+      const dayTotals = await getDayTotals(dayKeys[i], today, budget);
+      if (dayTotals) {
+        addTotals(totals, dayTotals);
+      } else {
+        missingDays += 1;
+      }
+    }
+    return Object.assign({ from: fromKey, to: toKey, missingDays }, roundTotals(totals));
+  }
+
+  async function getComparison() {
+    const today = getToday();
+    const todayDate = parseDayKey(today.dayKey);
+    const year = todayDate.getUTCFullYear();
+    const month = todayDate.getUTCMonth();
+    const dayOfMonth = todayDate.getUTCDate();
+    const monthStart = today.dayKey.slice(0, 8) + '01';
+    const lastMonthStartDate = new Date(Date.UTC(year, month - 1, 1));
+    const lastMonthStart = formatDayKey(lastMonthStartDate);
+    const lastMonthLength = daysInMonth(lastMonthStartDate.getUTCFullYear(), lastMonthStartDate.getUTCMonth());
+    const lastMonthEnd = shiftDayKey(lastMonthStart, lastMonthLength - 1);
+    const lastMonthSameSpanEnd = shiftDayKey(lastMonthStart, Math.min(dayOfMonth, lastMonthLength) - 1);
+
+    const budget = createFetchBudget();
+    const comparisons = [
+      await compareDay('Yesterday', 'yesterday', today, shiftDayKey(today.dayKey, -1), budget),
+      await compareDay('Same day last week', 'last_week', today, shiftDayKey(today.dayKey, -7), budget)
+    ];
+    const previousFull = await sumDays(lastMonthStart, lastMonthEnd, today, budget);
+    comparisons.push({
+      key: 'last_month',
+      label: 'Last month',
+      current: await sumDays(monthStart, today.dayKey, today, budget),
+      previous: await sumDays(lastMonthStart, lastMonthSameSpanEnd, today, budget),
+      previousFull
+    });
+    return {
+      dayKey: today.dayKey,
+      comparisons,
+      partial: budget.deferredDays > 0
+    };
+  }
+
+  return {
+    validateRange,
+    getRange,
+    getDay,
+    getDayTotals,
+    getComparison,
+    createFetchBudget
+  };
+}
+
+module.exports = {
+  createSolarHistoryService,
+  shiftDayKey,
+  bucketKeyForDay,
+  totalsFromBins
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+const { bucketKeyForDay, shiftDayKey } = require('./solar-history');
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(Number(value || 0) * factor) / factor;
+}
+
+// Self-consumption is the share of generation used on site; self-sufficiency
+// (autarky) is the share of the load met without the grid. Energy that passes
+// through a battery counts as self-used, so round-trip losses are ignored.
+// CO2 avoided credits every generated kWh, exported or not, at the grid factor.
+function deriveEnergyMetrics(totals, emissionsKgPerKwh) {
+  const source = totals || {};
+  const generatedKwh = Math.max(0, Number(source.generatedKwh || 0));
+  const importKwh = Math.max(0, Number(source.importKwh || 0));
+  const exportKwh = Math.min(generatedKwh, Math.max(0, Number(source.exportKwh || 0)));
+  const selfUsedKwh = generatedKwh - exportKwh;
+  const loadKwh = selfUsedKwh + importKwh;
+  return {
+    generatedKwh: round(generatedKwh, 3),
+    importKwh: round(importKwh, 3),
+    exportKwh: round(exportKwh, 3),
+    selfUsedKwh: round(selfUsedKwh, 3),
+    loadKwh: round(loadKwh, 3),
+    selfConsumptionPct: generatedKwh > 0 ? round((selfUsedKwh / generatedKwh) * 100, 1) : null,
+    selfSufficiencyPct: loadKwh > 0 ? round((selfUsedKwh / loadKwh) * 100, 1) : null,
+    co2AvoidedKg: round(generatedKwh * Math.max(0, Number(emissionsKgPerKwh || 0)), 2)
+  };
+}
+
+function sumPeriod(fromKey, today, getDayTotals) {
+  const totals = { generatedKwh: 0, importKwh: 0, exportKwh: 0 };
+  let days = 0;
+  let missingDays = 0;
+  for (let dayKey = fromKey; dayKey && dayKey <= today.dayKey; dayKey = shiftDayKey(dayKey, 1)) {
+    const dayTotals = dayKey === today.dayKey ? today.totals : getDayTotals(dayKey);
+    days += 1;
+    if (!dayTotals) {
+      missingDays += 1;
+      continue;
+    }
+    totals.generatedKwh += Math.max(0, Number(dayTotals.generatedKwh || 0));
+    totals.importKwh += Math.max(0, Number(dayTotals.importKwh || 0));
+    totals.exportKwh += Math.max(0, Number(dayTotals.exportKwh || 0));
+  }
+  return { totals, days, missingDays };
+}
+
+// Today, this week (from Monday) and this month so far. getDayTotals(dayKey)
+// returns persisted totals or null; days without any are reported as missing
+// rather than fetched, so the metrics stay cheap enough for every state poll.
+function buildSolarMetrics(options) {
+  const source = options || {};
+  const today = source.today || {};
+  const getDayTotals = source.getDayTotals || function noStoredDay() { return null; };
+  const emissionsKgPerKwh = Math.max(0, Number(source.emissionsKgPerKwh || 0));
+  if (!shiftDayKey(today.dayKey, 0)) {
+    return { dayKey: null, emissionsKgPerKwh, periods: [] };
+  }
+  const periods = [
+    { key: 'day', label: 'Today', from: today.dayKey },
+    { key: 'week', label: 'This week', from: bucketKeyForDay(today.dayKey, 'week') },
+    { key: 'month', label: 'This month', from: bucketKeyForDay(today.dayKey, 'month') + '-01' }
+  ];
+  return {
+    dayKey: today.dayKey,
+    emissionsKgPerKwh,
+    periods: periods.map((period) => {
+      const summed = sumPeriod(period.from, today, getDayTotals);
+      return Object.assign({
+        key: period.key,
+        label: period.label,
+        from: period.from,
+        to: today.dayKey,
+        days: summed.days,
+        missingDays: summed.missingDays
+      }, deriveEnergyMetrics(summed.totals, emissionsKgPerKwh));
+    })
+  };
+}
+
+module.exports = {
+  buildSolarMetrics,
+  deriveEnergyMetrics
+};
@@ -0,0 +1,257 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_FILE = 'solar-journal.jsonl';
+// Samples further apart than this (e.g. across a restart) are treated as a gap, not held flat.
+const HISTORY_GAP_LIMIT_MS = 60 * 60 * 1000;
+
+function normalizeSample(sample) {
+  const source = sample || {};
+  return {
+    ts: Number(source.ts || 0),
+    generatedW: Number(source.generatedW || 0),
+    gridW: Number(source.gridW || 0),
+    loadW: Number(source.loadW || 0),
+    batteryW: Number(source.batteryW || 0)
+  };
+}
+
+function createSolarStore(options) {
+  const dir = String((options && options.dir) || '');
+  const logger = options && options.logger;
+  const journalPath = path.join(dir, JOURNAL_FILE);
+  const sampleRetentionMs = Math.max(1, Number((options && options.sampleRetentionHours) || 48)) * 60 * 60 * 1000;
+  const retentionDays = Math.max(1, Number((options && options.retentionDays) || 400));
+  const compactAfterBytes = Math.max(4096, Number((options && options.compactAfterBytes) || (2 * 1024 * 1024)));
+
+  const state = {
+    loaded: false,
+    samples: [],
+    days: new Map(),
+    froniusSnapshot: null,
+    journalBytes: 0,
+    compactedBytes: 0,
+    writeError: null
+  };
+
+  function warn(event, error) {
+    state.writeError = error && error.message ? error.message : String(error || 'solar_store_error');
+    if (logger && typeof logger.warn === 'function') {
+      logger.warn(event, { path: journalPath, error: state.writeError });
+    }
+  }
+
+  function applyRecord(record) {
+    if (!record || typeof record !== 'object') {
+      return;
+    }
+    if (record.type === 'sample') {
+      const sample = normalizeSample(record);
+      if (sample.ts > 0) {
+        state.samples.push(sample);
+      }
+    } else if (record.type === 'day' && typeof record.dayKey === 'string' && record.dayKey) {
+      const existing = state.days.get(record.dayKey) || { dayKey: record.dayKey };
+      state.days.set(record.dayKey, Object.assign({}, existing, record.data || {}, {
+        dayKey: record.dayKey,
+        updatedAt: Number(record.at || existing.updatedAt || 0)
+      }));
+    } else if (record.type === 'fronius' && record.snapshot && typeof record.snapshot === 'object') {
+      state.froniusSnapshot = record.snapshot;
+    }
+  }
+
+  function load() {
+    state.loaded = true;
+    state.samples = [];
+    state.days = new Map();
+    state.froniusSnapshot = null;
+    state.journalBytes = 0;
+    state.compactedBytes = 0;
+    let raw = '';
+    try {
+      raw = fs.readFileSync(journalPath, 'utf8');
+    } catch (error) {
+      if (error && error.code !== 'ENOENT') {
+        warn('solar_store_read_failed', error);
+      }
+      return getSnapshot();
+    }
+    state.journalBytes = Buffer.byteLength(raw);
+    const lines = raw.split('\n');
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = lines[i].trim();
+      if (!line) {
+        continue;
+      }
+      try {
+        applyRecord(JSON.parse(line));
+      } catch (_error) {
+        // A torn trailing line after a power cut is expected; skip it.
+      }
+    }
+    state.samples.sort((a, b) => a.ts - b.ts);
+    return getSnapshot();
+  }
+
+  function ensureLoaded() {
+    if (!state.loaded) {
+      load();
+    }
+  }
+
+  function append(record) {
+    const line = JSON.stringify(record) + '\n';
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(journalPath, line);
+      state.journalBytes += Buffer.byteLength(line);
+      state.writeError = null;
+    } catch (error) {
+      warn('solar_store_write_failed', error);
+    }
+  }
+
+  function pruneInMemory(nowMs) {
+    const cutoff = Number(nowMs || Date.now()) - sampleRetentionMs;
+    let drop = 0;
+    while (drop < state.samples.length && state.samples[drop].ts < cutoff) {
+      drop += 1;
+    }
+    if (drop > 0) {
+      state.samples.splice(0, drop);
+    }
+    const dayKeys = Array.from(state.days.keys()).sort();
+    while (dayKeys.length > retentionDays) {
+      state.days.delete(dayKeys.shift());
+    }
+  }
+
+  function compact(nowMs) {
+    ensureLoaded();
+    const now = Number(nowMs || Date.now());
+    pruneInMemory(now);
+    const lines = [];
+    Array.from(state.days.keys()).sort().forEach((dayKey) => {
+      const day = state.days.get(dayKey);
+      lines.push(JSON.stringify({ type: 'day', dayKey, at: day.updatedAt || now, data: day }));
+    });
+    if (state.froniusSnapshot) {
+      lines.push(JSON.stringify({ type: 'fronius', at: now, snapshot: state.froniusSnapshot }));
+    }
+    state.samples.forEach((sample) => {
+      lines.push(JSON.stringify(Object.assign({ type: 'sample' }, sample)));
+    });
+    if (!lines.length && !state.journalBytes) {
+      return true;
+    }
+    const body = lines.length ? lines.join('\n') + '\n' : '';
+    const tmpPath = journalPath + '.tmp';
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(tmpPath, body);
+      fs.renameSync(tmpPath, journalPath);
+      state.journalBytes = Buffer.byteLength(body);
+      state.compactedBytes = state.journalBytes;
+      state.writeError = null;
+      return true;
+    } catch (error) {
+      warn('solar_store_compact_failed', error);
+      return false;
+    }
+  }
+
+  // Measured from the last compaction: once the retained samples alone pass
+  // the threshold, comparing against the absolute size would rewrite the
+  // whole journal on every append.
+  function maybeCompact(nowMs) {
+    if (state.journalBytes > state.compactedBytes + compactAfterBytes) {
+      compact(nowMs);
+    }
+  }
+
+  function appendSample(sample) {
+    ensureLoaded();
+    const normalized = normalizeSample(sample);
+    if (!(normalized.ts > 0)) {
+      return;
+    }
+    state.samples.push(normalized);
+    append(Object.assign({ type: 'sample' }, normalized));
+    maybeCompact(normalized.ts);
+  }
+
+  function saveDay(dayKey, data, nowMs) {
+    ensureLoaded();
+    if (typeof dayKey !== 'string' || !dayKey) {
+      return;
+    }
+    const now = Number(nowMs || Date.now());
+    applyRecord({ type: 'day', dayKey, at: now, data: data || {} });
+    append({ type: 'day', dayKey, at: now, data: data || {} });
+    maybeCompact(now);
+  }
+
+  function saveFroniusSnapshot(snapshot, nowMs) {
+    ensureLoaded();
+    if (!snapshot || typeof snapshot !== 'object') {
+      return;
+    }
+    const now = Number(nowMs || Date.now());
+    state.froniusSnapshot = snapshot;
+    append({ type: 'fronius', at: now, snapshot });
+    maybeCompact(now);
+  }
+
+  function getSamples(sinceMs) {
+    ensureLoaded();
+    const since = Number(sinceMs || 0);
+    return state.samples.filter((sample) => sample.ts >= since).map((sample) => Object.assign({}, sample));
+  }
+
+  function getDay(dayKey) {
+    ensureLoaded();
+    const day = state.days.get(String(dayKey || ''));
+    return day ? Object.assign({}, day) : null;
+  }
+
+  function listDays() {
+    ensureLoaded();
+    return Array.from(state.days.keys()).sort();
+  }
+
+  function getFroniusSnapshot() {
+    ensureLoaded();
+    return state.froniusSnapshot;
+  }
+
+  function getSnapshot() {
+    return {
+      path: journalPath,
+      journalBytes: state.journalBytes,
+      sampleCount: state.samples.length,
+      dayCount: state.days.size,
+      writeError: state.writeError
+    };
+  }
+
+  return {
+    load,
+    compact,
+    appendSample,
+    saveDay,
+    saveFroniusSnapshot,
+    getSamples,
+    getDay,
+    listDays,
+    getFroniusSnapshot,
+    getSnapshot
+  };
+}
+
+module.exports = {
+  HISTORY_GAP_LIMIT_MS,
+  createSolarStore
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+const SOURCES = [
+  { name: 'froniusRealtime', label: 'Fronius realtime' },
+  { name: 'froniusArchive', label: 'Fronius archive' },
+  { name: 'weather', label: 'Weather' },
+  { name: 'news', label: 'News' },
+  { name: 'bins', label: 'Bins' },
+  { name: 'homeAssistant', label: 'Home Assistant' },
+  { name: 'radar', label: 'Radar provider' },
+  { name: 'mapTiles', label: 'Map tiles' },
+  { name: 'internet', label: 'Internet probe' },
+  { name: 'beatbot', label: 'Beatbot' },
+  { name: 'git', label: 'Git sync' }
+];
+
+// requestWithDebug service names, matched on whole dot-separated prefixes.
+const SERVICE_PREFIXES = [
+  ['external.weather', 'weather'],
+  ['external.news', 'news'],
+  ['external.bins', 'bins'],
+  ['external.ha', 'homeAssistant'],
+  ['external.radar', 'radar'],
+  ['external.rainviewer', 'radar'],
+  ['external.bom', 'radar'],
+  ['external.map', 'mapTiles'],
+  ['external.internet', 'internet']
+];
+
+const READY_STATUSES = ['ok', 'degraded', 'disabled'];
+
+function isSourceName(value) {
+  return SOURCES.some((source) => source.name === value);
+}
+
+function sourceForService(service) {
+  const value = String(service || '');
+  const match = SERVICE_PREFIXES.find((entry) => value === entry[0] || value.indexOf(entry[0] + '.') === 0);
+  return match ? match[1] : null;
+}
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+function describeError(error) {
+  if (!error) {
+    return 'unknown_error';
+  }
+  if (typeof error === 'string') {
+    return error;
+  }
+  if (error.statusCode) {
+    return 'http_' + error.statusCode;
+  }
+  return error.code || error.message || String(error);
+}
+
+// Success/failure/latency bookkeeping for every integration. Outcomes come
+// from finished requestWithDebug calls (`observeRequest`) or, for sources
+// that are not plain HTTP, straight from their pollers (`record`). Pollers
+// register their cadence with `expect`; a source is stale once it has gone
+// `staleAfterIntervals` of those without a success, and failing after
+// `failingAfter` failures in a row.
+function createSourceHealth(options) {
+  const opts = options || {};
+  const now = opts.now || function defaultNow() { return Date.now(); };
+  const enabled = opts.enabled || {};
+  const latencySamples = Math.max(1, Number(opts.latencySamples || 20));
+  const errorHistory = Math.max(1, Number(opts.errorHistory || 10));
+  const staleAfterIntervals = Math.max(1, Number(opts.staleAfterIntervals || 3));
+  const failingAfter = Math.max(1, Number(opts.failingAfter || 3));
+  const startedAt = now();
+  const entries = new Map();
+
+  SOURCES.forEach((source) => {
+    entries.set(source.name, {
+      name: source.name,
+      label: source.label,
+      enabled: enabled[source.name] !== false,
+      intervalMs: null,
+      attempts: 0,
+      failures: 0,
+      lastAttemptAt: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      latencies: [],
+      errors: []
+    });
+  });
+
+  function expect(name, intervalMs) {
+    const entry = entries.get(name);
+    const value = Number(intervalMs);
+    if (entry) {
+      entry.intervalMs = Number.isFinite(value) && value > 0 ? value : null;
+    }
+  }
+
+  function record(name, outcome) {
+    const entry = entries.get(name);
+    if (!entry) {
+      return false;
+    }
+    const result = outcome || {};
+    const at = now();
+    entry.attempts += 1;
+    entry.lastAttemptAt = at;
+    const durationMs = Number(result.durationMs);
+    if (Number.isFinite(durationMs) && durationMs >= 0) {
+      entry.latencies.push(durationMs);
+      if (entry.latencies.length > latencySamples) {
+        entry.latencies.shift();
+      }
+    }
+    if (result.ok) {
+      entry.lastSuccessAt = at;
+      entry.consecutiveFailures = 0;
+      return true;
+    }
+    entry.failures += 1;
+    entry.consecutiveFailures += 1;
+    entry.lastFailureAt = at;
+    entry.lastError = describeError(result.error);
+    entry.errors.push({ at: toIso(at), error: entry.lastError });
+    if (entry.errors.length > errorHistory) {
+      entry.errors.shift();
+    }
+    return true;
+  }
+
+  function observeRequest(fields) {
+    const name = sourceForService(fields && fields.service);
+    if (!name) {
+      return false;
+    }
+    return record(name, { ok: !fields.error, durationMs: fields.durationMs, error: fields.error });
+  }
+
+  function statusOf(entry, ageMs) {
+    if (!entry.enabled) {
+      return 'disabled';
+    }
+    if (entry.consecutiveFailures >= failingAfter) {
+      return 'failing';
+    }
+    if (entry.intervalMs && ageMs > entry.intervalMs * staleAfterIntervals) {
+      return 'stale';
+    }
+    if (!entry.lastSuccessAt) {
+      return 'pending';
+    }
+    return entry.consecutiveFailures ? 'degraded' : 'ok';
+  }
+
+  function describe(entry) {
+    const at = now();
+    // Before the first success, staleness counts from startup.
+    const ageMs = at - (entry.lastSuccessAt || startedAt);
+    const latencyTotal = entry.latencies.reduce((sum, value) => sum + value, 0);
+    return {
+      name: entry.name,
+      label: entry.label,
+      status: statusOf(entry, ageMs),
+      enabled: entry.enabled,
+      intervalMs: entry.intervalMs,
+      staleAfterMs: entry.intervalMs ? entry.intervalMs * staleAfterIntervals : null,
+      ageMs: entry.lastSuccessAt ? ageMs : null,
+      attempts: entry.attempts,
+      failures: entry.failures,
+      consecutiveFailures: entry.consecutiveFailures,
+      lastAttemptAt: toIso(entry.lastAttemptAt),
+      lastSuccessAt: toIso(entry.lastSuccessAt),
+      lastFailureAt: toIso(entry.lastFailureAt),
+      lastError: entry.lastError,
+      avgLatencyMs: entry.latencies.length ? Math.round(latencyTotal / entry.latencies.length) : null,
+      errors: entry.errors.slice().reverse()
+    };
+  }
+
+  function get(name) {
+    const entry = entries.get(name);
+    return entry ? describe(entry) : null;
+  }
+
+  function list() {
+    return Array.from(entries.values()).map(describe);
+  }
+
+  // Ready when every named source is fresh; degraded (recent failures but
+  // still-fresh data) and disabled sources do not hold readiness back.
+  function evaluate(names) {
+    const sources = (Array.isArray(names) ? names : [])
+      .map((name) => get(name))
+      .filter(Boolean)
+      .map((source) => ({ name: source.name, status: source.status, lastError: source.lastError }));
+    return {
+      ready: sources.every((source) => READY_STATUSES.indexOf(source.status) > -1),
+      sources
+    };
+  }
+
+  return {
+    expect,
+    record,
+    observeRequest,
+    get,
+    list,
+    evaluate
+  };
+}
+
+module.exports = {
+  SOURCES,
+  isSourceName,
+  sourceForService,
+  createSourceHealth
+};
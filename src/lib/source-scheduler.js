@@ -0,0 +1,159 @@
+'use strict';
+
+function toPositiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+// Polls one source on its own timer. `run` resolves to the source's value,
+// which goes to `onSuccess`; a rejection or a run longer than `timeoutMs`
+// goes to `onFailure` and pushes the next attempt out exponentially from
+// `intervalMs` (capped at `maxBackoffMs`, jittered by +/-20%) until a run
+// succeeds again.
+function createSourceScheduler(options) {
+  const name = String(options.name);
+  const run = options.run;
+  const onSuccess = options.onSuccess || function ignoreSuccess() {};
+  const onFailure = options.onFailure || function ignoreFailure() {};
+  const intervalMs = toPositiveNumber(options.intervalMs, 60000);
+  const timeoutMs = toPositiveNumber(options.timeoutMs, 20000);
+  const maxBackoffMs = Math.max(intervalMs, toPositiveNumber(options.maxBackoffMs, 15 * 60 * 1000));
+  const timers = options.timers || {};
+  const setTimer = timers.setTimeout || setTimeout;
+  const clearTimer = timers.clearTimeout || clearTimeout;
+  const random = options.random || Math.random;
+  const now = options.now || function defaultNow() { return Date.now(); };
+  let timer = null;
+  let inFlight = null;
+  let stopped = true;
+  let lastAttemptAt = null;
+  let lastSuccessAt = null;
+  let lastFailureAt = null;
+  let lastError = null;
+  let consecutiveFailures = 0;
+  let nextRunAt = null;
+
+  function nextDelayMs() {
+    if (!consecutiveFailures) {
+      return intervalMs;
+    }
+    const backoffMs = Math.min(maxBackoffMs, intervalMs * Math.pow(2, consecutiveFailures));
+    return Math.round(backoffMs * (0.8 + (random() * 0.4)));
+  }
+
+  function schedule() {
+    if (stopped) {
+      return;
+    }
+    const delayMs = nextDelayMs();
+    nextRunAt = now() + delayMs;
+    timer = setTimer(tick, delayMs);
+  }
+
+  function withTimeout(promise) {
+    let timeoutTimer = null;
+    const timeout = new Promise((_resolve, reject) => {
+      timeoutTimer = setTimer(() => reject(new Error(name + '_timeout')), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).then((value) => {
+      clearTimer(timeoutTimer);
+      return value;
+    }, (error) => {
+      clearTimer(timeoutTimer);
+      throw error;
+    });
+  }
+
+  function runOnce() {
+    if (inFlight) {
+      return inFlight;
+    }
+    lastAttemptAt = now();
+    inFlight = withTimeout(Promise.resolve().then(run)).then(onSuccess).then(() => {
+      lastSuccessAt = now();
+      lastError = null;
+      consecutiveFailures = 0;
+    }, (error) => {
+      lastFailureAt = now();
+      lastError = error && error.message ? error.message : String(error);
+      consecutiveFailures += 1;
+      onFailure(error);
+    }).catch(() => {}).then(() => {
+      inFlight = null;
+      return getStatus();
+    });
+    return inFlight;
+  }
+
+  function tick() {
+    timer = null;
+    nextRunAt = null;
+    runOnce().then(schedule);
+  }
+
+  function start() {
+    if (!stopped) {
+      return;
+    }
+    stopped = false;
+    tick();
+  }
+
+  function stop() {
+    stopped = true;
+    nextRunAt = null;
+    if (timer !== null) {
+      clearTimer(timer);
+      timer = null;
+    }
+  }
+
+  // Runs now and restarts the cadence from this run; joins a run already in flight.
+  function refreshNow() {
+    if (inFlight) {
+      return inFlight;
+    }
+    if (timer !== null) {
+      clearTimer(timer);
+      timer = null;
+    }
+    nextRunAt = null;
+    return runOnce().then(() => {
+      if (timer === null) {
+        schedule();
+      }
+      return getStatus();
+    });
+  }
+
+  function getStatus() {
+    return {
+      name,
+      intervalMs,
+      timeoutMs,
+      running: !!inFlight,
+      lastAttemptAt: toIso(lastAttemptAt),
+      lastSuccessAt: toIso(lastSuccessAt),
+      lastFailureAt: toIso(lastFailureAt),
+      lastError,
+      consecutiveFailures,
+      nextRunAt: toIso(nextRunAt)
+    };
+  }
+
+  return {
+    name,
+    start,
+    stop,
+    refreshNow,
+    getStatus
+  };
+}
+
+module.exports = {
+  createSourceScheduler
+};
@@ -0,0 +1,426 @@
+'use strict';
+
+const { createModbusTcpClient } = require('./modbus-tcp');
+const { describeInverterStatus, formatDateInTimeZone } = require('./fronius-client');
+
+// Register 40000 is the SunSpec convention; 0 and 50000 are the alternatives
+// the specification allows.
+const BASE_ADDRESSES = [40000, 0, 50000];
+const SUNS_MARKER = [0x5375, 0x6E53];
+const END_MODEL_ID = 0xFFFF;
+const MAX_MODELS = 64;
+
+const COMMON_MODEL = 1;
+const INVERTER_INT_MODELS = [101, 102, 103];
+const INVERTER_FLOAT_MODELS = [111, 112, 113];
+const MPPT_MODEL = 160;
+const STORAGE_MODEL = 124;
+const METER_INT_MODELS = [201, 202, 203, 204];
+const METER_FLOAT_MODELS = [211, 212, 213, 214];
+
+// SunSpec operating states (St) and the nearest Solar API status code, so
+// the dashboard's status handling applies to either transport.
+const OPERATING_STATES = {
+  1: { label: 'Off', statusCode: 13 },
+  2: { label: 'Sleeping', statusCode: 13 },
+  3: { label: 'Starting', statusCode: 1 },
+  4: { label: 'MPPT', statusCode: 7 },
+  5: { label: 'Throttled', statusCode: 7 },
+  6: { label: 'Shutting down', statusCode: 13 },
+  7: { label: 'Fault', statusCode: 10 },
+  8: { label: 'Standby', statusCode: 8 }
+};
+
+function int16(value) {
+  return value === 0x8000 ? null : (value > 0x7FFF ? value - 0x10000 : value);
+}
+
+function uint16(value) {
+  return value === 0xFFFF ? null : value;
+}
+
+function acc32(registers, offset) {
+  const value = (registers[offset] * 0x10000) + registers[offset + 1];
+  return value === 0 ? null : value;
+}
+
+function float32(registers, offset) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt16BE(registers[offset], 0);
+  buffer.writeUInt16BE(registers[offset + 1], 2);
+  const value = buffer.readFloatBE(0);
+  return Number.isFinite(value) ? value : null;
+}
+
+function text(registers, offset, length) {
+  const buffer = Buffer.alloc(length * 2);
+  for (let i = 0; i < length; i += 1) {
+    buffer.writeUInt16BE(registers[offset + i] || 0, i * 2);
+  }
+  return buffer.toString('latin1').replace(/\0[\s\S]*$/, '').trim();
+}
+
+// Applies a sunssf scale factor register; either being unimplemented yields null.
+function scaled(value, scaleFactorRaw) {
+  const scaleFactor = int16(scaleFactorRaw);
+  if (value === null || value === undefined || scaleFactor === null) {
+    return null;
+  }
+  return value * Math.pow(10, scaleFactor);
+}
+
+function roundTo(value, digits) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function buildPhases(voltages, currents, powers) {
+  const phases = [];
+  for (let i = 0; i < 3; i += 1) {
+    const voltageV = voltages[i];
+    const currentA = currents[i];
+    if (voltageV === null && currentA === null) {
+      continue;
+    }
+    const powerW = powers && powers[i] !== null && powers[i] !== undefined
+      ? powers[i]
+      : (voltageV !== null && currentA !== null ? voltageV * currentA : null);
+    phases.push({
+      phase: i + 1,
+      voltageV: roundTo(voltageV, 1),
+      currentA: roundTo(currentA, 2),
+      powerW: roundTo(powerW, 0)
+    });
+  }
+  return phases;
+}
+
+function decodeCommon(r) {
+  return {
+    manufacturer: text(r, 0, 16),
+    model: text(r, 16, 16),
+    version: text(r, 40, 8),
+    serial: text(r, 48, 16)
+  };
+}
+
+// Inverter models 101-103 (integer plus scale factors) and 111-113 (float).
+function decodeInverter(modelId, r) {
+  if (INVERTER_FLOAT_MODELS.indexOf(modelId) > -1) {
+    return {
+      acW: float32(r, 20),
+      frequencyHz: float32(r, 22),
+      lifetimeWh: float32(r, 30),
+      state: uint16(r[46]),
+      phases: buildPhases([float32(r, 14), float32(r, 16), float32(r, 18)], [float32(r, 2), float32(r, 4), float32(r, 6)])
+    };
+  }
+  return {
+    acW: scaled(int16(r[12]), r[13]),
+    frequencyHz: scaled(uint16(r[14]), r[15]),
+    lifetimeWh: scaled(acc32(r, 22), r[24]),
+    state: uint16(r[36]),
+    phases: buildPhases(
+      [scaled(uint16(r[8]), r[11]), scaled(uint16(r[9]), r[11]), scaled(uint16(r[10]), r[11])],
+      [scaled(uint16(r[1]), r[4]), scaled(uint16(r[2]), r[4]), scaled(uint16(r[3]), r[4])]
+    )
+  };
+}
+
+// Multiple MPPT model 160. Fronius hybrids report the battery as two extra
+// modules labelled "StCha" and "StDisCha"; everything else is a PV string.
+function decodeMppt(r) {
+  const count = uint16(r[6]) || 0;
+  const strings = [];
+  let chargeW = 0;
+  let dischargeW = 0;
+  let hasStorage = false;
+  for (let i = 0; i < count; i += 1) {
+    const offset = 8 + (i * 20);
+    if (offset + 20 > r.length) {
+      break;
+    }
+    const label = text(r, offset + 1, 8);
+    const powerW = scaled(uint16(r[offset + 11]), r[2]);
+    if (/^StCha\b/i.test(label)) {
+      hasStorage = true;
+      chargeW += powerW || 0;
+    } else if (/^StDisCha\b/i.test(label)) {
+      hasStorage = true;
+      dischargeW += powerW || 0;
+    } else {
+      strings.push({
+        mppt: uint16(r[offset]) || (strings.length + 1),
+        voltageV: roundTo(scaled(uint16(r[offset + 10]), r[1]), 1),
+        currentA: roundTo(scaled(uint16(r[offset + 9]), r[0]), 2),
+        powerW: roundTo(powerW, 0)
+      });
+    }
+  }
+  return { strings, hasStorage, batteryW: dischargeW - chargeW };
+}
+
+function decodeStorage(r) {
+  return { socPct: roundTo(scaled(uint16(r[6]), r[20]), 1) };
+}
+
+// Meter models 201-204 (integer plus scale factors) and 211-214 (float).
+// SunSpec meters report power and energy positive when importing from the grid.
+function decodeMeter(modelId, r) {
+  if (METER_FLOAT_MODELS.indexOf(modelId) > -1) {
+    return {
+      powerW: float32(r, 26),
+      frequencyHz: float32(r, 24),
+      exportWh: float32(r, 58),
+      importWh: float32(r, 66),
+      phases: buildPhases(
+        [float32(r, 10), float32(r, 12), float32(r, 14)],
+        [float32(r, 2), float32(r, 4), float32(r, 6)],
+        [float32(r, 28), float32(r, 30), float32(r, 32)]
+      )
+    };
+  }
+  return {
+    powerW: scaled(int16(r[16]), r[20]),
+    frequencyHz: scaled(uint16(r[14]), r[15]),
+    exportWh: scaled(acc32(r, 36), r[52]),
+    importWh: scaled(acc32(r, 44), r[52]),
+    phases: buildPhases(
+      [scaled(int16(r[6]), r[13]), scaled(int16(r[7]), r[13]), scaled(int16(r[8]), r[13])],
+      [scaled(int16(r[1]), r[4]), scaled(int16(r[2]), r[4]), scaled(int16(r[3]), r[4])],
+      [scaled(int16(r[17]), r[20]), scaled(int16(r[18]), r[20]), scaled(int16(r[19]), r[20])]
+    )
+  };
+}
+
+// Reads SunSpec models over Modbus TCP into the same realtime and device
+// payloads as createFroniusClient. Modbus has no archive, so daily totals
+// come from the lifetime counters once a local midnight has been seen, and
+// `archiveClient` (the Solar API client, when configured) serves past days.
+function createSunSpecClient(options) {
+  const source = options || {};
+  const unitId = Number(source.unitId === undefined ? 1 : source.unitId);
+  const meterUnitId = source.meterUnitId === null || source.meterUnitId === undefined ? unitId : Number(source.meterUnitId);
+  const invertMeter = !!source.invertMeter;
+  const timeZone = source.timeZone;
+  const archiveClient = source.archiveClient || null;
+  const now = source.now || function defaultNow() { return Date.now(); };
+  const modbus = source.modbus || createModbusTcpClient({ host: source.host, port: source.port, timeoutMs: source.timeoutMs });
+  const modelMaps = new Map();
+  let counters = null;
+
+  async function discover(unit) {
+    for (let i = 0; i < BASE_ADDRESSES.length; i += 1) {
+      let marker;
+      try {
+        marker = await modbus.readHoldingRegisters(unit, BASE_ADDRESSES[i], 2);
+      } catch (error) {
+        if (error && error.exceptionCode) {
+          continue;
+        }
+        throw error;
+      }
+      if (marker[0] !== SUNS_MARKER[0] || marker[1] !== SUNS_MARKER[1]) {
+        continue;
+      }
+      const models = [];
+      let address = BASE_ADDRESSES[i] + 2;
+      for (let m = 0; m < MAX_MODELS; m += 1) {
+        const header = await modbus.readHoldingRegisters(unit, address, 2);
+        if (header[0] === END_MODEL_ID || header[1] === 0) {
+          break;
+        }
+        models.push({ id: header[0], address: address + 2, length: header[1] });
+        address += 2 + header[1];
+      }
+      return models;
+    }
+    throw new Error('sunspec_not_found');
+  }
+
+  async function getModels(unit) {
+    if (!modelMaps.has(unit)) {
+      modelMaps.set(unit, await discover(unit));
+    }
+    return modelMaps.get(unit);
+  }
+
+  async function readModel(unit, ids) {
+    const model = (await getModels(unit)).find((item) => ids.indexOf(item.id) > -1);
+    if (!model) {
+      return null;
+    }
+    return { id: model.id, registers: await modbus.readHoldingRegisters(unit, model.address, model.length) };
+  }
+
+  async function readAll() {
+    try {
+      const inverterModel = await readModel(unitId, INVERTER_INT_MODELS.concat(INVERTER_FLOAT_MODELS));
+      if (!inverterModel) {
+        throw new Error('sunspec_inverter_model_missing');
+      }
+      const common = await readModel(unitId, [COMMON_MODEL]);
+      const mppt = await readModel(unitId, [MPPT_MODEL]);
+      const storage = await readModel(unitId, [STORAGE_MODEL]);
+      const meterModel = await readModel(meterUnitId, METER_INT_MODELS.concat(METER_FLOAT_MODELS)).catch((error) => {
+        // Gateways answer for a missing meter unit with exceptions; run without grid readings.
+        if (meterUnitId !== unitId && error && error.message === 'sunspec_not_found') {
+          modelMaps.set(meterUnitId, []);
+          return null;
+        }
+        throw error;
+      });
+      const meterCommon = meterModel && meterUnitId !== unitId ? await readModel(meterUnitId, [COMMON_MODEL]) : null;
+      const meter = meterModel ? decodeMeter(meterModel.id, meterModel.registers) : null;
+      if (meter && invertMeter) {
+        const importWh = meter.importWh;
+        meter.powerW = meter.powerW === null ? null : -meter.powerW;
+        meter.importWh = meter.exportWh;
+        meter.exportWh = importWh;
+        meter.phases.forEach((phase) => {
+          phase.powerW = phase.powerW === null ? null : -phase.powerW;
+        });
+      }
+      return {
+        common: common ? decodeCommon(common.registers) : null,
+        inverter: decodeInverter(inverterModel.id, inverterModel.registers),
+        mppt: mppt ? decodeMppt(mppt.registers) : { strings: [], hasStorage: false, batteryW: 0 },
+        storage: storage ? decodeStorage(storage.registers) : null,
+        meterCommon: meterCommon ? decodeCommon(meterCommon.registers) : null,
+        meter
+      };
+    } catch (error) {
+      // Rediscover next time in case the device restarted with another layout.
+      modelMaps.clear();
+      throw error;
+    }
+  }
+
+  // Tracks the lifetime counters at the first reading of each local day.
+  // Only a baseline taken just after midnight (the previous day was seen)
+  // gives whole-day totals.
+  function trackCounters(reading) {
+    const dayKey = formatDateInTimeZone(now(), timeZone);
+    const latest = {
+      generatedWh: reading.inverter.lifetimeWh,
+      importWh: reading.meter ? reading.meter.importWh : null,
+      exportWh: reading.meter ? reading.meter.exportWh : null
+    };
+    if (!counters || counters.dayKey !== dayKey) {
+      counters = { dayKey, complete: !!counters, start: latest, latest };
+    } else {
+      counters.latest = latest;
+    }
+  }
+
+  function counterKwh(field) {
+    if (!counters || !counters.complete || counters.start[field] === null || counters.latest[field] === null) {
+      return null;
+    }
+    return Math.max(0, counters.latest[field] - counters.start[field]) / 1000;
+  }
+
+  async function fetchRealtime() {
+    const reading = await readAll();
+    trackCounters(reading);
+    const acW = Number(reading.inverter.acW || 0);
+    const gridW = reading.meter ? Number(reading.meter.powerW || 0) : 0;
+    const pvW = reading.mppt.strings.reduce((sum, string) => sum + Number(string.powerW || 0), 0);
+    const hasBattery = reading.mppt.hasStorage || !!reading.storage;
+    return {
+      // On hybrids the AC output includes battery discharge, so PV power comes from the strings.
+      generatedW: hasBattery && reading.mppt.strings.length ? Math.max(0, pvW) : Math.max(0, acW),
+      gridW,
+      loadW: Math.max(0, acW + gridW),
+      dayGeneratedKwh: counterKwh('generatedWh') || 0,
+      hasBattery,
+      batteryW: reading.mppt.hasStorage ? reading.mppt.batteryW : 0,
+      batterySocPct: reading.storage ? reading.storage.socPct : null
+    };
+  }
+
+  async function fetchDailySum(dayISO) {
+    if (archiveClient && typeof archiveClient.fetchDailySum === 'function') {
+      return archiveClient.fetchDailySum(dayISO);
+    }
+    const generated = counterKwh('generatedWh');
+    if (!counters || (dayISO && dayISO !== counters.dayKey) || generated === null) {
+      throw new Error('archive_unavailable');
+    }
+    return {
+      dayGeneratedKwh: roundTo(generated, 3),
+      dayImportKwh: roundTo(counterKwh('importWh') || 0, 3),
+      dayExportKwh: roundTo(counterKwh('exportWh') || 0, 3)
+    };
+  }
+
+  async function fetchDevices() {
+    const reading = await readAll();
+    trackCounters(reading);
+    const common = reading.common || {};
+    const inverter = reading.inverter;
+    const state = OPERATING_STATES[inverter.state] || null;
+    const statusCode = state ? state.statusCode : null;
+    const dayKwh = counterKwh('generatedWh');
+    const meters = [];
+    if (reading.meter) {
+      const meterCommon = reading.meterCommon || (meterUnitId === unitId ? common : {});
+      meters.push({
+        id: String(meterUnitId),
+        model: meterCommon.model || null,
+        serial: meterCommon.serial || null,
+        location: 'grid',
+        powerW: roundTo(reading.meter.powerW, 0),
+        frequencyHz: roundTo(reading.meter.frequencyHz, 2),
+        importKwh: reading.meter.importWh === null ? null : roundTo(reading.meter.importWh / 1000, 3),
+        exportKwh: reading.meter.exportWh === null ? null : roundTo(reading.meter.exportWh / 1000, 3),
+        phases: reading.meter.phases
+      });
+    }
+    return {
+      inverters: [{
+        id: String(unitId),
+        name: [common.manufacturer, common.model].filter(Boolean).join(' ') || ('Inverter ' + unitId),
+        deviceType: null,
+        nominalPowerW: null,
+        statusCode,
+        statusLabel: describeInverterStatus(statusCode),
+        errorCode: 0,
+        errorLabel: null,
+        inverterState: state ? state.label : null,
+        acPowerW: roundTo(inverter.acW, 0),
+        frequencyHz: roundTo(inverter.frequencyHz, 2),
+        dayEnergyKwh: dayKwh === null ? null : roundTo(dayKwh, 3),
+        totalEnergyKwh: inverter.lifetimeWh === null ? null : roundTo(inverter.lifetimeWh / 1000, 3),
+        phases: inverter.phases,
+        strings: reading.mppt.strings
+      }],
+      meters
+    };
+  }
+
+  const client = {
+    fetchRealtime,
+    fetchDailySum,
+    fetchDevices,
+    close: function close() {
+      modbus.close();
+    }
+  };
+  if (archiveClient && typeof archiveClient.fetchDailyDetail === 'function') {
+    client.fetchDailyDetail = function fetchDailyDetail(dayISO) {
+      return archiveClient.fetchDailyDetail(dayISO);
+    };
+  }
+  return client;
+}
+
+module.exports = {
+  createSunSpecClient,
+  decodeInverter,
+  decodeMeter,
+  decodeMppt
+};
@@ -0,0 +1,259 @@
+'use strict';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_GROUPS = {
+  all: DAY_NAMES,
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun']
+};
+const DEFAULT_PERIOD = 'standard';
+const DEFAULT_BIN_MINUTES = 30;
+
+function parseClockMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return (hours * 60) + minutes;
+}
+
+function resolveDays(days) {
+  if (days === undefined || days === null || days === '') {
+    return DAY_GROUPS.all;
+  }
+  if (typeof days === 'string') {
+    return DAY_GROUPS[days.toLowerCase()] || null;
+  }
+  if (!Array.isArray(days) || !days.length) {
+    return null;
+  }
+  const out = [];
+  for (let i = 0; i < days.length; i += 1) {
+    const name = String(days[i] || '').slice(0, 3).toLowerCase();
+    if (DAY_NAMES.indexOf(name) === -1) {
+      return null;
+    }
+    out.push(name);
+  }
+  return out;
+}
+
+function isValidTariffWindow(window) {
+  return !!window &&
+    parseClockMinutes(window.start) !== null &&
+    parseClockMinutes(window.end) !== null &&
+    resolveDays(window.days) !== null;
+}
+
+function isValidTariffConfig(pricing) {
+  const source = pricing || {};
+  const periods = source.periods === undefined ? [] : source.periods;
+  const tiers = source.feedInTiers === undefined ? [] : source.feedInTiers;
+  return Array.isArray(periods) &&
+    periods.every((period) => period &&
+      typeof period.name === 'string' &&
+      period.name.length > 0 &&
+      typeof period.centsPerKwh === 'number' &&
+      period.centsPerKwh >= 0 &&
+      Array.isArray(period.windows) &&
+      period.windows.every(isValidTariffWindow)) &&
+    Array.isArray(tiers) &&
+    tiers.every((tier, index) => tier &&
+      typeof tier.centsPerKwh === 'number' &&
+      tier.centsPerKwh >= 0 &&
+      ((index === tiers.length - 1 && (tier.upToKwh === undefined || tier.upToKwh === null)) ||
+        (typeof tier.upToKwh === 'number' && tier.upToKwh > 0)));
+}
+
+function weekdayForDayKey(dayKey) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dayKey || ''));
+  if (!match) {
+    return null;
+  }
+  return DAY_NAMES[new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))).getUTCDay()];
+}
+
+// Splits a window into [start, end) minute ranges within one day, so
+// overnight windows such as 22:00-07:00 cover both ends of the day.
+function windowRanges(window) {
+  const start = parseClockMinutes(window.start);
+  const end = parseClockMinutes(window.end);
+  if (start === end) {
+    return [[0, 1440]];
+  }
+  if (start < end) {
+    return [[start, end]];
+  }
+  return [[start, 1440], [0, end]];
+}
+
+function createTariff(pricing) {
+  const source = pricing || {};
+  const importCentsPerKwh = Math.max(0, Number(source.importCentsPerKwh || 0));
+  const feedInCentsPerKwh = Math.max(0, Number(source.feedInCentsPerKwh || 0));
+  const dailySupplyCents = Math.max(0, Number(source.dailySupplyCents || 0));
+  const periods = (Array.isArray(source.periods) ? source.periods : []).map((period) => ({
+    name: String(period.name),
+    centsPerKwh: Math.max(0, Number(period.centsPerKwh || 0)),
+    windows: (Array.isArray(period.windows) ? period.windows : [])
+      .filter(isValidTariffWindow)
+      .map((window) => ({ days: resolveDays(window.days), ranges: windowRanges(window) }))
+  }));
+  const tiers = Array.isArray(source.feedInTiers) && source.feedInTiers.length
+    ? source.feedInTiers.map((tier) => ({
+      upToKwh: Number(tier.upToKwh) > 0 ? Number(tier.upToKwh) : null,
+      centsPerKwh: Math.max(0, Number(tier.centsPerKwh || 0))
+    }))
+    : [{ upToKwh: null, centsPerKwh: feedInCentsPerKwh }];
+
+  function periodIndexAt(weekday, minute) {
+    for (let i = 0; i < periods.length; i += 1) {
+      const windows = periods[i].windows;
+      for (let w = 0; w < windows.length; w += 1) {
+        if (windows[w].days.indexOf(weekday) === -1) {
+          continue;
+        }
+        const ranges = windows[w].ranges;
+        for (let r = 0; r < ranges.length; r += 1) {
+          if (minute >= ranges[r][0] && minute < ranges[r][1]) {
+            return i;
+          }
+        }
+      }
+    }
+    return -1;
+  }
+
+  function periodAt(dayKey, minute) {
+    const index = periodIndexAt(weekdayForDayKey(dayKey), Number(minute || 0));
+    return index >= 0
+      ? { name: periods[index].name, centsPerKwh: periods[index].centsPerKwh }
+      : { name: DEFAULT_PERIOD, centsPerKwh: importCentsPerKwh };
+  }
+
+  // Prices import per period and export per tier. When the day's metered
+  // totals are passed, energy the bins do not account for (e.g. before the
+  // realtime history started) is priced at the standard and remaining tier rates.
+  function priceBins(bins, dayKey, binMinutesRaw, totals) {
+    const source = Array.isArray(bins) ? bins : [];
+    const weekday = weekdayForDayKey(dayKey);
+    const binMinutes = Math.max(1, Math.round(Number(binMinutesRaw || DEFAULT_BIN_MINUTES)));
+    const periodRows = periods.map((period) => ({
+      name: period.name,
+      centsPerKwh: period.centsPerKwh,
+      importKwh: 0,
+      importCents: 0
+    }));
+    const fallbackRow = { name: DEFAULT_PERIOD, centsPerKwh: importCentsPerKwh, importKwh: 0, importCents: 0 };
+    const tierRows = tiers.map((tier) => ({
+      upToKwh: tier.upToKwh,
+      centsPerKwh: tier.centsPerKwh,
+      exportKwh: 0,
+      creditCents: 0
+    }));
+    let importedKwh = 0;
+    let exportedKwh = 0;
+
+    function addImport(row, kwh) {
+      row.importKwh += kwh;
+      row.importCents += kwh * row.centsPerKwh;
+      importedKwh += kwh;
+    }
+
+    function addExport(kwh) {
+      let remaining = kwh;
+      for (let t = 0; t < tierRows.length && remaining > 0; t += 1) {
+        const tier = tierRows[t];
+        const capacity = tier.upToKwh === null ? Infinity : Math.max(0, tier.upToKwh - exportedKwh);
+        const take = Math.min(remaining, capacity);
+        if (take > 0) {
+          tier.exportKwh += take;
+          tier.creditCents += take * tier.centsPerKwh;
+          exportedKwh += take;
+          remaining -= take;
+        }
+      }
+    }
+
+    for (let i = 0; i < source.length; i += 1) {
+      const bin = source[i] || {};
+      const binIndex = Number.isFinite(Number(bin.binIndex)) ? Number(bin.binIndex) : i;
+      const startMinute = binIndex * binMinutes;
+      const importKwh = Math.max(0, Number(bin.importWh || 0)) / 1000;
+      if (importKwh > 0) {
+        // Split a bin that straddles a period boundary by minute.
+        for (let m = 0; m < binMinutes; m += 1) {
+          const index = periodIndexAt(weekday, startMinute + m);
+          addImport(index >= 0 ? periodRows[index] : fallbackRow, importKwh / binMinutes);
+        }
+      }
+      addExport(Math.max(0, Number(bin.exportWh || 0)) / 1000);
+    }
+
+    if (totals) {
+      const extraImportKwh = Math.max(0, Number(totals.importKwh || 0)) - importedKwh;
+      if (extraImportKwh > 0.0005) {
+        addImport(fallbackRow, extraImportKwh);
+      }
+      const extraExportKwh = Math.max(0, Number(totals.exportKwh || 0)) - exportedKwh;
+      if (extraExportKwh > 0.0005) {
+        addExport(extraExportKwh);
+      }
+    }
+
+    const rows = periodRows.concat(fallbackRow.importKwh > 0 || !periodRows.length ? [fallbackRow] : []);
+    const importCents = rows.reduce((sum, row) => sum + row.importCents, 0);
+    const feedInCents = tierRows.reduce((sum, tier) => sum + tier.creditCents, 0);
+    return {
+      dayKey: dayKey || null,
+      weekday,
+      periods: rows.map((row) => ({
+        name: row.name,
+        centsPerKwh: row.centsPerKwh,
+        importKwh: Number(row.importKwh.toFixed(3)),
+        importCents: Number(row.importCents.toFixed(2))
+      })),
+      feedInTiers: tierRows.map((tier) => ({
+        upToKwh: tier.upToKwh,
+        centsPerKwh: tier.centsPerKwh,
+        exportKwh: Number(tier.exportKwh.toFixed(3)),
+        creditCents: Number(tier.creditCents.toFixed(2))
+      })),
+      importKwh: Number(importedKwh.toFixed(3)),
+      exportKwh: Number(exportedKwh.toFixed(3)),
+      importCents: Number(importCents.toFixed(2)),
+      feedInCents: Number(feedInCents.toFixed(2)),
+      supplyCents: dailySupplyCents,
+      netCents: Number((importCents + dailySupplyCents - feedInCents).toFixed(2))
+    };
+  }
+
+  // The feed-in rate for the next kWh once exportedKwh has been sent today.
+  function feedInCentsAt(exportedKwh) {
+    const exported = Math.max(0, Number(exportedKwh || 0));
+    for (let t = 0; t < tiers.length; t += 1) {
+      if (tiers[t].upToKwh === null || exported < tiers[t].upToKwh) {
+        return tiers[t].centsPerKwh;
+      }
+    }
+    return tiers[tiers.length - 1].centsPerKwh;
+  }
+
+  return {
+    feedInCentsAt,
+    periodAt,
+    priceBins
+  };
+}
+
+module.exports = {
+  createTariff,
+  isValidTariffConfig,
+  parseClockMinutes,
+  weekdayForDayKey
+};
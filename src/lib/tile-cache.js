@@ -0,0 +1,296 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BODY_EXT = '.bin';
+const META_EXT = '.json';
+
+function hashKey(key) {
+  return crypto.createHash('sha1').update(String(key)).digest('hex');
+}
+
+function headerValue(headers, name) {
+  const value = headers && headers[name];
+  return value ? String(Array.isArray(value) ? value[0] : value) : '';
+}
+
+// Plain string/number fields of an upstream tile result (contentType, offsets
+// such as tileOffsetXPx) are kept alongside the body so a cached tile looks
+// the same to callers as a fresh one.
+function pickFields(result) {
+  const fields = {};
+  Object.keys(result || {}).forEach((name) => {
+    const value = result[name];
+    if (name !== 'statusCode' && name !== 'notModified' && (typeof value === 'string' || typeof value === 'number')) {
+      fields[name] = value;
+    }
+  });
+  fields.etag = String(result.etag || headerValue(result.headers, 'etag'));
+  fields.lastModified = String(result.lastModified || headerValue(result.headers, 'last-modified'));
+  return fields;
+}
+
+/**
+ * Size-bounded tile cache with LRU eviction and HTTP revalidation. With a
+ * `dir` every tile is a body file plus a JSON metadata file, so the cache
+ * survives restarts; without one it only lives in memory.
+ */
+function createTileCache(options) {
+  const opts = options || {};
+  const dir = String(opts.dir || '');
+  const logger = opts.logger || null;
+  const now = opts.now || Date.now;
+  const maxBytes = Math.max(1024 * 1024, Number(opts.maxBytes) || (200 * 1024 * 1024));
+
+  const entries = new Map();
+  const stats = {
+    hits: 0,
+    misses: 0,
+    revalidated: 0,
+    staleServed: 0,
+    evictions: 0,
+    writeErrors: 0
+  };
+  let totalBytes = 0;
+  let loading = null;
+
+  function warn(event, fields) {
+    if (logger && typeof logger.warn === 'function') {
+      logger.warn(event, fields);
+    }
+  }
+
+  function filePaths(key) {
+    const base = path.join(dir, hashKey(key));
+    return { body: base + BODY_EXT, meta: base + META_EXT };
+  }
+
+  function removeEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return;
+    }
+    entries.delete(key);
+    totalBytes -= entry.size;
+    if (dir) {
+      const files = filePaths(key);
+      fs.rmSync(files.body, { force: true });
+      fs.rmSync(files.meta, { force: true });
+    }
+  }
+
+  // Rebuilds the index from metadata files, off the event loop. Recency is not
+  // persisted on every hit (it would mean a disk write per tile served), so
+  // after a restart the LRU order starts from each tile's last fetch.
+  async function readIndex() {
+    if (!dir) {
+      return;
+    }
+    let names = [];
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error && error.code !== 'ENOENT') {
+        warn('tile_cache_read_failed', { dir, error: error.message });
+      }
+      return;
+    }
+    const found = [];
+    for (let i = 0; i < names.length; i += 1) {
+      const name = names[i];
+      if (path.extname(name) !== META_EXT) {
+        if (/\.tmp$/.test(name)) {
+          await fs.promises.rm(path.join(dir, name), { force: true }).catch(() => {});
+        }
+        continue;
+      }
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8'));
+        const size = (await fs.promises.stat(filePaths(meta.key).body)).size;
+        found.push({ key: meta.key, fields: meta.fields || {}, fetchedAt: Number(meta.fetchedAt || 0), size });
+      } catch (_error) {
+        await fs.promises.rm(path.join(dir, name), { force: true }).catch(() => {});
+      }
+    }
+    found.sort((a, b) => a.fetchedAt - b.fetchedAt).forEach((tile) => {
+      entries.set(tile.key, { fields: tile.fields, fetchedAt: tile.fetchedAt, size: tile.size, body: null });
+      totalBytes += tile.size;
+    });
+    evict(null);
+  }
+
+  // Starts reading the index once; lookups wait for it. Call at startup so
+  // the first tile request does not pay for it.
+  function load() {
+    if (!loading) {
+      loading = readIndex();
+    }
+    return loading;
+  }
+
+  // Entries are kept least recently used first: every store and hit moves the
+  // tile to the back of the map.
+  function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+  }
+
+  function evict(keepKey) {
+    const keys = entries.keys();
+    let next = keys.next();
+    while (totalBytes > maxBytes && !next.done) {
+      if (next.value !== keepKey) {
+        removeEntry(next.value);
+        stats.evictions += 1;
+      }
+      next = keys.next();
+    }
+  }
+
+  function writeAtomic(filePath, data) {
+    const tmpPath = filePath + '.tmp';
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function writeMeta(key, entry) {
+    if (!dir) {
+      return;
+    }
+    try {
+      writeAtomic(filePaths(key).meta, JSON.stringify({ key, fetchedAt: entry.fetchedAt, fields: entry.fields }));
+    } catch (error) {
+      stats.writeErrors += 1;
+      warn('tile_cache_write_failed', { dir, error: error.message });
+    }
+  }
+
+  function store(key, result) {
+    removeEntry(key);
+    const body = Buffer.from(result.body);
+    const entry = {
+      fields: pickFields(result),
+      fetchedAt: now(),
+      size: body.length,
+      body: dir ? null : body
+    };
+    if (dir) {
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        writeAtomic(filePaths(key).body, body);
+      } catch (error) {
+        stats.writeErrors += 1;
+        warn('tile_cache_write_failed', { dir, error: error.message });
+        return;
+      }
+    }
+    entries.set(key, entry);
+    totalBytes += entry.size;
+    writeMeta(key, entry);
+    evict(key);
+  }
+
+  function readTile(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    let body = entry.body;
+    if (!body) {
+      try {
+        body = fs.readFileSync(filePaths(key).body);
+      } catch (_error) {
+        removeEntry(key);
+        return null;
+      }
+    }
+    touch(key, entry);
+    return Object.assign({}, entry.fields, { body });
+  }
+
+  /**
+   * Returns the tile for `key`, calling `fetcher(requestHeaders)` when it is
+   * missing or older than `ttlMs`. A stale tile with an ETag/Last-Modified is
+   * revalidated with conditional headers; the fetcher reports a 304 by
+   * resolving `{ notModified: true }`. With `serveStale`, a stale tile is
+   * returned (marked `stale: true`) when the upstream fails with anything but
+   * a 404.
+   */
+  async function get(key, params) {
+    await load();
+    const ttlMs = Number(params.ttlMs || 0);
+    const entry = entries.get(key);
+    if (entry && (now() - entry.fetchedAt) < ttlMs) {
+      const cached = readTile(key);
+      if (cached) {
+        stats.hits += 1;
+        return cached;
+      }
+    }
+
+    const current = entries.get(key);
+    const requestHeaders = {};
+    if (current && current.fields.etag) {
+      requestHeaders['If-None-Match'] = current.fields.etag;
+    }
+    if (current && current.fields.lastModified) {
+      requestHeaders['If-Modified-Since'] = current.fields.lastModified;
+    }
+
+    let result;
+    try {
+      result = await params.fetcher(requestHeaders);
+    } catch (error) {
+      if (current && params.serveStale && Number(error && error.statusCode) !== 404) {
+        const stale = readTile(key);
+        if (stale) {
+          stats.staleServed += 1;
+          return Object.assign(stale, { stale: true });
+        }
+      }
+      throw error;
+    }
+
+    if (result && result.notModified && current) {
+      const revalidated = readTile(key);
+      if (revalidated) {
+        current.fetchedAt = now();
+        writeMeta(key, current);
+        stats.revalidated += 1;
+        return revalidated;
+      }
+      // The body vanished between the check and the read: fetch it in full.
+      return get(key, Object.assign({}, params, { ttlMs: 0 }));
+    }
+
+    stats.misses += 1;
+    if (result && Buffer.isBuffer(result.body)) {
+      store(key, result);
+    }
+    return result;
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses + stats.revalidated;
+    return Object.assign({
+      persistent: !!dir,
+      dir,
+      entries: entries.size,
+      bytes: totalBytes,
+      maxBytes,
+      hitRatio: lookups ? Math.round(((stats.hits + stats.revalidated) / lookups) * 1000) / 1000 : null
+    }, stats);
+  }
+
+  return {
+    load,
+    get,
+    getStats
+  };
+}
+
+module.exports = {
+  createTileCache
+};
@@ -4,22 +4,42 @@ const http = require('http');
 const path = require('path');
 const { createApp } = require('./app');
 const { loadAuthConfig } = require('./lib/config-loader');
-const { loadRuntimeConfig } = require('./lib/runtime-config');
+const { applyEnvOverrides, loadDotEnv, loadRuntimeConfig } = require('./lib/runtime-config');
 const { createFroniusStateManager } = require('./lib/fronius-state');
 const { createFroniusClient } = require('./lib/fronius-client');
+const { createCombinedFroniusClient } = require('./lib/fronius-systems');
 const { createGitSyncService } = require('./lib/git-sync');
 const { createExternalSources } = require('./lib/external-sources');
+const { createSourceScheduler } = require('./lib/source-scheduler');
+const { createSourceHealth } = require('./lib/source-health');
+const { createMetrics, formatMetrics, buildStateFamilies, buildProcessFamilies } = require('./lib/metrics');
+const { createMqttPublisher } = require('./lib/mqtt-publisher');
+const { createRainNowcast } = require('./lib/rain-nowcast');
+const { createRainAtLocation } = require('./lib/rain-at-location');
+const { createRadarDecoder } = require('./lib/radar-palette');
 const { createRainViewerClient } = require('./lib/rainviewer');
 const { createBomRadarClient } = require('./lib/bom-radar');
 const { createBomTilesClient } = require('./lib/bom-tiles');
 const { createBomReflectivityClient } = require('./lib/bom-reflectivity');
-const { createMapTileClient } = require('./lib/map-tiles');
+const { createMapTileClient, mapTemplatesKey } = require('./lib/map-tiles');
+const { createTileCache } = require('./lib/tile-cache');
 const { createRadarGifRenderer, createBomGifRenderer } = require('./lib/radar-gif');
 const { createInternetProbeService } = require('./lib/internet-probe');
 const { createLogger, readDebugConfig } = require('./lib/logger');
 const { createDebugEventStore } = require('./lib/debug-events');
 const { requestWithDebug } = require('./lib/http-debug');
 const { createBeatbotService } = require('./lib/beatbot/service');
+const { HISTORY_GAP_LIMIT_MS, createSolarStore } = require('./lib/solar-store');
+const { createSolarHistoryService, shiftDayKey } = require('./lib/solar-history');
+const { createSolarBillService } = require('./lib/solar-bill');
+const { createSolarExportService } = require('./lib/solar-export');
+const { resolveSite, buildClearSkyCurve, expectedKwhUntil, buildSolarForecast, slotCloudAt } = require('./lib/solar-forecast');
+const { createSolarAlertMonitor } = require('./lib/solar-alerts');
+const { buildSolarMetrics } = require('./lib/solar-metrics');
+const { buildLoadShiftAdvice, createLoadShiftController, normalizeLoadShiftSettings } = require('./lib/load-shift');
+const { createTariff } = require('./lib/tariff');
+const { createFroniusSimulator } = require('./lib/fronius-simulator');
+const { createSunSpecClient } = require('./lib/sunspec');
 
 const formatterCache = new Map();
 
@@ -245,7 +265,9 @@ function createEmptyDailyBins(dayKey) {
       importWh: 0,
       exportWh: 0,
       selfWh: 0,
-      loadWh: 0
+      loadWh: 0,
+      batteryChargeWh: 0,
+      batteryDischargeWh: 0
     });
   }
   return bins;
@@ -410,7 +432,9 @@ function aggregateDailyToHourlyBins(dailyBins) {
       importWh: Number(first.importWh || 0) + Number(second.importWh || 0),
       exportWh: Number(first.exportWh || 0) + Number(second.exportWh || 0),
       selfWh: Number(first.selfWh || 0) + Number(second.selfWh || 0),
-      loadWh: Number(first.loadWh || 0) + Number(second.loadWh || 0)
+      loadWh: Number(first.loadWh || 0) + Number(second.loadWh || 0),
+      batteryChargeWh: Number(first.batteryChargeWh || 0) + Number(second.batteryChargeWh || 0),
+      batteryDischargeWh: Number(first.batteryDischargeWh || 0) + Number(second.batteryDischargeWh || 0)
     });
   }
   return out;
@@ -503,11 +527,15 @@ function buildFlowSummaryFromBins(bins) {
   let producedWh = 0;
   let feedInWh = 0;
   let importWh = 0;
+  let batteryChargeWh = 0;
+  let batteryDischargeWh = 0;
   for (let i = 0; i < source.length; i += 1) {
     const item = source[i] || {};
     producedWh += Math.max(0, Number(item.generatedWh || 0));
     feedInWh += Math.max(0, Number(item.exportWh || 0));
     importWh += Math.max(0, Number(item.importWh || 0));
+    batteryChargeWh += Math.max(0, Number(item.batteryChargeWh || 0));
+    batteryDischargeWh += Math.max(0, Number(item.batteryDischargeWh || 0));
   }
   const selfUsedWh = Math.max(0, producedWh - feedInWh);
   const selfConsumptionPct = producedWh > 0 ? (selfUsedWh / producedWh) * 100 : 0;
@@ -516,7 +544,9 @@ function buildFlowSummaryFromBins(bins) {
     selfUsedKwh: selfUsedWh / 1000,
     feedInKwh: feedInWh / 1000,
     importKwh: importWh / 1000,
-    selfConsumptionPct
+    selfConsumptionPct,
+    batteryChargedKwh: batteryChargeWh / 1000,
+    batteryDischargedKwh: batteryDischargeWh / 1000
   };
 }
 
@@ -555,7 +585,9 @@ function normalizeGeneratedBinsToTodayTotals(dailyBins, todayRaw) {
       importWh,
       exportWh,
       selfWh,
-      loadWh: selfWh + importWh
+      loadWh: selfWh + importWh,
+      batteryChargeWh: Math.max(0, Number(bin.batteryChargeWh || 0)),
+      batteryDischargeWh: Math.max(0, Number(bin.batteryDischargeWh || 0))
     });
   }
   return out;
@@ -571,7 +603,7 @@ function hasAnySolarBinsEnergy(bins) {
   return false;
 }
 
-function buildSolarMeta(nowMs, timeZone, froniusSnapshot, solarDailyBins, solarHistory) {
+function buildSolarMeta(nowMs, timeZone, froniusSnapshot, solarDailyBins, solarHistory, clearSky) {
   const now = Number(nowMs || Date.now());
   const tz = resolveTimeZone(timeZone);
   const snapshot = froniusSnapshot || {};
@@ -583,11 +615,22 @@ function buildSolarMeta(nowMs, timeZone, froniusSnapshot, solarDailyBins, solarH
     : (hasBins ? 'mixed' : 'realtime_estimated');
   const history = Array.isArray(solarHistory) ? solarHistory : [];
   const lastHistory = history.length ? history[history.length - 1] : null;
+  const expectedKwhSoFar = clearSky ? Number(clearSky.expectedKwhSoFar || 0) : 0;
+  let generatedKwh = Math.max(0, Number(today.generatedKwh || 0));
+  if (!(generatedKwh > 0)) {
+    generatedKwh = summarizeBinsTotals(solarDailyBins).generatedKwh;
+  }
+  // Below half a kWh of expected output the ratio is mostly dawn noise.
+  const performanceRatio = expectedKwhSoFar >= 0.5
+    ? Math.round((generatedKwh / expectedKwhSoFar) * 1000) / 1000
+    : null;
   return {
     dayKey: formatDateLocal(now, tz),
     tz,
     lastDataAt: lastHistory ? new Date(lastHistory.ts).toISOString() : null,
-    dataQuality
+    dataQuality,
+    expectedKwhSoFar: Math.round(expectedKwhSoFar * 1000) / 1000,
+    performanceRatio
   };
 }
 
@@ -649,7 +692,10 @@ function mergeArchiveWithHistoryGaps(archiveBins, historyBins) {
       importWh: Number(src.importWh || 0),
       exportWh: Number(src.exportWh || 0),
       selfWh: Number(src.selfWh || 0),
-      loadWh: Number(src.loadWh || 0)
+      loadWh: Number(src.loadWh || 0),
+      // The archive carries no battery channels, so battery energy always comes from realtime history.
+      batteryChargeWh: Number(h.batteryChargeWh || 0),
+      batteryDischargeWh: Number(h.batteryDischargeWh || 0)
     });
   }
   return out;
@@ -766,7 +812,7 @@ function aggregateHistoryToDailyBins(solarHistory, nowMs, timeZone) {
     const prev = points[i - 1];
     const curr = points[i];
     const dtHours = Math.max(0, (curr.ts - prev.ts) / 3600000);
-    if (dtHours <= 0) {
+    if (dtHours <= 0 || (curr.ts - prev.ts) > HISTORY_GAP_LIMIT_MS) {
       continue;
     }
     const secOfDay = secondOfDayLocal(prev.ts, timeZone);
@@ -777,23 +823,84 @@ function aggregateHistoryToDailyBins(solarHistory, nowMs, timeZone) {
     const importWh = gridW > 0 ? gridW * dtHours : 0;
     const exportWh = gridW < 0 ? (-gridW) * dtHours : 0;
     const selfWh = Math.max(0, generatedWh - exportWh);
+    const batteryW = Number(prev.batteryW || 0);
     bins[idx].generatedWh += generatedWh;
     bins[idx].importWh += importWh;
     bins[idx].exportWh += exportWh;
     bins[idx].selfWh += selfWh;
     bins[idx].loadWh += loadWh;
+    bins[idx].batteryChargeWh += batteryW < 0 ? (-batteryW) * dtHours : 0;
+    bins[idx].batteryDischargeWh += batteryW > 0 ? batteryW * dtHours : 0;
   }
   return bins;
 }
 
-function scheduleFroniusPolling(client, froniusState, froniusConfig, onRealtime, onArchiveDetail, timers, timeZone) {
+function summarizeBinsTotals(bins) {
+  const flow = buildFlowSummaryFromBins(bins);
+  return {
+    generatedKwh: Math.round(flow.producedKwh * 1000) / 1000,
+    importKwh: Math.round(flow.importKwh * 1000) / 1000,
+    exportKwh: Math.round(flow.feedInKwh * 1000) / 1000
+  };
+}
+
+// The Solar API client, or with `fronius.transport: "modbus"` a SunSpec
+// reader that falls back to the Solar API archive when a baseUrl is set.
+function createConfiguredFroniusClient(froniusConfig, logger, timeZone) {
+  const httpClient = froniusConfig.baseUrl ? createFroniusClient(froniusConfig.baseUrl, { logger, timeZone }) : null;
+  if (froniusConfig.transport !== 'modbus') {
+    return httpClient;
+  }
+  let host = froniusConfig.modbus.host;
+  if (!host && froniusConfig.baseUrl) {
+    try {
+      host = new URL(froniusConfig.baseUrl).hostname;
+    } catch (_error) {
+      host = '';
+    }
+  }
+  if (!host) {
+    return httpClient;
+  }
+  return createSunSpecClient({
+    host,
+    port: froniusConfig.modbus.port,
+    unitId: froniusConfig.modbus.unitId,
+    meterUnitId: froniusConfig.modbus.meterUnitId,
+    invertMeter: froniusConfig.modbus.invertMeter,
+    timeoutMs: froniusConfig.modbus.timeoutMs,
+    timeZone,
+    archiveClient: httpClient
+  });
+}
+
+function resolveSolarDataDir(storageConfig, baseDir, configDir) {
+  const configured = String((storageConfig && storageConfig.dataDir) || '').trim();
+  if (!configured) {
+    return path.join(configDir, 'data');
+  }
+  return path.isAbsolute(configured) ? configured : path.join(baseDir, configured);
+}
+
+function resolveTileCacheDir(tileCacheConfig, storageConfig, baseDir, configDir) {
+  const configured = String((tileCacheConfig && tileCacheConfig.dir) || '').trim();
+  if (!configured) {
+    return path.join(resolveSolarDataDir(storageConfig, baseDir, configDir), 'tiles');
+  }
+  return path.isAbsolute(configured) ? configured : path.join(baseDir, configured);
+}
+
+function scheduleFroniusPolling(client, froniusState, froniusConfig, onRealtime, onArchiveDetail, timers, timeZone, health) {
   async function realtimeTick() {
     const now = Date.now();
     try {
       const realtime = await client.fetchRealtime();
+      health.record('froniusRealtime', { ok: true, durationMs: Date.now() - now });
       froniusState.applyRealtime(realtime, now);
       onRealtime(realtime, now);
-    } catch (error) {}
+    } catch (error) {
+      health.record('froniusRealtime', { ok: false, durationMs: Date.now() - now, error });
+    }
   }
 
   async function archiveTick() {
@@ -806,7 +913,10 @@ function scheduleFroniusPolling(client, froniusState, froniusConfig, onRealtime,
         const detail = await client.fetchDailyDetail(dayISO);
         onArchiveDetail(detail, now);
       }
-    } catch (error) {}
+      health.record('froniusArchive', { ok: true, durationMs: Date.now() - now });
+    } catch (error) {
+      health.record('froniusArchive', { ok: false, durationMs: Date.now() - now, error });
+    }
   }
 
   realtimeTick();
@@ -814,6 +924,8 @@ function scheduleFroniusPolling(client, froniusState, froniusConfig, onRealtime,
 
   const realtimeMs = Math.max(5, Number(froniusConfig.realtimeRefreshSeconds || 8)) * 1000;
   const archiveMs = Math.max(60, Number(froniusConfig.archiveRefreshSeconds || 1800)) * 1000;
+  health.expect('froniusRealtime', realtimeMs);
+  health.expect('froniusArchive', archiveMs);
   const realtimeTimer = timers.setInterval(realtimeTick, realtimeMs);
   const archiveTimer = timers.setInterval(archiveTick, archiveMs);
 
@@ -823,59 +935,122 @@ function scheduleFroniusPolling(client, froniusState, froniusConfig, onRealtime,
   };
 }
 
-function scheduleExternalPolling(sources, externalState, dashboardConfig, timers) {
-  async function tick() {
-    try {
-      externalState.weather = await sources.fetchWeather();
-    } catch (error) {
-      externalState.weather = Object.assign({}, externalState.weather, { error: 'weather_unavailable' });
-    }
+function scheduleFroniusDevicePolling(client, froniusConfig, onDevices, timers) {
+  if (typeof client.fetchDevices !== 'function') {
+    return function stop() {};
+  }
 
-    try {
-      externalState.news = await sources.fetchNews();
-    } catch (error) {
-      externalState.news = Object.assign({}, externalState.news, { error: 'news_unavailable' });
+  // fetchDevices makes several requests in a row; on a slow inverter it can
+  // outlast the interval, so a tick is skipped while the last is running.
+  let inFlight = false;
+  async function devicesTick() {
+    if (inFlight) {
+      return;
     }
-
+    inFlight = true;
+    const now = Date.now();
     try {
-      externalState.bins = await sources.fetchBins();
+      onDevices(await client.fetchDevices(), null, now);
     } catch (error) {
-      externalState.bins = Object.assign({}, externalState.bins, { error: 'bins_unavailable' });
+      onDevices(null, error, now);
+    } finally {
+      inFlight = false;
     }
+  }
 
-    try {
-      externalState.reminders = await sources.fetchReminders();
-    } catch (_error) {
-      externalState.reminders = Array.isArray(externalState.reminders) ? externalState.reminders : [];
-    }
+  devicesTick();
 
-    try {
-      externalState.ha = {
-        cards: await sources.fetchHomeAssistantCards(),
-        stale: false,
-        error: null
-      };
-    } catch (error) {
-      externalState.ha = {
-        cards: Array.isArray(externalState.ha && externalState.ha.cards) ? externalState.ha.cards : [],
-        stale: true,
-        error: error && error.message ? error.message : 'ha_unavailable'
-      };
+  const devicesMs = Math.max(15, Number(froniusConfig.devicesRefreshSeconds || 60)) * 1000;
+  const devicesTimer = timers.setInterval(devicesTick, devicesMs);
+
+  return function stop() {
+    timers.clearInterval(devicesTimer);
+  };
+}
+
+// Each external source polls on its own cadence so a slow or failing feed
+// neither delays the others nor gets hammered; `schedulers` collects them by
+// name for the admin refresh endpoint.
+function scheduleExternalPolling(sources, externalState, dashboardConfig, timers, schedulers, health) {
+  function seconds(value, fallback, min) {
+    return Math.max(min, Number(value || fallback)) * 1000;
+  }
+
+  const definitions = [
+    {
+      name: 'weather',
+      intervalMs: seconds(dashboardConfig.weather.refreshSeconds, 600, 30),
+      timeoutMs: seconds(dashboardConfig.weather.timeoutSeconds, 20, 1),
+      run: () => sources.fetchWeather(),
+      onSuccess: (weather) => { externalState.weather = weather; },
+      onFailure: () => {
+        externalState.weather = Object.assign({}, externalState.weather, { error: 'weather_unavailable' });
+      }
+    },
+    {
+      name: 'news',
+      intervalMs: seconds(dashboardConfig.news.refreshSeconds, 300, 30),
+      timeoutMs: seconds(dashboardConfig.news.timeoutSeconds, 20, 1),
+      run: () => sources.fetchNews(),
+      onSuccess: (news) => { externalState.news = news; },
+      onFailure: () => {
+        externalState.news = Object.assign({}, externalState.news, { error: 'news_unavailable' });
+      }
+    },
+    {
+      name: 'bins',
+      intervalMs: seconds(dashboardConfig.bins.refreshSeconds, 300, 30),
+      timeoutMs: seconds(dashboardConfig.bins.timeoutSeconds, 20, 1),
+      run: () => sources.fetchBins(),
+      onSuccess: (bins) => { externalState.bins = bins; },
+      onFailure: () => {
+        externalState.bins = Object.assign({}, externalState.bins, { error: 'bins_unavailable' });
+      }
+    },
+    {
+      // Reminders are computed locally; the schedule only rolls them over each day.
+      name: 'reminders',
+      intervalMs: 5 * 60 * 1000,
+      timeoutMs: 20 * 1000,
+      run: () => sources.fetchReminders(),
+      onSuccess: (reminders) => { externalState.reminders = reminders; },
+      onFailure: () => {
+        externalState.reminders = Array.isArray(externalState.reminders) ? externalState.reminders : [];
+      }
+    },
+    {
+      name: 'homeAssistant',
+      intervalMs: seconds(dashboardConfig.homeAssistant.refreshSeconds, 30, 5),
+      timeoutMs: seconds(dashboardConfig.homeAssistant.timeoutSeconds, 10, 1),
+      run: () => sources.fetchHomeAssistantCards(),
+      onSuccess: (cards) => {
+        externalState.ha = { cards, stale: false, error: null };
+      },
+      onFailure: (error) => {
+        externalState.ha = {
+          cards: Array.isArray(externalState.ha && externalState.ha.cards) ? externalState.ha.cards : [],
+          stale: true,
+          error: error && error.message ? error.message : 'ha_unavailable'
+        };
+      }
     }
-  }
+  ];
 
-  tick();
-  const weatherMs = Math.max(30, Number(dashboardConfig.weather.refreshSeconds || 600)) * 1000;
-  const newsBinsMs = 5 * 60 * 1000;
-  const weatherTimer = timers.setInterval(tick, weatherMs);
-  const newsBinsTimer = timers.setInterval(tick, newsBinsMs);
+  const started = definitions.map((definition) => {
+    const scheduler = createSourceScheduler(Object.assign({ timers }, definition));
+    if (schedulers) {
+      schedulers.set(definition.name, scheduler);
+    }
+    health.expect(definition.name, definition.intervalMs);
+    scheduler.start();
+    return scheduler;
+  });
   return function stop() {
-    timers.clearInterval(weatherTimer);
-    timers.clearInterval(newsBinsTimer);
+    started.forEach((scheduler) => scheduler.stop());
   };
 }
 
-function scheduleInternetPolling(internetProbe, internetConfig, timers) {
+function scheduleInternetPolling(internetProbe, internetConfig, timers, health) {
   async function connectivityTick() {
     try {
       await internetProbe.sampleConnectivity();
@@ -893,6 +1068,7 @@ function scheduleInternetPolling(internetProbe, internetConfig, timers) {
 
   const sampleMs = Math.max(5, Number(internetConfig.sampleIntervalSeconds || 15)) * 1000;
   const speedMs = Math.max(60, Number(internetConfig.speedTestIntervalSeconds || 600)) * 1000;
+  health.expect('internet', sampleMs);
   const sampleTimer = timers.setInterval(connectivityTick, sampleMs);
   const speedTimer = timers.setInterval(throughputTick, speedMs);
   return function stop() {
@@ -901,8 +1077,9 @@ function scheduleInternetPolling(internetProbe, internetConfig, timers) {
   };
 }
 
-function scheduleRadarPolling(radarClient, radarState, radarConfig, timers, onFramesAvailable) {
+function scheduleRadarPolling(radarClient, radarState, radarConfig, timers, onFramesAvailable, health) {
   const refreshMs = Math.max(30, Number(radarConfig.refreshSeconds || 120)) * 1000;
+  health.expect('radar', refreshMs);
   const startupRetryMs = Math.max(2, Number(radarConfig.startupRetrySeconds || 5)) * 1000;
   const startupRetryMaxAttempts = Math.max(0, Number(radarConfig.startupRetryMaxAttempts || 12));
   let startupRetryAttempts = 0;
@@ -972,12 +1149,13 @@ function scheduleRadarPolling(radarClient, radarState, radarConfig, timers, onFr
   };
 }
 
-function scheduleGitAutoSync(gitSync, gitConfig, timers) {
+function scheduleGitAutoSync(gitSync, gitConfig, timers, health) {
   if (!gitConfig.autoSyncEnabled) {
     return function noop() {};
   }
 
   const intervalMs = Math.max(10, Number(gitConfig.intervalSeconds || 300)) * 1000;
+  health.expect('git', intervalMs);
   const timer = timers.setInterval(async function onTick() {
     await gitSync.action('sync');
   }, intervalMs);
@@ -1001,13 +1179,25 @@ function createServer(options) {
   const debugEventStore = (options && options.debugEventStore) || createDebugEventStore({
     maxEntries: debugConfig.eventMaxEntries
   });
+  const sourceHealth = createSourceHealth({
+    enabled: {
+      homeAssistant: !!dashboardConfig.homeAssistant.enabled,
+      internet: !!dashboardConfig.internet.enabled,
+      beatbot: !!(dashboardConfig.beatbot && dashboardConfig.beatbot.enabled)
+    }
+  });
+  const metrics = createMetrics();
   const logger = (options && options.logger) || createLogger({
     level: debugConfig.level,
     debugExternal: debugConfig.debugExternal,
     debugGif: debugConfig.debugGif,
     externalBodyMode: debugConfig.externalBodyMode,
     bodyMaxBytes: debugConfig.bodyMaxBytes,
-    eventStore: debugEventStore
+    eventStore: debugEventStore,
+    onExternalRequest: function onExternalRequest(fields) {
+      sourceHealth.observeRequest(fields);
+      metrics.observeRequest(fields);
+    }
   });
   const authConfig = loadAuthConfig(configDir);
 
@@ -1018,7 +1208,10 @@ function createServer(options) {
   const gitSync = createGitSyncService({
     cwd: baseDir,
     config: dashboardConfig.git,
-    runner: options && options.gitRunner
+    runner: options && options.gitRunner,
+    onAction: function onGitAction(_name, result, durationMs) {
+      sourceHealth.record('git', { ok: result.ok, durationMs, error: result.detail });
+    }
   });
 
   const externalState = Object.assign({
@@ -1029,6 +1222,7 @@ function createServer(options) {
     ha: { cards: [], stale: true, error: null },
     beatbot: { devices: [], stale: true, error: null }
   }, (options && options.initialExternalState) || {});
+  const sourceSchedulers = new Map();
 
   const beatbotTokensPath = path.join(configDir, 'beatbot-tokens.json');
   const beatbotConfig = dashboardConfig.beatbot || {};
@@ -1053,18 +1247,301 @@ function createServer(options) {
     sourceUrl: '',
     error: null
   }, (options && options.initialBomRadarState) || {});
-  const solarHistory = ((options && options.initialSolarHistory) || []).slice();
+  const storageConfig = dashboardConfig.storage || {};
+  const solarStore = (options && options.solarStore) || (storageConfig.enabled
+    ? createSolarStore({
+      dir: resolveSolarDataDir(storageConfig, baseDir, configDir),
+      logger,
+      sampleRetentionHours: storageConfig.sampleRetentionHours,
+      retentionDays: storageConfig.retentionDays,
+      compactAfterBytes: Number(storageConfig.compactAfterKb || 2048) * 1024
+    })
+    : null);
+  const startupMs = Date.now();
+  if (solarStore) {
+    solarStore.load();
+    solarStore.compact(startupMs);
+    froniusState.restoreSnapshot(solarStore.getFroniusSnapshot());
+  }
+  const persistedToday = solarStore ? solarStore.getDay(formatDateLocal(startupMs, dashboardTimeZone)) : null;
+  const solarHistory = ((options && options.initialSolarHistory) ||
+    (solarStore ? solarStore.getSamples(startupMs - (24 * 60 * 60 * 1000)) : [])).slice();
   const internetProbe = (options && options.internetProbe) || createInternetProbeService({
     config: dashboardConfig.internet || {},
     insecureTLS: !!dashboardConfig.insecureTLS,
     logger
   });
-  let solarDailyBins = ((options && options.initialSolarDailyBins) || []).slice();
-  let solarGeneratedArchiveHistory = ((options && options.initialSolarGeneratedHistory) || []).slice();
+  let solarDailyBins = ((options && options.initialSolarDailyBins) ||
+    (persistedToday && Array.isArray(persistedToday.bins) ? persistedToday.bins : [])).slice();
+  let solarGeneratedArchiveHistory = ((options && options.initialSolarGeneratedHistory) ||
+    (persistedToday && Array.isArray(persistedToday.generatedSeries) ? persistedToday.generatedSeries : [])).slice();
   let solarGeneratedArchiveDayKey = String((options && options.initialSolarGeneratedDayKey) || binsDayKey(solarDailyBins) || '');
   let solarHourlyBins = aggregateDailyToHourlyBins(solarDailyBins);
-  let archiveDetailReady = false;
-  const startupMs = Date.now();
+  let archiveDetailReady = !!(persistedToday && persistedToday.archiveDetail && !(options && options.initialSolarDailyBins));
+  let lastSolarPersistAt = 0;
+  const systemClients = (options && options.froniusSystemClients) || {};
+  const froniusSystems = (dashboardConfig.fronius.systems.length > 1 ? dashboardConfig.fronius.systems : []).map((system) => ({
+    id: system.id,
+    name: system.name,
+    client: systemClients[system.id] || (!(options && options.disablePolling)
+      ? createFroniusClient(system.baseUrl, { logger, timeZone: dashboardTimeZone })
+      : null),
+    state: createFroniusStateManager({
+      estimatedAfterMs: Number(dashboardConfig.fronius.estimatedAfterMinutes || 10) * 60 * 1000
+    }),
+    history: [],
+    archiveBins: []
+  }));
+
+  // Per-system readings are kept alongside the combined pipeline, which only
+  // ever sees the summed client.
+  function applySystemResult(system, kind, result, dayISO, now) {
+    const isToday = !dayISO || dayISO === formatDateLocal(now, dashboardTimeZone);
+    if (kind === 'realtime') {
+      system.state.applyRealtime(result, now);
+      system.history.push({
+        ts: now,
+        generatedW: Number(result.generatedW || 0),
+        gridW: Number(result.gridW || 0),
+        loadW: Number(result.loadW || 0),
+        batteryW: Number(result.batteryW || 0)
+      });
+      const cutoff = now - (24 * 60 * 60 * 1000);
+      while (system.history.length > 0 && system.history[0].ts < cutoff) {
+        system.history.shift();
+      }
+    } else if (kind === 'daily' && isToday) {
+      system.state.applyArchive(result, now);
+    } else if (kind === 'detail' && isToday) {
+      system.archiveBins = hasUsableArchiveDetail(result)
+        ? aggregateDetailToDailyBins(result, formatDateLocal(now, dashboardTimeZone), dashboardTimeZone)
+        : [];
+    }
+  }
+
+  function getSolarSystemsState(now) {
+    const dayKey = formatDateLocal(now, dashboardTimeZone);
+    return froniusSystems.map((system) => {
+      const snapshot = system.state.getState(now);
+      const historyBins = aggregateHistoryToDailyBins(system.history, now, dashboardTimeZone);
+      const bins = normalizeGeneratedBinsToTodayTotals(
+        binsDayKey(system.archiveBins) === dayKey ? mergeArchiveWithHistoryGaps(system.archiveBins, historyBins) : historyBins,
+        snapshot.today
+      );
+      return {
+        id: system.id,
+        name: system.name,
+        fronius: snapshot,
+        solarDailyBins: bins,
+        solarHourlyBins: aggregateDailyToHourlyBins(bins),
+        solarUsageHourly: buildUsageHourlyFromDailyBins(bins),
+        solarGeneratedHistory: buildGeneratedSeriesFromRealtimeHistory(system.history, now, dashboardTimeZone),
+        solarDawnQuarterly: buildDawnQuarterlyFromHistory(system.history, now, dashboardTimeZone),
+        solarFlowSummary: Object.assign(buildFlowSummaryFromBins(bins), {
+          hasBattery: !!snapshot.realtime.hasBattery,
+          batteryW: Number(snapshot.realtime.batteryW || 0),
+          batterySocPct: snapshot.realtime.batterySocPct
+        })
+      };
+    });
+  }
+
+  let froniusClient = (options && options.froniusClient) || null;
+  if (!froniusClient && froniusSystems.length && froniusSystems.every((system) => system.client)) {
+    froniusClient = createCombinedFroniusClient(froniusSystems, { onResult: applySystemResult });
+  } else if (!froniusClient && !froniusSystems.length && !(options && options.disablePolling)) {
+    froniusClient = createConfiguredFroniusClient(dashboardConfig.fronius, logger, dashboardTimeZone);
+  }
+
+  function getSolarToday(now) {
+    const snapshot = froniusState.getState(now);
+    const corrected = normalizeGeneratedBinsToTodayTotals(solarDailyBins, snapshot.today);
+    const dayKey = formatDateLocal(now, dashboardTimeZone);
+    const bins = binsDayKey(corrected) === dayKey ? corrected : [];
+    return {
+      dayKey,
+      secOfDay: secondOfDayLocal(now, dashboardTimeZone),
+      totals: Number(snapshot.today.generatedKwh || 0) > 0 ? snapshot.today : summarizeBinsTotals(bins),
+      bins
+    };
+  }
+
+  const solarHistoryService = createSolarHistoryService({
+    client: froniusClient,
+    store: solarStore,
+    logger,
+    getToday: function getToday() { return getSolarToday(Date.now()); },
+    aggregateDetail: function aggregateDetail(detail, dayKey) {
+      return hasUsableArchiveDetail(detail) ? aggregateDetailToDailyBins(detail, dayKey, dashboardTimeZone) : [];
+    }
+  });
+  const solarBillService = createSolarBillService({
+    history: solarHistoryService,
+    store: solarStore,
+    getToday: function getToday() { return getSolarToday(Date.now()); }
+  });
+  const solarExportService = createSolarExportService({
+    history: solarHistoryService,
+    store: solarStore,
+    getToday: function getToday() { return getSolarToday(Date.now()); },
+    getSamples: function getSamples(sinceMs) {
+      return solarStore ? solarStore.getSamples(sinceMs) : solarHistory.filter((sample) => sample.ts >= sinceMs);
+    },
+    locate: function locate(ts) {
+      return { dayKey: formatDateLocal(ts, dashboardTimeZone), secOfDay: secondOfDayLocal(ts, dashboardTimeZone) };
+    }
+  });
+
+  let solarDevices = { updatedAt: null, error: null, inverters: [], meters: [] };
+  const solarAlertMonitor = createSolarAlertMonitor(dashboardConfig.alerts);
+  // Evaluated on the inverter polling ticks, not per read, so the anomaly
+  // timers advance with the data and readers all see the same alerts.
+  let solarAlerts = [];
+  let haServices = null;
+  const loadShiftController = createLoadShiftController(dashboardConfig.loadShift, {
+    logger,
+    callService: function callHaService(domain, service, data) {
+      if (!haServices || typeof haServices.callHaService !== 'function') {
+        return Promise.reject(new Error('ha_unavailable'));
+      }
+      return haServices.callHaService(domain, service, data);
+    }
+  });
+
+  let clearSkyCache = { dayKey: null, siteKey: null, dayStartMs: 0, curve: null, tomorrowCurve: null };
+  function refreshClearSkyCache(now) {
+    const dayKey = formatDateLocal(now, dashboardTimeZone);
+    const site = resolveSite(dashboardConfig);
+    const siteKey = JSON.stringify(site);
+    if (clearSkyCache.dayKey !== dayKey || clearSkyCache.siteKey !== siteKey) {
+      const dayStartMs = now - (secondOfDayLocal(now, dashboardTimeZone) * 1000);
+      clearSkyCache = {
+        dayKey,
+        siteKey,
+        dayStartMs,
+        curve: buildClearSkyCurve(site, dayStartMs),
+        tomorrowCurve: buildClearSkyCurve(site, dayStartMs + (24 * 60 * 60 * 1000))
+      };
+    }
+    return clearSkyCache;
+  }
+
+  function getClearSky(now) {
+    const cache = refreshClearSkyCache(now);
+    return Object.assign({ dayKey: cache.dayKey }, cache.curve, {
+      expectedKwhSoFar: Math.round(expectedKwhUntil(cache.curve.series, secondOfDayLocal(now, dashboardTimeZone)) * 1000) / 1000
+    });
+  }
+
+  function getSolarForecastState(now) {
+    const cache = refreshClearSkyCache(now);
+    const weather = externalState.weather || {};
+    return buildSolarForecast({
+      dayKey: cache.dayKey,
+      tomorrowKey: shiftDayKey(cache.dayKey, 1),
+      dayStartMs: cache.dayStartMs,
+      secOfDay: secondOfDayLocal(now, dashboardTimeZone),
+      todayCurve: cache.curve,
+      tomorrowCurve: cache.tomorrowCurve,
+      slots: Array.isArray(weather.forecastSlots) ? weather.forecastSlots : [],
+      generatedKwh: getSolarToday(now).totals.generatedKwh
+    });
+  }
+
+  function evaluateSolarAlerts(now) {
+    const today = getSolarToday(now);
+    const clearSky = getClearSky(now);
+    const weather = externalState.weather || {};
+    const recentDailyKwh = solarStore
+      ? solarStore.listDays()
+        .filter((dayKey) => dayKey < today.dayKey)
+        .slice(-14)
+        .map((dayKey) => {
+          const day = solarStore.getDay(dayKey) || {};
+          return Number((day.totals || summarizeBinsTotals(day.bins)).generatedKwh || 0);
+        })
+      : [];
+    solarAlerts = solarAlertMonitor.evaluate({
+      secOfDay: today.secOfDay,
+      clearSky,
+      generatedKwh: today.totals.generatedKwh,
+      history: solarHistory,
+      realtimeAt: froniusState.getState(now).realtime.at,
+      cloudPct: slotCloudAt(Array.isArray(weather.forecastSlots) ? weather.forecastSlots : [], now),
+      recentDailyKwh,
+      devices: solarDevices
+    }, now);
+  }
+
+  function getSolarMetricsState(now) {
+    return buildSolarMetrics({
+      today: getSolarToday(now),
+      emissionsKgPerKwh: dashboardConfig.pricing.gridEmissionsKgPerKwh,
+      getDayTotals: function getStoredDayTotals(dayKey) {
+        const day = solarStore ? solarStore.getDay(dayKey) : null;
+        if (!day) {
+          return null;
+        }
+        return day.totals || (Array.isArray(day.bins) && day.bins.length ? summarizeBinsTotals(day.bins) : null);
+      }
+    });
+  }
+
+  // The dashboard and MQTT price the same normalised bins so their costs agree.
+  function priceSolarToday(today) {
+    return createTariff(dashboardConfig.pricing).priceBins(today.bins, today.dayKey);
+  }
+
+  function getMqttSnapshot(now) {
+    const today = getSolarToday(now);
+    const dayMetrics = getSolarMetricsState(now).periods[0] || {};
+    return {
+      dayKey: today.dayKey,
+      realtime: froniusState.getState(now).realtime,
+      today: today.totals,
+      costs: priceSolarToday(today),
+      selfSufficiencyPct: dayMetrics.selfSufficiencyPct,
+      internet: internetProbe.getState(),
+      bins: externalState.bins,
+      reminders: externalState.reminders,
+      beatbotDevices: externalState.beatbot && externalState.beatbot.devices,
+      generatedAt: new Date(now).toISOString()
+    };
+  }
+
+  function getLoadShiftState(now) {
+    const snapshot = froniusState.getState(now);
+    const weather = externalState.weather || {};
+    return Object.assign(buildLoadShiftAdvice({
+      now,
+      dayKey: formatDateLocal(now, dashboardTimeZone),
+      secOfDay: secondOfDayLocal(now, dashboardTimeZone),
+      realtime: snapshot.realtime,
+      clearSky: getClearSky(now),
+      slots: Array.isArray(weather.forecastSlots) ? weather.forecastSlots : [],
+      exportedTodayKwh: snapshot.today.exportKwh
+    }, normalizeLoadShiftSettings(dashboardConfig.loadShift), createTariff(dashboardConfig.pricing)), {
+      triggers: loadShiftController.getTriggers()
+    });
+  }
+
+  function persistSolarDay(now) {
+    const dayKey = binsDayKey(solarDailyBins);
+    if (!solarStore || !dayKey) {
+      return;
+    }
+    const today = froniusState.getState(now).today;
+    solarStore.saveDay(dayKey, {
+      bins: solarDailyBins,
+      generatedSeries: solarGeneratedArchiveDayKey === dayKey ? solarGeneratedArchiveHistory : [],
+      archiveDetail: archiveDetailReady,
+      totals: dayKey === formatDateLocal(now, dashboardTimeZone)
+        ? { generatedKwh: today.generatedKwh, importKwh: today.importKwh, exportKwh: today.exportKwh }
+        : summarizeBinsTotals(solarDailyBins)
+    }, now);
+    solarStore.saveFroniusSnapshot(froniusState.exportSnapshot(), now);
+    lastSolarPersistAt = now;
+  }
 
   const sharedConfig = Object.assign({}, dashboardConfig, { logger });
   const renderMode = String((dashboardConfig.radar && dashboardConfig.radar.renderMode) || 'server_gif').toLowerCase();
@@ -1078,9 +1555,15 @@ function createServer(options) {
   const bomGifClient = (renderMode === 'bom_gif')
     ? ((options && options.bomGifClient) || createBomRadarClient(sharedConfig))
     : null;
-  const radarTileCache = new Map();
-  const mapTileCache = new Map();
+  const tileCacheConfig = (dashboardConfig.map && dashboardConfig.map.tileCache) || {};
+  const tileCache = (options && options.tileCache) || createTileCache({
+    dir: tileCacheConfig.enabled === false ? '' : resolveTileCacheDir(tileCacheConfig, storageConfig, baseDir, configDir),
+    maxBytes: Number(tileCacheConfig.maxMegabytes || 200) * 1024 * 1024,
+    logger
+  });
+  tileCache.load();
   const mapClient = (options && options.mapClient) || createMapTileClient(sharedConfig);
+  const mapCacheKey = mapTemplatesKey(sharedConfig);
   const mapTileCacheMs = Math.max(
     60,
     Number(
@@ -1096,36 +1579,69 @@ function createServer(options) {
     }
 
     const frameKey = params.framePath ? ('path=' + String(params.framePath)) : ('index=' + String(params.frameIndex));
-    const key = [frameKey, params.z, params.x, params.y, params.color, params.options].join(':');
-    const cached = radarTileCache.get(key);
-    if (cached && (Date.now() - cached.at) < 120000) {
-      return cached.value;
-    }
-
-    let value;
-    if (params.framePath && typeof radarClient.fetchTileByPath === 'function') {
-      value = await radarClient.fetchTileByPath(params.framePath, params.z, params.x, params.y, params.color, params.options);
-    } else {
-      value = await radarClient.fetchTile(params.frameIndex, params.z, params.x, params.y, params.color, params.options);
-    }
-    radarTileCache.set(key, { at: Date.now(), value });
-    return value;
+    const key = ['radar', radarProvider, frameKey, params.z, params.x, params.y, params.color, params.options].join(':');
+    return tileCache.get(key, {
+      ttlMs: 120000,
+      fetcher: function fetchUpstreamRadarTile() {
+        if (params.framePath && typeof radarClient.fetchTileByPath === 'function') {
+          return radarClient.fetchTileByPath(params.framePath, params.z, params.x, params.y, params.color, params.options);
+        }
+        return radarClient.fetchTile(params.frameIndex, params.z, params.x, params.y, params.color, params.options);
+      }
+    });
   }
 
+  // Radar analysis reads reflectivity tiles, not the display palette.
+  const radarDecoder = createRadarDecoder(radarProvider);
+  async function fetchAnalysisTile(framePath, z, x, y) {
+    const tile = await fetchRadarTile({
+      framePath,
+      z,
+      x,
+      y,
+      color: radarDecoder.color,
+      options: radarDecoder.options
+    });
+    return tile.body;
+  }
+
+  const radarAnalysisEnabled = renderMode !== 'bom_gif';
+  const rainNowcast = radarAnalysisEnabled && dashboardConfig.radar.nowcast.enabled
+    ? createRainNowcast({
+      lat: Number(dashboardConfig.radar.lat),
+      lon: Number(dashboardConfig.radar.lon),
+      zoom: Number(dashboardConfig.radar.providerMaxZoom || 7),
+      config: dashboardConfig.radar.nowcast,
+      fetchTile: fetchAnalysisTile,
+      toDbz: radarDecoder.toDbz
+    })
+    : null;
+  const rainAtLocation = radarAnalysisEnabled && dashboardConfig.radar.rainAtLocation.enabled
+    ? createRainAtLocation({
+      lat: Number(dashboardConfig.radar.lat),
+      lon: Number(dashboardConfig.radar.lon),
+      zoom: Number(dashboardConfig.radar.providerMaxZoom || 7),
+      config: dashboardConfig.radar.rainAtLocation,
+      fetchTile: fetchAnalysisTile,
+      toDbz: radarDecoder.toDbz
+    })
+    : null;
+
   async function fetchMapTile(params) {
     if (options && options.mapTileProvider) {
       return options.mapTileProvider(params);
     }
 
-    const key = [params.z, params.x, params.y].join(':');
-    const cached = mapTileCache.get(key);
-    if (cached && (Date.now() - cached.at) < mapTileCacheMs) {
-      return cached.value;
-    }
-
-    const value = await mapClient.fetchTile(params.z, params.x, params.y);
-    mapTileCache.set(key, { at: Date.now(), value });
-    return value;
+    // Map tiles outlive an upstream outage: past their TTL they are
+    // revalidated, and served stale if the tile server cannot be reached.
+    const key = ['map', mapCacheKey, params.z, params.x, params.y].join(':');
+    return tileCache.get(key, {
+      ttlMs: mapTileCacheMs,
+      serveStale: true,
+      fetcher: function fetchUpstreamMapTile(requestHeaders) {
+        return mapClient.fetchTile(params.z, params.x, params.y, requestHeaders);
+      }
+    });
   }
 
   async function fetchRadarEmbed(params) {
@@ -1280,7 +1796,8 @@ function createServer(options) {
       logger,
       fetchMapTile,
       bomClient: bomGifClient,
-      gifCacheDir: options && options.radarGifCacheDir
+      gifCacheDir: options && options.radarGifCacheDir,
+      onRender: metrics.observeRender
     })
     : createRadarGifRenderer({
       config: dashboardConfig,
@@ -1288,7 +1805,8 @@ function createServer(options) {
       fetchMapTile,
       fetchRadarTile,
       getRadarState: function getRadarStateRef() { return radarState; },
-      gifCacheDir: options && options.radarGifCacheDir
+      gifCacheDir: options && options.radarGifCacheDir,
+      onRender: metrics.observeRender
     });
 
   async function fetchRadarAnimation(params) {
@@ -1331,6 +1849,15 @@ function createServer(options) {
     dashboardConfig,
     authConfig,
     configDir,
+    applyRuntimeOverrides: function applyRuntimeOverrides(saved) {
+      return applyEnvOverrides(saved, Object.assign({}, loadDotEnv(baseDir), process.env));
+    },
+    onConfigSaved: function onConfigSaved(saved) {
+      // The clear-sky curve and tariff read these live; the rest applies on restart.
+      ['site', 'pricing', 'radar'].forEach((key) => {
+        dashboardConfig[key] = saved[key];
+      });
+    },
     froniusState,
     gitSync,
     getExternalState: function getExternalState() { return externalState; },
@@ -1367,17 +1894,122 @@ function createServer(options) {
       const now = Date.now();
       const froniusSnapshot = froniusState.getState(now);
       const corrected = normalizeGeneratedBinsToTodayTotals(solarDailyBins, froniusSnapshot.today);
-      return buildFlowSummaryFromBins(corrected);
+      return Object.assign(buildFlowSummaryFromBins(corrected), {
+        hasBattery: !!froniusSnapshot.realtime.hasBattery,
+        batteryW: Number(froniusSnapshot.realtime.batteryW || 0),
+        batterySocPct: froniusSnapshot.realtime.batterySocPct
+      });
     },
     getSolarMeta: function getSolarMeta() {
       const now = Date.now();
       const froniusSnapshot = froniusState.getState(now);
       const corrected = normalizeGeneratedBinsToTodayTotals(solarDailyBins, froniusSnapshot.today);
-      return buildSolarMeta(now, dashboardTimeZone, froniusSnapshot, corrected, solarHistory);
+      return buildSolarMeta(now, dashboardTimeZone, froniusSnapshot, corrected, solarHistory, getClearSky(now));
+    },
+    getSolarClearSky: function getSolarClearSky() {
+      return getClearSky(Date.now());
+    },
+    getSolarForecast: function getSolarForecast() {
+      return getSolarForecastState(Date.now());
+    },
+    getSolarDevices: function getSolarDevices() { return solarDevices; },
+    getSolarAlerts: function getSolarAlerts() { return solarAlerts; },
+    getSolarSystems: function getSolarSystems() {
+      return getSolarSystemsState(Date.now());
+    },
+    getSolarMetrics: function getSolarMetrics() {
+      return getSolarMetricsState(Date.now());
+    },
+    getLoadShift: function getLoadShift() {
+      return getLoadShiftState(Date.now());
+    },
+    listSolarDays: function listSolarDays() {
+      if (!solarStore) {
+        return [];
+      }
+      return solarStore.listDays().map((dayKey) => {
+        const day = solarStore.getDay(dayKey) || {};
+        return {
+          dayKey,
+          totals: day.totals || summarizeBinsTotals(day.bins),
+          hasBins: Array.isArray(day.bins) && day.bins.length > 0
+        };
+      });
+    },
+    getSolarDay: async function getSolarDay(dayKey) {
+      const day = await solarHistoryService.getDay(dayKey);
+      if (!day) {
+        return null;
+      }
+      const bins = Array.isArray(day.bins) ? day.bins : [];
+      return {
+        dayKey,
+        totals: day.totals,
+        bins,
+        hourlyBins: aggregateDailyToHourlyBins(bins),
+        usageHourly: buildUsageHourlyFromDailyBins(bins),
+        flowSummary: buildFlowSummaryFromBins(bins),
+        generatedSeries: Array.isArray(day.generatedSeries) ? day.generatedSeries : []
+      };
+    },
+    getSolarHistoryRange: function getSolarHistoryRange(from, to, resolution) {
+      return solarHistoryService.getRange(from, to, resolution);
+    },
+    validateSolarHistoryRange: function validateSolarHistoryRange(from, to, resolution) {
+      return solarHistoryService.validateRange(from, to, resolution);
+    },
+    getSolarComparison: function getSolarComparison() {
+      return solarHistoryService.getComparison();
+    },
+    getSolarBill: function getSolarBill(pricing) {
+      return solarBillService.getBill(pricing);
+    },
+    exportSolarData: function exportSolarData(from, to, resolution, pricing, onRow) {
+      return solarExportService.exportRange(from, to, resolution, pricing, onRow);
+    },
+    validateSolarExportRange: function validateSolarExportRange(from, to, resolution) {
+      return solarExportService.validateRange(from, to, resolution);
+    },
+    defaultSolarExportFrom: function defaultSolarExportFrom(to, resolution) {
+      return solarExportService.defaultFrom(to, resolution);
+    },
+    getSolarDayKey: function getSolarDayKey() {
+      return formatDateLocal(Date.now(), dashboardTimeZone);
+    },
+    getSolarCosts: function getSolarCosts() {
+      return priceSolarToday(getSolarToday(Date.now()));
     },
     getInternetState: function getInternetState() {
       return internetProbe.getState();
     },
+    refreshSource: function refreshSource(name) {
+      const scheduler = sourceSchedulers.get(name);
+      return scheduler ? scheduler.refreshNow() : null;
+    },
+    getSourceHealth: function getSourceHealth() {
+      return sourceHealth.list().map((source) => {
+        const scheduler = sourceSchedulers.get(source.name);
+        return Object.assign(source, {
+          refreshable: !!scheduler,
+          nextRunAt: scheduler ? scheduler.getStatus().nextRunAt : null
+        });
+      });
+    },
+    getReadiness: function getReadiness() {
+      return sourceHealth.evaluate(dashboardConfig.health.criticalSources);
+    },
+    getMetrics: function getMetrics() {
+      return formatMetrics([].concat(
+        buildStateFamilies({
+          fronius: froniusState.getState(Date.now()),
+          internet: internetProbe.getState(),
+          haCards: externalState.ha && externalState.ha.cards,
+          beatbotDevices: externalState.beatbot && externalState.beatbot.devices
+        }),
+        metrics.collect(),
+        buildProcessFamilies()
+      ));
+    },
     fetchRadarEmbed,
     fetchBomRadarImage,
     fetchRadarTile,
@@ -1387,6 +2019,7 @@ function createServer(options) {
     getRadarGifMeta,
     getBomRadarMeta,
     fetchMapTile,
+    getTileCacheStats: tileCache.getStats,
     getDebugEvents: function getDebugEvents(limit) { return debugEventStore.list(limit); },
     clearDebugEvents: function clearDebugEvents() {
       const before = debugEventStore.size();
@@ -1405,7 +2038,8 @@ function createServer(options) {
     publicDir: path.join(baseDir, 'public'),
     beatbotService,
     beatbotTokensPath,
-    beatbotOAuthRedirectUri: beatbotConfig.oauthRedirectUri
+    beatbotOAuthRedirectUri: beatbotConfig.oauthRedirectUri,
+    timers
   });
 
   const server = http.createServer(function onRequest(req, res) {
@@ -1417,20 +2051,30 @@ function createServer(options) {
   });
 
   const stoppers = [];
-  stoppers.push(scheduleGitAutoSync(gitSync, dashboardConfig.git, timers));
+  stoppers.push(scheduleGitAutoSync(gitSync, dashboardConfig.git, timers, sourceHealth));
 
   if (!(options && options.disablePolling)) {
-    const client = (options && options.froniusClient) || createFroniusClient(
+    const client = froniusClient || createFroniusClient(
       dashboardConfig.fronius.baseUrl,
       { logger, timeZone: dashboardTimeZone }
     );
     stoppers.push(scheduleFroniusPolling(client, froniusState, dashboardConfig.fronius, function onRealtime(realtime, now) {
-      solarHistory.push({
+      const sample = {
         ts: now,
         generatedW: Number(realtime.generatedW || 0),
         gridW: Number(realtime.gridW || 0),
-        loadW: Number(realtime.loadW || 0)
-      });
+        loadW: Number(realtime.loadW || 0),
+        batteryW: Number(realtime.batteryW || 0)
+      };
+      solarHistory.push(sample);
+      loadShiftController.update(realtime, now);
+      if (solarStore) {
+        solarStore.appendSample(sample);
+      }
+      const binsKey = binsDayKey(solarDailyBins);
+      if (binsKey && binsKey !== formatDateLocal(now, dashboardTimeZone)) {
+        persistSolarDay(now);
+      }
 
       const cutoff = now - (24 * 60 * 60 * 1000);
       while (solarHistory.length > 0 && solarHistory[0].ts < cutoff) {
@@ -1440,6 +2084,10 @@ function createServer(options) {
         solarDailyBins = aggregateHistoryToDailyBins(solarHistory, now, dashboardTimeZone);
         solarHourlyBins = aggregateDailyToHourlyBins(solarDailyBins);
       }
+      if (now - lastSolarPersistAt >= 5 * 60 * 1000) {
+        persistSolarDay(now);
+      }
+      evaluateSolarAlerts(now);
     }, function onArchiveDetail(detail, now) {
       const dayKey = formatDateLocal(now, dashboardTimeZone);
       const historyDaily = aggregateHistoryToDailyBins(solarHistory, now, dashboardTimeZone);
@@ -1456,10 +2104,26 @@ function createServer(options) {
         solarGeneratedArchiveDayKey = '';
       }
       solarHourlyBins = aggregateDailyToHourlyBins(solarDailyBins);
-    }, timers, dashboardTimeZone));
+      persistSolarDay(now);
+    }, timers, dashboardTimeZone, sourceHealth));
+    stoppers.push(scheduleFroniusDevicePolling(client, dashboardConfig.fronius, function onDevices(devices, error, now) {
+      // Keep the last good readings on failure so a brief outage still shows the last known status.
+      solarDevices = devices
+        ? { updatedAt: new Date(now).toISOString(), error: null, inverters: devices.inverters, meters: devices.meters }
+        : Object.assign({}, solarDevices, { error: String((error && error.message) || 'fronius_devices_unavailable') });
+      // Also runs when the device poll fails, so an offline inverter is still reported.
+      evaluateSolarAlerts(now);
+    }, timers));
+    stoppers.push(function persistSolarOnStop() {
+      persistSolarDay(Date.now());
+    });
+    if (typeof client.close === 'function') {
+      stoppers.push(function closeFroniusClient() { client.close(); });
+    }
 
     const sources = (options && options.externalSources) || createExternalSources(Object.assign({}, dashboardConfig, { logger }));
-    stoppers.push(scheduleExternalPolling(sources, externalState, dashboardConfig, timers));
+    haServices = sources;
+    stoppers.push(scheduleExternalPolling(sources, externalState, dashboardConfig, timers, sourceSchedulers, sourceHealth));
 
     if (beatbotService && beatbotEnabled) {
       // Beatbot state bridge: after each reconcile the service cache is the
@@ -1471,7 +2135,9 @@ function createServer(options) {
             stale: false,
             error: null
           };
+          sourceHealth.record('beatbot', { ok: true });
         } catch (err) {
+          sourceHealth.record('beatbot', { ok: false, error: err });
           externalState.beatbot = {
             devices: Array.isArray(externalState.beatbot && externalState.beatbot.devices)
               ? externalState.beatbot.devices : [],
@@ -1482,14 +2148,53 @@ function createServer(options) {
       }
       // Periodic sync tick (every 5s) so dashboard state reflects WS events promptly
       const beatbotSyncTimer = timers.setInterval(syncBeatbotState, 5000);
+      sourceHealth.expect('beatbot', 5000);
       stoppers.push(function stopBeatbotSync() { timers.clearInterval(beatbotSyncTimer); });
       stoppers.push(function stopBeatbot() { beatbotService.stop(); });
       beatbotService.start().then(syncBeatbotState).catch(function (err) {
         logger.warn('[beatbot] service start failed: ' + (err && err.message));
+        sourceHealth.record('beatbot', { ok: false, error: err });
         externalState.beatbot = { devices: [], stale: true, error: err && err.message };
       });
     }
-    stoppers.push(scheduleInternetPolling(internetProbe, dashboardConfig.internet || {}, timers));
+    stoppers.push(scheduleInternetPolling(internetProbe, dashboardConfig.internet || {}, timers, sourceHealth));
+
+    if (dashboardConfig.mqtt.enabled && dashboardConfig.mqtt.host) {
+      const mqttPublisher = createMqttPublisher({
+        config: dashboardConfig.mqtt,
+        logger,
+        timers,
+        getSnapshot: function getSnapshot() { return getMqttSnapshot(Date.now()); }
+      });
+      mqttPublisher.start();
+      stoppers.push(function stopMqtt() { mqttPublisher.stop(); });
+    }
+
+    // Cheap when the frames have not changed: tiles, samples and motion are cached per frame.
+    // A slow tile fetch can outlast the minute, so a tick is skipped while one is running.
+    let radarAnalysisInFlight = false;
+    const radarAnalysisTick = async function radarAnalysisTick() {
+      if (radarAnalysisInFlight) {
+        return;
+      }
+      radarAnalysisInFlight = true;
+      try {
+        if (rainNowcast) {
+          externalState.rainNowcast = await rainNowcast.update(radarState.frames);
+        }
+        if (rainAtLocation) {
+          externalState.rainAtLocation = await rainAtLocation.update(radarState.frames);
+        }
+      } catch (_err) {
+        // update() keeps its own error state; anything else waits for the next tick.
+      } finally {
+        radarAnalysisInFlight = false;
+      }
+    };
+    if (rainNowcast || rainAtLocation) {
+      const radarAnalysisTimer = timers.setInterval(radarAnalysisTick, 60000);
+      stoppers.push(function stopRadarAnalysis() { timers.clearInterval(radarAnalysisTimer); });
+    }
 
     if (renderMode === 'bom_gif' && bomGifClient) {
       // Poll BOM loop page to keep frame list fresh; GIF schedule triggers renders
@@ -1497,6 +2202,7 @@ function createServer(options) {
       const bomLoopTick = async function bomLoopTick() {
         try { await bomGifClient.refresh(); } catch (_err) {}
       };
+      sourceHealth.expect('radar', bomLoopRefreshMs);
       bomLoopTick();
       const bomLoopTimer = timers.setInterval(bomLoopTick, bomLoopRefreshMs);
       stoppers.push(function stopBomLoop() { timers.clearInterval(bomLoopTimer); });
@@ -1506,11 +2212,18 @@ function createServer(options) {
         radarState,
         dashboardConfig.radar,
         timers,
-        (options && typeof options.onRadarFramesAvailable === 'function')
-          ? options.onRadarFramesAvailable
-          : function onRadarFramesAvailableDefault() {
+        function onRadarFramesAvailable() {
+          // The first frames would otherwise wait up to a minute for a nowcast.
+          if (rainNowcast || rainAtLocation) {
+            radarAnalysisTick();
+          }
+          if (options && typeof options.onRadarFramesAvailable === 'function') {
+            options.onRadarFramesAvailable();
+          } else {
             warmRadarAnimation();
           }
+        },
+        sourceHealth
       ));
     }
 
@@ -1531,6 +2244,7 @@ function createServer(options) {
           bomRadarState.error = error && error.message ? error.message : 'bom_radar_unavailable';
         }
       };
+      sourceHealth.expect('radar', bomRefreshMs);
       bomTick();
       const bomTimer = timers.setInterval(bomTick, bomRefreshMs);
       stoppers.push(function stopBom() {
@@ -1539,6 +2253,13 @@ function createServer(options) {
     }
   }
 
+  // Event stream clients never hang up on their own, so end them before close() waits on them.
+  const closeServer = server.close.bind(server);
+  server.close = function close(callback) {
+    app.closeEventStreams();
+    return closeServer(callback);
+  };
+
   server.on('close', function onClose() {
     stoppers.forEach((stop) => stop());
   });
@@ -1550,6 +2271,22 @@ function startServer() {
   const baseDir = process.cwd();
   const configDir = process.env.DASHBOARD_CONFIG_DIR || path.join(baseDir, 'config');
   const dashboardConfig = loadRuntimeConfig({ configDir, envDir: baseDir });
+  const simulatorConfig = dashboardConfig.fronius.simulator;
+  if (simulatorConfig.enabled) {
+    const simulator = createFroniusSimulator({
+      site: resolveSite(dashboardConfig),
+      timeZone: resolveTimeZone(dashboardConfig.timeZone),
+      batteryKwh: simulatorConfig.batteryKwh,
+      seed: simulatorConfig.seed
+    });
+    // A busy port (often a second dashboard instance) must not take the dashboard down with it.
+    simulator.on('error', function onSimulatorError(error) {
+      console.warn('Fronius simulator unavailable on 127.0.0.1:' + simulatorConfig.port + ': ' + error.message + '; continuing without it');
+    });
+    simulator.listen(simulatorConfig.port, '127.0.0.1', function onSimulatorListen() {
+      console.log('Fronius simulator listening on 127.0.0.1:' + simulatorConfig.port);
+    });
+  }
   const server = createServer({ configDir, baseDir });
 
   server.listen(dashboardConfig.port, dashboardConfig.host, function onListen() {
@@ -1577,5 +2314,7 @@ module.exports = {
   normalizeGeneratedBinsToTodayTotals,
   buildSolarMeta,
   hasUsableArchiveDetail,
-  shouldRefreshFromRealtimeHistory
+  scheduleFroniusDevicePolling,
+  shouldRefreshFromRealtimeHistory,
+  summarizeBinsTotals
 };
@@ -75,7 +75,16 @@ module.exports = async function run() {
       ui: {
         themePreset: 'matte'
       },
-      git: { autoSyncEnabled: true, branch: 'dev', intervalSeconds: 300 }
+      git: { autoSyncEnabled: true, branch: 'dev', intervalSeconds: 300 },
+      health: { criticalSources: ['git'] },
+      storage: { dataDir: 'solar-data', compactAfterKb: 512 },
+      alerts: { lowRatio: 0.25, confirmMinutes: 5 },
+      loadShift: {
+        minSurplusW: 2000,
+        horizonHours: 6,
+        triggers: [{ entityId: 'switch.pool_pump', thresholdW: 1200, minMinutes: 30 }]
+      },
+      metrics: { token: 'file-secret' }
     }));
     fs.writeFileSync(path.join(dir, 'auth.json'), JSON.stringify({
       adminUser: 'admin',
@@ -84,6 +93,15 @@ module.exports = async function run() {
       passwordHash: createHash('changeme', salt, iterations)
     }));
 
+    // Env overrides apply at runtime but must not be written back by admin saves.
+    fs.writeFileSync(path.join(dir, '.env'), [
+      'DASHBOARD_DATA_DIR=' + path.join(dir, 'data'),
+      'FRONIUS_SIMULATOR=1',
+      'METRICS_TOKEN=scrape-secret',
+      'MQTT_USERNAME=dashboard',
+      'MQTT_PASSWORD=broker-secret'
+    ].join('\n') + '\n');
+
     const calls = [];
     const debugEventStore = createDebugEventStore({ maxEntries: 10 });
     debugEventStore.push({
@@ -93,6 +111,7 @@ module.exports = async function run() {
     });
     server = createServer({
       configDir: dir,
+      baseDir: dir,
       disablePolling: true,
       gitRunner: async (args) => {
         calls.push(args.join(' '));
@@ -102,8 +121,60 @@ module.exports = async function run() {
     });
     await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
 
+    const notReady = await request(server, { path: '/health/ready' });
+    assert.strictEqual(notReady.statusCode, 503, 'a critical source that has never succeeded is not ready');
+    assert.deepStrictEqual(JSON.parse(notReady.body), {
+      status: 'not_ready',
+      sources: [{ name: 'git', status: 'pending', lastError: null }]
+    });
+
+    const anonymousScrape = await request(server, { path: '/metrics' });
+    assert.strictEqual(anonymousScrape.statusCode, 401);
+    assert.strictEqual(anonymousScrape.headers['www-authenticate'], 'Bearer realm="metrics"');
+    const wrongScrape = await request(server, { path: '/metrics', headers: { authorization: 'Bearer scrape-secreT' } });
+    assert.strictEqual(wrongScrape.statusCode, 401);
+    const scrape = await request(server, { path: '/metrics', headers: { authorization: 'Bearer scrape-secret' } });
+    assert.strictEqual(scrape.statusCode, 200);
+    assert.ok(scrape.body.indexOf('nodejs_version_info{version="' + process.version + '"} 1') > -1);
+
+    const anonymousExport = await request(server, { path: '/api/solar/export.csv' });
+    assert.strictEqual(anonymousExport.statusCode, 302, 'exports need an admin session');
+
     const cookie = await loginAndGetCookie(server);
 
+    const csvRes = await request(server, {
+      path: '/api/solar/export.csv?from=2026-02-01&to=2026-02-03&resolution=day',
+      headers: { cookie }
+    });
+    assert.strictEqual(csvRes.statusCode, 200);
+    assert.ok(/^text\/csv/.test(csvRes.headers['content-type']));
+    assert.ok(/solar-2026-02-01-to-2026-02-03-day\.csv/.test(csvRes.headers['content-disposition']));
+    assert.strictEqual(csvRes.body.split('\n')[0], 'start,generated_kwh,import_kwh,export_kwh,load_kwh,import_cents,feed_in_cents,supply_cents,net_cents');
+
+    const jsonExport = await request(server, {
+      path: '/api/solar/export.json?from=2026-02-01&to=2026-02-03&resolution=hour',
+      headers: { cookie }
+    });
+    assert.strictEqual(jsonExport.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(jsonExport.body).rows, []);
+
+    const badExport = await request(server, {
+      path: '/api/solar/export.csv?resolution=minute',
+      headers: { cookie }
+    });
+    assert.strictEqual(badExport.statusCode, 400);
+    assert.strictEqual(JSON.parse(badExport.body).error, 'invalid_resolution');
+
+    const anonymousRefresh = await request(server, { path: '/api/admin/sources/weather/refresh', method: 'POST' });
+    assert.strictEqual(anonymousRefresh.statusCode, 302, 'source refreshes need an admin session');
+    const unknownRefresh = await request(server, {
+      path: '/api/admin/sources/weather/refresh',
+      method: 'POST',
+      headers: { cookie }
+    });
+    assert.strictEqual(unknownRefresh.statusCode, 404, 'nothing is scheduled while polling is disabled');
+    assert.strictEqual(JSON.parse(unknownRefresh.body).error, 'unknown_source');
+
     const statusRes = await request(server, {
       path: '/api/admin/status',
       headers: { cookie }
@@ -122,6 +193,35 @@ module.exports = async function run() {
     assert.ok(calls.some((c) => c.indexOf('pull --rebase origin dev') > -1));
     assert.ok(!calls.some((c) => c.indexOf('push origin dev') > -1));
 
+    const anonymousSources = await request(server, { path: '/api/admin/sources' });
+    assert.strictEqual(anonymousSources.statusCode, 302);
+    const sourcesRes = await request(server, { path: '/api/admin/sources', headers: { cookie } });
+    assert.strictEqual(sourcesRes.statusCode, 200);
+    const sources = JSON.parse(sourcesRes.body).sources;
+    assert.ok(['froniusRealtime', 'froniusArchive', 'weather', 'news', 'bins', 'homeAssistant', 'radar', 'mapTiles', 'internet', 'beatbot', 'git']
+      .every((name) => sources.some((source) => source.name === name)), 'every integration is listed');
+    const gitSource = sources.find((source) => source.name === 'git');
+    assert.strictEqual(gitSource.status, 'ok');
+    assert.strictEqual(gitSource.attempts, 1);
+    assert.strictEqual(gitSource.intervalMs, 300000);
+    assert.strictEqual(typeof gitSource.avgLatencyMs, 'number');
+    assert.strictEqual(sources.find((source) => source.name === 'homeAssistant').status, 'disabled');
+    assert.strictEqual(sources.find((source) => source.name === 'weather').refreshable, false);
+
+    const anonymousTileCache = await request(server, { path: '/api/admin/tile-cache' });
+    assert.strictEqual(anonymousTileCache.statusCode, 302);
+    const tileCacheRes = await request(server, { path: '/api/admin/tile-cache', headers: { cookie } });
+    assert.strictEqual(tileCacheRes.statusCode, 200);
+    const tileCache = JSON.parse(tileCacheRes.body).cache;
+    assert.strictEqual(tileCache.persistent, true);
+    assert.strictEqual(tileCache.dir, path.join(dir, 'data', 'tiles'), 'tiles live next to the solar data by default');
+    assert.strictEqual(tileCache.maxBytes, 200 * 1024 * 1024);
+    assert.strictEqual(tileCache.entries, 0);
+
+    const ready = await request(server, { path: '/health/ready' });
+    assert.strictEqual(ready.statusCode, 200);
+    assert.strictEqual(JSON.parse(ready.body).status, 'ready');
+
     const pushRes = await request(server, {
       path: '/api/admin/sync',
       method: 'POST',
@@ -132,6 +232,10 @@ module.exports = async function run() {
     }, JSON.stringify({ action: 'push' }));
     assert.strictEqual(pushRes.statusCode, 500);
 
+    const peakClearSky = async () => Math.max.apply(null, JSON.parse((await request(server, { path: '/api/state' })).body)
+      .solarClearSky.series.map((point) => point.value));
+    const peakBefore = await peakClearSky();
+
     const updateRes = await request(server, {
       path: '/api/admin/config',
       method: 'POST',
@@ -150,9 +254,16 @@ module.exports = async function run() {
       },
       ui: {
         themePreset: 'glass'
+      },
+      site: {
+        arrayKw: 13.2
       }
     }));
     assert.strictEqual(updateRes.statusCode, 200);
+    assert.strictEqual(JSON.parse(updateRes.body).config.site.arrayKw, 13.2);
+    assert.notStrictEqual(await peakClearSky(), peakBefore, 'site edits redraw the clear-sky curve the same day');
+    const scrapeAfterSave = await request(server, { path: '/metrics', headers: { authorization: 'Bearer scrape-secret' } });
+    assert.strictEqual(scrapeAfterSave.statusCode, 200, 'the env token still guards scrapes after a save');
 
     const debugEventsRes = await request(server, {
       path: '/api/admin/debug/events?limit=5',
@@ -191,6 +302,18 @@ module.exports = async function run() {
     assert.strictEqual(persisted.rotation.rainOverrideEnabled, false);
     assert.strictEqual(persisted.rotation.rainOverrideCooldownSeconds, 600);
     assert.strictEqual(persisted.ui.themePreset, 'glass');
+    assert.strictEqual(persisted.fronius.baseUrl, 'http://192.168.0.18', 'the simulator redirect is not saved');
+    assert.strictEqual(persisted.fronius.simulator.enabled, false);
+    assert.strictEqual(persisted.storage.dataDir, 'solar-data', 'admin saves keep storage as configured, not as overridden');
+    assert.strictEqual(persisted.storage.compactAfterKb, 512);
+    assert.strictEqual(persisted.alerts.lowRatio, 0.25);
+    assert.strictEqual(persisted.alerts.confirmMinutes, 5);
+    assert.strictEqual(persisted.metrics.token, 'file-secret', 'the env token is not saved');
+    assert.strictEqual(persisted.mqtt.username, '', 'env broker credentials are not saved');
+    assert.strictEqual(persisted.mqtt.password, '');
+    assert.strictEqual(persisted.loadShift.minSurplusW, 2000);
+    assert.strictEqual(persisted.loadShift.horizonHours, 6);
+    assert.deepStrictEqual(persisted.loadShift.triggers.map((trigger) => trigger.entityId), ['switch.pool_pump']);
   } finally {
     if (server) {
       await new Promise((resolve) => server.close(resolve));
@@ -53,11 +53,33 @@ module.exports = async function run() {
     assert.strictEqual(config.pricing.feedInCentsPerKwh, 3);
     assert.strictEqual(config.pricing.dailySupplyCents, 142);
     assert.strictEqual(config.pricing.inverterCapacityKw, 6);
+    assert.strictEqual(config.pricing.gridEmissionsKgPerKwh, 0.73);
+    assert.deepStrictEqual(config.pricing.billing, { startDay: 1, startMonth: 1, lengthMonths: 1, projectionDays: 14 });
+    assert.deepStrictEqual(config.site, { lat: null, lon: null, tiltDeg: 20, azimuthDeg: null, arrayKw: null, lossPct: 14 });
     assert.strictEqual(config.timeZone, 'Australia/Brisbane');
     assert.strictEqual(config.ui.themePreset, 'matte');
     assert.strictEqual(config.fronius.realtimeRefreshSeconds, 8);
     assert.strictEqual(config.fronius.archiveRefreshSeconds, 1800);
+    assert.strictEqual(config.fronius.devicesRefreshSeconds, 60);
+    assert.deepStrictEqual(config.fronius.systems, []);
+    assert.deepStrictEqual(config.fronius.simulator, { enabled: false, port: 8091, batteryKwh: 0, seed: 'fronius' });
+    assert.strictEqual(config.fronius.transport, 'http');
+    assert.deepStrictEqual(config.fronius.modbus, { host: '', port: 502, unitId: 1, meterUnitId: 200, invertMeter: false, timeoutMs: 3000 });
+    assert.strictEqual(config.alerts.enabled, true);
+    assert.strictEqual(config.alerts.lowRatio, 0.4);
+    assert.deepStrictEqual(config.loadShift, { enabled: true, minSurplusW: 1500, horizonHours: 4, triggers: [] });
     assert.strictEqual(config.homeAssistant.enabled, false);
+    assert.strictEqual(config.homeAssistant.timeoutSeconds, 10);
+    assert.strictEqual(config.weather.timeoutSeconds, 20);
+    assert.strictEqual(config.news.refreshSeconds, 300);
+    assert.strictEqual(config.bins.refreshSeconds, 300);
+    assert.deepStrictEqual(config.health, { criticalSources: [] });
+    assert.deepStrictEqual(config.metrics, { enabled: true, token: '' });
+    assert.strictEqual(config.mqtt.enabled, false);
+    assert.strictEqual(config.mqtt.port, 1883);
+    assert.strictEqual(config.mqtt.topicPrefix, 'nanopi2');
+    assert.strictEqual(config.mqtt.discoveryPrefix, 'homeassistant');
+    assert.strictEqual(config.mqtt.publishIntervalSeconds, 30);
     assert.ok(Array.isArray(config.homeAssistant.cards));
     assert.strictEqual(config.internet.enabled, true);
     assert.strictEqual(config.internet.provider, 'probe');
@@ -68,6 +90,16 @@ module.exports = async function run() {
     assert.strictEqual(config.radar.iframeUrl, 'https://www.rainviewer.com/map.html');
     assert.strictEqual(config.radar.tileUrlTemplate, 'https://radar-tiles.service.bom.gov.au/tiles/{time}/{z}/{x}/{y}.png');
     assert.strictEqual(config.radar.sourceUrl, '');
+    assert.deepStrictEqual(config.radar.nowcast, {
+      enabled: true,
+      frameCount: 4,
+      horizonMinutes: 90,
+      thresholdMmPerHour: 0.5,
+      homeRadiusKm: 3,
+      rainLikelyWithinMinutes: 60
+    });
+    assert.deepStrictEqual(config.radar.rainAtLocation, { enabled: true, radiusKm: 5, historyMinutes: 60 });
+    assert.deepStrictEqual(config.map.tileCache, { enabled: true, dir: '', maxMegabytes: 200 });
     assert.ok(Array.isArray(config.reminders));
     assert.deepStrictEqual(config.reminders, []);
   });
@@ -112,6 +144,85 @@ module.exports = async function run() {
     assert.strictEqual(config.radar.sourceUrl, 'https://example.invalid/bom.png');
   });
 
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      fronius: [
+        { name: 'House', baseUrl: 'http://192.168.0.18' },
+        { name: 'Granny Flat', baseUrl: 'http://192.168.0.19' }
+      ]
+    }));
+    const config = loadDashboardConfig(dir);
+    assert.deepStrictEqual(config.fronius.systems.map((system) => system.id), ['house', 'granny_flat']);
+    assert.strictEqual(config.fronius.baseUrl, 'http://192.168.0.18', 'the first system should stand in for legacy single-system readers');
+    assert.strictEqual(config.fronius.realtimeRefreshSeconds, 8, 'an array of systems should keep the default polling cadence');
+  });
+
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      fronius: { systems: [{ name: 'House', baseUrl: '' }] }
+    }));
+    assert.throws(() => loadDashboardConfig(dir), /dashboard\.json is invalid/);
+  });
+
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      loadShift: { triggers: [{ entityId: 'light.kitchen', thresholdW: 2000 }] }
+    }));
+    assert.throws(() => loadDashboardConfig(dir), /dashboard\.json is invalid/, 'triggers may only run scripts or switches');
+  });
+
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      fronius: { transport: 'serial' }
+    }));
+    assert.throws(() => loadDashboardConfig(dir), /dashboard\.json is invalid/);
+  });
+
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      health: { criticalSources: ['froniusRealtime', 'solarFlare'] }
+    }));
+    assert.throws(() => loadDashboardConfig(dir), /dashboard\.json is invalid/, 'critical sources must name a known integration');
+  });
+
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      radar: { rainAtLocation: { radiusKm: 0 } }
+    }));
+    assert.throws(() => loadDashboardConfig(dir), /dashboard\.json is invalid/);
+  });
+
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      storage: { compactAfterKb: '2048' }
+    }));
+    assert.throws(() => loadDashboardConfig(dir), /dashboard\.json is invalid/);
+  });
+
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      map: { tileCache: { maxMegabytes: 0 } }
+    }));
+    assert.throws(() => loadDashboardConfig(dir), /dashboard\.json is invalid/);
+  });
+
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      mqtt: { enabled: true, host: 'broker.lan', topicPrefix: 'home/#' }
+    }));
+    assert.throws(() => loadDashboardConfig(dir), /dashboard\.json is invalid/, 'topic prefixes cannot hold wildcards');
+  });
+
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, 'dashboard.json'), JSON.stringify({
+      fronius: { transport: 'modbus', modbus: { host: '192.168.0.18', meterUnitId: null } }
+    }));
+    const config = loadDashboardConfig(dir);
+    assert.strictEqual(config.fronius.transport, 'modbus');
+    assert.strictEqual(config.fronius.modbus.meterUnitId, null);
+    assert.strictEqual(config.fronius.modbus.port, 502);
+  });
+
   withTempDir((dir) => {
     assert.throws(() => loadAuthConfig(dir), /auth\.json is required/);
   });
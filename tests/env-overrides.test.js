@@ -25,6 +25,9 @@ module.exports = async function run() {
       'RADAR_LAT=-27.5\n' +
       'RADAR_LON=153.1\n' +
       'HOME_ASSISTANT_TOKEN=from-dotenv-ha-token\n' +
+      'METRICS_TOKEN=from-dotenv-metrics-token\n' +
+      'MQTT_USERNAME=dashboard\n' +
+      'MQTT_PASSWORD=from-dotenv-mqtt-password\n' +
       'DASHBOARD_TIMEZONE=Australia/Brisbane\n'
     );
 
@@ -35,6 +38,9 @@ module.exports = async function run() {
     assert.strictEqual(cfg.radar.lat, -27.5);
     assert.strictEqual(cfg.radar.lon, 153.1);
     assert.strictEqual(cfg.homeAssistant.token, 'from-dotenv-ha-token');
+    assert.strictEqual(cfg.metrics.token, 'from-dotenv-metrics-token');
+    assert.strictEqual(cfg.mqtt.username, 'dashboard');
+    assert.strictEqual(cfg.mqtt.password, 'from-dotenv-mqtt-password');
     assert.strictEqual(cfg.timeZone, 'Australia/Brisbane');
 
     fs.writeFileSync(
@@ -46,6 +52,19 @@ module.exports = async function run() {
     const swapped = loadRuntimeConfig({ configDir: dir, envDir: dir });
     assert.strictEqual(swapped.weather.appid, 'e1db4b71bcb77a55ee801b49ad9f7ad2');
     assert.strictEqual(swapped.weather.locationID, '2174003');
+    assert.strictEqual(swapped.fronius.simulator.enabled, false);
+
+    fs.writeFileSync(
+      path.join(dir, '.env'),
+      'FRONIUS_SIMULATOR=1\n' +
+      'FRONIUS_SIMULATOR_PORT=9091\n' +
+      'FRONIUS_SIMULATOR_BATTERY_KWH=13.5\n'
+    );
+
+    const simulated = loadRuntimeConfig({ configDir: dir, envDir: dir });
+    assert.strictEqual(simulated.fronius.simulator.enabled, true);
+    assert.strictEqual(simulated.fronius.simulator.batteryKwh, 13.5);
+    assert.strictEqual(simulated.fronius.baseUrl, 'http://127.0.0.1:9091', 'the simulator should replace the configured inverter');
   } finally {
     fs.rmSync(dir, { recursive: true, force: true });
   }
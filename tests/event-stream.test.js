@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+
+const { createEventStream } = require('../src/lib/event-stream');
+
+function fakeClient() {
+  const req = new EventEmitter();
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.ended = false;
+  res.writeHead = (statusCode, headers) => {
+    res.statusCode = statusCode;
+    res.headers = headers;
+  };
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+  };
+  res.end = () => {
+    res.ended = true;
+  };
+  res.take = () => res.chunks.splice(0, res.chunks.length).join('');
+  return { req, res };
+}
+
+function eventNames(text) {
+  return (text.match(/^event: .+$/gm) || []).map((line) => line.slice('event: '.length));
+}
+
+module.exports = async function run() {
+  const intervals = new Map();
+  let nextId = 1;
+  const fakeTimers = {
+    setInterval: (fn, ms) => {
+      const id = nextId++;
+      intervals.set(id, { fn, ms });
+      return id;
+    },
+    clearInterval: (id) => {
+      intervals.delete(id);
+    }
+  };
+  const source = { power: 1200, weather: 'Sunny' };
+  const stream = createEventStream({
+    timers: fakeTimers,
+    checkIntervalMs: 1000,
+    heartbeatMs: 20000,
+    topics: {
+      fronius: () => ({ fronius: { realtime: { generatedW: source.power } } }),
+      external: () => ({ weather: { summary: source.weather } })
+    }
+  });
+
+  assert.strictEqual(stream.check(), 0, 'nothing is computed without clients');
+  assert.strictEqual(intervals.size, 0, 'timers only run while a client is connected');
+
+  const first = fakeClient();
+  stream.attach(first.req, first.res);
+  assert.strictEqual(first.res.statusCode, 200);
+  assert.strictEqual(first.res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+  const hello = first.res.take();
+  assert.ok(hello.indexOf('retry: 5000\n\n') === 0);
+  assert.deepStrictEqual(eventNames(hello), ['fronius', 'external'], 'a new client gets every topic');
+  assert.ok(hello.indexOf('event: fronius\ndata: {"fronius":{"realtime":{"generatedW":1200}}}\n\n') > -1);
+  assert.deepStrictEqual(Array.from(intervals.values()).map((timer) => timer.ms), [1000, 20000]);
+
+  assert.strictEqual(stream.check(), 0, 'unchanged topics are not resent');
+  assert.strictEqual(first.res.take(), '');
+
+  source.power = 2400;
+  const second = fakeClient();
+  stream.attach(second.req, second.res);
+  assert.ok(second.res.take().indexOf('"generatedW":2400') > -1);
+  assert.strictEqual(stream.check(), 1);
+  const delta = first.res.take();
+  assert.deepStrictEqual(eventNames(delta), ['fronius'], 'only the changed topic is pushed');
+  assert.ok(delta.indexOf('"generatedW":2400') > -1);
+  second.res.take();
+
+  source.weather = 'Showers';
+  intervals.get(1).fn();
+  assert.deepStrictEqual(eventNames(first.res.take()), ['external']);
+  assert.deepStrictEqual(eventNames(second.res.take()), ['external']);
+
+  intervals.get(2).fn();
+  assert.strictEqual(first.res.take(), ': ping\n\n');
+
+  first.req.emit('close');
+  assert.strictEqual(stream.clientCount(), 1);
+  assert.strictEqual(intervals.size, 2);
+  second.req.emit('close');
+  assert.strictEqual(stream.clientCount(), 0);
+  assert.strictEqual(intervals.size, 0, 'timers stop with the last client');
+
+  const third = fakeClient();
+  stream.attach(third.req, third.res);
+  stream.close();
+  assert.strictEqual(third.res.ended, true);
+  assert.strictEqual(stream.clientCount(), 0);
+  assert.strictEqual(intervals.size, 0);
+};
@@ -21,7 +21,7 @@ module.exports = async function run() {
     weather: [{ main: 'Rain', icon: '10d' }],
     main: { temp: 24.6 },
     list: [
-      { dt: 1771089600, main: { temp: 24 }, weather: [{ main: 'Clouds', icon: '03d' }] },
+      { dt: 1771089600, main: { temp: 24 }, clouds: { all: 40 }, pop: 0.2, weather: [{ main: 'Clouds', icon: '03d' }] },
       { dt: 1771122000, main: { temp: 25 }, weather: [{ main: 'Clouds', icon: '03d' }] },
       { dt: 1771176000, main: { temp: 26 }, weather: [{ main: 'Rain', icon: '10d' }] },
       { dt: 1771262400, main: { temp: 23 }, weather: [{ main: 'Clear', icon: '01d' }] },
@@ -61,6 +61,9 @@ module.exports = async function run() {
   assert.strictEqual(weather.tempC, 24.6);
   assert.strictEqual(Array.isArray(weather.forecast), true);
   assert.strictEqual(weather.forecast.length, 5);
+  assert.strictEqual(weather.forecastSlots.length, 7, 'every 3-hourly entry should be kept for the solar forecast');
+  assert.deepStrictEqual(weather.forecastSlots[0], { ts: 1771089600000, cloudPct: 40, pop: 0.2, summary: 'Clouds' });
+  assert.strictEqual(weather.forecastSlots[1].cloudPct, null, 'missing cloud cover should not read as clear sky');
   const haSources = createExternalSources({
     weather: { provider: 'none' },
     news: { feedUrl: '', maxItems: 5 },
@@ -2,7 +2,8 @@
 
 const assert = require('assert');
 const http = require('http');
-const { createFroniusClient } = require('../src/lib/fronius-client');
+const { createFroniusClient, describeInverterError, describeInverterStatus } = require('../src/lib/fronius-client');
+const { scheduleFroniusDevicePolling } = require('../src/server');
 
 module.exports = async function run() {
   let lastArchivePath = '';
@@ -256,6 +257,78 @@ module.exports = async function run() {
       return;
     }
 
+    if (req.url.indexOf('/devices/') === 0) {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url.indexOf('GetInverterInfo') > -1) {
+        res.end(JSON.stringify({
+          Body: { Data: { '1': { CustomName: '&#71;&#101;&#110;&#50;&#52;', DT: 1, PVPower: 6000, StatusCode: 7, ErrorCode: 0 } } }
+        }));
+        return;
+      }
+      if (req.url.indexOf('CommonInverterData') > -1) {
+        res.end(JSON.stringify({
+          Body: {
+            Data: {
+              PAC: { Value: 4100, Unit: 'W' },
+              FAC: { Value: 50.01, Unit: 'Hz' },
+              DAY_ENERGY: { Value: 12345, Unit: 'Wh' },
+              UDC: { Value: 380.5, Unit: 'V' },
+              IDC: { Value: 6.2, Unit: 'A' },
+              UDC_2: { Value: 402, Unit: 'V' },
+              IDC_2: { Value: 4, Unit: 'A' },
+              DeviceStatus: { StatusCode: 10, ErrorCode: 307, InverterState: 'Error' }
+            }
+          }
+        }));
+        return;
+      }
+      if (req.url.indexOf('3PInverterData') > -1) {
+        res.end(JSON.stringify({
+          Body: {
+            Data: {
+              UAC_L1: { Value: 240.2, Unit: 'V' },
+              IAC_L1: { Value: 5, Unit: 'A' },
+              UAC_L2: { Value: 241, Unit: 'V' },
+              IAC_L2: { Value: 6, Unit: 'A' }
+            }
+          }
+        }));
+        return;
+      }
+      if (req.url.indexOf('GetMeterRealtimeData') > -1) {
+        res.end(JSON.stringify({
+          Body: {
+            Data: {
+              '0': {
+                Details: { Model: 'Smart Meter 63A', Serial: 'abc' },
+                Meter_Location_Current: 0,
+                PowerReal_P_Sum: -850,
+                Frequency_Phase_Average: 50,
+                Voltage_AC_Phase_1: 239.9,
+                Current_AC_Phase_1: 3.5,
+                PowerReal_P_Phase_1: -850,
+                EnergyReal_WAC_Sum_Consumed: 1500000
+              }
+            }
+          }
+        }));
+        return;
+      }
+    }
+
+    if (req.url.indexOf('/hybrid/') === 0) {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        Body: {
+          Data: {
+            Inverters: { '1': { P: 3100, SOC: 64.5 } },
+            Site: { P_Grid: 120, P_Load: -2900, P_PV: 1800, P_Akku: 1220, E_Day: 9000 }
+          }
+        }
+      }));
+      return;
+    }
+
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({
       Body: {
@@ -292,6 +365,41 @@ module.exports = async function run() {
     const detailEqualLength = await client.fetchDailyDetail('2026-02-18');
     assert.strictEqual(detailEqualLength.producedWhBySecond['25200'], 12000, 'daily detail should not prefer inverter series when equal-length top-level series exists');
     assert.strictEqual(detailEqualLength.producedWhBySecond['28800'], 24000, 'daily detail should keep higher-fidelity produced series');
+    const plainRealtime = await client.fetchRealtime();
+    assert.strictEqual(plainRealtime.generatedW, 4200);
+    assert.strictEqual(plainRealtime.hasBattery, false);
+    assert.strictEqual(plainRealtime.batterySocPct, null);
+
+    const hybridRealtime = await createFroniusClient(baseUrl + '/hybrid').fetchRealtime();
+    assert.strictEqual(hybridRealtime.hasBattery, true);
+    assert.strictEqual(hybridRealtime.generatedW, 1800, 'hybrid PV power should come from P_PV, not inverter AC output');
+    assert.strictEqual(hybridRealtime.batteryW, 1220);
+    assert.strictEqual(hybridRealtime.batterySocPct, 64.5);
+
+    const devices = await createFroniusClient(baseUrl + '/devices').fetchDevices();
+    assert.strictEqual(devices.inverters.length, 1);
+    const inverter = devices.inverters[0];
+    assert.strictEqual(inverter.name, 'Gen24', 'HTML-encoded custom names should be decoded');
+    assert.strictEqual(inverter.statusCode, 10, 'realtime device status should win over the inverter info snapshot');
+    assert.strictEqual(inverter.statusLabel, 'Error');
+    assert.strictEqual(inverter.errorLabel, 'DC voltage too low for feed-in');
+    assert.strictEqual(inverter.dayEnergyKwh, 12.345);
+    assert.deepStrictEqual(inverter.phases.map((row) => row.phase), [1, 2]);
+    assert.strictEqual(inverter.phases[1].powerW, 1446);
+    assert.deepStrictEqual(inverter.strings, [
+      { mppt: 1, voltageV: 380.5, currentA: 6.2, powerW: 2359 },
+      { mppt: 2, voltageV: 402, currentA: 4, powerW: 1608 }
+    ]);
+    assert.strictEqual(devices.meters.length, 1);
+    assert.strictEqual(devices.meters[0].location, 'grid');
+    assert.strictEqual(devices.meters[0].importKwh, 1500);
+    assert.deepStrictEqual(devices.meters[0].phases, [{ phase: 1, voltageV: 239.9, currentA: 3.5, powerW: -850 }]);
+    assert.strictEqual(describeInverterStatus(3), 'Startup');
+    assert.strictEqual(describeInverterStatus(7), 'Running');
+    assert.strictEqual(describeInverterStatus(null), null);
+    assert.strictEqual(describeInverterError(0), null);
+    assert.strictEqual(describeInverterError(999), 'Error 999');
+
     const detailWithSelfLoad = await client.fetchDailyDetail('2026-02-19');
     assert.strictEqual(detailWithSelfLoad.selfWhBySecond['25200'], 6000, 'daily detail should expose explicit self-consumption series when available');
     assert.strictEqual(detailWithSelfLoad.loadWhBySecond['28800'], 14000, 'daily detail should expose explicit load/consumed series when available');
@@ -318,6 +426,31 @@ module.exports = async function run() {
       global.Date = RealDate;
     }
     assert.ok(lastArchivePath.indexOf('StartDate=2026-02-16') > -1, 'default daily sum query should use local day, not UTC ISO day');
+
+    // A device poll that outlasts the interval is not stacked with another.
+    let tick = null;
+    let pending = null;
+    let fetches = 0;
+    const results = [];
+    const stop = scheduleFroniusDevicePolling({
+      fetchDevices: () => {
+        fetches += 1;
+        return new Promise((resolve) => { pending = resolve; });
+      }
+    }, { devicesRefreshSeconds: 15 }, (devices) => results.push(devices), {
+      setInterval: (fn) => { tick = fn; return 1; },
+      clearInterval: () => {}
+    });
+    tick();
+    tick();
+    assert.strictEqual(fetches, 1, 'ticks are skipped while a device poll is in flight');
+    pending({ inverters: [] });
+    await new Promise(setImmediate);
+    assert.deepStrictEqual(results, [{ inverters: [] }]);
+    tick();
+    assert.strictEqual(fetches, 2, 'polling resumes once the previous poll settles');
+    pending({ inverters: [] });
+    stop();
   } finally {
     await new Promise((resolve) => server.close(resolve));
   }
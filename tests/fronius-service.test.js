@@ -28,4 +28,20 @@ module.exports = async function run() {
   assert.strictEqual(state.estimatedMode, true);
   assert.strictEqual(state.today.source, 'estimated');
   assert.ok(state.today.generatedKwh >= 18.2);
+
+  const restored = createFroniusStateManager({ estimatedAfterMs: 10 * 60 * 1000 });
+  restored.restoreSnapshot(mgr.exportSnapshot());
+  state = restored.getState(now + 2 * 60 * 1000);
+  assert.strictEqual(state.today.generatedKwh, 18.2, 'restored archive totals should survive a restart');
+  assert.strictEqual(state.realtime.at, null, 'realtime readings are not restored');
+
+  const battery = createFroniusStateManager({ estimatedAfterMs: 10 * 60 * 1000 });
+  battery.applyRealtime({ generatedW: 0, gridW: 0, loadW: 1000, batteryW: 1000, batterySocPct: 80 }, now);
+  battery.applyRealtime({ generatedW: 3000, gridW: 0, loadW: 1000, batteryW: -2000, batterySocPct: 78 }, now + 30 * 60 * 1000);
+  battery.applyRealtime({ generatedW: 3000, gridW: 0, loadW: 1000, batteryW: -2000, batterySocPct: 90 }, now + 60 * 60 * 1000);
+  state = battery.getState(now + 60 * 60 * 1000);
+  assert.strictEqual(state.realtime.hasBattery, true);
+  assert.strictEqual(state.realtime.batterySocPct, 90);
+  assert.strictEqual(state.today.batteryDischargedKwh, 0.5, 'discharge should integrate positive P_Akku');
+  assert.strictEqual(state.today.batteryChargedKwh, 1, 'charge should integrate negative P_Akku');
 };
@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const { createFroniusClient } = require('../src/lib/fronius-client');
+const { buildSimulatedDay, createFroniusSimulator } = require('../src/lib/fronius-simulator');
+const { aggregateDetailToDailyBins, summarizeBinsTotals } = require('../src/server');
+
+const TIME_ZONE = 'Australia/Brisbane';
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function getStatus(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+}
+
+module.exports = async function run() {
+  const day = buildSimulatedDay('2026-02-16', { timeZone: TIME_ZONE });
+  assert.strictEqual(day.steps.length, 288);
+  assert.strictEqual(day.dayStartMs, Date.parse('2026-02-15T14:00:00.000Z'));
+  assert.deepStrictEqual(buildSimulatedDay('2026-02-16', { timeZone: TIME_ZONE }), day, 'the same day and seed should replay exactly');
+  assert.notDeepStrictEqual(buildSimulatedDay('2026-02-16', { timeZone: TIME_ZONE, seed: 'other' }).steps, day.steps);
+  assert.strictEqual(day.steps[24].pvW, 0, 'no generation at 2am');
+  assert.ok(day.steps.slice(132, 156).some((step) => step.pvW > 1000), 'there should be real generation around noon');
+  day.steps.forEach((step) => assert.strictEqual(step.gridW, step.loadW - step.pvW - step.batteryW));
+
+  const battery = buildSimulatedDay('2026-02-16', { timeZone: TIME_ZONE, batteryKwh: 10 });
+  assert.strictEqual(battery.hasBattery, true);
+  battery.steps.forEach((step) => {
+    assert.strictEqual(step.gridW, step.loadW - step.pvW - step.batteryW);
+    assert.ok(step.socPct >= 10 && step.socPct <= 100, 'state of charge stays between the reserve and full');
+  });
+  assert.ok(battery.steps.some((step) => step.batteryW > 0) && battery.steps.some((step) => step.batteryW < 0));
+
+  const now = Date.parse('2026-02-16T04:00:00.000Z');
+  const server = createFroniusSimulator({ timeZone: TIME_ZONE, batteryKwh: 10, now: () => now });
+  const port = await listen(server);
+  try {
+    const client = createFroniusClient('http://127.0.0.1:' + port, { timeZone: TIME_ZONE });
+    const step = battery.steps[168];
+    const realtime = await client.fetchRealtime();
+    assert.strictEqual(realtime.generatedW, step.pvW);
+    assert.strictEqual(realtime.gridW, step.gridW);
+    assert.strictEqual(realtime.loadW, step.loadW);
+    assert.strictEqual(realtime.hasBattery, true);
+    assert.strictEqual(realtime.batterySocPct, step.socPct);
+
+    const daily = await client.fetchDailySum('2026-02-16');
+    assert.ok(daily.dayGeneratedKwh > 5, 'two o\'clock should have a good part of the day in');
+    const detail = await client.fetchDailyDetail('2026-02-16');
+    const totals = summarizeBinsTotals(aggregateDetailToDailyBins(detail, '2026-02-16', TIME_ZONE));
+    assert.ok(Math.abs(totals.generatedKwh - daily.dayGeneratedKwh) < 0.1, 'detail should add up to the daily sum');
+    assert.ok(Math.abs(totals.importKwh - daily.dayImportKwh) < 0.1);
+    assert.ok(Math.abs(totals.exportKwh - daily.dayExportKwh) < 0.1);
+
+    const yesterday = await client.fetchDailySum('2026-02-15');
+    const fullDay = buildSimulatedDay('2026-02-15', { timeZone: TIME_ZONE, batteryKwh: 10 });
+    const fullKwh = fullDay.steps.reduce((sum, item) => sum + (item.pvW / 12), 0) / 1000;
+    assert.ok(Math.abs(yesterday.dayGeneratedKwh - fullKwh) < 0.01, 'past days should report the whole day');
+
+    const devices = await client.fetchDevices();
+    assert.strictEqual(devices.inverters.length, 1);
+    assert.strictEqual(devices.inverters[0].statusCode, 7);
+    assert.strictEqual(devices.inverters[0].strings.length, 2);
+    assert.strictEqual(devices.meters.length, 1);
+    assert.strictEqual(devices.meters[0].powerW, step.gridW);
+
+    assert.strictEqual(await getStatus('http://127.0.0.1:' + port + '/solar_api/v1/GetNothing.cgi'), 404);
+    assert.strictEqual(await getStatus('http://127.0.0.1:' + port + '/solar_api/v1/GetArchiveData.cgi?StartDate=junk'), 400);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createCombinedFroniusClient,
+  isValidFroniusSystems,
+  normalizeFroniusSystems,
+  sumSeriesMaps
+} = require('../src/lib/fronius-systems');
+
+function stubClient(realtime, daily, detail) {
+  return {
+    fetchRealtime: async () => realtime,
+    fetchDailySum: async () => daily,
+    fetchDailyDetail: async () => detail,
+    fetchDevices: async () => ({ inverters: [{ id: '1', statusCode: 7 }], meters: [] })
+  };
+}
+
+module.exports = async function run() {
+  const systems = normalizeFroniusSystems([
+    { name: 'House', baseUrl: 'http://192.168.0.18' },
+    { name: 'Granny Flat', baseUrl: 'http://192.168.0.19' }
+  ]);
+  assert.deepStrictEqual(systems.map((system) => system.id), ['house', 'granny_flat']);
+  assert.strictEqual(isValidFroniusSystems(systems), true);
+  assert.strictEqual(isValidFroniusSystems([]), true, 'a single-system config has no named systems');
+  assert.strictEqual(isValidFroniusSystems(systems.concat([{ id: 'house', name: 'Again', baseUrl: 'http://x' }])), false, 'ids must be unique');
+  assert.strictEqual(isValidFroniusSystems([{ id: 'shed', name: 'Shed', baseUrl: '' }]), false);
+
+  assert.deepStrictEqual(sumSeriesMaps([
+    { '300': 1000, '600': 1010, '900': 1020 },
+    { '300': 500, '900': 530 }
+  ]), { '300': 1500, '600': 1510, '900': 1550 }, 'cumulative counters should carry their last reading across gaps');
+  assert.deepStrictEqual(sumSeriesMaps([
+    { '300': 40, '600': 10 },
+    { '600': 7, '900': 5 }
+  ]), { '300': 40, '600': 17, '900': 5 }, 'interval series should not be carried forward');
+
+  const seen = [];
+  const combined = createCombinedFroniusClient([
+    { id: 'house', name: 'House', client: stubClient(
+      { generatedW: 4000, gridW: -1000, loadW: 3000, dayGeneratedKwh: 10, hasBattery: true, batteryW: 0, batterySocPct: 80 },
+      { dayGeneratedKwh: 10, dayImportKwh: 2, dayExportKwh: 4 },
+      { producedWhBySecond: { '300': 100 }, importWhBySecond: {}, exportWhBySecond: {} }
+    ) },
+    { id: 'granny_flat', name: 'Granny Flat', client: stubClient(
+      { generatedW: 1500, gridW: 200, loadW: 1700, dayGeneratedKwh: 3 },
+      { dayGeneratedKwh: 3, dayImportKwh: 1, dayExportKwh: 0.5 },
+      { producedWhBySecond: { '300': 20 }, importWhBySecond: {}, exportWhBySecond: {} }
+    ) }
+  ], {
+    onResult: (system, kind, result, dayISO) => seen.push([system.id, kind, dayISO || null])
+  });
+
+  const realtime = await combined.fetchRealtime();
+  assert.strictEqual(realtime.generatedW, 5500);
+  assert.strictEqual(realtime.gridW, -800);
+  assert.strictEqual(realtime.loadW, 4700);
+  assert.strictEqual(realtime.hasBattery, true);
+  assert.strictEqual(realtime.batterySocPct, 80);
+
+  const daily = await combined.fetchDailySum('2026-02-16');
+  assert.deepStrictEqual(daily, { dayGeneratedKwh: 13, dayImportKwh: 3, dayExportKwh: 4.5 });
+  const detail = await combined.fetchDailyDetail('2026-02-16');
+  assert.deepStrictEqual(detail.producedWhBySecond, { '300': 120 });
+  assert.deepStrictEqual(seen, [
+    ['house', 'realtime', null],
+    ['granny_flat', 'realtime', null],
+    ['house', 'daily', '2026-02-16'],
+    ['granny_flat', 'daily', '2026-02-16'],
+    ['house', 'detail', '2026-02-16'],
+    ['granny_flat', 'detail', '2026-02-16']
+  ]);
+
+  const devices = await combined.fetchDevices();
+  assert.deepStrictEqual(devices.inverters.map((inverter) => inverter.systemName), ['House', 'Granny Flat']);
+
+  seen.length = 0;
+  const failing = createCombinedFroniusClient([
+    { id: 'house', name: 'House', client: stubClient({ generatedW: 4000 }) },
+    { id: 'granny_flat', name: 'Granny Flat', client: { fetchRealtime: async () => { throw new Error('HTTP 503'); } } }
+  ], { onResult: (system, kind) => seen.push([system.id, kind]) });
+  await assert.rejects(failing.fetchRealtime(), /HTTP 503/, 'a partial sum would dip the combined totals');
+  assert.deepStrictEqual(seen, [['house', 'realtime']], 'systems that answered should still update their own state');
+};
@@ -28,6 +28,12 @@ module.exports = async function run() {
       return;
     }
 
+    if (req.url === '/cached') {
+      res.statusCode = 304;
+      res.end();
+      return;
+    }
+
     res.statusCode = 404;
     res.end('missing');
   });
@@ -121,6 +127,44 @@ module.exports = async function run() {
     assert.ok(Object.prototype.hasOwnProperty.call(errorEntry, 'errorSyscall'));
     assert.ok(Object.prototype.hasOwnProperty.call(errorEntry, 'errorAddress'));
     assert.ok(Object.prototype.hasOwnProperty.call(errorEntry, 'errorPort'));
+
+    // Outcomes reach the observer even with external debug logging off.
+    const observed = [];
+    const quietLogger = createLogger({
+      level: 'info',
+      sink: () => {},
+      onExternalRequest: (fields) => observed.push(fields)
+    });
+    await requestWithDebug({
+      urlString: 'http://127.0.0.1:' + port + '/redirect',
+      logger: quietLogger,
+      service: 'observed-service',
+      followRedirects: true
+    });
+    await assert.rejects(requestWithDebug({
+      urlString: 'http://127.0.0.1:' + port + '/missing',
+      logger: quietLogger.child({ scope: 'child' }),
+      service: 'observed-service'
+    }), /HTTP 404/);
+    const notModified = await requestWithDebug({
+      urlString: 'http://127.0.0.1:' + port + '/cached',
+      logger: quietLogger,
+      service: 'observed-service',
+      allowNotModified: true
+    });
+    assert.strictEqual(notModified.notModified, true);
+    await assert.rejects(requestWithDebug({
+      urlString: 'http://127.0.0.1:' + port + '/cached',
+      logger: quietLogger,
+      service: 'observed-service'
+    }), /HTTP 304/, 'a 304 is only expected for conditional requests');
+    assert.deepStrictEqual(observed.map((entry) => [entry.service, entry.statusCode, !!entry.error]), [
+      ['observed-service', 200, false],
+      ['observed-service', 404, true],
+      ['observed-service', 304, false],
+      ['observed-service', 304, true]
+    ], 'only the final hop of a redirect is observed');
+    assert.ok(observed.every((entry) => typeof entry.durationMs === 'number'));
   } finally {
     await new Promise((resolve) => server.close(resolve));
   }
@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('assert');
+const { buildLoadShiftAdvice, createLoadShiftController, normalizeLoadShiftSettings } = require('../src/lib/load-shift');
+const { createTariff } = require('../src/lib/tariff');
+
+const MINUTE_MS = 60 * 1000;
+
+// A symmetric 6am-6pm day peaking at 8 kW.
+function buildClearSky() {
+  const series = [];
+  for (let sec = 150; sec < 86400; sec += 300) {
+    const x = (sec - 43200) / 21600;
+    series.push({ secOfDay: sec, value: Math.abs(x) < 1 ? Math.round(8000 * Math.cos(x * Math.PI / 2)) : 0 });
+  }
+  return { series, peakW: 8000 };
+}
+
+module.exports = async function run() {
+  const tariff = createTariff({
+    importCentsPerKwh: 25,
+    feedInCentsPerKwh: 3,
+    periods: [{ name: 'peak', centsPerKwh: 35, windows: [{ start: '16:00', end: '21:00' }] }]
+  });
+  const settings = normalizeLoadShiftSettings({});
+  const noon = Date.parse('2026-02-16T02:00:00.000Z');
+  const input = {
+    now: noon,
+    dayKey: '2026-02-16',
+    secOfDay: 12 * 3600,
+    realtime: { generatedW: 7200, gridW: -6200, loadW: 1000 },
+    clearSky: buildClearSky(),
+    slots: [],
+    exportedTodayKwh: 4
+  };
+
+  const advice = buildLoadShiftAdvice(input, settings, tariff);
+  assert.strictEqual(advice.status, 'surplus');
+  assert.strictEqual(advice.spareW, 6200);
+  assert.ok(advice.spareMinutes >= 120 && advice.spareMinutes <= 240, 'surplus should last into the afternoon, got ' + advice.spareMinutes);
+  assert.ok(/^6\.2 kW spare for the next ~\d(\.5)?h$/.test(advice.messages[0]), advice.messages[0]);
+  assert.strictEqual(advice.laterPeriod, 'peak', 'the evening peak follows the end of the surplus');
+  assert.strictEqual(advice.messages[1], 'export is worth 3c, importing later costs 35c');
+
+  const cloudy = buildLoadShiftAdvice(Object.assign({}, input, {
+    slots: [
+      { ts: noon, cloudPct: 0 },
+      { ts: noon + (3 * 60 * MINUTE_MS), cloudPct: 100 }
+    ]
+  }), settings, tariff);
+  assert.ok(cloudy.spareMinutes < advice.spareMinutes, 'forecast cloud should shorten the surplus');
+
+  assert.strictEqual(buildLoadShiftAdvice(Object.assign({}, input, { realtime: { generatedW: 1500, gridW: -500 } }), settings, tariff).status, 'none');
+
+  const calls = [];
+  const controller = createLoadShiftController({
+    triggers: [
+      { entityId: 'switch.pool_pump', thresholdW: 3000, minMinutes: 5 },
+      { entityId: 'script.start_dishwasher', thresholdW: 5000, minMinutes: 0 }
+    ]
+  }, {
+    callService: async (domain, service, data) => { calls.push([domain, service, data.entity_id]); }
+  });
+  controller.update({ gridW: -6000 }, noon);
+  await Promise.resolve();
+  await Promise.resolve();
+  assert.deepStrictEqual(calls, [['script', 'turn_on', 'script.start_dishwasher']], 'the pump waits for the surplus to settle');
+  controller.update({ gridW: -6000 }, noon + (5 * MINUTE_MS));
+  controller.update({ gridW: -6000 }, noon + (6 * MINUTE_MS));
+  controller.update({ gridW: 0 }, noon + (10 * MINUTE_MS));
+  controller.update({ gridW: 200 }, noon + (15 * MINUTE_MS));
+  controller.update({ gridW: -6000 }, noon + (16 * MINUTE_MS));
+  controller.update({ gridW: -6000 }, noon + (22 * MINUTE_MS));
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepStrictEqual(calls, [
+    ['script', 'turn_on', 'script.start_dishwasher'],
+    ['switch', 'turn_on', 'switch.pool_pump'],
+    ['switch', 'turn_off', 'switch.pool_pump']
+  ], 'each surplus fires once, switches turn off after it ends, and the cooldown holds off a repeat');
+  const triggers = controller.getTriggers();
+  assert.strictEqual(triggers[0].active, false);
+  assert.strictEqual(triggers[0].lastFiredAt, new Date(noon + (5 * MINUTE_MS)).toISOString());
+
+  const failing = createLoadShiftController({ triggers: [{ entityId: 'switch.heater', thresholdW: 1000, minMinutes: 0 }] }, {
+    callService: async () => { throw new Error('HTTP 401'); }
+  });
+  failing.update({ gridW: -2000 }, noon);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(failing.getTriggers()[0].error, 'HTTP 401');
+};
@@ -12,8 +12,15 @@ module.exports = async function run() {
       ua: req.headers['user-agent'],
       accept: req.headers.accept
     });
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.statusCode = 304;
+      res.end();
+      return;
+    }
     res.statusCode = 200;
     res.setHeader('Content-Type', 'image/png');
+    res.setHeader('ETag', '"v1"');
+    res.setHeader('Last-Modified', 'Mon, 02 Mar 2026 00:00:00 GMT');
     res.end(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
   });
 
@@ -34,6 +41,12 @@ module.exports = async function run() {
     assert.strictEqual(requests[0].url, '/7/123/95.png');
     assert.strictEqual(requests[0].ua, 'NanoPi2-Dashboard-Test/1.0 (local)');
     assert.ok(String(requests[0].accept || '').indexOf('image/png') > -1);
+    assert.strictEqual(tile.etag, '"v1"');
+    assert.strictEqual(tile.lastModified, 'Mon, 02 Mar 2026 00:00:00 GMT');
+    assert.strictEqual(tile.tileSource, undefined);
+
+    const revalidated = await client.fetchTile(7, 123, 95, { 'If-None-Match': '"v1"' });
+    assert.deepStrictEqual(revalidated, { notModified: true });
   } finally {
     await new Promise((resolve) => server.close(resolve));
   }
@@ -67,6 +80,7 @@ module.exports = async function run() {
     const tile = await client.fetchTile(7, 123, 95);
     assert.strictEqual(tile.contentType, 'image/png');
     assert.strictEqual(tile.body.length, 1024);
+    assert.strictEqual(tile.tileSource, 'fallback', 'tiles from a fallback server are marked');
   } finally {
     await new Promise((resolve) => blockedServer.close(resolve));
     await new Promise((resolve) => fallbackServer.close(resolve));
@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('assert');
+
+const { formatMetrics, createMetrics, buildStateFamilies, buildProcessFamilies } = require('../src/lib/metrics');
+
+function lines(text) {
+  return text.split('\n').filter(Boolean);
+}
+
+module.exports = async function run() {
+  assert.strictEqual(formatMetrics([
+    { name: 'demo_value', help: 'A demo.', type: 'gauge', samples: [
+      { labels: { name: 'say "hi"\\now' }, value: 1.5 },
+      { labels: { name: 'unknown' }, value: null }
+    ] },
+    { name: 'demo_empty', help: 'Never reported.', type: 'gauge', samples: [{ value: undefined }] }
+  ]), '# HELP demo_value A demo.\n# TYPE demo_value gauge\ndemo_value{name="say \\"hi\\"\\\\now"} 1.5\n', 'unknown readings and empty families are left out');
+
+  const metrics = createMetrics({ buckets: [0.1, 1] });
+  metrics.observeRequest({ service: 'external.weather.current', statusCode: 200, durationMs: 50 });
+  metrics.observeRequest({ service: 'external.weather.current', statusCode: 200, durationMs: 400 });
+  metrics.observeRequest({ service: 'external.weather.current', statusCode: 0, durationMs: 2500, error: new Error('timeout') });
+  metrics.observeRender({ ok: false, durationMs: 900 });
+  const counters = lines(formatMetrics(metrics.collect()));
+  assert.ok(counters.indexOf('dashboard_external_requests_total{service="external.weather.current",status="200"} 2') > -1);
+  assert.ok(counters.indexOf('dashboard_external_requests_total{service="external.weather.current",status="error"} 1') > -1);
+  assert.deepStrictEqual(counters.filter((line) => line.indexOf('dashboard_external_request_duration_seconds') === 0), [
+    'dashboard_external_request_duration_seconds_bucket{service="external.weather.current",le="0.1"} 1',
+    'dashboard_external_request_duration_seconds_bucket{service="external.weather.current",le="1"} 2',
+    'dashboard_external_request_duration_seconds_bucket{service="external.weather.current",le="+Inf"} 3',
+    'dashboard_external_request_duration_seconds_sum{service="external.weather.current"} 2.95',
+    'dashboard_external_request_duration_seconds_count{service="external.weather.current"} 3'
+  ]);
+  assert.ok(counters.indexOf('dashboard_radar_renders_total{result="failure"} 1') > -1);
+  assert.ok(!counters.some((line) => line.indexOf('dashboard_radar_last_render_success_timestamp_seconds') === 0), 'no success yet');
+
+  const state = lines(formatMetrics(buildStateFamilies({
+    fronius: {
+      realtime: { generatedW: 5900, gridW: -1500, loadW: 3100, hasBattery: true, batteryW: -1200, batterySocPct: 65.4, at: 1771219200000 },
+      today: { generatedKwh: 12.5, importKwh: 1.2, exportKwh: 6.8 }
+    },
+    internet: { online: false, latencyMs: null, downloadMbps: 90.5, uploadMbps: null, lastUpdated: '2026-02-16T06:15:14.982Z' },
+    haCards: [
+      { type: 'climate', label: 'Lounge', temperature: { value: 23.5, unit: '°C' }, humidity: null },
+      { type: 'battery_summary', label: 'Batteries', items: [{ label: 'Door', value: 80, unit: '%' }] }
+    ],
+    beatbotDevices: [{ id: 'bb1', name: 'Pool', online: true, battery: null, status: 'cleaning' }]
+  })));
+  [
+    'dashboard_solar_generated_watts 5900',
+    'dashboard_grid_power_watts -1500',
+    'dashboard_grid_import_watts 0',
+    'dashboard_grid_export_watts 1500',
+    'dashboard_battery_soc_percent 65.4',
+    'dashboard_energy_today_kwh{flow="export"} 6.8',
+    'dashboard_solar_realtime_timestamp_seconds 1771219200',
+    'dashboard_internet_online 0',
+    'dashboard_internet_download_mbps 90.5',
+    'dashboard_home_assistant_value{card="Lounge",label="Lounge",measure="temperature",unit="°C"} 23.5',
+    'dashboard_home_assistant_value{card="Batteries",label="Door",measure="battery",unit="%"} 80',
+    'dashboard_beatbot_online{device="bb1",name="Pool"} 1',
+    'dashboard_beatbot_status{device="bb1",name="Pool",status="cleaning"} 1'
+  ].forEach((line) => assert.ok(state.indexOf(line) > -1, 'missing ' + line));
+  assert.ok(!state.some((line) => /^dashboard_(internet_latency|internet_upload|beatbot_battery)/.test(line)), 'unknown readings are absent');
+
+  const quiet = lines(formatMetrics(buildStateFamilies({ fronius: { realtime: { gridW: 0, hasBattery: false, batteryW: 0 } } })));
+  assert.ok(!quiet.some((line) => line.indexOf('dashboard_battery_') === 0), 'sites without a battery report no battery gauges');
+  assert.ok(!quiet.some((line) => line.indexOf('dashboard_internet_online') === 0), 'no probe sample yet');
+
+  const proc = lines(formatMetrics(buildProcessFamilies({
+    version: 'v14.21.3',
+    memoryUsage: () => ({ rss: 1000, heapTotal: 800, heapUsed: 600, external: 50 }),
+    cpuUsage: () => ({ user: 1500000, system: 500000 }),
+    uptime: () => 10
+  })));
+  assert.ok(proc.indexOf('process_cpu_seconds_total 2') > -1);
+  assert.ok(proc.indexOf('process_resident_memory_bytes 1000') > -1);
+  assert.ok(proc.indexOf('nodejs_version_info{version="v14.21.3"} 1') > -1);
+};
@@ -0,0 +1,245 @@
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+
+const { createMqttClient, readPackets } = require('../src/lib/mqtt-client');
+const { buildStatePayload, buildDiscoveryMessages, createMqttPublisher } = require('../src/lib/mqtt-publisher');
+
+function readString(body, offset) {
+  const length = body.readUInt16BE(offset);
+  return { value: body.slice(offset + 2, offset + 2 + length).toString('utf8'), next: offset + 2 + length };
+}
+
+function parseConnect(body) {
+  let cursor = readString(body, 0);
+  const flags = body[cursor.next + 1];
+  const keepaliveSeconds = body.readUInt16BE(cursor.next + 2);
+  cursor = readString(body, cursor.next + 4);
+  const out = { clientId: cursor.value, keepaliveSeconds, cleanSession: !!(flags & 0x02) };
+  if (flags & 0x04) {
+    cursor = readString(body, cursor.next);
+    out.willTopic = cursor.value;
+    cursor = readString(body, cursor.next);
+    out.willPayload = cursor.value;
+    out.willRetain = !!(flags & 0x20);
+  }
+  if (flags & 0x80) {
+    cursor = readString(body, cursor.next);
+    out.username = cursor.value;
+  }
+  if (flags & 0x40) {
+    out.password = readString(body, cursor.next).value;
+  }
+  return out;
+}
+
+// Just enough of a broker to accept connections and record what clients send.
+function startFakeBroker(options) {
+  const opts = options || {};
+  const broker = { connects: [], publishes: [], disconnects: 0, sockets: [] };
+  const waiters = [];
+  function notify() {
+    waiters.slice().forEach((waiter) => {
+      if (waiter.test()) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve();
+      }
+    });
+  }
+  broker.waitFor = function waitFor(test) {
+    if (test()) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('fake broker wait timed out')), 3000);
+      waiters.push({ test, resolve: () => { clearTimeout(timer); resolve(); } });
+    });
+  };
+  broker.server = net.createServer((socket) => {
+    broker.sockets.push(socket);
+    let buffered = Buffer.alloc(0);
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      buffered = readPackets(Buffer.concat([buffered, chunk]), (type, flags, body) => {
+        if (type === 1) {
+          broker.connects.push(parseConnect(body));
+          socket.write(Buffer.from([0x20, 2, 0, opts.returnCode || 0]));
+          if (opts.afterConnack) {
+            socket.write(opts.afterConnack);
+          }
+        } else if (type === 3) {
+          const topic = readString(body, 0);
+          broker.publishes.push({ topic: topic.value, payload: body.slice(topic.next).toString('utf8'), retain: !!(flags & 1) });
+        } else if (type === 12) {
+          socket.write(Buffer.from([0xD0, 0]));
+        } else if (type === 14) {
+          broker.disconnects += 1;
+        }
+        notify();
+      });
+    });
+  });
+  return new Promise((resolve) => {
+    broker.server.listen(0, '127.0.0.1', () => {
+      broker.port = broker.server.address().port;
+      resolve(broker);
+    });
+  });
+}
+
+async function waitUntil(test) {
+  for (let i = 0; i < 300 && !test(); i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(test(), 'condition not met in time');
+}
+
+function closeBroker(broker) {
+  broker.sockets.forEach((socket) => socket.destroy());
+  return new Promise((resolve) => broker.server.close(resolve));
+}
+
+module.exports = async function run() {
+  // Packets may arrive split across chunks, including inside the length bytes.
+  const seen = [];
+  const big = Buffer.concat([Buffer.from([0x30, 0xC8, 0x01]), Buffer.alloc(200, 1)]);
+  let rest = readPackets(Buffer.concat([Buffer.from([0xD0, 0]), big.slice(0, 2)]), (type, flags, body) => seen.push([type, body.length]));
+  assert.deepStrictEqual(seen, [[13, 0]]);
+  rest = readPackets(Buffer.concat([rest, big.slice(2)]), (type, flags, body) => seen.push([type, body.length]));
+  assert.deepStrictEqual(seen, [[13, 0], [3, 200]]);
+  assert.strictEqual(rest.length, 0);
+
+  const state = buildStatePayload({
+    dayKey: '2026-10-19',
+    realtime: { generatedW: 5234.6, loadW: 1800, gridW: -3434.6 },
+    today: { generatedKwh: 18.2456, importKwh: 1.2, exportKwh: 9.87 },
+    costs: { netCents: -123.456 },
+    selfSufficiencyPct: 87.46,
+    internet: { online: true, downloadMbps: 92.34, uploadMbps: null, latencyMs: 18.6, lastUpdated: '2026-10-19T01:00:00.000Z' },
+    bins: { nextType: 'Recycling', nextDate: 'Tue 21 Oct' },
+    reminders: [
+      { title: 'Flea treatment', dueDate: '2026-10-18', tone: 'overdue' },
+      { title: 'Pool salt', dueDate: '2026-10-19', tone: 'neutral' },
+      { title: 'Filter clean', dueDate: '2026-10-21', tone: 'neutral' }
+    ],
+    beatbotDevices: [{ id: 'bb1', online: true, battery: 64, status: 'cleaning', statusLabel: 'Cleaning' }]
+  });
+  assert.strictEqual(state.solar_power_w, 5235);
+  assert.strictEqual(state.grid_power_w, -3435);
+  assert.strictEqual(state.solar_today_kwh, 18.246);
+  assert.strictEqual(state.net_cost_today, -1.23);
+  assert.strictEqual(state.self_sufficiency_pct, 87.5);
+  assert.strictEqual(state.internet_online, 'ON');
+  assert.strictEqual(state.internet_upload_mbps, null, 'unknown readings stay null');
+  assert.strictEqual(state.next_bin, 'Recycling');
+  assert.strictEqual(state.reminders_due, 2, 'overdue and due-today reminders count');
+  assert.strictEqual(state.next_reminder, 'Flea treatment');
+  assert.strictEqual(state.pool_cleaner_status, 'Cleaning');
+  assert.strictEqual(state.pool_cleaner_online, 'ON');
+  const empty = buildStatePayload({});
+  assert.strictEqual(empty.internet_online, null, 'no probe sample yet');
+  assert.strictEqual(empty.pool_cleaner_status, null);
+  assert.strictEqual(empty.reminders_due, 0);
+
+  const discovery = buildDiscoveryMessages({ clientId: 'kitchen dash', topicPrefix: 'home/dash', discoveryPrefix: 'ha', currency: 'NZD' });
+  const cost = discovery.find((message) => message.topic === 'ha/sensor/kitchen_dash/net_cost_today/config');
+  assert.ok(cost, 'discovery topics use the sanitised client id as the node id');
+  assert.strictEqual(cost.payload.state_topic, 'home/dash/state');
+  assert.strictEqual(cost.payload.availability_topic, 'home/dash/status');
+  assert.strictEqual(cost.payload.value_template, '{{ value_json.net_cost_today }}');
+  assert.strictEqual(cost.payload.unit_of_measurement, 'NZD');
+  assert.strictEqual(cost.payload.unique_id, 'kitchen_dash_net_cost_today');
+  const online = discovery.find((message) => message.topic === 'ha/binary_sensor/kitchen_dash/internet_online/config');
+  assert.strictEqual(online.payload.device_class, 'connectivity');
+  assert.strictEqual(online.payload.payload_on, 'ON');
+  assert.ok(discovery.every((message) => Object.keys(state).indexOf(message.topic.split('/')[3]) > -1), 'every entity reads a state key');
+
+  // The client reconnects after the broker drops it.
+  const broker = await startFakeBroker();
+  const errors = [];
+  let connects = 0;
+  const client = createMqttClient({
+    host: '127.0.0.1',
+    port: broker.port,
+    clientId: 'test-client',
+    username: 'dash',
+    password: 'secret',
+    keepaliveSeconds: 30,
+    reconnectMs: 100,
+    will: { topic: 'nanopi2/status', payload: 'offline', retain: true },
+    onConnect: () => { connects += 1; },
+    onError: (error) => { errors.push(error.message); }
+  });
+  assert.strictEqual(client.publish('nanopi2/test', 'dropped'), false, 'publishes before connecting are dropped');
+  client.start();
+  await broker.waitFor(() => broker.connects.length === 1);
+  assert.deepStrictEqual(broker.connects[0], {
+    clientId: 'test-client',
+    keepaliveSeconds: 30,
+    cleanSession: true,
+    willTopic: 'nanopi2/status',
+    willPayload: 'offline',
+    willRetain: true,
+    username: 'dash',
+    password: 'secret'
+  });
+  await waitUntil(() => client.isConnected());
+  assert.strictEqual(client.publish('nanopi2/test', { a: 1 }, { retain: true }), true);
+  await broker.waitFor(() => broker.publishes.length === 1);
+  assert.deepStrictEqual(broker.publishes[0], { topic: 'nanopi2/test', payload: '{"a":1}', retain: true });
+  broker.sockets[0].destroy();
+  await waitUntil(() => connects === 2);
+  assert.ok(errors.indexOf('mqtt_connection_closed') > -1);
+  await client.stop();
+  await broker.waitFor(() => broker.disconnects === 1);
+  assert.strictEqual(client.isConnected(), false);
+  await closeBroker(broker);
+
+  const refusing = await startFakeBroker({ returnCode: 5 });
+  const refusals = [];
+  const refused = createMqttClient({ port: refusing.port, reconnectMs: 5000, onError: (error) => { refusals.push(error.message); } });
+  refused.start();
+  await waitUntil(() => refusals.length > 0);
+  assert.deepStrictEqual(refusals, ['mqtt_connect_refused_not_authorized']);
+  await refused.stop();
+  await closeBroker(refusing);
+
+  // A truncated QoS 1 publish drops the connection instead of crashing.
+  const garbled = await startFakeBroker({ afterConnack: Buffer.from([0x32, 1, 0]) });
+  const malformed = [];
+  const garbledClient = createMqttClient({ port: garbled.port, reconnectMs: 5000, onError: (error) => { malformed.push(error.message); } });
+  garbledClient.start();
+  await waitUntil(() => malformed.length > 0);
+  assert.deepStrictEqual(malformed, ['mqtt_malformed_publish']);
+  await garbledClient.stop();
+  await closeBroker(garbled);
+
+  // The publisher announces availability, discovery and state on connect.
+  const haBroker = await startFakeBroker();
+  const intervals = [];
+  const publisher = createMqttPublisher({
+    config: { host: '127.0.0.1', port: haBroker.port, clientId: 'nanopi2-dashboard', topicPrefix: 'nanopi2', discoveryPrefix: 'homeassistant', publishIntervalSeconds: 30 },
+    timers: {
+      setInterval: (fn, ms) => { intervals.push({ fn, ms }); return intervals.length; },
+      clearInterval: (id) => { intervals[id - 1].cleared = true; }
+    },
+    getSnapshot: () => ({ bins: { nextType: 'General waste', nextDate: 'Mon 20 Oct' } })
+  });
+  publisher.start();
+  assert.strictEqual(intervals[0].ms, 30000);
+  const expected = 1 + discovery.length + 1;
+  await haBroker.waitFor(() => haBroker.publishes.length === expected);
+  assert.deepStrictEqual(haBroker.publishes[0], { topic: 'nanopi2/status', payload: 'online', retain: true });
+  assert.ok(haBroker.publishes.every((message) => message.retain), 'everything is retained');
+  const stateMessage = haBroker.publishes[expected - 1];
+  assert.strictEqual(stateMessage.topic, 'nanopi2/state');
+  assert.strictEqual(JSON.parse(stateMessage.payload).next_bin, 'General waste');
+  intervals[0].fn();
+  await haBroker.waitFor(() => haBroker.publishes.length === expected + 1);
+  await publisher.stop();
+  await haBroker.waitFor(() => haBroker.disconnects === 1);
+  assert.deepStrictEqual(haBroker.publishes[expected + 1], { topic: 'nanopi2/status', payload: 'offline', retain: true });
+  assert.strictEqual(intervals[0].cleared, true);
+  await closeBroker(haBroker);
+};
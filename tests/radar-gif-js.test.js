@@ -0,0 +1,285 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { encodeGif, encodeGifInWorker } = require('../src/lib/gif-encoder');
+const { createRadarGifRenderer } = require('../src/lib/radar-gif');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < body.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ body[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  const out = Buffer.alloc(body.length + 8);
+  out.writeUInt32BE(data.length, 0);
+  body.copy(out, 4);
+  out.writeUInt32BE((crc ^ 0xFFFFFFFF) >>> 0, body.length + 4);
+  return out;
+}
+
+function solidPng(size, rgba) {
+  const stride = (size * 4) + 1;
+  const raw = Buffer.alloc(size * stride);
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      Buffer.from(rgba).copy(raw, (y * stride) + 1 + (x * 4));
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8;
+  header[9] = 6;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Test-only GIF reader: global palette, full-frame images, no interlace.
+function decodeGif(buffer) {
+  assert.strictEqual(buffer.toString('latin1', 0, 6), 'GIF89a');
+  const width = buffer.readUInt16LE(6);
+  const height = buffer.readUInt16LE(8);
+  const paletteSize = 2 << (buffer[10] & 7);
+  const palette = buffer.slice(13, 13 + (paletteSize * 3));
+  let offset = 13 + (paletteSize * 3);
+  const frames = [];
+  let loops = null;
+  let delay = 0;
+  while (buffer[offset] !== 0x3B) {
+    if (buffer[offset] === 0x21) {
+      const label = buffer[offset + 1];
+      if (label === 0xF9) {
+        delay = buffer.readUInt16LE(offset + 4);
+      } else if (label === 0xFF && buffer.toString('latin1', offset + 3, offset + 14) === 'NETSCAPE2.0') {
+        loops = buffer.readUInt16LE(offset + 16);
+      }
+      offset += 2;
+      while (buffer[offset]) {
+        offset += buffer[offset] + 1;
+      }
+      offset += 1;
+      continue;
+    }
+    assert.strictEqual(buffer[offset], 0x2C, 'image descriptor');
+    const minCodeSize = buffer[offset + 10];
+    offset += 11;
+    const data = [];
+    while (buffer[offset]) {
+      data.push(buffer.slice(offset + 1, offset + 1 + buffer[offset]));
+      offset += buffer[offset] + 1;
+    }
+    offset += 1;
+    const indices = lzwDecode(Buffer.concat(data), minCodeSize, width * height);
+    const rgb = Buffer.alloc(width * height * 3);
+    indices.forEach((index, p) => palette.copy(rgb, p * 3, index * 3, (index * 3) + 3));
+    frames.push({ delay, rgb });
+  }
+  return { width, height, loops, frames };
+}
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const out = [];
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  let previous = null;
+  let bitPos = 0;
+  function reset() {
+    table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  }
+  reset();
+  while (out.length < pixelCount) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i += 1, bitPos += 1) {
+      code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+    }
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    assert.notStrictEqual(code, clearCode + 1, 'end of data before the last pixel');
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+      if (previous) {
+        table.push(previous.concat(entry[0]));
+      }
+    } else {
+      entry = previous.concat(previous[0]);
+      table.push(entry);
+    }
+    entry.forEach((value) => out.push(value));
+    previous = entry;
+    if (table.length === (1 << codeSize) && codeSize < 12) {
+      codeSize += 1;
+    }
+  }
+  return out;
+}
+
+function pixel(frame, width, x, y) {
+  const offset = ((y * width) + x) * 3;
+  return Array.from(frame.rgb.slice(offset, offset + 3));
+}
+
+function near(actual, expected, tolerance) {
+  return actual.every((value, index) => Math.abs(value - expected[index]) <= tolerance);
+}
+
+module.exports = async function run() {
+  // Round trip with enough distinct colours to overflow the 4096-code table.
+  const width = 96;
+  const height = 80;
+  const colours = Array.from({ length: 200 }, (_, i) => [(i * 53) % 256, (i * 97) % 256, (i * 31) % 256]);
+  const frames = [0, 1].map((shift) => {
+    const data = Buffer.alloc(width * height * 4);
+    for (let p = 0; p < width * height; p += 1) {
+      const colour = colours[((p * 7919) + (shift * 13)) % colours.length];
+      data[p * 4] = colour[0];
+      data[(p * 4) + 1] = colour[1];
+      data[(p * 4) + 2] = colour[2];
+      data[(p * 4) + 3] = 255;
+    }
+    return { width, height, data };
+  });
+  const decoded = decodeGif(encodeGif({ width, height, frames, delayMs: 400 }));
+  assert.strictEqual(decoded.width, width);
+  assert.strictEqual(decoded.height, height);
+  assert.strictEqual(decoded.loops, 0, 'loops forever');
+  assert.strictEqual(decoded.frames.length, 2);
+  assert.strictEqual(decoded.frames[0].delay, 40, 'delay in hundredths of a second');
+  frames.forEach((frame, index) => {
+    const rgb = decoded.frames[index].rgb;
+    for (let p = 0; p < width * height; p += 1) {
+      const expected = [frame.data[p * 4] & 0xF8, frame.data[(p * 4) + 1] & 0xF8, frame.data[(p * 4) + 2] & 0xF8];
+      const actual = [rgb[p * 3] & 0xF8, rgb[(p * 3) + 1] & 0xF8, rgb[(p * 3) + 2] & 0xF8];
+      assert.deepStrictEqual(actual, expected, 'frame ' + index + ' pixel ' + p);
+    }
+  });
+  assert.throws(() => encodeGif({ width: 1, height: 1, frames: [] }), /gif_no_frames/);
+  assert.ok((await encodeGifInWorker({ width, height, frames, delayMs: 400 })).equals(encodeGif({ width, height, frames, delayMs: 400 })));
+  await assert.rejects(encodeGifInWorker({ width: 1, height: 1, frames: [] }), /gif_no_frames/);
+
+  // The JS backend renders without ffmpeg.
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nanopi2-radar-gif-js-'));
+  try {
+    const mapTile = solidPng(256, [100, 100, 100, 255]);
+    const radarTile = solidPng(256, [0, 255, 0, 128]);
+    const radarCalls = [];
+    const config = {
+      timeZone: 'Australia/Brisbane',
+      radar: {
+        gifBackend: 'js',
+        gifWidth: 120,
+        gifHeight: 160,
+        gifMaxFrames: 2,
+        gifFrameDelayMs: 400,
+        zoom: 6,
+        providerMaxZoom: 6,
+        startupRenderWaitMs: 0
+      }
+    };
+    const renderer = createRadarGifRenderer({
+      ffmpegBinary: '__ffmpeg_missing__',
+      fetchMapTile: async () => ({ contentType: 'image/png', body: mapTile }),
+      fetchRadarTile: async (params) => {
+        radarCalls.push(params);
+        if (params.framePath === '/v2/radar/dry') {
+          const missing = new Error('not found');
+          missing.statusCode = 404;
+          throw missing;
+        }
+        return { contentType: 'image/png', body: radarTile };
+      },
+      getRadarState: () => ({
+        frames: [
+          { time: 1771072200, path: '/v2/radar/dry' },
+          { time: 1771072800, path: '/v2/radar/wet' }
+        ]
+      }),
+      config,
+      gifCacheDir: tempDir
+    });
+    assert.strictEqual(renderer.canRender(), true, 'gifBackend "js" needs no ffmpeg');
+    const result = await renderer.renderOnce({});
+    assert.strictEqual(result.contentType, 'image/gif');
+    assert.strictEqual(radarCalls[0].color, 3);
+    assert.strictEqual(radarCalls[0].options, '1_1');
+
+    const gif = decodeGif(result.body);
+    assert.strictEqual(gif.width, 120);
+    assert.strictEqual(gif.height, 160);
+    assert.strictEqual(gif.frames.length, 2);
+    assert.strictEqual(gif.frames[0].delay, 40);
+    assert.ok(near(pixel(gif.frames[0], 120, 5, 5), [100, 100, 100], 8), 'a 404 radar tile leaves the map showing');
+    assert.ok(near(pixel(gif.frames[1], 120, 5, 5), [50, 178, 50], 8), 'radar blends over the map: ' + pixel(gif.frames[1], 120, 5, 5));
+    assert.ok(near(pixel(gif.frames[1], 120, 60, 80), [0, 0, 0], 40), 'centre marker');
+    assert.ok(near(pixel(gif.frames[1], 120, 60, 73), [255, 255, 255], 24), 'marker cross');
+    // 14:00 in Brisbane, drawn black on white three times the 5x7 font size.
+    let labelInk = 0;
+    for (let y = 160 - 34 - 21; y < 160 - 34; y += 1) {
+      for (let x = 0; x < 120; x += 1) {
+        if (near(pixel(gif.frames[1], 120, x, y), [0, 0, 0], 24)) {
+          labelInk += 1;
+        }
+      }
+    }
+    assert.ok(labelInk > 100, 'frame timestamp drawn, ink ' + labelInk);
+
+    const cached = renderer.getLatestGif();
+    assert.ok(cached && cached.body.equals(result.body), 'written to the GIF cache');
+    assert.deepStrictEqual(
+      { width: renderer.getLatestMeta().width, height: renderer.getLatestMeta().height },
+      { width: 120, height: 160 }
+    );
+
+    // Map tiles the PNG decoder cannot read are left as background colour.
+    const jpegMap = createRadarGifRenderer({
+      ffmpegBinary: '__ffmpeg_missing__',
+      fetchMapTile: async () => ({ contentType: 'image/jpeg', body: Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10]) }),
+      fetchRadarTile: async () => {
+        const missing = new Error('not found');
+        missing.statusCode = 404;
+        throw missing;
+      },
+      getRadarState: () => ({ frames: [{ time: 1771072800, path: '/v2/radar/wet' }] }),
+      config,
+      gifCacheDir: path.join(tempDir, 'jpeg')
+    });
+    const jpegGif = decodeGif((await jpegMap.renderOnce({})).body);
+    assert.ok(near(pixel(jpegGif.frames[0], 120, 5, 5), [0x12, 0x18, 0x20], 8), 'background colour: ' + pixel(jpegGif.frames[0], 120, 5, 5));
+
+    const brokenMap = createRadarGifRenderer({
+      ffmpegBinary: '__ffmpeg_missing__',
+      fetchMapTile: async () => {
+        throw new Error('socket hang up');
+      },
+      fetchRadarTile: async () => ({ contentType: 'image/png', body: radarTile }),
+      getRadarState: () => ({ frames: [{ time: 1771072800, path: '/v2/radar/wet' }] }),
+      config,
+      gifCacheDir: path.join(tempDir, 'broken')
+    });
+    await assert.rejects(brokenMap.renderOnce({}), (error) => error.code === 'map_tiles_unavailable', 'only tiles that cannot be fetched fail the render');
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
@@ -34,10 +34,10 @@ module.exports = async function run() {
       getRadarState: function () {
         return { frames: [{ time: 1000, path: '/path/0' }] };
       },
-      config: { radar: {} },
+      config: { radar: { gifBackend: 'ffmpeg' } },
       gifCacheDir: path.join(os.tmpdir(), 'nanopi2-radar-gif-no-sharp')
     });
-    assert.strictEqual(renderer.canRender(), false, 'canRender should be false when ffmpeg is unavailable');
+    assert.strictEqual(renderer.canRender(), false, 'canRender should be false when the forced ffmpeg backend is unavailable');
     assert.strictEqual(renderer.warmGif({ width: 120, height: 80 }), false, 'warmGif should not run without ffmpeg');
     await assert.rejects(
       async function () { await renderer.renderOnce({ width: 120, height: 80 }); },
@@ -46,6 +46,12 @@ module.exports = async function run() {
       },
       'renderOnce should throw gif_renderer_unavailable without ffmpeg'
     );
+    const autoRenderer = createRadarGifRenderer({
+      ffmpegBinary: '__ffmpeg_missing__',
+      config: { radar: { gifBackend: 'auto' } },
+      gifCacheDir: path.join(os.tmpdir(), 'nanopi2-radar-gif-no-sharp')
+    });
+    assert.strictEqual(autoRenderer.canRender(), true, 'auto should fall back to the js backend without ffmpeg');
     return;
   }
 
@@ -365,10 +371,10 @@ module.exports = async function run() {
         fetchMapTile: async function () { return { contentType: 'image/png', body: fakeTilePng }; },
         fetchRadarTile: async function () { return { contentType: 'image/png', body: fakeRadarTilePng }; },
         getRadarState: function () { return { frames: [{ time: 1000, path: '/path/0' }] }; },
-        config: { radar: {} },
+        config: { radar: { gifBackend: 'ffmpeg' } },
         gifCacheDir: path.join(tempDir, 'disabled-sharp')
       });
-      assert.strictEqual(disabledRenderer.canRender(), false, 'canRender should be false when ffmpeg is missing');
+      assert.strictEqual(disabledRenderer.canRender(), false, 'canRender should be false when the forced ffmpeg backend is missing');
       assert.strictEqual(disabledRenderer.warmGif({ width: 100, height: 80 }), false, 'warmGif should return false when rendering is disabled');
       const stopNoop = disabledRenderer.startSchedule({ width: 100, height: 80, intervalMs: 60000 });
       assert.strictEqual(typeof stopNoop, 'function', 'startSchedule should return a stop function even when disabled');
@@ -401,7 +407,7 @@ module.exports = async function run() {
         fetchMapTile: async function () { return { contentType: 'image/png', body: fakeTilePng }; },
         fetchRadarTile: async function () { return { contentType: 'image/png', body: fakeRadarTilePng }; },
         getRadarState: function () { return { frames: [{ time: 1000, path: '/path/0' }] }; },
-        config: { radar: {} },
+        config: { radar: { gifBackend: 'ffmpeg' } },
         gifCacheDir: path.join(tempDir, 'no-ffmpeg')
       });
       assert.strictEqual(
@@ -604,25 +610,26 @@ module.exports = async function run() {
         var f = String(args[idx + 1] || '');
         return f.indexOf('crop=800:480:24:24') > -1 &&
           f.indexOf('drawtext=') > -1 &&
-          f.indexOf('Generated\\:') > -1 &&
           f.indexOf('drawbox=x=(w/2)-1') > -1 &&
           f.indexOf('drawbox=x=(w/2)-8') > -1 &&
           f.indexOf('fontcolor=black') > -1 &&
           f.indexOf('bordercolor=white') > -1 &&
           f.indexOf('x=(w-text_w)/2') > -1 &&
-          f.indexOf('y=h-th-34') > -1 &&
-          f.indexOf('y=h-th-8') > -1;
+          f.indexOf('y=h-th-34') > -1;
       });
       assert.ok(composeWithTimestamp, 'frame compose should crop and then draw bottom timestamp');
       const composeFilterIndex = composeWithTimestamp.indexOf('-filter_complex');
       const composeFilter = String(composeWithTimestamp[composeFilterIndex + 1] || '');
       const thinBorderMatches = composeFilter.match(/:borderw=1\b/g) || [];
-      assert.strictEqual(thinBorderMatches.length, 2, 'timestamp and generated labels should use thin text outlines');
+      assert.strictEqual(thinBorderMatches.length, 1, 'timestamp label should use a thin text outline');
       assert.strictEqual(composeFilter.indexOf(':borderw=3') > -1, false, 'thick timestamp outline should not be used');
       assert.ok(composeFilter.indexOf(':fontcolor=black') > -1, 'labels should use black text');
       assert.ok(composeFilter.indexOf(':bordercolor=white') > -1, 'labels should use white outline');
+      assert.strictEqual(composeFilter.indexOf('Generated\\:') > -1, false, 'cached frames should not carry the generated label');
       assert.strictEqual(filter.indexOf('crop=') > -1, false, 'encode stage should not crop again');
-      assert.strictEqual(filter.indexOf('drawtext=') > -1, false, 'encode stage should not redraw timestamp');
+      assert.strictEqual(filter.indexOf('fontsize=24') > -1, false, 'encode stage should not redraw timestamp');
+      assert.ok(filter.indexOf('Generated\\:') > -1 && filter.indexOf('y=h-th-8') > -1, 'encode stage should draw the generated label once');
+      assert.strictEqual((filter.match(/:borderw=1\b/g) || []).length, 1, 'generated label should use a thin text outline');
     }
 
     // -------------------------------------------------------------------
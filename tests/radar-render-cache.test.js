@@ -0,0 +1,198 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { createRadarGifRenderer } = require('../src/lib/radar-gif');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < body.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ body[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  const out = Buffer.alloc(body.length + 8);
+  out.writeUInt32BE(data.length, 0);
+  body.copy(out, 4);
+  out.writeUInt32BE((crc ^ 0xFFFFFFFF) >>> 0, body.length + 4);
+  return out;
+}
+
+function solidPng(size, rgba) {
+  const stride = (size * 4) + 1;
+  const raw = Buffer.alloc(size * stride);
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      Buffer.from(rgba).copy(raw, (y * stride) + 1 + (x * 4));
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8;
+  header[9] = 6;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const MAP_TILE = solidPng(256, [100, 100, 100, 255]);
+const RADAR_TILE = solidPng(256, [0, 255, 0, 128]);
+
+// Recent frames: stale ones are relabelled against the clock on every render.
+const FIRST_FRAME = (Math.floor(Date.now() / 600000) * 600) - 3600;
+
+function frames(from, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    time: FIRST_FRAME + ((from + i) * 600),
+    path: '/v2/radar/' + (from + i)
+  }));
+}
+
+function createHarness(cacheDir, radar, extra, map) {
+  const harness = { mapCalls: 0, radarCalls: [], frames: frames(0, 3) };
+  harness.renderer = createRadarGifRenderer(Object.assign({
+    fetchMapTile: async () => {
+      harness.mapCalls += 1;
+      return { contentType: 'image/png', body: MAP_TILE };
+    },
+    fetchRadarTile: async (params) => {
+      harness.radarCalls.push(params.framePath);
+      return { contentType: 'image/png', body: RADAR_TILE };
+    },
+    getRadarState: () => ({ frames: harness.frames }),
+    config: {
+      radar: Object.assign({
+        gifWidth: 120,
+        gifHeight: 160,
+        gifMaxFrames: 3,
+        gifExtraTiles: 0,
+        zoom: 6,
+        providerMaxZoom: 6,
+        startupRenderWaitMs: 0
+      }, radar),
+      map: map || {}
+    },
+    gifCacheDir: cacheDir
+  }, extra || {}));
+  return harness;
+}
+
+function layerFiles(cacheDir) {
+  return fs.readdirSync(path.join(cacheDir, 'layers')).sort();
+}
+
+module.exports = async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nanopi2-radar-render-cache-'));
+  try {
+    // In-process backend: a new frame only costs that frame's radar tiles.
+    const jsDir = path.join(tempDir, 'js');
+    const js = createHarness(jsDir, { gifBackend: 'js' }, { ffmpegBinary: '__ffmpeg_missing__' });
+    await js.renderer.renderOnce({});
+    const tilesPerFrame = js.radarCalls.length / 3;
+    assert.ok(js.mapCalls > 0 && tilesPerFrame > 0);
+    assert.strictEqual(layerFiles(jsDir).filter((name) => name.indexOf('map-') === 0).length, 1);
+    assert.strictEqual(layerFiles(jsDir).filter((name) => name.indexOf('frame-') === 0).length, 3);
+
+    const mapCallsBefore = js.mapCalls;
+    js.radarCalls.length = 0;
+    js.frames = frames(1, 3);
+    const second = await js.renderer.renderOnce({});
+    assert.strictEqual(js.mapCalls, mapCallsBefore, 'the map background is reused');
+    assert.deepStrictEqual(Array.from(new Set(js.radarCalls)), ['/v2/radar/3'], 'only the new frame is fetched');
+    assert.strictEqual(js.radarCalls.length, tilesPerFrame);
+    assert.strictEqual(layerFiles(jsDir).length, 4, 'the dropped frame is pruned');
+    assert.ok(Buffer.isBuffer(second.body) && second.body.length > 0);
+
+    // Changing how the map is drawn rebuilds the background and every frame.
+    js.radarCalls.length = 0;
+    const filtered = createHarness(jsDir, { gifBackend: 'js', mapTileFilter: 'eq=brightness=0.1' }, { ffmpegBinary: '__ffmpeg_missing__' });
+    filtered.frames = js.frames;
+    await filtered.renderer.renderOnce({});
+    assert.ok(filtered.mapCalls > 0);
+    assert.strictEqual(filtered.radarCalls.length, tilesPerFrame * 3);
+    assert.strictEqual(layerFiles(jsDir).length, 4);
+
+    // So does pointing the map at another tile server.
+    const restyled = createHarness(jsDir, { gifBackend: 'js', mapTileFilter: 'eq=brightness=0.1' }, { ffmpegBinary: '__ffmpeg_missing__' }, {
+      tileUrlTemplate: 'https://basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png'
+    });
+    restyled.frames = js.frames;
+    await restyled.renderer.renderOnce({});
+    assert.ok(restyled.mapCalls > 0);
+    assert.strictEqual(restyled.radarCalls.length, tilesPerFrame * 3);
+
+    // A background that needed fallback tiles is not kept, nor are frames built on it.
+    const fallbackDir = path.join(tempDir, 'fallback');
+    const fallback = createHarness(fallbackDir, { gifBackend: 'js' }, {
+      ffmpegBinary: '__ffmpeg_missing__',
+      fetchMapTile: async () => ({ contentType: 'image/png', body: MAP_TILE, tileSource: 'fallback' })
+    });
+    const fromFallback = await fallback.renderer.renderOnce({});
+    assert.ok(Buffer.isBuffer(fromFallback.body) && fromFallback.body.length > 0);
+    assert.deepStrictEqual(layerFiles(fallbackDir), []);
+
+    // ffmpeg backend: cached frames skip every compose command; only the encode draws "Generated".
+    const ffmpegDir = path.join(tempDir, 'ffmpeg');
+    const ffmpegCalls = [];
+    const ff = createHarness(ffmpegDir, {}, {
+      ffmpegBinary: 'true',
+      execFileImpl: function fakeFfmpeg(binary, args, opts, cb) {
+        ffmpegCalls.push(args.slice());
+        fs.writeFileSync(args[args.length - 1], 'rendered');
+        cb(null, '', '');
+      }
+    });
+    assert.strictEqual(ff.renderer.canRender(), true);
+    await ff.renderer.renderOnce({});
+    const filterOf = (args) => String(args[args.indexOf('-filter_complex') + 1] || '');
+    const background = ffmpegCalls.filter((args) => args.indexOf('color=c=0x121820:s=168x208:d=1') > -1);
+    assert.strictEqual(background.length, 1, 'one background compose');
+    assert.ok(background[0][background[0].length - 1].indexOf(path.join(ffmpegDir, 'layers')) === 0);
+    const labelled = () => ffmpegCalls.filter((args) => filterOf(args).indexOf('crop=120:160:24:24') > -1);
+    assert.strictEqual(labelled().length, 3);
+    assert.ok(labelled().every((args) => filterOf(args).indexOf('Generated\\:') === -1), 'cached frames carry no "Generated" label');
+    const encoded = () => ffmpegCalls[ffmpegCalls.length - 1];
+    assert.ok(filterOf(encoded()).indexOf('Generated\\:') > -1, 'the encode pass draws "Generated"');
+    assert.strictEqual(ffmpegCalls.length, 1 + 3 + 3 + 1, 'background, three radar layers, three labelled frames, encode');
+
+    ffmpegCalls.length = 0;
+    ff.radarCalls.length = 0;
+    ff.frames = frames(1, 3);
+    await ff.renderer.renderOnce({});
+    assert.strictEqual(ffmpegCalls.length, 1 + 1 + 1, 'one radar layer, one labelled frame, encode');
+    assert.strictEqual(labelled().length, 1);
+    assert.ok(filterOf(encoded()).indexOf('Generated\\:') > -1);
+    assert.deepStrictEqual(Array.from(new Set(ff.radarCalls)), ['/v2/radar/3']);
+    assert.strictEqual(layerFiles(ffmpegDir).length, 4);
+    assert.ok(layerFiles(ffmpegDir).every((name) => /\.png$/.test(name) && name.indexOf('.tmp.') === -1));
+
+    const ffFallbackDir = path.join(tempDir, 'ffmpeg-fallback');
+    const ffFallback = createHarness(ffFallbackDir, {}, {
+      ffmpegBinary: 'true',
+      execFileImpl: function fakeFfmpeg(binary, args, opts, cb) {
+        fs.writeFileSync(args[args.length - 1], 'rendered');
+        cb(null, '', '');
+      },
+      fetchMapTile: async () => ({ contentType: 'image/png', body: MAP_TILE, tileSource: 'fallback' })
+    });
+    await ffFallback.renderer.renderOnce({});
+    assert.deepStrictEqual(layerFiles(ffFallbackDir), []);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
@@ -86,6 +86,7 @@ module.exports = async function run() {
 
     let refreshCount = 0;
     let framesAvailableCount = 0;
+    const analysisTileFrames = [];
     const radarState = {
       host: 'https://tilecache.rainviewer.com',
       frames: [],
@@ -130,6 +131,10 @@ module.exports = async function run() {
       onRadarFramesAvailable: () => {
         framesAvailableCount += 1;
       },
+      radarTileProvider: async (params) => {
+        analysisTileFrames.push(params.framePath);
+        return { contentType: 'image/png', body: Buffer.alloc(0) };
+      },
       gitRunner: async () => ({ ok: true })
     });
 
@@ -143,6 +148,10 @@ module.exports = async function run() {
     assert.ok(refreshCount >= 2, 'startup retry should trigger another radar refresh');
     assert.ok(clearedIds.indexOf(startupRetry.id) > -1, 'startup retry timer should clear after frames become available');
     assert.strictEqual(framesAvailableCount, 1, 'frames available hook should fire once when startup retry gets first frames');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.ok(analysisTileFrames.indexOf('/v2/radar/123') > -1, 'radar analysis should run as soon as the first frames arrive');
+    const analysisTimer = intervals.find((entry) => entry.ms === 60000);
+    assert.ok(analysisTimer, 'radar analysis should keep running every minute');
   } finally {
     if (server) {
       await new Promise((resolve) => server.close(resolve));
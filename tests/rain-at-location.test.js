@@ -0,0 +1,172 @@
+'use strict';
+
+const assert = require('assert');
+const zlib = require('zlib');
+
+const {
+  rainRateFromDbz,
+  dbzFromRainRate,
+  rainViewerDbz,
+  bomPaletteDbz,
+  createRadarDecoder
+} = require('../src/lib/radar-palette');
+const { windowForLocation } = require('../src/lib/rain-nowcast');
+const { createRainAtLocation } = require('../src/lib/rain-at-location');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < body.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ body[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  const out = Buffer.alloc(body.length + 8);
+  out.writeUInt32BE(data.length, 0);
+  body.copy(out, 4);
+  out.writeUInt32BE((crc ^ 0xFFFFFFFF) >>> 0, body.length + 4);
+  return out;
+}
+
+// Unfiltered 8-bit RGBA PNG.
+function encodeRgba(size, rgba) {
+  const raw = Buffer.alloc(size * ((size * 4) + 1));
+  for (let y = 0; y < size; y += 1) {
+    rgba.copy(raw, (y * ((size * 4) + 1)) + 1, y * size * 4, (y + 1) * size * 4);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8;
+  header[9] = 6;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const HOME = { lat: -27.47, lon: 153.02 };
+const ZOOM = 7;
+const NOW = Date.parse('2026-10-19T03:02:00.000Z');
+const LATEST = (NOW / 1000) - 120;
+
+// RainViewer scheme 0 tiles where `dbzAt(frame, dx, dy)` gives reflectivity
+// at an offset (px) from home, or null for no echo.
+function createTileSource(dbzAt) {
+  const window = windowForLocation(HOME.lat, HOME.lon, ZOOM, 256);
+  const homeX = (window.tiles[0].x * 256) - window.tiles[0].dx + Math.floor(window.homeX);
+  const homeY = (window.tiles[0].y * 256) - window.tiles[0].dy + Math.floor(window.homeY);
+  const calls = [];
+  return {
+    calls,
+    fetchTile: async (framePath, z, x, y) => {
+      calls.push(framePath + ':' + x + ':' + y);
+      const frame = framePath.split('/').pop();
+      const rgba = Buffer.alloc(256 * 256 * 4);
+      for (let py = 0; py < 256; py += 1) {
+        for (let px = 0; px < 256; px += 1) {
+          const dbz = dbzAt(frame, (x * 256) + px - homeX, (y * 256) + py - homeY);
+          if (dbz !== null) {
+            const offset = ((py * 256) + px) * 4;
+            rgba[offset] = dbz + 32;
+            rgba[offset + 1] = dbz + 32;
+            rgba[offset + 2] = dbz + 32;
+            rgba[offset + 3] = 255;
+          }
+        }
+      }
+      return encodeRgba(256, rgba);
+    }
+  };
+}
+
+function frame(minutesAgo, name) {
+  return { time: LATEST - (minutesAgo * 60), path: '/v2/radar/' + name };
+}
+
+module.exports = async function run() {
+  // Palettes.
+  assert.strictEqual(rainViewerDbz(62, 62, 62, 255), 30);
+  assert.strictEqual(rainViewerDbz(128 + 62, 62, 62, 255), 30, 'the snow bit does not change reflectivity');
+  assert.strictEqual(rainViewerDbz(62, 62, 62, 0), null);
+  assert.strictEqual(dbzFromRainRate(0), null);
+  assert.ok(Math.abs(rainRateFromDbz(dbzFromRainRate(6)) - 6) < 1e-9, 'Marshall-Palmer round-trips');
+  assert.ok(Math.abs(rainRateFromDbz(bomPaletteDbz(0, 150, 144, 255)) - 6) < 1e-9, 'BOM teal is 6 mm/h');
+  assert.ok(Math.abs(rainRateFromDbz(bomPaletteDbz(250, 5, 5, 255)) - 80) < 1e-9, 'near colours match the closest step');
+  assert.strictEqual(bomPaletteDbz(90, 90, 90, 255), null, 'grey map detail is not rain');
+  assert.strictEqual(bomPaletteDbz(255, 255, 0, 0), null);
+  assert.deepStrictEqual(createRadarDecoder('rainviewer'), { color: 0, options: '0_0', toDbz: rainViewerDbz });
+  assert.strictEqual(createRadarDecoder('bom_tiles').toDbz, bomPaletteDbz);
+  assert.strictEqual(createRadarDecoder('bom_reflectivity').color, null);
+
+  // Dry an hour ago, a shower over home, then rain only 3 px (about 3 km) east.
+  const source = createTileSource((name, dx, dy) => {
+    if (name === 'shower') {
+      return 35;
+    }
+    if (name === 'east' && dx >= 3 && dx <= 4 && Math.abs(dy) <= 1) {
+      return 23;
+    }
+    return null;
+  });
+  const sampler = createRainAtLocation({
+    lat: HOME.lat,
+    lon: HOME.lon,
+    zoom: ZOOM,
+    config: { radiusKm: 5, historyMinutes: 60 },
+    now: () => NOW,
+    fetchTile: source.fetchTile,
+    toDbz: rainViewerDbz
+  });
+  assert.deepStrictEqual(sampler.getState().samples, []);
+  const frames = [
+    frame(70, 'stale'),
+    frame(60, 'dry'),
+    frame(10, 'shower'),
+    frame(0, 'east'),
+    { time: (NOW / 1000) + 600, path: '/v2/radar/nowcast' }
+  ];
+  let state = await sampler.update(frames);
+  assert.strictEqual(state.error, null);
+  assert.strictEqual(state.unit, 'mm/h');
+  assert.strictEqual(state.radiusKm, 5);
+  assert.strictEqual(state.updatedAt, new Date(NOW).toISOString());
+  assert.deepStrictEqual(state.samples.map((sample) => sample.time), [60, 10, 0].map((ago) => new Date((LATEST - (ago * 60)) * 1000).toISOString()),
+    'the last hour of observed frames, oldest first');
+  assert.deepStrictEqual(state.samples[0], { time: state.samples[0].time, dbz: null, mmPerHour: 0, maxMmPerHour: 0, coveragePct: 0 });
+  const shower = state.samples[1];
+  assert.strictEqual(shower.dbz, 35);
+  assert.ok(Math.abs(shower.mmPerHour - 5.6) < 0.1, 'shower ' + shower.mmPerHour);
+  assert.strictEqual(shower.maxMmPerHour, shower.mmPerHour);
+  assert.strictEqual(shower.coveragePct, 100);
+  assert.strictEqual(state.current.mmPerHour, 0, 'dry at home');
+  assert.strictEqual(state.current.dbz, null);
+  assert.ok(Math.abs(state.current.maxMmPerHour - 1) < 0.2, 'rain within the radius ' + state.current.maxMmPerHour);
+  assert.ok(state.current.coveragePct > 0 && state.current.coveragePct < 20, 'coverage ' + state.current.coveragePct);
+
+  // Sampled frames are reused; a failing frame keeps the last samples.
+  const callsAfterFirst = source.calls.length;
+  await sampler.update(frames);
+  assert.strictEqual(source.calls.length, callsAfterFirst);
+  const failing = createRainAtLocation({
+    lat: HOME.lat,
+    lon: HOME.lon,
+    zoom: ZOOM,
+    now: () => NOW,
+    fetchTile: async () => { throw new Error('tile upstream unavailable'); },
+    toDbz: rainViewerDbz
+  });
+  state = await failing.update(frames);
+  assert.strictEqual(state.error, 'tile upstream unavailable');
+  assert.deepStrictEqual(state.samples, []);
+  state = await failing.update([]);
+  assert.strictEqual(state.error, 'rain_at_location_frames_unavailable');
+};
@@ -0,0 +1,218 @@
+'use strict';
+
+const assert = require('assert');
+const zlib = require('zlib');
+
+const { decodePng } = require('../src/lib/png');
+const { estimateDbz, rainRateFromDbz } = require('../src/lib/radar-palette');
+const { windowForLocation, createRainNowcast } = require('../src/lib/rain-nowcast');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+}
+
+// Test-only encoder; row y uses filter `filters[y % filters.length]`.
+function encodePng(width, height, colorType, rows, extra) {
+  const opts = extra || {};
+  const bpp = { 2: 3, 3: 1, 6: 4 }[colorType];
+  const filters = opts.filters || [0];
+  const stride = width * bpp;
+  const raw = [];
+  for (let y = 0; y < height; y += 1) {
+    const filter = filters[y % filters.length];
+    const row = rows.slice(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? rows.slice((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+    const out = Buffer.alloc(stride + 1);
+    out[0] = filter;
+    for (let i = 0; i < stride; i += 1) {
+      const left = i >= bpp ? row[i - bpp] : 0;
+      const upLeft = i >= bpp ? prev[i - bpp] : 0;
+      const predictor = [0, left, prev[i], (left + prev[i]) >> 1, paeth(left, prev[i], upLeft)][filter];
+      out[i + 1] = (row[i] - predictor) & 0xFF;
+    }
+    raw.push(out);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    opts.palette ? chunk('PLTE', opts.palette) : Buffer.alloc(0),
+    opts.transparency ? chunk('tRNS', opts.transparency) : Buffer.alloc(0),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(raw))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const HOME = { lat: -27.47, lon: 153.02 };
+const ZOOM = 7;
+const NOW = Date.parse('2026-10-19T03:02:00.000Z');
+const LATEST = (NOW / 1000) - 120;
+
+function worldHome() {
+  const window = windowForLocation(HOME.lat, HOME.lon, ZOOM, 256);
+  const tile = window.tiles[0];
+  return { x: (tile.x * 256) - tile.dx + window.homeX, y: (tile.y * 256) - tile.dy + window.homeY };
+}
+
+// Radar tiles with a rain cell (yellow core, green rim) centred at `centre(frameIndex)`.
+function createTileSource(centre) {
+  const calls = [];
+  return {
+    calls,
+    fetchTile: async (framePath, z, x, y) => {
+      calls.push(framePath + ':' + x + ':' + y);
+      const frame = Number(framePath.split('/').pop());
+      const c = centre(frame);
+      const rgba = Buffer.alloc(256 * 256 * 4);
+      for (let py = 0; py < 256; py += 1) {
+        for (let px = 0; px < 256; px += 1) {
+          const distance = Math.hypot((x * 256) + px - c.x, (y * 256) + py - c.y);
+          const offset = ((py * 256) + px) * 4;
+          if (c.radius && distance <= c.radius) {
+            const core = distance <= c.radius / 3;
+            rgba[offset] = core ? 255 : 0;
+            rgba[offset + 1] = core ? 255 : 200;
+            rgba[offset + 3] = 255;
+          }
+        }
+      }
+      return encodePng(256, 256, 6, rgba);
+    }
+  };
+}
+
+function frames(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    time: LATEST - ((count - 1 - index) * 600),
+    path: '/v2/radar/' + index
+  }));
+}
+
+module.exports = async function run() {
+  // PNG decoding: every filter type, palettes with transparency.
+  const pixels = Buffer.from(Array.from({ length: 3 * 5 * 4 }, (_, i) => (i * 37) % 256));
+  const decoded = decodePng(encodePng(3, 5, 6, pixels, { filters: [0, 1, 2, 3, 4] }));
+  assert.strictEqual(decoded.width, 3);
+  assert.strictEqual(decoded.height, 5);
+  assert.ok(decoded.data.equals(pixels), 'filtered RGBA rows round-trip');
+  const indexed = decodePng(encodePng(2, 1, 3, Buffer.from([0, 1]), {
+    palette: Buffer.from([10, 20, 30, 200, 100, 50]),
+    transparency: Buffer.from([0])
+  }));
+  assert.deepStrictEqual(Array.from(indexed.data), [10, 20, 30, 0, 200, 100, 50, 255]);
+  const rgb = decodePng(encodePng(1, 1, 2, Buffer.from([1, 2, 3])));
+  assert.deepStrictEqual(Array.from(rgb.data), [1, 2, 3, 255]);
+  assert.throws(() => decodePng(Buffer.from('tile')), /png_bad_signature/);
+
+  // Colour to rain rate.
+  assert.strictEqual(estimateDbz(0, 200, 0, 0), null, 'transparent pixels are dry');
+  assert.strictEqual(estimateDbz(90, 90, 90, 255), null, 'grey map noise is not rain');
+  assert.ok(estimateDbz(0, 0, 255, 255) < estimateDbz(0, 200, 0, 255));
+  assert.ok(estimateDbz(0, 200, 0, 255) < estimateDbz(255, 255, 0, 255));
+  assert.ok(estimateDbz(255, 255, 0, 255) < estimateDbz(255, 0, 0, 255));
+  assert.strictEqual(rainRateFromDbz(null), 0);
+  assert.ok(Math.abs(rainRateFromDbz(23) - 1.0) < 0.2, '23 dBZ is about 1 mm/h');
+
+  const home = worldHome();
+
+  // A cell 60 px west of home drifting east at 1 px/min (about 65 km/h).
+  const approaching = createTileSource((frame) => ({ x: home.x - 60 - (10 * (3 - frame)), y: home.y, radius: 25 }));
+  const nowcast = createRainNowcast({
+    lat: HOME.lat,
+    lon: HOME.lon,
+    zoom: ZOOM,
+    now: () => NOW,
+    fetchTile: approaching.fetchTile
+  });
+  assert.strictEqual(nowcast.getState().status, 'unknown');
+  let state = await nowcast.update(frames(4));
+  assert.strictEqual(state.error, null);
+  assert.strictEqual(state.status, 'approaching');
+  assert.strictEqual(state.rainLikely, true);
+  assert.ok(state.arrivalMinutes >= 25 && state.arrivalMinutes <= 35, 'arrival ' + state.arrivalMinutes);
+  assert.strictEqual(state.intensity, 'heavy', 'the yellow core follows the rim');
+  assert.strictEqual(state.summary, 'Rain expected at home in ~' + state.arrivalMinutes + ' min, heavy intensity');
+  assert.strictEqual(state.motion.headingDeg, 90, 'moving east');
+  assert.ok(Math.abs(state.motion.speedKmh - 65) <= 5, 'speed ' + state.motion.speedKmh);
+  assert.strictEqual(state.frameTime, new Date(LATEST * 1000).toISOString());
+  assert.strictEqual(approaching.calls.length, 4 * 4, 'four tiles per frame');
+
+  // Unchanged frames reuse the decoded grids; a new frame costs one frame of tiles.
+  await nowcast.update(frames(4));
+  assert.strictEqual(approaching.calls.length, 16);
+  const shifted = frames(5).slice(1).map((frame, index) => ({ time: frame.time, path: index === 3 ? '/v2/radar/4' : '/v2/radar/' + index }));
+  await nowcast.update(shifted);
+  assert.strictEqual(approaching.calls.length, 20);
+
+  // Rain over home now, with the trailing edge 25 px behind.
+  const overhead = createTileSource((frame) => ({ x: home.x - (10 * (3 - frame)), y: home.y, radius: 25 }));
+  // Decoding and block matching yield between steps, so requests get a turn.
+  let turns = 0;
+  let computing = true;
+  (function countTurn() {
+    turns += 1;
+    if (computing) {
+      setImmediate(countTurn);
+    }
+  }());
+  state = await createRainNowcast({ lat: HOME.lat, lon: HOME.lon, zoom: ZOOM, now: () => NOW, fetchTile: overhead.fetchTile })
+    .update(frames(4));
+  computing = false;
+  assert.ok(turns > 16, 'the event loop ran ' + turns + ' times during the update');
+  assert.strictEqual(state.status, 'raining');
+  assert.strictEqual(state.intensity, 'heavy');
+  assert.ok(state.clearingMinutes >= 20 && state.clearingMinutes <= 35, 'clearing ' + state.clearingMinutes);
+  assert.strictEqual(state.summary, 'Raining at home, heavy intensity, clearing in ~' + state.clearingMinutes + ' min');
+
+  const dry = createTileSource(() => ({ x: 0, y: 0, radius: 0 }));
+  state = await createRainNowcast({ lat: HOME.lat, lon: HOME.lon, zoom: ZOOM, now: () => NOW, fetchTile: dry.fetchTile })
+    .update(frames(3));
+  assert.strictEqual(state.status, 'dry');
+  assert.strictEqual(state.rainLikely, false);
+  assert.strictEqual(state.motion, null);
+  assert.strictEqual(state.summary, 'No rain on radar nearby');
+
+  // Too few frames or failing tiles keep the last state and report why.
+  const failing = createRainNowcast({ lat: HOME.lat, lon: HOME.lon, zoom: ZOOM, now: () => NOW, fetchTile: async () => { throw new Error('tile upstream unavailable'); } });
+  state = await failing.update(frames(1));
+  assert.strictEqual(state.status, 'unknown');
+  assert.strictEqual(state.error, 'rain_nowcast_frames_unavailable');
+  state = await failing.update(frames(3));
+  assert.strictEqual(state.error, 'tile upstream unavailable');
+  const future = frames(3).concat([{ time: (NOW / 1000) + 1800, path: '/v2/radar/nowcast' }]);
+  state = await createRainNowcast({ lat: HOME.lat, lon: HOME.lon, zoom: ZOOM, now: () => NOW, fetchTile: dry.fetchTile }).update(future);
+  assert.strictEqual(state.frameTime, new Date(LATEST * 1000).toISOString(), 'provider forecast frames are not observations');
+};
@@ -34,4 +34,9 @@ module.exports = async function run() {
     tileUrl,
     'https://tilecache.rainviewer.com/v2/radar/100/256/8/123/95/3/1_1.png'
   );
+  assert.strictEqual(
+    buildRainViewerTileUrl(meta.host, meta.frames[0].path, { z: 7, x: 1, y: 2, color: 0, options: '0_0' }),
+    'https://tilecache.rainviewer.com/v2/radar/100/256/7/1/2/0/0_0.png',
+    'colour scheme 0 is not replaced by the default'
+  );
 };
@@ -13,9 +13,31 @@ const testModules = [
   './radar-startup-retry.test.js',
   './radar-animation-cache.test.js',
   './radar-gif.test.js',
+  './radar-gif-js.test.js',
+  './radar-render-cache.test.js',
   './map-tiles.test.js',
+  './tile-cache.test.js',
   './fronius-client.test.js',
   './fronius-service.test.js',
+  './fronius-systems.test.js',
+  './fronius-simulator.test.js',
+  './sunspec.test.js',
+  './event-stream.test.js',
+  './source-scheduler.test.js',
+  './source-health.test.js',
+  './metrics.test.js',
+  './mqtt.test.js',
+  './rain-nowcast.test.js',
+  './rain-at-location.test.js',
+  './solar-store.test.js',
+  './solar-history.test.js',
+  './tariff.test.js',
+  './solar-bill.test.js',
+  './solar-export.test.js',
+  './solar-forecast.test.js',
+  './solar-alerts.test.js',
+  './solar-metrics.test.js',
+  './load-shift.test.js',
   './server-timezone.test.js',
   './server-routes.test.js',
   './admin-api.test.js',
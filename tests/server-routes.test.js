@@ -13,6 +13,30 @@ function createHash(password, salt, iterations) {
   return pbkdf2Sync(password, salt, iterations, 64, 'sha512').toString('hex');
 }
 
+// Reads the event stream until every named event has arrived, then hangs up.
+function readEvents(server, names) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port: server.address().port, path: '/api/events' }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => {
+        text += chunk;
+        const events = {};
+        text.split('\n\n').forEach((block) => {
+          const match = block.match(/^event: (\w+)\ndata: (.*)$/m);
+          if (match) {
+            events[match[1]] = JSON.parse(match[2]);
+          }
+        });
+        if (names.every((name) => events[name])) {
+          req.destroy();
+          resolve({ statusCode: res.statusCode, headers: res.headers, events });
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
 function request(server, options, body) {
   return new Promise((resolve, reject) => {
     const address = server.address();
@@ -186,6 +210,10 @@ module.exports = async function run() {
     assert.strictEqual(statePayload.layout.focus.rainOverrideEnabled, true);
     assert.strictEqual(statePayload.layout.focus.rainOverrideCooldownSeconds, 300);
     assert.strictEqual(statePayload.layout.focus.rainLikely, false);
+    assert.strictEqual(statePayload.rainNowcast, null, 'no nowcast until radar frames have been analysed');
+    const noRainAtLocation = await request(server, { path: '/api/radar/rain-at-location' });
+    assert.strictEqual(noRainAtLocation.statusCode, 503);
+    assert.strictEqual(JSON.parse(noRainAtLocation.body).error, 'rain_at_location_unavailable');
     assert.strictEqual(statePayload.pricing.importCentsPerKwh, 35.244);
     assert.strictEqual(statePayload.pricing.feedInCentsPerKwh, 3);
     assert.strictEqual(statePayload.pricing.dailySupplyCents, 142);
@@ -198,6 +226,15 @@ module.exports = async function run() {
     assert.ok(Array.isArray(statePayload.solarDawnQuarterly) && statePayload.solarDawnQuarterly.length === 12, 'solarDawnQuarterly should expose 12 fixed dawn buckets');
     assert.ok(statePayload.solarFlowSummary && typeof statePayload.solarFlowSummary.selfConsumptionPct === 'number', 'solarFlowSummary should include derived self-consumption percent');
     assert.ok(statePayload.solarMeta && typeof statePayload.solarMeta.dayKey === 'string', 'solarMeta should include local day key');
+    assert.ok(statePayload.solarCosts && Array.isArray(statePayload.solarCosts.periods), 'state payload should expose tariff cost breakdown');
+    assert.strictEqual(typeof statePayload.solarCosts.netCents, 'number');
+    assert.ok(statePayload.solarClearSky && statePayload.solarClearSky.series.length === 288, 'state payload should expose the clear-sky curve');
+    assert.ok(Object.prototype.hasOwnProperty.call(statePayload.solarMeta, 'performanceRatio'), 'solarMeta should report a performance ratio');
+    assert.ok(statePayload.solarForecast && statePayload.solarForecast.tomorrow, 'state payload should expose the cloud-adjusted forecast');
+    assert.deepStrictEqual(statePayload.solarSystems, [], 'single-system sites should not send per-system views');
+    assert.ok(Array.isArray(statePayload.alerts), 'state payload should expose solar alerts');
+    assert.strictEqual(statePayload.loadShift.status, 'none', 'no export means no load-shift advice');
+    assert.deepStrictEqual(statePayload.solarMetrics.periods.map((period) => period.key), ['day', 'week', 'month'], 'state payload should expose period metrics');
     assert.ok(statePayload.solarMeta && typeof statePayload.solarMeta.tz === 'string', 'solarMeta should include timezone');
     assert.ok(statePayload.solarMeta && ['archive', 'mixed', 'realtime_estimated'].indexOf(statePayload.solarMeta.dataQuality) > -1, 'solarMeta should include data quality state');
     assert.ok(statePayload.internet && typeof statePayload.internet.online === 'boolean', 'internet payload should expose online state');
@@ -205,6 +242,13 @@ module.exports = async function run() {
     assert.ok(Object.prototype.hasOwnProperty.call(statePayload.internet, 'downloadMbps'), 'internet payload should expose download speed');
     assert.ok(statePayload.internet.history.length >= 2, 'internet payload should pass through probe history samples');
     assert.strictEqual(statePayload.internet.downloadMbps, 674.08, 'internet payload should pass through current download from probe state');
+
+    const scrape = await request(server, { path: '/metrics' });
+    assert.strictEqual(scrape.statusCode, 200, 'metrics are open without a token');
+    assert.ok(/^text\/plain; version=0\.0\.4/.test(scrape.headers['content-type']));
+    assert.ok(scrape.body.indexOf('dashboard_internet_download_mbps 674.08\n') > -1);
+    assert.ok(scrape.body.indexOf('dashboard_internet_latency_seconds 0.016\n') > -1);
+    assert.ok(scrape.body.indexOf('# TYPE process_resident_memory_bytes gauge') > -1);
     assert.ok(statePayload.ha && Array.isArray(statePayload.ha.cards), 'ha payload should expose cards array');
     assert.ok(Object.prototype.hasOwnProperty.call(statePayload.ha, 'stale'), 'ha payload should expose stale flag');
     assert.ok(Array.isArray(statePayload.bins.items), 'bins payload should expose normalized items');
@@ -240,6 +284,19 @@ module.exports = async function run() {
     );
     assert.ok(typeof realtimePayload.generatedAt === 'string' && realtimePayload.generatedAt.length > 0);
 
+    const stream = await readEvents(server, ['fronius', 'external', 'beatbot', 'internet', 'radar']);
+    assert.strictEqual(stream.statusCode, 200);
+    assert.strictEqual(stream.headers['content-type'], 'text/event-stream; charset=utf-8');
+    assert.ok(stream.events.fronius.fronius.realtime, 'the stream should open with the fronius state');
+    assert.strictEqual(stream.events.internet.internet.downloadMbps, 674.08);
+    assert.strictEqual(stream.events.external.layout.focus.rainOverrideEnabled, true);
+    assert.strictEqual(stream.events.radar.radar.renderMode, 'server_gif');
+    assert.ok(Object.prototype.hasOwnProperty.call(stream.events.radar.radar, 'gifUpdatedAt'), 'radar renders should be announced on the stream');
+
+    const devices = await request(server, { path: '/api/solar/devices' });
+    assert.strictEqual(devices.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(devices.body), { updatedAt: null, error: null, inverters: [], meters: [] }, 'device diagnostics should be empty until the first poll');
+
     const radarMeta = await request(server, { path: '/api/radar/meta' });
     assert.strictEqual(radarMeta.statusCode, 200);
     const meta = JSON.parse(radarMeta.body);
@@ -652,7 +709,15 @@ module.exports = async function run() {
       initialExternalState: {
         weather: { summary: 'Cloudy', tempC: 23 },
         news: { headlines: ['One', 'Two'] },
-        bins: { nextType: 'Recycle', nextDate: '2026-02-20' }
+        bins: { nextType: 'Recycle', nextDate: '2026-02-20' },
+        rainNowcast: { status: 'approaching', rainLikely: true, arrivalMinutes: 25, intensity: 'moderate', summary: 'Rain expected at home in ~25 min, moderate intensity' },
+        rainAtLocation: {
+          radiusKm: 5,
+          unit: 'mm/h',
+          samples: [{ time: '2026-02-14T12:30:00.000Z', dbz: 30, mmPerHour: 2.7, maxMmPerHour: 6.5, coveragePct: 40 }],
+          current: { time: '2026-02-14T12:30:00.000Z', dbz: 30, mmPerHour: 2.7, maxMmPerHour: 6.5, coveragePct: 40 },
+          error: null
+        }
       },
       initialRadarState: {
         host: 'https://tilecache.rainviewer.com',
@@ -663,6 +728,13 @@ module.exports = async function run() {
     });
     await new Promise((resolve) => invalidGifServer.listen(0, '127.0.0.1', resolve));
 
+    const nowcastState = JSON.parse((await request(invalidGifServer, { path: '/api/state' })).body);
+    assert.strictEqual(nowcastState.layout.focus.rainLikely, true, 'the radar nowcast overrides a dry weather summary');
+    assert.strictEqual(nowcastState.rainNowcast.summary, 'Rain expected at home in ~25 min, moderate intensity');
+    const rainAtLocation = await request(invalidGifServer, { path: '/api/radar/rain-at-location' });
+    assert.strictEqual(rainAtLocation.statusCode, 200);
+    assert.strictEqual(JSON.parse(rainAtLocation.body).current.mmPerHour, 2.7);
+
     const invalidGif = await request(invalidGifServer, { path: '/api/radar/animation.gif' });
     assert.strictEqual(invalidGif.statusCode, 503);
     const invalidPayload = JSON.parse(invalidGif.body);
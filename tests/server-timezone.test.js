@@ -343,6 +343,18 @@ module.exports = async function run() {
     [{ ts: afterMidnightUtc - 60000 }]
   );
   assert.strictEqual(metaMixed.dataQuality, 'mixed', 'non-ready bins with observed energy should be mixed quality');
+  assert.strictEqual(metaMixed.performanceRatio, null, 'performance ratio needs a clear-sky expectation');
+
+  const metaRatio = buildSolarMeta(
+    afterMidnightUtc,
+    'Australia/Brisbane',
+    { today: { generatedKwh: 9, generatedReady: true, importReady: true, exportReady: true } },
+    mixedBins,
+    [],
+    { expectedKwhSoFar: 12 }
+  );
+  assert.strictEqual(metaRatio.performanceRatio, 0.75, 'performance ratio should compare actual with clear-sky output so far');
+  assert.strictEqual(metaRatio.expectedKwhSoFar, 12);
 
   assert.strictEqual(
     hasUsableArchiveDetail({
@@ -363,6 +375,26 @@ module.exports = async function run() {
     'archive detail with no series should be unusable'
   );
 
+  const batteryHistory = [
+    { ts: eightAmUtc, generatedW: 3000, gridW: 0, loadW: 1000, batteryW: -2000 },
+    { ts: eightThirtyUtc, generatedW: 0, gridW: 0, loadW: 800, batteryW: 800 },
+    { ts: eightThirtyUtc + (30 * 60 * 1000), generatedW: 0, gridW: 0, loadW: 800, batteryW: 800 }
+  ];
+  const batteryBins = aggregateHistoryToDailyBins(batteryHistory, nowUtc + (60 * 60 * 1000), 'Australia/Brisbane');
+  assert.strictEqual(batteryBins[16].batteryChargeWh, 1000, 'negative battery power should bin as charge');
+  assert.strictEqual(batteryBins[17].batteryDischargeWh, 400, 'positive battery power should bin as discharge');
+  const batteryFlow = buildFlowSummaryFromBins(batteryBins);
+  assert.strictEqual(batteryFlow.batteryChargedKwh, 1);
+  assert.strictEqual(batteryFlow.batteryDischargedKwh, 0.4);
+  const batteryMerged = mergeArchiveWithHistoryGaps(createZeroBins('2026-02-16'), batteryBins);
+  assert.strictEqual(batteryMerged[16].batteryChargeWh, 1000, 'battery energy should survive archive merges');
+
+  const gapBins = aggregateHistoryToDailyBins([
+    { ts: eightAmUtc, generatedW: 1000, gridW: 0, loadW: 1000 },
+    { ts: eightAmUtc + (3 * 60 * 60 * 1000), generatedW: 1000, gridW: 0, loadW: 1000 }
+  ], eightAmUtc + (3 * 60 * 60 * 1000), 'Australia/Brisbane');
+  assert.strictEqual(gapBins[16].generatedWh, 0, 'long gaps between samples (e.g. restarts) should not be held flat');
+
   const startupMs = Date.parse('2026-02-16T00:00:00.000Z');
   const nowEarly = startupMs + (2 * 60 * 1000);
   assert.strictEqual(
@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+const { createSolarAlertMonitor, normalizeAlertSettings } = require('../src/lib/solar-alerts');
+
+const MINUTE_MS = 60 * 1000;
+
+// A symmetric 6am-6pm day peaking at 5 kW.
+function buildClearSky(expectedKwhSoFar) {
+  const series = [];
+  for (let sec = 150; sec < 86400; sec += 300) {
+    const x = (sec - 43200) / 21600;
+    series.push({ secOfDay: sec, value: Math.abs(x) < 1 ? Math.round(5000 * Math.cos(x * Math.PI / 2)) : 0 });
+  }
+  return { series, peakW: 5000, expectedKwh: 38, expectedKwhSoFar };
+}
+
+function samples(now, minutes, generatedW) {
+  const out = [];
+  for (let m = minutes; m >= 0; m -= 1) {
+    out.push({ ts: now - (m * MINUTE_MS), generatedW, gridW: 0, loadW: 500 });
+  }
+  return out;
+}
+
+function inverterWithStrings(first, second) {
+  return {
+    id: '1',
+    name: 'Primo',
+    strings: [{ mppt: 1, powerW: first }, { mppt: 2, powerW: second }]
+  };
+}
+
+module.exports = async function run() {
+  const noon = Date.parse('2026-02-16T02:00:00.000Z');
+  const noonSec = 12 * 3600;
+
+  const defaults = normalizeAlertSettings({});
+  assert.strictEqual(defaults.enabled, true);
+  assert.strictEqual(defaults.confirmMinutes, 15);
+
+  const monitor = createSolarAlertMonitor({});
+  const healthy = monitor.evaluate({
+    secOfDay: noonSec,
+    clearSky: buildClearSky(12),
+    generatedKwh: 10,
+    history: samples(noon, 30, 4200),
+    realtimeAt: noon,
+    cloudPct: 10
+  }, noon);
+  assert.deepStrictEqual(healthy, []);
+
+  const zero = monitor.evaluate({
+    secOfDay: noonSec,
+    clearSky: buildClearSky(12),
+    generatedKwh: 10,
+    history: samples(noon, 30, 0),
+    realtimeAt: noon,
+    cloudPct: 10
+  }, noon);
+  assert.deepStrictEqual(zero.map((alert) => alert.type), ['zero_generation']);
+  assert.strictEqual(zero[0].severity, 'critical');
+
+  const night = monitor.evaluate({
+    secOfDay: 2 * 3600,
+    clearSky: buildClearSky(0),
+    generatedKwh: 0,
+    history: samples(noon, 30, 0),
+    realtimeAt: noon - (60 * MINUTE_MS)
+  }, noon);
+  assert.deepStrictEqual(night, [], 'no generation and no data are expected at night');
+
+  const offline = monitor.evaluate({
+    secOfDay: noonSec,
+    clearSky: buildClearSky(12),
+    generatedKwh: 10,
+    history: samples(noon - (25 * MINUTE_MS), 30, 4200),
+    realtimeAt: noon - (25 * MINUTE_MS),
+    cloudPct: 10
+  }, noon);
+  assert.deepStrictEqual(offline.map((alert) => alert.type), ['inverter_offline']);
+  assert.ok(/25 min/.test(offline[0].message));
+
+  const lowInput = {
+    secOfDay: noonSec,
+    clearSky: buildClearSky(12),
+    generatedKwh: 2,
+    history: samples(noon, 30, 900),
+    realtimeAt: noon,
+    cloudPct: 10
+  };
+  assert.deepStrictEqual(monitor.evaluate(lowInput, noon), [], 'low production must persist before it is raised');
+  const later = noon + (16 * MINUTE_MS);
+  const low = monitor.evaluate(Object.assign({}, lowInput, { history: samples(later, 30, 900), realtimeAt: later }), later);
+  assert.deepStrictEqual(low.map((alert) => alert.type), ['low_production']);
+  assert.strictEqual(low[0].since, new Date(noon).toISOString(), 'alerts should report when the condition began');
+  assert.deepStrictEqual(
+    monitor.evaluate(Object.assign({}, lowInput, { history: samples(later, 30, 900), realtimeAt: later, cloudPct: 100 }), later),
+    [],
+    'heavy forecast cloud should explain low production'
+  );
+
+  const recentOnly = createSolarAlertMonitor({ confirmMinutes: 0 }).evaluate(Object.assign({}, lowInput, {
+    cloudPct: null,
+    recentDailyKwh: [30, 32, 28, 31]
+  }), noon);
+  assert.deepStrictEqual(recentOnly.map((alert) => alert.type), ['low_production'], 'recent daily totals should stand in for a missing forecast');
+  assert.deepStrictEqual(createSolarAlertMonitor({ confirmMinutes: 0 }).evaluate(Object.assign({}, lowInput, { cloudPct: null }), noon), [],
+    'without a forecast or history there is nothing to compare against');
+
+  const strings = createSolarAlertMonitor({ confirmMinutes: 0 });
+  const base = { secOfDay: noonSec, clearSky: buildClearSky(12), generatedKwh: 10, history: samples(noon, 30, 4000), realtimeAt: noon, cloudPct: 10 };
+  for (let i = 0; i < 12; i += 1) {
+    const learned = strings.evaluate(Object.assign({}, base, {
+      devices: { updatedAt: 'poll-' + i, inverters: [inverterWithStrings(2200, 1800)] }
+    }), noon);
+    assert.deepStrictEqual(learned, []);
+  }
+  const dropped = strings.evaluate(Object.assign({}, base, {
+    devices: { updatedAt: 'poll-drop', inverters: [inverterWithStrings(2400, 20)] }
+  }), noon);
+  assert.deepStrictEqual(dropped.map((alert) => alert.type), ['string_dropout']);
+  assert.ok(/String 2 on Primo/.test(dropped[0].message));
+  for (let i = 0; i < 30; i += 1) {
+    strings.evaluate(Object.assign({}, base, {
+      devices: { updatedAt: 'poll-still-down-' + i, inverters: [inverterWithStrings(2400, 20)] }
+    }), noon);
+  }
+  assert.strictEqual(strings.evaluate(Object.assign({}, base, {
+    devices: { updatedAt: 'poll-later', inverters: [inverterWithStrings(2400, 20)] }
+  }), noon).length, 1, 'the baseline should not learn a dropped string');
+  assert.deepStrictEqual(strings.evaluate(Object.assign({}, base, {
+    devices: { updatedAt: 'poll-fixed', inverters: [inverterWithStrings(2200, 1800)] }
+  }), noon), [], 'alerts clear once the condition does');
+
+  assert.deepStrictEqual(createSolarAlertMonitor({ enabled: false }).evaluate(Object.assign({}, base, { history: samples(noon, 30, 0) }), noon), []);
+};
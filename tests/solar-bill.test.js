@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSolarStore } = require('../src/lib/solar-store');
+const { createSolarHistoryService } = require('../src/lib/solar-history');
+const { createSolarBillService, resolveBillingPeriod } = require('../src/lib/solar-bill');
+
+module.exports = async function run() {
+  assert.deepStrictEqual(resolveBillingPeriod('2026-10-19', { startDay: 15 }), { from: '2026-10-15', to: '2026-11-14', days: 31 });
+  assert.deepStrictEqual(resolveBillingPeriod('2026-10-10', { startDay: 15 }), { from: '2026-09-15', to: '2026-10-14', days: 30 });
+  assert.deepStrictEqual(resolveBillingPeriod('2026-02-10', { startDay: 1, lengthMonths: 3 }), { from: '2026-01-01', to: '2026-03-31', days: 90 });
+  assert.deepStrictEqual(
+    resolveBillingPeriod('2026-01-05', { startDay: 10, startMonth: 2, lengthMonths: 3 }),
+    { from: '2025-11-10', to: '2026-02-09', days: 92 },
+    'quarterly cycles should stay aligned to startMonth across the year boundary'
+  );
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nanopi2-solar-bill-'));
+  try {
+    const store = createSolarStore({ dir });
+    store.load();
+    ['2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18'].forEach((dayKey) => {
+      store.saveDay(dayKey, { totals: { generatedKwh: 20, importKwh: 2, exportKwh: 10 } });
+    });
+    const getToday = () => ({
+      dayKey: '2026-10-19',
+      secOfDay: 12 * 60 * 60,
+      totals: { generatedKwh: 8, importKwh: 1, exportKwh: 5 },
+      bins: []
+    });
+    const history = createSolarHistoryService({ client: null, store, getToday });
+    const bills = createSolarBillService({ history, store, getToday });
+    const bill = await bills.getBill({
+      importCentsPerKwh: 30,
+      feedInCentsPerKwh: 5,
+      dailySupplyCents: 100,
+      billing: { startDay: 15, lengthMonths: 1, projectionDays: 14 }
+    });
+
+    assert.deepStrictEqual(bill.period, { from: '2026-10-15', to: '2026-11-14', days: 31, elapsedDays: 5, remainingDays: 26 });
+    assert.strictEqual(bill.accumulated.importKwh, 9);
+    assert.strictEqual(bill.accumulated.exportKwh, 45);
+    assert.strictEqual(bill.accumulated.supplyCents, 500);
+    assert.strictEqual(bill.accumulated.feedInCents, 225);
+    assert.strictEqual(bill.accumulated.netCents, 545);
+    assert.strictEqual(bill.accumulated.missingDays, 0);
+    assert.strictEqual(bill.partial, false);
+    assert.deepStrictEqual(bill.accumulated.periods.map((row) => row.name), ['standard']);
+    assert.strictEqual(bill.projection.basisDays, 4, 'days without data should not dilute the trailing average');
+    assert.strictEqual(bill.projection.averageDailyCents, 110);
+    assert.strictEqual(bill.projection.netCents, 3410);
+
+    const empty = await createSolarBillService({
+      history: createSolarHistoryService({ client: null, store: null, getToday }),
+      store: null,
+      getToday
+    }).getBill({ importCentsPerKwh: 30, feedInCentsPerKwh: 5, dailySupplyCents: 100, billing: { startDay: 15 } });
+    assert.strictEqual(empty.accumulated.missingDays, 4);
+    assert.strictEqual(empty.accumulated.supplyCents, 500, 'supply accrues even for days without meter data');
+    assert.strictEqual(empty.projection, null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
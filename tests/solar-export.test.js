@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSolarStore } = require('../src/lib/solar-store');
+const { createSolarHistoryService } = require('../src/lib/solar-history');
+const { createSolarExportService, csvHeader, csvLine } = require('../src/lib/solar-export');
+
+function flatBins(dayKey, perBin) {
+  const bins = [];
+  for (let i = 0; i < 48; i += 1) {
+    bins.push(Object.assign({ dayKey, binIndex: i, generatedWh: 0, importWh: 0, exportWh: 0, loadWh: 0 }, perBin(i)));
+  }
+  return bins;
+}
+
+// UTC stands in for the dashboard time zone.
+function locate(ts) {
+  const iso = new Date(ts).toISOString();
+  return { dayKey: iso.slice(0, 10), secOfDay: Math.floor((ts % 86400000) / 1000) };
+}
+
+async function collect(service, from, to, resolution, pricing) {
+  const rows = [];
+  const summary = await service.exportRange(from, to, resolution, pricing, (row) => { rows.push(row); });
+  return { rows, summary };
+}
+
+module.exports = async function run() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nanopi2-solar-export-'));
+  try {
+    const store = createSolarStore({ dir });
+    store.load();
+    store.saveDay('2026-10-17', { totals: { generatedKwh: 20, importKwh: 2, exportKwh: 10 } });
+    // Import overnight, export through the middle of the day.
+    store.saveDay('2026-10-18', {
+      bins: flatBins('2026-10-18', (i) => (i >= 20 && i < 30
+        ? { generatedWh: 1000, exportWh: 600, loadWh: 400 }
+        : { importWh: 100, loadWh: 100 }))
+    });
+    const now = Date.parse('2026-10-19T12:00:00.000Z');
+    for (let ts = now - (30 * 60 * 1000); ts <= now; ts += 60 * 1000) {
+      store.appendSample({ ts, generatedW: 3000, gridW: -1200, loadW: 1800 });
+    }
+    const getToday = () => ({
+      dayKey: '2026-10-19',
+      secOfDay: 12 * 60 * 60,
+      totals: { generatedKwh: 8, importKwh: 1, exportKwh: 5 },
+      bins: flatBins('2026-10-19', (i) => (i === 10 ? { importWh: 1000, loadWh: 1000 } : {}))
+    });
+    const history = createSolarHistoryService({ client: null, store, getToday });
+    const service = createSolarExportService({ history, store, getToday, getSamples: store.getSamples, locate });
+    const pricing = {
+      importCentsPerKwh: 30,
+      feedInCentsPerKwh: 5,
+      dailySupplyCents: 96,
+      periods: [{ name: 'peak', centsPerKwh: 50, windows: [{ days: 'all', start: '16:00', end: '21:00' }] }]
+    };
+
+    assert.strictEqual(service.validateRange('2026-10-01', '2026-10-19', 'day'), null);
+    assert.strictEqual(service.validateRange('2026-10-01', '2026-10-19', 'week'), 'invalid_resolution');
+    assert.strictEqual(service.validateRange('2026-10-19', '2026-10-01', 'day'), 'invalid_range');
+    assert.strictEqual(service.validateRange('2026-02-30', '2026-03-01', 'day'), 'invalid_date');
+    assert.strictEqual(service.validateRange('2026-10-01', '2026-10-19', '5m'), 'range_too_large', 'samples only cover two days');
+    assert.strictEqual(service.defaultFrom('2026-10-19', 'hour'), '2026-10-13');
+
+    const days = await collect(service, '2026-10-16', '2026-10-20', 'day', pricing);
+    assert.deepStrictEqual(days.rows.map((row) => row.start), ['2026-10-17', '2026-10-18', '2026-10-19']);
+    assert.deepStrictEqual(days.summary, { from: '2026-10-16', to: '2026-10-20', resolution: 'day', rows: 3, missingDays: 1, deferredDays: 0 });
+    assert.deepStrictEqual(days.rows[0], {
+      start: '2026-10-17',
+      generatedKwh: 20,
+      importKwh: 2,
+      exportKwh: 10,
+      loadKwh: 12,
+      importCents: 60,
+      feedInCents: 50,
+      supplyCents: 96,
+      netCents: 106
+    });
+    assert.strictEqual(days.rows[1].loadKwh, 7.8, 'load should come from the bins when the day has them');
+
+    const hours = await collect(service, '2026-10-18', '2026-10-19', 'hour', pricing);
+    assert.strictEqual(hours.rows.filter((row) => row.start.indexOf('2026-10-18') === 0).length, 24);
+    assert.strictEqual(hours.rows.filter((row) => row.start.indexOf('2026-10-19') === 0).length, 12, 'today stops at the current hour');
+    const morning = hours.rows.find((row) => row.start === '2026-10-18 10:00');
+    assert.deepStrictEqual(morning, {
+      start: '2026-10-18 10:00',
+      generatedKwh: 2,
+      importKwh: 0,
+      exportKwh: 1.2,
+      loadKwh: 0.8,
+      importCents: 0,
+      feedInCents: 6,
+      supplyCents: 4,
+      netCents: -2
+    });
+    assert.strictEqual(hours.rows.find((row) => row.start === '2026-10-18 17:00').importCents, 10, 'imports follow the tariff periods');
+    assert.strictEqual(hours.rows.find((row) => row.start === '2026-10-19 05:00').importKwh, 1);
+
+    const fine = await collect(service, '2026-10-19', '2026-10-19', '5m', pricing);
+    assert.deepStrictEqual(fine.rows.map((row) => row.start), ['2026-10-19 11:30', '2026-10-19 11:35', '2026-10-19 11:40', '2026-10-19 11:45', '2026-10-19 11:50', '2026-10-19 11:55']);
+    assert.strictEqual(fine.rows[0].generatedKwh, 0.25);
+    assert.strictEqual(fine.rows[0].exportKwh, 0.1);
+    assert.strictEqual(fine.rows[0].loadKwh, 0.15);
+
+    assert.strictEqual(csvHeader(), 'start,generated_kwh,import_kwh,export_kwh,load_kwh,import_cents,feed_in_cents,supply_cents,net_cents\n');
+    assert.strictEqual(csvLine(days.rows[0]), '2026-10-17,20,2,10,12,60,50,96,106\n');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  sunPosition,
+  clearSkyIrradiance,
+  resolveSite,
+  buildClearSkyCurve,
+  expectedKwhUntil,
+  cloudFactor,
+  buildSolarForecast
+} = require('../src/lib/solar-forecast');
+
+module.exports = async function run() {
+  // Brisbane solar noon at the June solstice: sun due north, 90 - 27.47 - 23.44 deg high.
+  const winterNoon = sunPosition(Date.parse('2026-06-21T01:50:00Z'), -27.47, 153.03);
+  assert.ok(Math.abs(winterNoon.elevationDeg - 39.09) < 0.3, 'winter noon elevation ' + winterNoon.elevationDeg);
+  assert.ok(winterNoon.azimuthDeg > 358 || winterNoon.azimuthDeg < 2, 'winter noon sun should be due north');
+  const equinoxSunrise = sunPosition(Date.parse('2026-03-20T20:00:00Z'), -27.47, 153.03);
+  assert.ok(Math.abs(equinoxSunrise.azimuthDeg - 90) < 3, 'equinox sunrise should be due east');
+
+  assert.strictEqual(clearSkyIrradiance(-5, 172).ghi, 0);
+  const overhead = clearSkyIrradiance(90, 172);
+  assert.ok(overhead.dni > 900 && overhead.dni < 1100, 'overhead beam irradiance ' + overhead.dni);
+
+  const site = resolveSite({
+    site: { lat: null, lon: null, tiltDeg: 20, azimuthDeg: null, arrayKw: null, lossPct: 14 },
+    radar: { lat: -27.47, lon: 153.03 },
+    pricing: { inverterCapacityKw: 6 }
+  });
+  assert.strictEqual(site.lat, -27.47, 'site should fall back to the radar location');
+  assert.strictEqual(site.azimuthDeg, 0, 'southern hemisphere arrays should default to facing north');
+  assert.strictEqual(site.arrayKw, 6);
+
+  const dayStartMs = Date.parse('2026-12-20T14:00:00Z'); // local midnight, Australia/Brisbane
+  const summer = buildClearSkyCurve(site, dayStartMs);
+  assert.strictEqual(summer.series.length, 288, 'curve should use 5-minute steps');
+  assert.ok(summer.expectedKwh > 30 && summer.expectedKwh < 45, 'summer clear-sky energy ' + summer.expectedKwh);
+  assert.ok(summer.peakW <= 6000, 'output should clip at the inverter capacity');
+  assert.strictEqual(summer.series[0].value, 0, 'nothing is expected at midnight');
+  const winter = buildClearSkyCurve(site, Date.parse('2026-06-20T14:00:00Z'));
+  assert.ok(winter.expectedKwh < summer.expectedKwh, 'winter should expect less than summer');
+
+  assert.strictEqual(expectedKwhUntil(summer.series, 0), 0);
+  const morning = expectedKwhUntil(summer.series, 12 * 60 * 60);
+  assert.ok(morning > summer.expectedKwh * 0.4 && morning < summer.expectedKwh * 0.6, 'half the energy should land before noon');
+  assert.ok(Math.abs(expectedKwhUntil(summer.series, 24 * 60 * 60) - summer.expectedKwh) < 0.01);
+
+  assert.strictEqual(cloudFactor(0), 1);
+  assert.strictEqual(cloudFactor(100), 0.25, 'overcast should keep a quarter of clear-sky output');
+
+  const tomorrowCurve = buildClearSkyCurve(site, dayStartMs + (24 * 60 * 60 * 1000));
+  const slots = [];
+  for (let h = 0; h < 48; h += 3) {
+    // Clear for the rest of today, overcast all of tomorrow.
+    slots.push({ ts: dayStartMs + (h * 60 * 60 * 1000), cloudPct: h < 24 ? 0 : 100 });
+  }
+  const forecast = buildSolarForecast({
+    dayKey: '2026-12-21',
+    tomorrowKey: '2026-12-22',
+    dayStartMs,
+    secOfDay: 12 * 60 * 60,
+    todayCurve: summer,
+    tomorrowCurve,
+    slots,
+    generatedKwh: 15
+  });
+  assert.strictEqual(forecast.available, true);
+  assert.strictEqual(forecast.today.coverage, 1);
+  assert.ok(Math.abs(forecast.today.remainingKwh - (summer.expectedKwh - morning)) < 0.05, 'clear skies should leave the afternoon at clear-sky output');
+  assert.ok(Math.abs(forecast.today.projectedKwh - (15 + forecast.today.remainingKwh)) < 0.002);
+  assert.strictEqual(forecast.tomorrow.avgCloudPct, 100);
+  assert.ok(Math.abs(forecast.tomorrow.expectedKwh - (tomorrowCurve.expectedKwh * 0.25)) < 0.05, 'overcast tomorrow should cut the forecast');
+
+  const noSlots = buildSolarForecast({ dayStartMs, secOfDay: 0, todayCurve: summer, tomorrowCurve, slots: [] });
+  assert.strictEqual(noSlots.available, false);
+  assert.strictEqual(noSlots.tomorrow.coverage, 0);
+
+  const missing = buildClearSkyCurve(resolveSite({ radar: {}, pricing: { inverterCapacityKw: 6 } }), dayStartMs);
+  assert.deepStrictEqual(missing, { series: [], expectedKwh: 0, peakW: 0 });
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSolarStore } = require('../src/lib/solar-store');
+const { createSolarHistoryService, bucketKeyForDay, shiftDayKey, totalsFromBins } = require('../src/lib/solar-history');
+
+module.exports = async function run() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nanopi2-solar-history-'));
+  try {
+    assert.strictEqual(shiftDayKey('2026-03-01', -1), '2026-02-28');
+    assert.strictEqual(bucketKeyForDay('2026-10-18', 'week'), '2026-10-12', 'weeks should start on Monday');
+    assert.strictEqual(bucketKeyForDay('2026-10-18', 'month'), '2026-10');
+
+    const halfBins = [];
+    for (let i = 0; i < 48; i += 1) {
+      halfBins.push({ binIndex: i, generatedWh: 1000, importWh: 0, exportWh: 500 });
+    }
+    const morning = totalsFromBins(halfBins, 12 * 60 * 60);
+    assert.strictEqual(morning.generatedKwh, 24);
+    assert.strictEqual(morning.selfUsedKwh, 12);
+
+    const store = createSolarStore({ dir });
+    store.load();
+    store.saveDay('2026-10-18', { totals: { generatedKwh: 30, importKwh: 2, exportKwh: 20 } });
+    store.saveDay('2026-10-12', { bins: halfBins });
+
+    const fetched = [];
+    const client = {
+      async fetchDailySum(dayKey) {
+        fetched.push(dayKey);
+        if (dayKey === '2026-10-01') {
+          throw new Error('archive_unavailable');
+        }
+        return { dayGeneratedKwh: 10, dayImportKwh: 1, dayExportKwh: 4 };
+      },
+      async fetchDailyDetail() {
+        return { producedWhBySecond: { 0: 1 } };
+      }
+    };
+    const history = createSolarHistoryService({
+      client,
+      store,
+      getToday: () => ({
+        dayKey: '2026-10-19',
+        secOfDay: 12 * 60 * 60,
+        totals: { generatedKwh: 12, importKwh: 1, exportKwh: 5 },
+        bins: []
+      }),
+      aggregateDetail: (detail, dayKey) => [{ dayKey, binIndex: 0, generatedWh: 7000 }]
+    });
+
+    assert.strictEqual(history.validateRange('2026-10-19', '2026-10-01', 'day'), 'invalid_range');
+    assert.strictEqual(history.validateRange('2026-10-01', '2026-10-19', 'hour'), 'invalid_resolution');
+    assert.strictEqual(history.validateRange('2024-01-01', '2026-10-19', 'day'), 'range_too_large');
+    assert.strictEqual(history.validateRange('2026-10-01', '2026-10-19', 'week'), null);
+
+    const weekly = await history.getRange('2026-10-12', '2026-10-20', 'week');
+    assert.strictEqual(weekly.buckets.length, 2);
+    assert.strictEqual(weekly.buckets[0].key, '2026-10-12');
+    assert.strictEqual(weekly.buckets[0].days, 7);
+    assert.strictEqual(weekly.buckets[0].generatedKwh, 48 + 50 + 30, 'bins, archive and stored totals should combine');
+    assert.strictEqual(weekly.buckets[1].missingDays, 1, 'future days should be reported as missing');
+    assert.strictEqual(weekly.totals.generatedKwh, 48 + 50 + 30 + 12);
+    assert.ok(fetched.indexOf('2026-10-18') === -1, 'stored days should not hit the inverter');
+    assert.strictEqual(store.getDay('2026-10-13').source, 'archive_daily_sum', 'fetched days should be cached');
+
+    const callsBefore = fetched.length;
+    await history.getRange('2026-10-13', '2026-10-13', 'day');
+    assert.strictEqual(fetched.length, callsBefore, 'cached archive totals should be reused');
+
+    const failed = await history.getRange('2026-10-01', '2026-10-01', 'day');
+    assert.strictEqual(failed.buckets[0].missingDays, 1);
+    await history.getRange('2026-10-01', '2026-10-01', 'day');
+    assert.strictEqual(fetched.filter((day) => day === '2026-10-01').length, 1, 'failed days should back off');
+
+    assert.strictEqual(weekly.partial, false);
+
+    // A long range only costs a bounded number of inverter calls per request.
+    const capped = createSolarHistoryService({
+      client,
+      store,
+      maxFetchesPerRequest: 3,
+      getToday: () => ({ dayKey: '2026-10-19', secOfDay: 0, totals: {}, bins: [] })
+    });
+    const fetchedBefore = fetched.length;
+    const firstBatch = await capped.getRange('2026-08-01', '2026-08-10', 'day');
+    assert.strictEqual(fetched.length - fetchedBefore, 3);
+    assert.strictEqual(firstBatch.partial, true);
+    assert.strictEqual(firstBatch.deferredDays, 7);
+    assert.strictEqual(firstBatch.totals.generatedKwh, 30);
+    const secondBatch = await capped.getRange('2026-08-01', '2026-08-10', 'day');
+    assert.deepStrictEqual(fetched.slice(fetchedBefore + 3), ['2026-08-04', '2026-08-05', '2026-08-06'], 'stored days are skipped, the next batch is fetched');
+    assert.strictEqual(secondBatch.totals.generatedKwh, 60);
+
+    const detailDay = await history.getDay('2026-10-14');
+    assert.strictEqual(detailDay.bins[0].generatedWh, 7000, 'past days should fall back to archive detail');
+    assert.strictEqual(detailDay.totals.generatedKwh, 10, 'archive totals should win over detail sums');
+
+    const comparison = await history.getComparison();
+    const byKey = {};
+    comparison.comparisons.forEach((item) => { byKey[item.key] = item; });
+    assert.strictEqual(byKey.yesterday.previous.generatedKwh, 30);
+    assert.strictEqual(byKey.yesterday.previous.sameTime, false);
+    assert.strictEqual(byKey.last_week.previous.sameTime, true, 'stored bins allow a same-time comparison');
+    assert.strictEqual(byKey.last_week.previous.generatedKwh, 24);
+    assert.strictEqual(byKey.last_week.previousFull.generatedKwh, 48);
+    assert.strictEqual(byKey.last_month.current.from, '2026-10-01');
+    assert.strictEqual(byKey.last_month.previous.from, '2026-09-01');
+    assert.strictEqual(byKey.last_month.previous.to, '2026-09-19');
+    assert.strictEqual(byKey.last_month.previousFull.to, '2026-09-30');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+const assert = require('assert');
+const { buildSolarMetrics, deriveEnergyMetrics } = require('../src/lib/solar-metrics');
+
+module.exports = async function run() {
+  const derived = deriveEnergyMetrics({ generatedKwh: 20, importKwh: 4, exportKwh: 12 }, 0.73);
+  assert.strictEqual(derived.selfUsedKwh, 8);
+  assert.strictEqual(derived.loadKwh, 12);
+  assert.strictEqual(derived.selfConsumptionPct, 40);
+  assert.strictEqual(derived.selfSufficiencyPct, 66.7);
+  assert.strictEqual(derived.co2AvoidedKg, 14.6);
+
+  const night = deriveEnergyMetrics({ generatedKwh: 0, importKwh: 0, exportKwh: 0 }, 0.73);
+  assert.strictEqual(night.selfConsumptionPct, null, 'ratios are undefined without generation or load');
+  assert.strictEqual(night.selfSufficiencyPct, null);
+
+  // 2026-02-18 is a Wednesday; the 16th is missing from the store.
+  const stored = {
+    '2026-02-01': { generatedKwh: 30, importKwh: 2, exportKwh: 20 },
+    '2026-02-17': { generatedKwh: 25, importKwh: 5, exportKwh: 15 },
+    '2026-02-15': { generatedKwh: 28, importKwh: 3, exportKwh: 18 }
+  };
+  const metrics = buildSolarMetrics({
+    today: { dayKey: '2026-02-18', totals: { generatedKwh: 10, importKwh: 1, exportKwh: 5 } },
+    emissionsKgPerKwh: 0.5,
+    getDayTotals: (dayKey) => stored[dayKey] || null
+  });
+  assert.strictEqual(metrics.emissionsKgPerKwh, 0.5);
+  const byKey = {};
+  metrics.periods.forEach((period) => { byKey[period.key] = period; });
+  assert.strictEqual(byKey.day.generatedKwh, 10);
+  assert.strictEqual(byKey.day.selfConsumptionPct, 50);
+  assert.strictEqual(byKey.week.from, '2026-02-16', 'weeks start on Monday');
+  assert.strictEqual(byKey.week.days, 3);
+  assert.strictEqual(byKey.week.missingDays, 1);
+  assert.strictEqual(byKey.week.generatedKwh, 35);
+  assert.strictEqual(byKey.week.selfSufficiencyPct, 71.4);
+  assert.strictEqual(byKey.month.from, '2026-02-01');
+  assert.strictEqual(byKey.month.days, 18);
+  assert.strictEqual(byKey.month.generatedKwh, 93);
+  assert.strictEqual(byKey.month.co2AvoidedKg, 46.5);
+
+  assert.deepStrictEqual(buildSolarMetrics({ today: { dayKey: 'not-a-day' } }).periods, []);
+};
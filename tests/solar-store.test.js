@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { createSolarStore } = require('../src/lib/solar-store');
+const { createServer, formatDateLocal } = require('../src/server');
+
+function getJson(server, urlPath) {
+  return new Promise((resolve, reject) => {
+    const address = server.address();
+    http.get({ host: '127.0.0.1', port: address.port, path: urlPath }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, json: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+      });
+    }).on('error', reject);
+  });
+}
+
+module.exports = async function run() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nanopi2-solar-store-'));
+  let server;
+  try {
+    const dataDir = path.join(dir, 'data');
+    const now = Date.now();
+    const store = createSolarStore({ dir: dataDir, sampleRetentionHours: 1, compactAfterBytes: 4096 });
+    store.load();
+    store.appendSample({ ts: now - (3 * 60 * 60 * 1000), generatedW: 10, gridW: 0, loadW: 10 });
+    store.appendSample({ ts: now - 60000, generatedW: 2500, gridW: -400, loadW: 2100 });
+    store.appendSample({ ts: now, generatedW: 2600, gridW: -500, loadW: 2100 });
+    store.saveDay('2026-01-01', { totals: { generatedKwh: 21.5, importKwh: 3, exportKwh: 9 } }, now);
+    store.saveDay('2026-01-01', { bins: [{ dayKey: '2026-01-01', binIndex: 0, generatedWh: 5 }] }, now);
+    store.saveFroniusSnapshot({ rolling: { dayKey: 'x', importKwh: 1, exportKwh: 2 } }, now);
+
+    fs.appendFileSync(path.join(dataDir, 'solar-journal.jsonl'), '{"type":"sample","ts":');
+
+    const reloaded = createSolarStore({ dir: dataDir, sampleRetentionHours: 1 });
+    const loadMeta = reloaded.load();
+    assert.strictEqual(loadMeta.sampleCount, 3, 'torn trailing line should be ignored');
+    const day = reloaded.getDay('2026-01-01');
+    assert.strictEqual(day.totals.generatedKwh, 21.5, 'day patches should merge');
+    assert.strictEqual(day.bins.length, 1);
+    assert.deepStrictEqual(reloaded.listDays(), ['2026-01-01']);
+    assert.strictEqual(reloaded.getFroniusSnapshot().rolling.exportKwh, 2);
+
+    assert.strictEqual(reloaded.compact(now), true);
+    const compacted = createSolarStore({ dir: dataDir, sampleRetentionHours: 1 });
+    compacted.load();
+    assert.strictEqual(compacted.getSamples(0).length, 2, 'compaction should drop samples past retention');
+    assert.strictEqual(compacted.getDay('2026-01-01').totals.exportKwh, 9, 'compaction should keep past days');
+    const lines = fs.readFileSync(path.join(dataDir, 'solar-journal.jsonl'), 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 4);
+
+    // Retained samples past the threshold must not force a rewrite per sample.
+    const busyStore = createSolarStore({ dir: path.join(dir, 'busy'), sampleRetentionHours: 48, compactAfterBytes: 4096 });
+    busyStore.load();
+    const renameSync = fs.renameSync;
+    let rewrites = 0;
+    fs.renameSync = function countingRename(from, to) {
+      rewrites += 1;
+      return renameSync.call(fs, from, to);
+    };
+    try {
+      for (let i = 0; i < 500; i += 1) {
+        busyStore.appendSample({ ts: now - ((500 - i) * 8000), generatedW: 2500, gridW: -400, loadW: 2100 });
+      }
+    } finally {
+      fs.renameSync = renameSync;
+    }
+    assert.ok(rewrites > 0 && rewrites < 20, 'compactions: ' + rewrites);
+    assert.strictEqual(busyStore.getSamples(0).length, 500);
+
+    const configDir = path.join(dir, 'config');
+    fs.mkdirSync(configDir);
+    fs.writeFileSync(path.join(configDir, 'dashboard.json'), JSON.stringify({
+      timeZone: 'Australia/Brisbane',
+      storage: { dataDir }
+    }));
+    fs.writeFileSync(path.join(configDir, 'auth.json'), JSON.stringify({
+      adminUser: 'admin',
+      passwordSalt: 'salt',
+      passwordIterations: 1000,
+      passwordHash: 'hash'
+    }));
+    const todayKey = formatDateLocal(now, 'Australia/Brisbane');
+    const bins = [];
+    for (let i = 0; i < 48; i += 1) {
+      bins.push({ dayKey: todayKey, binIndex: i, generatedWh: i === 20 ? 1200 : 0, importWh: 0, exportWh: 0, selfWh: 0, loadWh: 0 });
+    }
+    compacted.saveDay(todayKey, { bins, generatedSeries: [{ secOfDay: 36000, value: 2400 }], archiveDetail: true }, now);
+
+    server = createServer({ configDir, baseDir: dir, disablePolling: true, gitRunner: async () => ({ ok: true }) });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const state = await getJson(server, '/api/state');
+    assert.strictEqual(state.statusCode, 200);
+    assert.strictEqual(state.json.solarHistory.length, 2, 'realtime samples should be rehydrated');
+    assert.strictEqual(state.json.solarDailyBins[20].generatedWh, 1200, 'today bins should be rehydrated');
+    assert.strictEqual(state.json.solarGeneratedHistory[0].value, 2400);
+
+    const days = await getJson(server, '/api/solar/days');
+    assert.strictEqual(days.json.days[0].dayKey, '2026-01-01');
+    assert.strictEqual(days.json.days[0].totals.generatedKwh, 21.5);
+
+    const past = await getJson(server, '/api/solar/day?date=2026-01-01');
+    assert.strictEqual(past.statusCode, 200);
+    assert.strictEqual(past.json.bins[0].generatedWh, 5);
+    assert.strictEqual((await getJson(server, '/api/solar/day?date=2025-01-01')).statusCode, 404);
+    assert.strictEqual((await getJson(server, '/api/solar/day?date=bogus')).statusCode, 400);
+
+    const range = await getJson(server, '/api/solar/history?from=2026-01-01&to=2026-01-02&resolution=day');
+    assert.strictEqual(range.statusCode, 200);
+    assert.strictEqual(range.json.buckets[0].generatedKwh, 21.5);
+    assert.strictEqual(range.json.buckets[1].missingDays, 1);
+    assert.strictEqual((await getJson(server, '/api/solar/history?resolution=hour')).statusCode, 400);
+
+    const compare = await getJson(server, '/api/solar/compare');
+    assert.strictEqual(compare.statusCode, 200);
+    assert.strictEqual(compare.json.dayKey, todayKey);
+    assert.strictEqual(compare.json.comparisons.length, 3);
+
+    const bill = await getJson(server, '/api/solar/bill');
+    assert.strictEqual(bill.statusCode, 200);
+    assert.strictEqual(bill.json.period.from <= todayKey && bill.json.period.to >= todayKey, true);
+    assert.strictEqual(typeof bill.json.accumulated.netCents, 'number');
+  } finally {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
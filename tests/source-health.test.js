@@ -0,0 +1,77 @@
+'use strict';
+
+const assert = require('assert');
+
+const { createSourceHealth, sourceForService, SOURCES } = require('../src/lib/source-health');
+
+module.exports = async function run() {
+  assert.strictEqual(sourceForService('external.weather.forecast'), 'weather');
+  assert.strictEqual(sourceForService('external.ha.service'), 'homeAssistant');
+  assert.strictEqual(sourceForService('external.rainviewer.meta'), 'radar');
+  assert.strictEqual(sourceForService('external.rainviewer.tile'), 'radar');
+  assert.strictEqual(sourceForService('external.bom.reflectivity.tile'), 'radar');
+  assert.strictEqual(sourceForService('external.map.tile'), 'mapTiles');
+  assert.strictEqual(sourceForService('external.newsfeed'), null, 'prefixes match whole segments');
+  assert.strictEqual(sourceForService('external.fronius'), null, 'fronius outcomes come from the poller');
+
+  let clock = Date.parse('2026-10-19T00:00:00.000Z');
+  const health = createSourceHealth({ now: () => clock, enabled: { beatbot: false } });
+  assert.deepStrictEqual(health.list().map((source) => source.name), SOURCES.map((source) => source.name));
+  assert.strictEqual(health.get('weather').status, 'pending');
+  assert.strictEqual(health.get('beatbot').status, 'disabled');
+  assert.strictEqual(health.get('mapTiles').staleAfterMs, null);
+
+  health.expect('weather', 60000);
+  health.observeRequest({ service: 'external.weather.current', durationMs: 120 });
+  health.observeRequest({ service: 'external.weather.forecast', durationMs: 80 });
+  let weather = health.get('weather');
+  assert.strictEqual(weather.status, 'ok');
+  assert.strictEqual(weather.avgLatencyMs, 100);
+  assert.strictEqual(weather.lastSuccessAt, '2026-10-19T00:00:00.000Z');
+  assert.strictEqual(weather.staleAfterMs, 180000);
+
+  const notFound = new Error('HTTP 404');
+  notFound.statusCode = 404;
+  clock += 30000;
+  health.observeRequest({ service: 'external.weather.current', durationMs: 400, error: notFound });
+  weather = health.get('weather');
+  assert.strictEqual(weather.status, 'degraded', 'fresh data with a recent failure');
+  assert.strictEqual(weather.lastError, 'http_404');
+  assert.strictEqual(weather.ageMs, 30000);
+
+  clock += 30000;
+  health.observeRequest({ service: 'external.weather.current', durationMs: 400, error: new Error('socket hang up') });
+  health.observeRequest({ service: 'external.weather.current', durationMs: 400, error: Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }) });
+  weather = health.get('weather');
+  assert.strictEqual(weather.status, 'failing');
+  assert.strictEqual(weather.consecutiveFailures, 3);
+  assert.strictEqual(weather.failures, 3);
+  assert.strictEqual(weather.attempts, 5);
+  assert.deepStrictEqual(weather.errors.map((entry) => entry.error), ['ECONNREFUSED', 'socket hang up', 'http_404'], 'newest error first');
+
+  health.expect('froniusRealtime', 8000);
+  health.record('froniusRealtime', { ok: true, durationMs: 35 });
+  clock += 24001;
+  assert.strictEqual(health.get('froniusRealtime').status, 'stale', 'three missed polls');
+  assert.strictEqual(health.get('news').status, 'pending', 'sources without a cadence never go stale');
+  health.expect('news', 10000);
+  assert.strictEqual(health.get('news').status, 'stale', 'staleness counts from startup before a first success');
+
+  assert.deepStrictEqual(health.evaluate([]), { ready: true, sources: [] });
+  assert.strictEqual(health.evaluate(['beatbot']).ready, true, 'disabled sources do not block readiness');
+  const readiness = health.evaluate(['froniusRealtime', 'weather', 'nope']);
+  assert.strictEqual(readiness.ready, false);
+  assert.deepStrictEqual(readiness.sources.map((source) => source.status), ['stale', 'failing']);
+  health.record('froniusRealtime', { ok: true, durationMs: 45 });
+  assert.strictEqual(health.get('froniusRealtime').avgLatencyMs, 40);
+  assert.strictEqual(health.evaluate(['froniusRealtime']).ready, true);
+
+  // RainViewer requests keep the radar source ready under the names rainviewer.js logs.
+  health.expect('radar', 120000);
+  assert.strictEqual(health.evaluate(['radar']).ready, false);
+  health.observeRequest({ service: 'external.rainviewer.meta', durationMs: 90 });
+  health.observeRequest({ service: 'external.rainviewer.tile', durationMs: 60 });
+  assert.strictEqual(health.get('radar').status, 'ok');
+  assert.strictEqual(health.get('radar').attempts, 2);
+  assert.strictEqual(health.evaluate(['radar']).ready, true);
+};
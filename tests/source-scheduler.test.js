@@ -0,0 +1,126 @@
+'use strict';
+
+const assert = require('assert');
+
+const { createSourceScheduler } = require('../src/lib/source-scheduler');
+
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function createFakeTimers() {
+  const pending = new Map();
+  let nextId = 1;
+  return {
+    pending,
+    setTimeout: (fn, ms) => {
+      const id = nextId++;
+      pending.set(id, { fn, ms });
+      return id;
+    },
+    clearTimeout: (id) => {
+      pending.delete(id);
+    },
+    delays: () => Array.from(pending.values()).map((entry) => entry.ms),
+    // Fires the pending timer with the given delay.
+    fire: (ms) => {
+      const id = Array.from(pending.keys()).find((key) => pending.get(key).ms === ms);
+      assert.ok(id, 'no timer pending for ' + ms + 'ms');
+      const entry = pending.get(id);
+      pending.delete(id);
+      entry.fn();
+    }
+  };
+}
+
+module.exports = async function run() {
+  const timers = createFakeTimers();
+  let clock = Date.parse('2026-10-19T00:00:00.000Z');
+  const results = [];
+  const applied = [];
+  const failures = [];
+  let hang = null;
+  const scheduler = createSourceScheduler({
+    name: 'weather',
+    intervalMs: 60000,
+    timeoutMs: 5000,
+    maxBackoffMs: 300000,
+    timers,
+    random: () => 0.5,
+    now: () => clock,
+    run: () => {
+      if (hang) {
+        return hang;
+      }
+      const next = results.shift();
+      return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+    },
+    onSuccess: (value) => { applied.push(value); },
+    onFailure: (error) => { failures.push(error.message); }
+  });
+
+  assert.strictEqual(scheduler.getStatus().lastSuccessAt, null);
+  results.push('sunny');
+  scheduler.start();
+  await flush();
+  assert.deepStrictEqual(applied, ['sunny'], 'the first run starts immediately');
+  assert.deepStrictEqual(timers.delays(), [60000]);
+  let status = scheduler.getStatus();
+  assert.strictEqual(status.lastSuccessAt, '2026-10-19T00:00:00.000Z');
+  assert.strictEqual(status.nextRunAt, '2026-10-19T00:01:00.000Z');
+  assert.strictEqual(status.consecutiveFailures, 0);
+
+  // Failures back off exponentially from the interval up to the cap.
+  results.push(new Error('offline'), new Error('offline'), new Error('offline'), new Error('offline'));
+  clock += 60000;
+  timers.fire(60000);
+  await flush();
+  assert.deepStrictEqual(timers.delays(), [120000]);
+  timers.fire(120000);
+  await flush();
+  assert.deepStrictEqual(timers.delays(), [240000]);
+  timers.fire(240000);
+  await flush();
+  assert.deepStrictEqual(timers.delays(), [300000], 'backoff is capped');
+  timers.fire(300000);
+  await flush();
+  status = scheduler.getStatus();
+  assert.strictEqual(status.consecutiveFailures, 4);
+  assert.strictEqual(status.lastError, 'offline');
+  assert.strictEqual(status.lastSuccessAt, '2026-10-19T00:00:00.000Z', 'failures keep the last success time');
+  assert.deepStrictEqual(failures, ['offline', 'offline', 'offline', 'offline']);
+
+  // An admin refresh runs now, resets the backoff on success and restarts the cadence.
+  results.push('showers');
+  clock += 1000;
+  status = await scheduler.refreshNow();
+  assert.strictEqual(status.consecutiveFailures, 0);
+  assert.strictEqual(status.lastError, null);
+  assert.deepStrictEqual(applied, ['sunny', 'showers']);
+  assert.deepStrictEqual(timers.delays(), [60000], 'the backed-off timer is replaced');
+
+  // A run that outlives the timeout counts as a failure and its late value is dropped.
+  let release;
+  hang = new Promise((resolve) => { release = resolve; });
+  timers.fire(60000);
+  await flush();
+  assert.strictEqual(scheduler.getStatus().running, true);
+  assert.deepStrictEqual(timers.delays(), [5000]);
+  const joined = scheduler.refreshNow();
+  timers.fire(5000);
+  status = await joined;
+  assert.strictEqual(status.lastError, 'weather_timeout', 'a refresh during a run joins it');
+  release('late');
+  hang = null;
+  await flush();
+  assert.deepStrictEqual(applied, ['sunny', 'showers']);
+  const jittered = createSourceScheduler({ name: 'news', intervalMs: 1000, timers, random: () => 1, run: () => Promise.reject(new Error('down')) });
+  jittered.start();
+  await flush();
+  assert.ok(timers.delays().indexOf(2400) > -1, 'backoff is jittered by up to 20%');
+  jittered.stop();
+
+  scheduler.stop();
+  assert.deepStrictEqual(timers.delays(), []);
+  assert.strictEqual(scheduler.getStatus().nextRunAt, null);
+};
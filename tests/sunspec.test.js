@@ -0,0 +1,267 @@
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+
+const { createModbusTcpClient } = require('../src/lib/modbus-tcp');
+const { createSunSpecClient, decodeInverter } = require('../src/lib/sunspec');
+
+function s16(value) {
+  return value < 0 ? value + 0x10000 : value;
+}
+
+function textRegisters(value, length) {
+  const buffer = Buffer.alloc(length * 2);
+  buffer.write(value, 'latin1');
+  const out = [];
+  for (let i = 0; i < length; i += 1) {
+    out.push(buffer.readUInt16BE(i * 2));
+  }
+  return out;
+}
+
+function acc32Registers(value) {
+  return [Math.floor(value / 0x10000), value % 0x10000];
+}
+
+function floatRegisters(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeFloatBE(value, 0);
+  return [buffer.readUInt16BE(0), buffer.readUInt16BE(2)];
+}
+
+function filled(length, entries) {
+  const out = new Array(length).fill(0);
+  Object.keys(entries).forEach((offset) => {
+    [].concat(entries[offset]).forEach((value, i) => {
+      out[Number(offset) + i] = value;
+    });
+  });
+  return out;
+}
+
+function buildDevice(models) {
+  const registers = new Map();
+  let address = 40000;
+  [0x5375, 0x6E53].forEach((value) => registers.set(address++, value));
+  models.forEach((model) => {
+    registers.set(address++, model.id);
+    registers.set(address++, model.registers.length);
+    model.registers.forEach((value) => registers.set(address++, value));
+  });
+  registers.set(address++, 0xFFFF);
+  registers.set(address, 0);
+  return registers;
+}
+
+function common(manufacturer, model, serial) {
+  return filled(66, { 0: textRegisters(manufacturer, 16), 16: textRegisters(model, 16), 48: textRegisters(serial, 16) });
+}
+
+function mpptModule(id, label, amps, volts, watts) {
+  return [id].concat(textRegisters(label, 8), [amps, volts, watts], new Array(8).fill(0));
+}
+
+function buildInverter(lifetimeWh) {
+  return buildDevice([
+    { id: 1, registers: common('Fronius', 'Primo GEN24 6.0', '30000001') },
+    { id: 103, registers: filled(50, {
+      1: [870, 860, 880],
+      4: s16(-2),
+      8: [2400, 2410, 2390],
+      11: s16(-1),
+      12: 4600,
+      13: 0,
+      14: 5000,
+      15: s16(-2),
+      22: acc32Registers(lifetimeWh),
+      24: 0,
+      36: 4
+    }) },
+    { id: 160, registers: [s16(-2), s16(-1), 0, 0, 0, 0, 4, 0].concat(
+      mpptModule(1, 'String 1', 1000, 4000, 4000),
+      mpptModule(2, 'String 2', 500, 3800, 1900),
+      mpptModule(3, 'StCha 3', 300, 4000, 1200),
+      mpptModule(4, 'StDisCha 4', 0, 4000, 0)
+    ) },
+    { id: 124, registers: filled(24, { 6: 6543, 20: s16(-2) }) }
+  ]);
+}
+
+function buildMeter(importWh, exportWh) {
+  return buildDevice([
+    { id: 1, registers: common('Fronius', 'Smart Meter TS 65A-3', '40000001') },
+    { id: 203, registers: filled(105, {
+      1: [200, 200, 200],
+      4: s16(-2),
+      6: [2400, 2400, 2400],
+      13: s16(-1),
+      14: 5001,
+      15: s16(-2),
+      16: s16(-1500),
+      17: [s16(-500), s16(-500), s16(-500)],
+      20: 0,
+      36: acc32Registers(exportWh),
+      44: acc32Registers(importWh),
+      52: 0
+    }) }
+  ]);
+}
+
+// Serves read-holding-registers from per-unit maps; unknown units answer
+// with a gateway exception and `silentUnit` never answers at all.
+function startFakeModbus(units, silentUnit) {
+  const requests = [];
+  const server = net.createServer((socket) => {
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      while (buffered.length >= 12) {
+        const frame = buffered.slice(0, 12);
+        buffered = buffered.slice(12);
+        const unitId = frame.readUInt8(6);
+        const address = frame.readUInt16BE(8);
+        const count = frame.readUInt16BE(10);
+        requests.push({ unitId, address, count });
+        if (unitId === silentUnit) {
+          continue;
+        }
+        const registers = units[unitId];
+        if (!registers || !registers.has(address)) {
+          const reply = Buffer.alloc(9);
+          frame.copy(reply, 0, 0, 4);
+          reply.writeUInt16BE(3, 4);
+          reply.writeUInt8(unitId, 6);
+          reply.writeUInt8(0x83, 7);
+          reply.writeUInt8(registers ? 2 : 11, 8);
+          socket.write(reply);
+          continue;
+        }
+        const reply = Buffer.alloc(9 + (count * 2));
+        frame.copy(reply, 0, 0, 4);
+        reply.writeUInt16BE(3 + (count * 2), 4);
+        reply.writeUInt8(unitId, 6);
+        reply.writeUInt8(3, 7);
+        reply.writeUInt8(count * 2, 8);
+        for (let i = 0; i < count; i += 1) {
+          reply.writeUInt16BE(registers.get(address + i) || 0, 9 + (i * 2));
+        }
+        socket.write(reply);
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port })));
+}
+
+module.exports = async function run() {
+  const units = { 1: buildInverter(12345678), 200: buildMeter(3000000, 2000000) };
+  const fake = await startFakeModbus(units, 9);
+  const clients = [];
+  try {
+    const modbus = createModbusTcpClient({ host: '127.0.0.1', port: fake.port, timeoutMs: 500 });
+    clients.push(modbus);
+    const before = fake.requests.length;
+    const long = await modbus.readHoldingRegisters(1, 40000, 130);
+    assert.strictEqual(long.length, 130);
+    assert.deepStrictEqual(long.slice(0, 4), [0x5375, 0x6E53, 1, 66]);
+    assert.deepStrictEqual(fake.requests.slice(before).map((request) => request.count), [125, 5], 'reads past 125 registers are split');
+    await assert.rejects(modbus.readHoldingRegisters(1, 1, 2), /modbus_exception_illegal_data_address/);
+    await assert.rejects(modbus.readHoldingRegisters(9, 40000, 2), /modbus_timeout/);
+    assert.deepStrictEqual(await modbus.readHoldingRegisters(1, 40000, 2), [0x5375, 0x6E53], 'the client reconnects after a timeout');
+
+    let now = Date.parse('2026-02-16T00:00:00.000Z');
+    const client = createSunSpecClient({ host: '127.0.0.1', port: fake.port, meterUnitId: 200, timeZone: 'Australia/Brisbane', now: () => now });
+    clients.push(client);
+    const realtime = await client.fetchRealtime();
+    assert.deepStrictEqual(realtime, {
+      generatedW: 5900,
+      gridW: -1500,
+      loadW: 3100,
+      dayGeneratedKwh: 0,
+      hasBattery: true,
+      batteryW: -1200,
+      batterySocPct: 65.4
+    });
+    await assert.rejects(client.fetchDailySum('2026-02-16'), /archive_unavailable/, 'a baseline taken mid-morning is not a whole day');
+
+    const devices = await client.fetchDevices();
+    assert.strictEqual(devices.inverters[0].name, 'Fronius Primo GEN24 6.0');
+    assert.strictEqual(devices.inverters[0].statusCode, 7);
+    assert.strictEqual(devices.inverters[0].statusLabel, 'Running');
+    assert.strictEqual(devices.inverters[0].inverterState, 'MPPT');
+    assert.strictEqual(devices.inverters[0].frequencyHz, 50);
+    assert.strictEqual(devices.inverters[0].totalEnergyKwh, 12345.678);
+    assert.deepStrictEqual(devices.inverters[0].phases[0], { phase: 1, voltageV: 240, currentA: 8.7, powerW: 2088 });
+    assert.deepStrictEqual(devices.inverters[0].strings, [
+      { mppt: 1, voltageV: 400, currentA: 10, powerW: 4000 },
+      { mppt: 2, voltageV: 380, currentA: 5, powerW: 1900 }
+    ]);
+    assert.deepStrictEqual(devices.meters[0], {
+      id: '200',
+      model: 'Smart Meter TS 65A-3',
+      serial: '40000001',
+      location: 'grid',
+      powerW: -1500,
+      frequencyHz: 50.01,
+      importKwh: 3000,
+      exportKwh: 2000,
+      phases: [
+        { phase: 1, voltageV: 240, currentA: 2, powerW: -500 },
+        { phase: 2, voltageV: 240, currentA: 2, powerW: -500 },
+        { phase: 3, voltageV: 240, currentA: 2, powerW: -500 }
+      ]
+    });
+
+    // Just after local midnight, then through the next day.
+    now = Date.parse('2026-02-16T14:00:05.000Z');
+    units[1] = buildInverter(12345778);
+    await client.fetchRealtime();
+    now = Date.parse('2026-02-17T02:00:00.000Z');
+    units[1] = buildInverter(12350778);
+    units[200] = buildMeter(3000200, 2003000);
+    assert.strictEqual((await client.fetchRealtime()).dayGeneratedKwh, 5);
+    assert.deepStrictEqual(await client.fetchDailySum('2026-02-17'), { dayGeneratedKwh: 5, dayImportKwh: 0.2, dayExportKwh: 3 });
+    await assert.rejects(client.fetchDailySum('2026-02-16'), /archive_unavailable/);
+    assert.strictEqual(typeof client.fetchDailyDetail, 'undefined', 'without the Solar API there is no detail archive');
+
+    const inverted = createSunSpecClient({ host: '127.0.0.1', port: fake.port, meterUnitId: 200, invertMeter: true });
+    clients.push(inverted);
+    assert.strictEqual((await inverted.fetchRealtime()).gridW, 1500);
+
+    const noMeter = createSunSpecClient({ host: '127.0.0.1', port: fake.port, meterUnitId: 5 });
+    clients.push(noMeter);
+    const alone = await noMeter.fetchRealtime();
+    assert.strictEqual(alone.gridW, 0);
+    assert.strictEqual(alone.loadW, 4600);
+    assert.deepStrictEqual((await noMeter.fetchDevices()).meters, []);
+
+    const archiveCalls = [];
+    const withArchive = createSunSpecClient({
+      host: '127.0.0.1',
+      port: fake.port,
+      archiveClient: {
+        fetchDailySum: async (dayISO) => { archiveCalls.push(dayISO); return { dayGeneratedKwh: 30, dayImportKwh: 2, dayExportKwh: 18 }; },
+        fetchDailyDetail: async () => ({ producedWhBySecond: {} })
+      }
+    });
+    clients.push(withArchive);
+    assert.strictEqual((await withArchive.fetchDailySum('2026-02-10')).dayGeneratedKwh, 30);
+    assert.deepStrictEqual(archiveCalls, ['2026-02-10']);
+    assert.strictEqual(typeof withArchive.fetchDailyDetail, 'function');
+
+    const floatInverter = decodeInverter(113, filled(60, {
+      14: floatRegisters(231.5),
+      20: floatRegisters(3210),
+      22: floatRegisters(49.98),
+      30: floatRegisters(987654),
+      46: 5
+    }));
+    assert.strictEqual(Math.round(floatInverter.acW), 3210);
+    assert.strictEqual(Math.round(floatInverter.lifetimeWh), 987654);
+    assert.strictEqual(floatInverter.state, 5);
+    assert.deepStrictEqual(floatInverter.phases[0], { phase: 1, voltageV: 231.5, currentA: 0, powerW: 0 });
+  } finally {
+    clients.forEach((client) => client.close());
+    await new Promise((resolve) => fake.server.close(resolve));
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert');
+const { createTariff, isValidTariffConfig, weekdayForDayKey } = require('../src/lib/tariff');
+
+function bin(binIndex, importWh, exportWh) {
+  return { dayKey: null, binIndex, generatedWh: 0, importWh, exportWh, selfWh: 0, loadWh: importWh };
+}
+
+module.exports = async function run() {
+  const pricing = {
+    importCentsPerKwh: 20,
+    feedInCentsPerKwh: 3,
+    dailySupplyCents: 100,
+    inverterCapacityKw: 6,
+    periods: [
+      { name: 'peak', centsPerKwh: 50, windows: [{ days: 'weekdays', start: '16:00', end: '21:00' }] },
+      { name: 'off_peak', centsPerKwh: 15, windows: [{ start: '22:00', end: '07:00' }] }
+    ],
+    feedInTiers: [
+      { upToKwh: 2, centsPerKwh: 10 },
+      { centsPerKwh: 4 }
+    ]
+  };
+  assert.strictEqual(isValidTariffConfig(pricing), true);
+  assert.strictEqual(isValidTariffConfig({ periods: [{ name: 'peak', centsPerKwh: 50, windows: [{ start: '25:00', end: '21:00' }] }] }), false);
+  assert.strictEqual(isValidTariffConfig({ feedInTiers: [{ centsPerKwh: 5 }, { upToKwh: 3, centsPerKwh: 2 }] }), false, 'only the last tier may be open-ended');
+  assert.strictEqual(isValidTariffConfig({}), true, 'a flat plan needs no schedule');
+
+  assert.strictEqual(weekdayForDayKey('2026-02-16'), 'mon');
+  assert.strictEqual(weekdayForDayKey('2026-02-14'), 'sat');
+
+  const tariff = createTariff(pricing);
+  assert.strictEqual(tariff.periodAt('2026-02-16', 17 * 60).name, 'peak');
+  assert.strictEqual(tariff.periodAt('2026-02-14', 17 * 60).name, 'standard', 'weekday-only window should not apply on Saturday');
+  assert.strictEqual(tariff.periodAt('2026-02-14', 23 * 60).name, 'off_peak');
+  assert.strictEqual(tariff.periodAt('2026-02-14', 3 * 60).name, 'off_peak', 'overnight windows should wrap past midnight');
+  assert.strictEqual(tariff.feedInCentsAt(0), 10);
+  assert.strictEqual(tariff.feedInCentsAt(2.5), 4, 'the next kWh is paid at the tier the day has reached');
+
+  const bins = [
+    bin(2, 1000, 0),
+    bin(24, 0, 1500),
+    bin(26, 0, 1500),
+    bin(33, 2000, 0),
+    bin(43, 1000, 0)
+  ];
+  const weekday = tariff.priceBins(bins, '2026-02-16');
+  const byName = {};
+  weekday.periods.forEach((row) => { byName[row.name] = row; });
+  assert.strictEqual(byName.off_peak.importKwh, 1);
+  assert.strictEqual(byName.peak.importKwh, 2);
+  assert.strictEqual(byName.peak.importCents, 100);
+  assert.strictEqual(byName.standard.importKwh, 1, '21:30-22:00 sits between the peak and off-peak windows');
+  assert.strictEqual(weekday.importCents, 135);
+  assert.strictEqual(weekday.feedInTiers[0].exportKwh, 2);
+  assert.strictEqual(weekday.feedInTiers[1].exportKwh, 1);
+  assert.strictEqual(weekday.feedInCents, 24);
+  assert.strictEqual(weekday.netCents, 211);
+
+  const straddle = tariff.priceBins([bin(21, 1000, 0)], '2026-02-16', 60);
+  const straddleByName = {};
+  straddle.periods.forEach((row) => { straddleByName[row.name] = row; });
+  assert.strictEqual(straddleByName.standard.importKwh, 1);
+  const split = createTariff({
+    importCentsPerKwh: 20,
+    periods: [{ name: 'peak', centsPerKwh: 50, windows: [{ start: '16:15', end: '21:00' }] }]
+  }).priceBins([bin(32, 1000, 0)], '2026-02-16');
+  const splitByName = {};
+  split.periods.forEach((row) => { splitByName[row.name] = row; });
+  assert.strictEqual(splitByName.peak.importKwh, 0.5, 'a bin straddling 16:15 should be split across periods');
+  assert.strictEqual(splitByName.standard.importKwh, 0.5);
+
+  const metered = tariff.priceBins([bin(33, 2000, 0)], '2026-02-16', null, { importKwh: 3, exportKwh: 3 });
+  const meteredByName = {};
+  metered.periods.forEach((row) => { meteredByName[row.name] = row; });
+  assert.strictEqual(meteredByName.peak.importKwh, 2);
+  assert.strictEqual(meteredByName.standard.importKwh, 1, 'import missing from the bins should be priced at the standard rate');
+  assert.strictEqual(metered.feedInCents, 24, 'export missing from the bins should still fill the tiers');
+
+  const weekend = tariff.priceBins(bins, '2026-02-14');
+  const weekendPeak = weekend.periods.filter((row) => row.name === 'peak')[0];
+  assert.strictEqual(weekendPeak.importKwh, 0);
+
+  const flat = createTariff({ importCentsPerKwh: 30, feedInCentsPerKwh: 5, dailySupplyCents: 100 }).priceBins(bins, '2026-02-16');
+  assert.deepStrictEqual(flat.periods.map((row) => row.name), ['standard']);
+  assert.strictEqual(flat.importKwh, 4);
+  assert.strictEqual(flat.importCents, 120);
+  assert.strictEqual(flat.feedInCents, 15);
+  assert.strictEqual(flat.netCents, 205);
+};
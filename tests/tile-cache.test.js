@@ -0,0 +1,169 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { createTileCache } = require('../src/lib/tile-cache');
+const { createServer } = require('../src/server');
+
+function request(server, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: urlPath }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+}
+
+function tile(text, extra) {
+  return Object.assign({ contentType: 'image/png', body: Buffer.from(text) }, extra || {});
+}
+
+module.exports = async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nanopi2-tile-cache-'));
+  let server = null;
+  try {
+    let clock = 1000000;
+    const now = () => clock;
+    const dir = path.join(tempDir, 'tiles');
+    const cache = createTileCache({ dir, maxBytes: 1024 * 1024, now });
+    const seenHeaders = [];
+    let upstream = async (headers) => {
+      seenHeaders.push(headers);
+      return tile('v1', { etag: '"v1"', lastModified: 'Mon, 02 Mar 2026 00:00:00 GMT', tileOffsetXPx: 12 });
+    };
+    const params = { ttlMs: 60000, serveStale: true, fetcher: (headers) => upstream(headers) };
+
+    const first = await cache.get('map:7:1:2', params);
+    assert.strictEqual(first.body.toString(), 'v1');
+    assert.deepStrictEqual(seenHeaders, [{}], 'nothing to revalidate on a miss');
+    const hit = await cache.get('map:7:1:2', params);
+    assert.strictEqual(hit.body.toString(), 'v1');
+    assert.strictEqual(hit.tileOffsetXPx, 12, 'result fields survive caching');
+    assert.strictEqual(seenHeaders.length, 1, 'fresh tiles are served from the cache');
+
+    // Past the TTL the tile is revalidated; a 304 keeps the cached body.
+    clock += 61000;
+    upstream = async (headers) => {
+      seenHeaders.push(headers);
+      return { notModified: true };
+    };
+    const revalidated = await cache.get('map:7:1:2', params);
+    assert.deepStrictEqual(seenHeaders[1], {
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 02 Mar 2026 00:00:00 GMT'
+    });
+    assert.strictEqual(revalidated.body.toString(), 'v1');
+    await cache.get('map:7:1:2', params);
+    assert.strictEqual(seenHeaders.length, 2, 'a 304 restarts the TTL');
+
+    // Upstream down: stale tiles are served, 404s and non-stale callers fail.
+    clock += 61000;
+    upstream = async () => {
+      throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    };
+    const stale = await cache.get('map:7:1:2', params);
+    assert.strictEqual(stale.stale, true);
+    assert.strictEqual(stale.body.toString(), 'v1');
+    await assert.rejects(cache.get('map:7:1:2', Object.assign({}, params, { serveStale: false })), /ECONNREFUSED/);
+    upstream = async () => {
+      throw Object.assign(new Error('HTTP 404'), { statusCode: 404 });
+    };
+    await assert.rejects(cache.get('map:7:1:2', params), /HTTP 404/);
+
+    // LRU: with a 1 MB budget, the least recently used 400 KB tile goes first.
+    const big = Buffer.alloc(400 * 1024, 1);
+    upstream = async () => ({ contentType: 'image/png', body: big });
+    await cache.get('map:a', params);
+    clock += 1;
+    await cache.get('map:b', params);
+    clock += 1;
+    await cache.get('map:a', params);
+    clock += 1;
+    await cache.get('map:c', params);
+    const stats = cache.getStats();
+    assert.strictEqual(stats.entries, 2);
+    assert.ok(stats.bytes <= stats.maxBytes);
+    assert.ok(stats.evictions >= 1);
+    assert.strictEqual(stats.revalidated, 1);
+    assert.strictEqual(stats.staleServed, 1);
+    assert.strictEqual(stats.persistent, true);
+
+    // The index is rebuilt from disk by a new instance.
+    const reopened = createTileCache({ dir, maxBytes: 1024 * 1024, now });
+    await reopened.load();
+    assert.strictEqual(reopened.getStats().entries, 2);
+    const fromDisk = await reopened.get('map:c', { ttlMs: 60000, fetcher: async () => assert.fail('cached on disk') });
+    assert.strictEqual(fromDisk.body.length, big.length);
+    await assert.rejects(reopened.get('map:b', { ttlMs: 60000, fetcher: async () => { throw new Error('evicted'); } }), /evicted/);
+    assert.strictEqual(fs.readdirSync(dir).length, 4, 'one body and one metadata file per tile');
+
+    const memory = createTileCache({ now });
+    await memory.get('radar:1', { ttlMs: 1000, fetcher: async () => tile('r') });
+    assert.strictEqual((await memory.get('radar:1', { ttlMs: 1000, fetcher: async () => assert.fail('cached') })).body.toString(), 'r');
+    assert.strictEqual(memory.getStats().persistent, false);
+
+    // /api/map/tile keeps answering from the disk cache when the tile server is down.
+    const configDir = path.join(tempDir, 'config');
+    fs.mkdirSync(configDir);
+    fs.writeFileSync(path.join(configDir, 'dashboard.json'), JSON.stringify({
+      map: { cacheTtlSeconds: 60 }
+    }));
+    fs.writeFileSync(path.join(configDir, 'auth.json'), JSON.stringify({
+      adminUser: 'admin',
+      passwordSalt: 'salt',
+      passwordIterations: 1,
+      passwordHash: 'unused'
+    }));
+    let online = true;
+    server = createServer({
+      configDir,
+      disablePolling: true,
+      gitRunner: async () => ({ ok: true }),
+      tileCache: createTileCache({ dir: path.join(tempDir, 'server-tiles'), now }),
+      mapClient: {
+        fetchTile: async () => {
+          if (!online) {
+            throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+          }
+          return tile('osm');
+        }
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    assert.strictEqual((await request(server, '/api/map/tile/7/10/20.png')).body.toString(), 'osm');
+    assert.strictEqual(fs.readdirSync(path.join(tempDir, 'server-tiles')).length, 2);
+    online = false;
+    clock += 61000;
+    const offline = await request(server, '/api/map/tile/7/10/20.png');
+    assert.strictEqual(offline.statusCode, 200);
+    assert.strictEqual(offline.body.toString(), 'osm');
+    assert.strictEqual((await request(server, '/api/map/tile/7/11/20.png')).statusCode, 503, 'uncached tiles still fail');
+
+    // Tiles cached from one tile server are not served once the map points at another.
+    online = true;
+    assert.strictEqual((await request(server, '/api/map/tile/7/12/20.png')).body.toString(), 'osm');
+    await new Promise((resolve) => server.close(resolve));
+    fs.writeFileSync(path.join(configDir, 'dashboard.json'), JSON.stringify({
+      map: { cacheTtlSeconds: 60, tileUrlTemplate: 'https://basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png' }
+    }));
+    server = createServer({
+      configDir,
+      disablePolling: true,
+      gitRunner: async () => ({ ok: true }),
+      tileCache: createTileCache({ dir: path.join(tempDir, 'server-tiles'), now }),
+      mapClient: { fetchTile: async () => tile('carto') }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    assert.strictEqual((await request(server, '/api/map/tile/7/12/20.png')).body.toString(), 'carto');
+  } finally {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
@@ -24,6 +24,11 @@ module.exports = async function run() {
   assert.ok(html.indexOf('body.takeover-solar #mainSolar {') > -1 && html.indexOf('top: var(--global-bar-clearance);') > -1, 'solar takeover panel should stay below status bar');
   assert.ok(html.indexOf('class="panel-title">Radar</span>') > -1, 'radar card title missing');
   assert.ok(html.indexOf('class="panel-title">Solar</span>') > -1, 'solar card title missing');
+  assert.ok(html.indexOf('id="mainCompare"') > -1, 'solar comparison focus panel missing');
+  assert.ok(html.indexOf("if (value === 'solar_compare' || value === 'compare') {") > -1, 'solar_compare focus view should map to the comparison takeover');
+  assert.ok(html.indexOf("fetch('/api/solar/compare'") > -1, 'comparison view should load from the comparison API');
+  assert.ok(html.indexOf('id="mainBill"') > -1, 'bill estimate focus panel missing');
+  assert.ok(html.indexOf("fetch('/api/solar/bill'") > -1, 'bill view should load from the bill API');
   assert.ok(html.indexOf('class="panel-title">Weather</span>') > -1, 'weather card title markup missing');
   assert.ok(html.indexOf('#weatherStripPanel .panel-corner-icon,\n    #weatherStripPanel .panel-title {\n      display: none;') > -1, 'weather strip should hide panel header chrome');
   assert.ok(html.indexOf('class="panel-title">Bins</span>') > -1, 'bins card title missing');
@@ -111,6 +116,8 @@ module.exports = async function run() {
   assert.ok(html.indexOf('body.takeover-solar .chart-wrap {\n      height: 392px;') > -1, 'solar chart card should be doubled in takeover/fullscreen mode');
   assert.ok(html.indexOf('body.takeover-solar .chart {\n      height: 392px;') > -1, 'solar chart canvas should be doubled in takeover/fullscreen mode');
   assert.ok(html.indexOf('id="solarUsageLegend"') > -1, 'solar usage chart legend container missing');
+  assert.ok(html.indexOf('function drawExpectedLine(') > -1, 'clear-sky curve should be overlaid on the usage chart');
+  assert.ok(html.indexOf('id="solarForecastTomorrow"') > -1, 'tomorrow forecast bar missing');
   assert.strictEqual(html.indexOf('Usage (Self + Import)'), -1, 'primary solar chart label should be removed');
   assert.ok(html.indexOf('Generated') > -1, 'solar usage chart legend should include generated series');
   assert.ok(html.indexOf('Self-used') > -1, 'solar usage chart legend should include self-used series');